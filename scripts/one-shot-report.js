@@ -19,7 +19,8 @@ import { CursorActivityService } from '../src/cursor/services/CursorActivityServ
 import { ReportingService } from '../src/reporting/ReportingService.js';
 import { checkAndPromptMultipleOverwrite } from '../src/common/prompt.js';
 import path from 'path';
-import { existsSync, mkdirSync, writeFileSync } from 'node:fs';
+import { existsSync } from 'node:fs';
+import { ensureDir, writeText } from '../src/common/fs.js';
 
 /**
  * Execute a step with error handling and logging
@@ -223,9 +224,7 @@ function ensureReportingPrerequisites(orgSlug) {
     const orgFile = path.join(orgDir, 'direct-reports.json');
     const anyOrgJsonExists = findAnyDirectReportsJson(orgSlug);
     if (!anyOrgJsonExists) {
-      if (!existsSync(orgDir)) {
-        mkdirSync(orgDir, { recursive: true });
-      }
+      ensureDir(orgDir);
       if (!existsSync(orgFile)) {
         const stub = {
           organization: [
@@ -237,7 +236,7 @@ function ensureReportingPrerequisites(orgSlug) {
             }
           ]
         };
-        writeFileSync(orgFile, JSON.stringify(stub, null, 2), 'utf8');
+        writeText(orgFile, JSON.stringify(stub, null, 2));
         console.log(`🧩 Created default org structure at ${orgFile}`);
       }
     }
@@ -0,0 +1,186 @@
+import { Command } from 'commander';
+import { CursorTeamService } from '../../cursor/services/CursorTeamService.js';
+import { CursorActivityService } from '../../cursor/services/CursorActivityService.js';
+import { syncUsageEvents } from '../../cursor/fetch.js';
+import {
+  fetchAllAiCommitMetrics,
+  fetchAllAiCodeChangeMetrics,
+  downloadAiCommitMetricsCsv,
+  downloadAiCodeChangeMetricsCsv
+} from '../../cursor/ai-code-tracking.js';
+
+/**
+ * Create Cursor Admin API data collection CLI commands
+ * @param {Command} program - Commander program instance
+ */
+export function createCursorCommands(program) {
+  const cursor = new Command('cursor')
+    .description('Fetch Cursor team, activity, spend, usage events and AI code tracking data');
+
+  // Team members
+  cursor
+    .command('members')
+    .description('Fetch Cursor team members')
+    .option('--data-dir <dir>', 'Data directory', 'data/cursor')
+    .action(async (options) => {
+      try {
+        const service = new CursorTeamService(options);
+        const result = await service.fetchTeamMembers(options);
+
+        console.log(`✅ Team members fetched successfully`);
+        console.log(`📄 File: ${result.filePath}`);
+        console.log(`👥 Members: ${result.count}`);
+
+      } catch (error) {
+        console.error('❌ Failed to fetch team members:', error.message);
+        process.exit(1);
+      }
+    });
+
+  // Daily usage data
+  cursor
+    .command('activity')
+    .description('Fetch Cursor daily usage data for a day, the last week or the last 30 days')
+    .option('--period <period>', 'daily, weekly or monthly', 'monthly')
+    .option('--date <date>', 'Day to fetch with --period daily (YYYY-MM-DD, default: today)')
+    .option('--start-date <date>', 'First day of the range (YYYY-MM-DD, with --end-date)')
+    .option('--end-date <date>', 'Last day of the range (YYYY-MM-DD, with --start-date)')
+    .option('--data-dir <dir>', 'Data directory', 'data/cursor')
+    .action(async (options) => {
+      try {
+        const service = new CursorActivityService(options);
+        let result;
+        switch (options.period) {
+          case 'daily':
+            result = await service.fetchDailyActivity(options);
+            break;
+          case 'weekly':
+            result = await service.fetchWeeklyActivity(options);
+            break;
+          case 'monthly':
+            result = await service.fetchMonthlyActivity(options);
+            break;
+          default:
+            throw new Error(`Unknown period: ${options.period} (expected daily, weekly or monthly)`);
+        }
+
+        console.log(`✅ ${options.period[0].toUpperCase()}${options.period.slice(1)} activity fetched successfully`);
+        console.log(`📄 File: ${result.filePath}`);
+        console.log(`📊 Records: ${result.count}`);
+
+      } catch (error) {
+        console.error('❌ Failed to fetch activity:', error.message);
+        process.exit(1);
+      }
+    });
+
+  // Spend per member
+  cursor
+    .command('spend')
+    .description('Fetch Cursor spend per team member for the current billing cycle')
+    .option('--page-size <number>', 'Members per page', '100')
+    .option('--max-pages <number>', 'Maximum number of pages to fetch', '10')
+    .option('--data-dir <dir>', 'Data directory', 'data/cursor')
+    .action(async (options) => {
+      try {
+        const service = new CursorTeamService(options);
+        const result = await service.fetchTeamSpend({
+          pageSize: parseInt(options.pageSize) || 100,
+          maxPages: parseInt(options.maxPages) || 10
+        });
+
+        console.log(`✅ Spend fetched successfully`);
+        console.log(`📄 Pages: ${result.pageCount}`);
+        result.filePaths.forEach(filePath => console.log(`   • ${filePath}`));
+
+      } catch (error) {
+        console.error('❌ Failed to fetch spend:', error.message);
+        process.exit(1);
+      }
+    });
+
+  // Incremental usage events sync
+  cursor
+    .command('sync-usage-events')
+    .description('Sync Cursor usage events newer than the last sync into the local event store')
+    .option('--since <date>', 'Fetch from this date instead of the last sync checkpoint')
+    .option('--initial-days <number>', 'Days to go back on the first sync', '30')
+    .option('--overlap-minutes <number>', 'Minutes before the checkpoint to re-read for late events', '60')
+    .option('--page-size <number>', 'Events per page', '100')
+    .action(async (options) => {
+      try {
+        const result = await syncUsageEvents({
+          baseUrl: process.env.CURSOR_BASE_URL,
+          since: options.since,
+          initialDays: parseInt(options.initialDays) || 30,
+          overlapMinutes: parseInt(options.overlapMinutes) || 0,
+          pageSize: parseInt(options.pageSize) || 100
+        });
+
+        console.log(`✅ Usage events synced successfully`);
+        console.log(`📊 Events: ${result.fetched} fetched, ${result.added} new`);
+        console.log(`🕒 High-water mark: ${result.state.lastEventAt || 'none'}`);
+
+      } catch (error) {
+        console.error('❌ Failed to sync usage events:', error.message);
+        process.exit(1);
+      }
+    });
+
+  // AI Code Tracking (enterprise teams only)
+  cursor
+    .command('ai-code')
+    .description('Fetch Cursor AI Code Tracking commit and change metrics (enterprise teams only)')
+    .option('--type <type>', 'commits, changes or all', 'all')
+    .option('--format <format>', 'json (every page, consolidated) or csv (streamed export)', 'json')
+    .option('--start-date <date>', 'Start date (ISO, "now", or relative like "7d")', '30d')
+    .option('--end-date <date>', 'End date (ISO, "now", or relative like "0d")', 'now')
+    .option('--user <user>', 'Only this user (email, encoded ID, or numeric ID)')
+    .option('--page-size <number>', 'Results per page with --format json (max 1000)', '1000')
+    .option('--concurrency <number>', 'Pages fetched in parallel with --format json (env: CURSOR_AI_CODE_CONCURRENCY, default: 3)')
+    .option('--no-resume', 'Start over instead of resuming an interrupted JSON fetch')
+    .action(async (options) => {
+      try {
+        if (!['commits', 'changes', 'all'].includes(options.type)) {
+          throw new Error(`Unknown type: ${options.type} (expected commits, changes or all)`);
+        }
+        if (!['json', 'csv'].includes(options.format)) {
+          throw new Error(`Unknown format: ${options.format} (expected json or csv)`);
+        }
+
+        const query = {
+          baseUrl: process.env.CURSOR_BASE_URL,
+          startDate: options.startDate,
+          endDate: options.endDate,
+          user: options.user
+        };
+        const steps = options.format === 'csv'
+          ? [['commits', downloadAiCommitMetricsCsv], ['changes', downloadAiCodeChangeMetricsCsv]]
+          : [['commits', fetchAllAiCommitMetrics], ['changes', fetchAllAiCodeChangeMetrics]];
+        if (options.format === 'json') {
+          query.pageSize = parseInt(options.pageSize) || 1000;
+          query.resume = options.resume;
+          if (options.concurrency !== undefined) query.concurrency = options.concurrency;
+        }
+
+        for (const [type, fetch] of steps) {
+          if (options.type !== 'all' && options.type !== type) continue;
+          const result = await fetch(query);
+
+          console.log(`✅ AI code ${type} fetched successfully`);
+          if (typeof result === 'string') {
+            console.log(`📄 File: ${result}`);
+          } else {
+            console.log(`📄 File: ${result.filepath}`);
+            console.log(`📊 Items: ${result.items} (${result.duplicates} duplicates dropped)`);
+          }
+        }
+
+      } catch (error) {
+        console.error('❌ Failed to fetch AI code tracking data:', error.message);
+        process.exit(1);
+      }
+    });
+
+  program.addCommand(cursor);
+}
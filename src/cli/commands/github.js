@@ -0,0 +1,230 @@
+import { Command } from 'commander';
+import { GitHubSeatsService } from '../../github/services/GitHubSeatsService.js';
+import { GitHubMetricsService } from '../../github/services/GitHubMetricsService.js';
+import { GitHubUserService } from '../../github/services/GitHubUserService.js';
+import { GitHubDiagnosticService } from '../../github/services/GitHubDiagnosticService.js';
+import { enrich } from '../../github/enrich.js';
+import { parseListOption } from '../../common/org.js';
+
+/**
+ * Whether to use the enterprise endpoints: asked for explicitly, or only
+ * enterprise settings exist
+ * @private
+ */
+function isEnterpriseMode(options) {
+  return Boolean(options.enterprise || options.orgs?.length ||
+    (!options.org && !process.env.GH_ORG && (process.env.GH_ENTERPRISE || process.env.GH_ORGS)));
+}
+
+/**
+ * Create GitHub data collection CLI commands
+ * @param {Command} program - Commander program instance
+ */
+export function createGitHubCommands(program) {
+  const github = new Command('github')
+    .description('Fetch GitHub Copilot seats and metrics, and build user lookups');
+
+  // Copilot seat assignments
+  github
+    .command('fetch-seats')
+    .description('Fetch Copilot seat assignments for an org, an enterprise, or several orgs combined')
+    .option('--org <org>', 'Organization name (env: GH_ORG)')
+    .option('--enterprise <slug>', 'Enterprise slug (env: GH_ENTERPRISE)')
+    .option('--orgs <list>', 'Comma-separated orgs to combine (env: GH_ORGS)', parseListOption)
+    .option('--per-page <number>', 'Items per page', '100')
+    .option('--delay <ms>', 'Delay between requests in ms', '0')
+    .option('--no-enrich-names', 'Skip fetching assignee display names')
+    .option('--name-cache-path <file>', 'Name cache file path')
+    .option('--name-delay <ms>', 'Delay between name lookups in ms', '40')
+    .option('--data-dir <dir>', 'Data directory (default: data/github)')
+    .option('--output-dir <dir>', 'CSV output directory (default: output/csv/github)')
+    .action(async (options) => {
+      try {
+        const serviceOptions = {
+          ...options,
+          perPage: parseInt(options.perPage) || 100,
+          delayMs: parseInt(options.delay) || 0,
+          nameDelayMs: parseInt(options.nameDelay) || 40
+        };
+        const service = new GitHubSeatsService(serviceOptions);
+
+        if (isEnterpriseMode(options)) {
+          const result = await service.fetchEnterpriseSeats(serviceOptions);
+
+          console.log(`✅ Enterprise seats fetched successfully`);
+          console.log(`📄 JSON: ${result.jsonPath}`);
+          console.log(`📊 CSV: ${result.csvPath}`);
+          for (const [org, count] of Object.entries(result.meta.seats_by_org)) {
+            console.log(`🏢 ${org}: ${count} seats`);
+          }
+          console.log(`👥 Unique users: ${result.count} (${result.meta.duplicate_seats} duplicate seats)`);
+        } else {
+          const result = await service.fetchSeats(serviceOptions);
+
+          console.log(`✅ Seats fetched successfully`);
+          console.log(`📄 JSON: ${result.jsonPath}`);
+          console.log(`📊 CSV: ${result.csvPath}`);
+          console.log(`👥 Seats: ${result.count}`);
+        }
+
+      } catch (error) {
+        console.error('❌ Failed to fetch seats:', error.message);
+        process.exit(1);
+      }
+    });
+
+  // Copilot usage metrics
+  github
+    .command('fetch-metrics')
+    .description('Fetch Copilot metrics for an org, its teams, an enterprise, or several orgs combined')
+    .option('--org <org>', 'Organization name (env: GH_ORG)')
+    .option('--enterprise <slug>', 'Enterprise slug (env: GH_ENTERPRISE)')
+    .option('--orgs <list>', 'Comma-separated orgs to combine (env: GH_ORGS)', parseListOption)
+    .option('--since <date>', 'Start date (YYYY-MM-DD or ISO format)')
+    .option('--until <date>', 'End date (YYYY-MM-DD or ISO format)')
+    .option('--per-page <number>', 'Items per page', '100')
+    .option('--delay <ms>', 'Delay between requests in ms', '0')
+    .option('--single-page', 'Fetch only the first page', false)
+    .option('--page <number>', 'Page to start from', '1')
+    .option('--teams', 'Fetch metrics per team instead of for the whole org', false)
+    .option('--team <slugs>', 'Comma-separated team slugs (implies --teams; default: all org teams)', parseListOption)
+    .option('--data-dir <dir>', 'Data directory (default: data/github)')
+    .action(async (options) => {
+      try {
+        const { team, teams, ...rest } = options;
+        const serviceOptions = {
+          ...rest,
+          perPage: parseInt(options.perPage) || 100,
+          delayMs: parseInt(options.delay) || 0,
+          page: parseInt(options.page) || 1
+        };
+        if (team?.length) serviceOptions.teams = team;
+        const service = new GitHubMetricsService(serviceOptions);
+
+        if (teams || team) {
+          const result = await service.fetchTeamMetrics(serviceOptions);
+
+          console.log(`✅ Team metrics fetched successfully`);
+          for (const entry of result.teams) {
+            console.log(`📄 ${entry.team}: ${entry.jsonPath} (${entry.count} records)`);
+          }
+          if (result.skipped.length > 0) {
+            console.log(`⚠️  Skipped teams: ${result.skipped.map(s => s.team).join(', ')}`);
+          }
+        } else if (isEnterpriseMode(options)) {
+          const result = await service.fetchEnterpriseMetrics(serviceOptions);
+
+          console.log(`✅ Enterprise metrics fetched successfully`);
+          for (const org of result.orgs) {
+            console.log(`🏢 ${org.org}: ${org.jsonPath} (${org.count} records)`);
+          }
+          console.log(`📄 Combined: ${result.jsonPath}`);
+          console.log(`📊 Records: ${result.count}`);
+        } else {
+          const result = await service.fetchOrgMetrics(serviceOptions);
+
+          console.log(`✅ Metrics fetched successfully`);
+          console.log(`📄 File: ${result.jsonPath}`);
+          console.log(`📊 Records: ${result.count}`);
+        }
+
+      } catch (error) {
+        console.error('❌ Failed to fetch metrics:', error.message);
+        process.exit(1);
+      }
+    });
+
+  // Login -> display name lookup
+  github
+    .command('user-lookup')
+    .description('Build the user lookup CSV mapping GitHub logins to display names from seat files')
+    .option('--org <org>', 'Organization name (env: GH_ORG)')
+    .option('--data-dir <dir>', 'Data directory to scan', 'data/github')
+    .option('--out-dir <dir>', 'Optional secondary output location')
+    .option('--cache-path <file>', 'Name cache file path (default: data/github-name-cache.json)')
+    .option('--delay <ms>', 'Delay between API calls in ms', '50')
+    .option('--force-refresh', 'Refresh all cached names from the API', false)
+    .action(async (options) => {
+      try {
+        const serviceOptions = { ...options, delayMs: parseInt(options.delay) || 50 };
+        const service = new GitHubUserService(serviceOptions);
+        const result = await service.buildUserLookup(serviceOptions);
+
+        console.log(`✅ User lookup built successfully`);
+        console.log(`📄 CSV: ${result.csvPath}`);
+        console.log(`👥 Users: ${result.count}`);
+
+      } catch (error) {
+        console.error('❌ Failed to build user lookup:', error.message);
+        process.exit(1);
+      }
+    });
+
+  // Login -> email scaffold
+  github
+    .command('login-email-map')
+    .description('Build or update the login -> email mapping CSV scaffold, keeping emails already filled in')
+    .option('--org <org>', 'Organization name (env: GH_ORG)')
+    .option('--data-dir <dir>', 'Data directory to scan', 'data/github')
+    .option('--out-file <file>', 'Output CSV file', 'data/github/login-email-map.csv')
+    .action(async (options) => {
+      try {
+        const service = new GitHubUserService(options);
+        const result = await service.buildLoginEmailMap(options);
+
+        console.log(`✅ Login-email map built successfully`);
+        console.log(`📄 File: ${result.outFile}`);
+        console.log(`📊 Entries: ${result.count} (${result.newCount} new, ${result.existingCount} preserved)`);
+
+      } catch (error) {
+        console.error('❌ Failed to build login-email map:', error.message);
+        process.exit(1);
+      }
+    });
+
+  // Enrich a Copilot activity CSV export
+  github
+    .command('enrich')
+    .description('Enrich a CSV with a Login column with GitHub display names')
+    .option('--input <file>', 'Input CSV file', 'data/github/seat-activity-sample.csv')
+    .option('--out-dir <dir>', 'Output directory', 'output/csv/github')
+    .option('--cache-path <file>', 'Name cache file path', 'data/github/name-cache.json')
+    .action(async (options) => {
+      try {
+        const result = await enrich(options);
+
+        console.log(`✅ CSV enriched successfully`);
+        console.log(`📊 Output CSV: ${result.outputCSV}`);
+        console.log(`🔗 URLs file: ${result.urlsFile}`);
+        console.log(`👥 Users processed: ${result.processedUsers}`);
+
+      } catch (error) {
+        console.error('❌ Failed to enrich CSV:', error.message);
+        process.exit(1);
+      }
+    });
+
+  // Token and permission checks
+  github
+    .command('diagnose')
+    .description('Diagnose GitHub API access and permissions for Copilot seats')
+    .option('--org <org>', 'Organization name (env: GH_ORG)')
+    .action(async (options) => {
+      try {
+        const service = new GitHubDiagnosticService(options);
+        const results = await service.diagnoseSeats(options);
+        service.printSummary(results);
+
+        // Exit with error code if there are high-priority issues
+        if (results.recommendations?.some(r => r.priority === 'high')) {
+          process.exit(1);
+        }
+
+      } catch (error) {
+        console.error('❌ Diagnostic failed:', error.message);
+        process.exit(1);
+      }
+    });
+
+  program.addCommand(github);
+}
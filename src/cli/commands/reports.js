@@ -17,8 +17,14 @@ export function createReportCommands(program) {
     .option('--skip-prompt', 'Skip overwrite prompts', false)
     .option('--data-dir <dir>', 'Data directory', 'data')
     .option('--output-dir <dir>', 'Report output directory', 'output/reports')
+    .option('--csv-dir <dir>', 'CSV output directory (with --format csv)', 'output/csv/reports')
+    .option('--format <format>', 'markdown, html, json or csv', 'markdown')
+    .option('--templates-dir <dir>', 'Directory of custom report templates (env: REPORT_TEMPLATES_DIR)')
     .option('--user-lookup <file>', 'User lookup table path', 'data/user-lookup-table.csv')
     .option('--org-data <file>', 'Organizational data path', 'data/org/direct-reports.json')
+    .option('--engineering-roots <names>', 'Comma-separated names or usernames of managers whose subtrees count as engineering (env: ENGINEERING_ROOTS)')
+    .option('--ic-exclude-titles <keywords>', 'Comma-separated role/title keywords that mark a non-IC (env: IC_EXCLUDE_TITLES, default: manager,vp,director)')
+    .option('--ic-exclude-managers', 'Treat anyone with direct reports as a non-IC (env: IC_EXCLUDE_MANAGERS)')
     .action(async (options) => {
       try {
         const service = new ReportingService(options);
@@ -46,7 +52,11 @@ export function createReportCommands(program) {
     .description('Generate AI tooling adoption analysis report')
     .option('--skip-prompt', 'Skip overwrite prompts', false)
     .option('--data-dir <dir>', 'Data directory', 'data')
+    .option('--department-depth <number>', 'Org chart depth of the manager subtrees used for the department breakdown', '1')
     .option('--output-dir <dir>', 'Report output directory', 'output/reports')
+    .option('--csv-dir <dir>', 'CSV output directory (with --format csv)', 'output/csv/reports')
+    .option('--format <format>', 'markdown, html, json or csv', 'markdown')
+    .option('--templates-dir <dir>', 'Directory of custom report templates (env: REPORT_TEMPLATES_DIR)')
     .action(async (options) => {
       try {
         const service = new ReportingService(options);
@@ -67,13 +77,137 @@ export function createReportCommands(program) {
       }
     });
 
+  // Active users history from the local history store
+  reports
+    .command('history')
+    .description('Generate weekly active users history from the local history store')
+    .option('--weeks <number>', 'Number of weeks to include', '26')
+    .option('--skip-prompt', 'Skip overwrite prompts', false)
+    .option('--data-dir <dir>', 'Data directory', 'data')
+    .option('--output-dir <dir>', 'Report output directory', 'output/reports')
+    .option('--csv-dir <dir>', 'CSV output directory (with --format csv)', 'output/csv/reports')
+    .option('--format <format>', 'markdown, html, json or csv', 'markdown')
+    .action(async (options) => {
+      try {
+        const service = new ReportingService(options);
+        const result = await service.generateHistoryReport({
+          ...options,
+          weeks: parseInt(options.weeks)
+        });
+        
+        if (result.cancelled) {
+          console.log('📋 Report generation was cancelled by user');
+          return;
+        }
+        
+        console.log(`✅ Active users history report generated successfully`);
+        console.log(`📄 Report saved to: ${result.outputPath}`);
+        console.log(`📊 Covered ${result.weekly.length} weeks of stored history`);
+        
+      } catch (error) {
+        console.error('❌ Failed to generate active users history report:', error.message);
+        process.exit(1);
+      }
+    });
+
+  // Monthly cohort retention from the history store
+  reports
+    .command('cohorts')
+    .description('Generate monthly cohort retention report (4, 8 and 12 weeks) for Copilot and Cursor')
+    .option('--skip-prompt', 'Skip overwrite prompts', false)
+    .option('--data-dir <dir>', 'Data directory', 'data')
+    .option('--output-dir <dir>', 'Report output directory', 'output/reports')
+    .option('--csv-dir <dir>', 'CSV output directory', 'output/csv/reports')
+    .option('--format <format>', 'markdown, html, json or csv', 'markdown')
+    .action(async (options) => {
+      try {
+        const service = new ReportingService(options);
+        const result = await service.generateCohortReport(options);
+
+        if (result.cancelled) {
+          console.log('📋 Report generation was cancelled by user');
+          return;
+        }
+
+        console.log(`📄 Report saved to: ${result.outputPath}`);
+        console.log(`📄 CSV saved to: ${result.csvPath}`);
+        console.log(`👥 Cohorts: ${result.retention.copilot.cohorts.length} Copilot, ${result.retention.cursor.cohorts.length} Cursor`);
+
+      } catch (error) {
+        console.error('❌ Failed to generate cohort retention report:', error.message);
+        process.exit(1);
+      }
+    });
+
+  // Backfill 7-day-active trend from all dated data files
+  reports
+    .command('backfill')
+    .description('Recompute 7-day active users as of every historical date and write a trend CSV')
+    .option('--since <date>', 'First date to include (YYYY-MM-DD)')
+    .option('--until <date>', 'Last date to include (YYYY-MM-DD)')
+    .option('--data-dir <dir>', 'Data directory', 'data')
+    .option('--csv-dir <dir>', 'Trend CSV output directory', 'output/csv/reports')
+    .action(async (options) => {
+      try {
+        const service = new ReportingService(options);
+        const result = await service.generateBackfill(options);
+        
+        console.log(`✅ Backfill completed successfully`);
+        console.log(`📄 Trend CSV saved to: ${result.csvPath}`);
+        console.log(`📊 Recomputed ${result.rows.length} historical dates`);
+        
+      } catch (error) {
+        console.error('❌ Failed to run history backfill:', error.message);
+        process.exit(1);
+      }
+    });
+
+  // Identity resolution across GitHub, Cursor and the org chart
+  reports
+    .command('identities')
+    .description('Link GitHub logins, Cursor emails and org chart people, with confidence scores')
+    .option('--unmatched', 'Only list identities that could not be linked', false)
+    .option('--min-confidence <number>', 'Minimum link confidence between 0 and 1 (env: IDENTITY_MIN_CONFIDENCE, default: 0.7)')
+    .option('--data-dir <dir>', 'Data directory', 'data')
+    .option('--csv-dir <dir>', 'CSV output directory', 'output/csv/reports')
+    .action(async (options) => {
+      try {
+        const service = new ReportingService({
+          ...options,
+          ...(options.minConfidence !== undefined && { identityMinConfidence: options.minConfidence })
+        });
+        const result = await service.generateIdentityReport(options);
+        const { githubLogins, cursorEmails, orgPeople } = result.unmatched;
+        
+        if (options.unmatched) {
+          console.log(`\n🔍 Unmatched GitHub logins (${githubLogins.length}):`);
+          githubLogins.forEach(u => console.log(`   • ${u.login}${u.name ? ` (${u.name})` : ''}`));
+          console.log(`\n🔍 Unmatched Cursor emails (${cursorEmails.length}):`);
+          cursorEmails.forEach(u => console.log(`   • ${u.email}${u.name ? ` (${u.name})` : ''}`));
+          console.log(`\n🔍 Org chart people without GitHub or Cursor links (${orgPeople.length}):`);
+          orgPeople.forEach(p => console.log(`   • ${p.name}${p.orgNode.title ? ` - ${p.orgNode.title}` : ''}`));
+        } else {
+          console.log(`👥 People resolved: ${result.people.length}`);
+          console.log(`⚠️  Unmatched: ${githubLogins.length} GitHub logins, ${cursorEmails.length} Cursor emails, ${orgPeople.length} org chart people`);
+        }
+        console.log(`\n📄 Saved to: ${result.outputPath}`);
+        
+      } catch (error) {
+        console.error('❌ Failed to resolve identities:', error.message);
+        process.exit(1);
+      }
+    });
+
   // Recent activity analysis
   reports
     .command('recent-activity')
     .description('Generate recent activity analysis report')
     .option('--days <number>', 'Number of days to analyze', '7')
     .option('--skip-prompt', 'Skip overwrite prompts', false)
+    .option('--data-dir <dir>', 'Data directory', 'data')
     .option('--output-dir <dir>', 'Report output directory', 'output/reports')
+    .option('--csv-dir <dir>', 'CSV output directory (with --format csv)', 'output/csv/reports')
+    .option('--format <format>', 'markdown, html, json or csv', 'markdown')
     .action(async (options) => {
       try {
         const service = new ReportingService(options);
@@ -97,6 +231,224 @@ export function createReportCommands(program) {
       }
     });
 
+  // Copilot breakdown by language, editor and model
+  reports
+    .command('copilot-breakdown')
+    .description('Generate Copilot breakdown by language, editor and model, including chat and PR summaries')
+    .option('--days <number>', 'Number of days to analyze', '28')
+    .option('--skip-prompt', 'Skip overwrite prompts', false)
+    .option('--data-dir <dir>', 'Data directory', 'data')
+    .option('--output-dir <dir>', 'Report output directory', 'output/reports')
+    .option('--csv-dir <dir>', 'CSV output directory', 'output/csv/reports')
+    .option('--format <format>', 'markdown, html, json or csv', 'markdown')
+    .action(async (options) => {
+      try {
+        const service = new ReportingService(options);
+        const result = await service.generateCopilotBreakdownReport({
+          ...options,
+          days: parseInt(options.days)
+        });
+
+        if (result.cancelled) {
+          console.log('📋 Report generation was cancelled by user');
+          return;
+        }
+
+        const { byLanguage, byEditor, byModel } = result.analysis;
+        console.log(`📄 Report saved to: ${result.outputPath}`);
+        console.log(`📄 CSV saved to: ${result.csvPath}`);
+        console.log(`📊 ${byLanguage.length} languages, ${byEditor.length} editors, ${byModel.length} models`);
+
+      } catch (error) {
+        console.error('❌ Failed to generate Copilot breakdown report:', error.message);
+        process.exit(1);
+      }
+    });
+
+  // Seat reclamation recommendations
+  reports
+    .command('seat-reclamation')
+    .description('List Copilot seats and Cursor members to reclaim, with estimated savings')
+    .option('--days <number>', 'Days without activity before a seat is reclaimable', '30')
+    .option('--copilot-seat-cost <amount>', 'Monthly cost of a Copilot seat (env: COPILOT_SEAT_COST, default: 19)')
+    .option('--cursor-seat-cost <amount>', 'Monthly cost of a Cursor seat (env: CURSOR_SEAT_COST, default: 40)')
+    .option('--skip-prompt', 'Skip overwrite prompts', false)
+    .option('--data-dir <dir>', 'Data directory', 'data')
+    .option('--output-dir <dir>', 'Report output directory', 'output/reports')
+    .option('--csv-dir <dir>', 'CSV output directory', 'output/csv/reports')
+    .option('--format <format>', 'markdown, html, json or csv', 'markdown')
+    .action(async (options) => {
+      try {
+        const service = new ReportingService(options);
+        const result = await service.generateSeatReclamationReport({
+          ...options,
+          days: parseInt(options.days)
+        });
+
+        if (result.cancelled) {
+          console.log('📋 Report generation was cancelled by user');
+          return;
+        }
+
+        const { copilot, cursor, monthlySavings } = result.analysis;
+        console.log(`📄 Report saved to: ${result.outputPath}`);
+        console.log(`📄 CSV saved to: ${result.csvPath}`);
+        console.log(`🪑 Copilot seats to reclaim: ${copilot.candidates} of ${copilot.totalSeats}`);
+        console.log(`🪑 Cursor members to reclaim: ${cursor.candidates} of ${cursor.totalMembers}`);
+        console.log(`💰 Estimated monthly savings: $${monthlySavings.toFixed(2)}`);
+
+      } catch (error) {
+        console.error('❌ Failed to generate seat reclamation report:', error.message);
+        process.exit(1);
+      }
+    });
+
+  // Cost and ROI report
+  reports
+    .command('cost')
+    .description('Generate monthly cost and ROI report per user and team for Copilot and Cursor')
+    .option('--copilot-seat-cost <amount>', 'Monthly cost of a Copilot seat (env: COPILOT_SEAT_COST, default: 19)')
+    .option('--cursor-seat-cost <amount>', 'Monthly cost of a Cursor seat (env: CURSOR_SEAT_COST, default: 40)')
+    .option('--heavy-spend-threshold <amount>', 'Usage-based spend in dollars that flags a heavy spender (env: CURSOR_HEAVY_SPEND_THRESHOLD, default: 50)')
+    .option('--heavy-usage-requests <number>', 'Usage-based requests in 30 days that flag a heavy spender (env: CURSOR_HEAVY_USAGE_REQUESTS, default: 500)')
+    .option('--skip-prompt', 'Skip overwrite prompts', false)
+    .option('--data-dir <dir>', 'Data directory', 'data')
+    .option('--output-dir <dir>', 'Report output directory', 'output/reports')
+    .option('--csv-dir <dir>', 'CSV output directory', 'output/csv/reports')
+    .option('--format <format>', 'markdown, html, json or csv', 'markdown')
+    .action(async (options) => {
+      try {
+        const service = new ReportingService(options);
+        const result = await service.generateCostReport(options);
+
+        if (result.cancelled) {
+          console.log('📋 Report generation was cancelled by user');
+          return;
+        }
+
+        const { overall, heavySpenders } = result.analysis;
+        console.log(`📄 Report saved to: ${result.outputPath}`);
+        console.log(`📄 CSVs saved to: ${result.userCsvPath}, ${result.teamCsvPath}`);
+        console.log(`💰 Estimated monthly cost: $${overall.totalCost.toFixed(2)} (${overall.activeUsers} active of ${overall.people} people)`);
+        console.log(`⚠️  Heavy usage-based spenders: ${heavySpenders.length}`);
+
+      } catch (error) {
+        console.error('❌ Failed to generate cost report:', error.message);
+        process.exit(1);
+      }
+    });
+
+  // Cursor usage events analytics
+  reports
+    .command('usage-events')
+    .description('Generate Cursor usage events report by user, model, day and week, with top consumers and spikes')
+    .option('--days <number>', 'Number of days to analyze', '30')
+    .option('--cursor-request-cost <amount>', 'Cost of one Cursor request unit (env: CURSOR_REQUEST_COST, default: 0.04)')
+    .option('--spike-factor <number>', 'Multiple of the previous 7-day average that counts as a spike', '3')
+    .option('--spike-min-requests <number>', 'Requests a user needs in a day for it to count as a spike', '50')
+    .option('--skip-prompt', 'Skip overwrite prompts', false)
+    .option('--data-dir <dir>', 'Data directory', 'data')
+    .option('--output-dir <dir>', 'Report output directory', 'output/reports')
+    .option('--csv-dir <dir>', 'CSV output directory', 'output/csv/reports')
+    .option('--format <format>', 'markdown, html, json or csv', 'markdown')
+    .action(async (options) => {
+      try {
+        const service = new ReportingService(options);
+        const result = await service.generateUsageEventsReport({
+          ...options,
+          days: parseInt(options.days)
+        });
+
+        if (result.cancelled) {
+          console.log('📋 Report generation was cancelled by user');
+          return;
+        }
+
+        const { totals, byUser, spikes } = result.analysis;
+        console.log(`📄 Report saved to: ${result.outputPath}`);
+        console.log(`📄 CSVs saved to: ${result.userCsvPath}, ${result.modelCsvPath}, ${result.dailyCsvPath}`);
+        console.log(`📊 ${totals.requests.toLocaleString()} requests from ${totals.users} users across ${totals.models} models, estimated cost $${totals.cost.toFixed(2)}`);
+        if (byUser.length > 0) {
+          console.log(`🔝 Top consumer: ${byUser[0].name || byUser[0].email} ($${byUser[0].cost.toFixed(2)})`);
+        }
+        console.log(`⚠️  Spikes: ${spikes.length}`);
+
+      } catch (error) {
+        console.error('❌ Failed to generate usage events report:', error.message);
+        process.exit(1);
+      }
+    });
+
+  // Share of committed code written by AI
+  reports
+    .command('ai-code')
+    .description('Generate AI code report: share of committed lines from Cursor Tab and Composer per user, repo, week and team')
+    .option('--days <number>', 'Number of days to analyze', '30')
+    .option('--primary-branch-only', 'Only count commits on the primary branch', false)
+    .option('--skip-prompt', 'Skip overwrite prompts', false)
+    .option('--data-dir <dir>', 'Data directory', 'data')
+    .option('--output-dir <dir>', 'Report output directory', 'output/reports')
+    .option('--csv-dir <dir>', 'CSV output directory', 'output/csv/reports')
+    .option('--format <format>', 'markdown, html, json or csv', 'markdown')
+    .action(async (options) => {
+      try {
+        const service = new ReportingService(options);
+        const result = await service.generateAICodeReport({
+          ...options,
+          days: parseInt(options.days)
+        });
+
+        if (result.cancelled) {
+          console.log('📋 Report generation was cancelled by user');
+          return;
+        }
+
+        const { totals } = result.analysis;
+        console.log(`📄 Report saved to: ${result.outputPath}`);
+        console.log(`📄 CSV saved to: ${result.csvPath}`);
+        console.log(`🤖 ${totals.aiShare ?? 0}% of committed lines from AI (Tab ${totals.tabShare ?? 0}%, Composer ${totals.composerShare ?? 0}%) across ${totals.commits} commits`);
+
+      } catch (error) {
+        console.error('❌ Failed to generate AI code report:', error.message);
+        process.exit(1);
+      }
+    });
+
+  // Enterprise per-org and combined view
+  reports
+    .command('enterprise')
+    .description('Generate per-org and combined Copilot seat and metrics report for an enterprise')
+    .option('--days <number>', 'Days of activity that count as active', '30')
+    .option('--copilot-seat-cost <amount>', 'Monthly cost of a Copilot seat (env: COPILOT_SEAT_COST, default: 19)')
+    .option('--skip-prompt', 'Skip overwrite prompts', false)
+    .option('--data-dir <dir>', 'Data directory', 'data')
+    .option('--output-dir <dir>', 'Report output directory', 'output/reports')
+    .option('--csv-dir <dir>', 'CSV output directory', 'output/csv/reports')
+    .option('--format <format>', 'markdown, html, json or csv', 'markdown')
+    .action(async (options) => {
+      try {
+        const service = new ReportingService(options);
+        const result = await service.generateEnterpriseReport({
+          ...options,
+          days: parseInt(options.days)
+        });
+
+        if (result.cancelled) {
+          console.log('📋 Report generation was cancelled by user');
+          return;
+        }
+
+        const { orgs, combined } = result.analysis;
+        console.log(`📄 Report saved to: ${result.outputPath}`);
+        console.log(`📄 CSV saved to: ${result.csvPath}`);
+        console.log(`🏢 ${orgs.length} orgs, ${combined.seats} seats, ${combined.users} unique users (${combined.sharedUsers} in more than one org)`);
+
+      } catch (error) {
+        console.error('❌ Failed to generate enterprise report:', error.message);
+        process.exit(1);
+      }
+    });
+
   // (github-activity removed in public minimal release)
 
   // One-shot comprehensive report
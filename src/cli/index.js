@@ -3,6 +3,8 @@
 import 'dotenv/config';
 import { Command } from 'commander';
 import { createReportCommands } from './commands/reports.js';
+import { createGitHubCommands } from './commands/github.js';
+import { createCursorCommands } from './commands/cursor.js';
 
 /**
  * Main CLI Entry Point
@@ -18,6 +20,7 @@ program
   .version('1.0.0')
   .option('-v, --verbose', 'Enable verbose output')
   .option('--dry-run', 'Show what would be done without executing')
+  .option('--no-cache', 'Bypass the on-disk GitHub API cache')
   .hook('preAction', (thisCommand) => {
     // Set up global options
     const options = thisCommand.opts();
@@ -26,11 +29,17 @@ program
     }
     if (options.dryRun) {
       process.env.DRY_RUN = 'true';
+      console.log('🧪 Dry run: API calls and file writes are printed, not performed');
+    }
+    if (options.cache === false) {
+      process.env.GH_NO_CACHE = 'true';
     }
   });
 
 // Add command groups
 createReportCommands(program);
+createGitHubCommands(program);
+createCursorCommands(program);
 
 // Handle unknown commands gracefully
 program.on('command:*', () => {
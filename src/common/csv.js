@@ -0,0 +1,116 @@
+/**
+ * RFC 4180 CSV reading and writing
+ *
+ * Handles quoted fields, escaped quotes, embedded newlines, CRLF line endings
+ * and a leading UTF-8 BOM. The module has no Node.js imports so the dashboard
+ * client can load it in the browser as well (served at /lib/csv.js).
+ */
+
+export const BOM = '\uFEFF';
+
+/**
+ * Parse CSV text into rows of string fields
+ * Blank lines are skipped.
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>}
+ */
+export function parseCSV(text) {
+  const input = (text || '').startsWith(BOM) ? text.slice(1) : (text || '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let fieldStarted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '' || fieldStarted) rows.push(row);
+    row = [];
+    field = '';
+    fieldStarted = false;
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+    if (inQuotes) {
+      if (c === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      inQuotes = true;
+      fieldStarted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+      fieldStarted = true;
+    } else if (c === '\r' || c === '\n') {
+      if (c === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length > 0 || fieldStarted) endRow();
+
+  return rows;
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ * @param {string} text - CSV content
+ * @param {Object} options - { trim = true } trims header names and values
+ * @returns {{ header: Array<string>, rows: Array<Object> }}
+ */
+export function parseCSVRecords(text, { trim = true } = {}) {
+  const [headerRow, ...dataRows] = parseCSV(text);
+  if (!headerRow) return { header: [], rows: [] };
+  const clean = v => (trim ? (v ?? '').trim() : (v ?? ''));
+  const header = headerRow.map(clean);
+  const rows = dataRows.map(values => {
+    const obj = {};
+    header.forEach((h, i) => { obj[h] = clean(values[i]); });
+    return obj;
+  });
+  return { header, rows };
+}
+
+/**
+ * Quote a field when it contains a delimiter, quote or line break
+ * @param {*} value - Field value (null and undefined become empty)
+ * @returns {string}
+ */
+export function formatCSVField(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Format one CSV line from an array of values
+ * @param {Array} values
+ * @returns {string}
+ */
+export function formatCSVRow(values) {
+  return values.map(formatCSVField).join(',');
+}
+
+/**
+ * Build CSV text from a header and rows
+ * @param {Array<string>} header - Column names
+ * @param {Array<Object|Array>} rows - Objects keyed by column name, or value arrays
+ * @param {Object} options - { bom = false, eol = '\n' }
+ * @returns {string}
+ */
+export function stringifyCSV(header, rows, { bom = false, eol = '\n' } = {}) {
+  const lines = [formatCSVRow(header)];
+  for (const row of rows) {
+    lines.push(formatCSVRow(Array.isArray(row) ? row : header.map(h => row[h] ?? '')));
+  }
+  return (bom ? BOM : '') + lines.join(eol);
+}
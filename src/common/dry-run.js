@@ -0,0 +1,41 @@
+import { existsSync } from 'node:fs';
+
+/**
+ * Dry-run mode (`--dry-run`, or DRY_RUN=true)
+ *
+ * The API clients print each request they would send and answer it with an
+ * empty response, and the file helpers in `fs.js` print each file they would
+ * write, overwrite or remove. Local data is still read, so reports are
+ * planned from what is already on disk.
+ */
+
+/**
+ * Whether dry-run mode is on
+ * @returns {boolean}
+ */
+export function isDryRun() {
+  return process.env.DRY_RUN === 'true';
+}
+
+/**
+ * Print a dry-run line
+ * @param {string} message - What would be done
+ */
+export function logDryRun(message) {
+  console.log(`[dry-run] ${message}`);
+}
+
+/**
+ * In dry-run mode, print the planned file change and tell the caller to skip it
+ * @param {string} filePath - File that would be changed
+ * @param {string} action - `write`, `append to` or `remove`
+ * @returns {boolean} - True when the change must be skipped
+ */
+export function skipWrite(filePath, action = 'write') {
+  if (!isDryRun()) return false;
+  const exists = existsSync(filePath);
+  if (action === 'remove' && !exists) return true;
+  const note = action === 'write' && exists ? ' (overwrite)' : '';
+  logDryRun(`Would ${action} ${filePath}${note}`);
+  return true;
+}
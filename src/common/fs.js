@@ -1,8 +1,13 @@
-import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { appendFileSync, existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
 import path from 'node:path';
+import { stringifyCSV } from './csv.js';
+import { isDryRun, skipWrite } from './dry-run.js';
 
-export const ensureDir = p => { if (!existsSync(p)) mkdirSync(p, { recursive: true }); };
+// Writers print instead of touching the disk in dry-run mode (see dry-run.js)
+export const ensureDir = p => { if (!isDryRun() && !existsSync(p)) mkdirSync(p, { recursive: true }); };
 export const readJSON = p => JSON.parse(readFileSync(p,'utf8'));
-export const writeJSON = (p,data) => { ensureDir(path.dirname(p)); writeFileSync(p, JSON.stringify(data,null,2)); };
-export function writeCSV(file, header, rows) { const lines=[header.join(',')]; for(const r of rows){ lines.push(header.map(h=>sanitize(String(r[h]??''))).join(',')); } ensureDir(path.dirname(file)); writeFileSync(file,'\uFEFF'+lines.join('\n'),'utf8'); }
-export const sanitize = v => v.replace(/\r?\n/g,' ').replace(/,/g,' ');
+export const writeJSON = (p,data) => { if (skipWrite(p)) return; ensureDir(path.dirname(p)); writeFileSync(p, JSON.stringify(data,null,2)); };
+export function writeCSV(file, header, rows) { if (skipWrite(file)) return; ensureDir(path.dirname(file)); writeFileSync(file, stringifyCSV(header, rows, { bom: true }), 'utf8'); }
+export function writeText(file, content) { if (skipWrite(file)) return; writeFileSync(file, content, 'utf8'); }
+export function appendText(file, content) { if (skipWrite(file, 'append to')) return; appendFileSync(file, content, 'utf8'); }
+export function removePath(p) { if (skipWrite(p, 'remove')) return; rmSync(p, { recursive: true, force: true }); }
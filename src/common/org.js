@@ -1,29 +1,9 @@
+export const DEFAULT_NON_IC_TITLES = ['manager', 'vp', 'director'];
+
 export function normalizeText(text) {
   return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
 }
 
-export function extractOrgUsers(organization) {
-  const users = new Set();
-  const userDetails = new Map();
-
-  function processNode(node) {
-    if (!node?.name) return;
-    const normalizedName = normalizeText(node.name);
-    users.add(normalizedName);
-    userDetails.set(normalizedName, {
-      originalName: node.name,
-      username: node.username,
-      title: node.title
-    });
-    if (Array.isArray(node.directReports) && node.directReports.length > 0) {
-      node.directReports.forEach(processNode);
-    }
-  }
-
-  organization.forEach(processNode);
-  return { users, userDetails };
-}
-
 export function countTotalRDPeople(organization) {
   let count = 0;
   function countPeople(nodes) {
@@ -39,16 +19,129 @@ export function countTotalRDPeople(organization) {
 }
 
 /**
- * Extract all people under a specific manager (Engineering team under Petr Švihlík)
+ * Split a comma-separated option value into trimmed, non-empty entries
+ */
+export function parseListOption(value) {
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  if (typeof value !== 'string') return [];
+  return value.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Find people in the org chart by name or username (case and accent insensitive)
+ * @returns {{ found: Array, missing: Array<string> }}
+ */
+export function findPeople(organization, identifiers) {
+  const wanted = new Map(identifiers.map(id => [normalizeText(id), id]));
+  const matched = new Set();
+  const found = [];
+
+  function visit(person) {
+    if (!person?.name) return;
+    const keys = [normalizeText(person.name), person.username ? normalizeText(person.username) : null];
+    const hit = keys.find(key => key && wanted.has(key));
+    if (hit) {
+      matched.add(hit);
+      found.push(person);
+    }
+    if (Array.isArray(person.directReports)) person.directReports.forEach(visit);
+  }
+
+  organization.forEach(visit);
+  const missing = [...wanted.entries()].filter(([key]) => !matched.has(key)).map(([, id]) => id);
+  return { found, missing };
+}
+
+/**
+ * Extract everyone in the subtrees of the given engineering root managers.
+ * Roots are matched by name or username; with no roots configured the whole
+ * organization counts as engineering.
  */
-export function extractEngineeringTeam(organization) {
-  // Default behavior: return everyone as part of engineering unless a specific
-  // manager/team is provided in future configs.
+export function extractEngineeringTeam(organization, roots = []) {
   const engineeringUsers = new Set();
-  function collectAll(person) {
-    if (person?.name) engineeringUsers.add(normalizeText(person.name));
-    if (Array.isArray(person?.directReports)) person.directReports.forEach(collectAll);
+
+  if (roots.length === 0) {
+    organization.forEach(person => collectSubtreeNames(person, engineeringUsers));
+    return engineeringUsers;
+  }
+
+  const { found, missing } = findPeople(organization, roots);
+  if (missing.length > 0) {
+    throw new Error(`Engineering root manager(s) not found in organizational data: ${missing.join(', ')}`);
   }
-  organization.forEach(collectAll);
+  found.forEach(person => collectSubtreeNames(person, engineeringUsers));
   return engineeringUsers;
-}
\ No newline at end of file
+}
+
+/**
+ * Decide whether someone is an individual contributor.
+ * A title containing any of `nonIcTitles` (case-insensitive substrings) marks a
+ * non-IC; with `excludeManagers` anyone with direct reports is a non-IC too.
+ */
+export function isIndividualContributor(title, { nonIcTitles = DEFAULT_NON_IC_TITLES, excludeManagers = false, directReportCount = 0 } = {}) {
+  if (excludeManagers && directReportCount > 0) return false;
+  const normalizedTitle = normalizeText(title || '');
+  return !nonIcTitles.some(keyword => normalizedTitle.includes(normalizeText(keyword)));
+}
+
+/**
+ * Collect the normalized names of a person and everyone below them
+ */
+export function collectSubtreeNames(person, names = new Set()) {
+  if (person?.name) names.add(normalizeText(person.name));
+  if (Array.isArray(person?.directReports)) {
+    person.directReports.forEach(report => collectSubtreeNames(report, names));
+  }
+  return names;
+}
+
+/**
+ * Id of a person in the org chart from their position in the tree, e.g. `0.2.1`
+ * for the second report of the third report of the first root. Names can repeat,
+ * so this is what tells two people with the same name apart.
+ */
+export function getOrgNodeId(parentId, index) {
+  return parentId == null ? String(index) : `${parentId}.${index}`;
+}
+
+/**
+ * Collect the org node ids of a person and everyone below them
+ */
+export function collectSubtreeIds(person, id, ids = new Set()) {
+  if (person?.name) ids.add(id);
+  if (Array.isArray(person?.directReports)) {
+    person.directReports.forEach((report, index) => collectSubtreeIds(report, getOrgNodeId(id, index), ids));
+  }
+  return ids;
+}
+
+/**
+ * Group the organization into manager subtrees rooted at the given depth.
+ * Depth 0 is the top of the tree, depth 1 its direct reports, and so on.
+ * Members are org node ids (see `getOrgNodeId`). People above the rollup
+ * depth, and leaves that stop short of it, are returned separately in
+ * `unassigned`.
+ */
+export function extractManagerSubtrees(organization, depth = 1) {
+  const subtrees = [];
+  const unassigned = new Set();
+
+  function visit(person, level, id) {
+    if (!person?.name) return;
+    const reports = Array.isArray(person.directReports) ? person.directReports : [];
+    if (level === depth) {
+      subtrees.push({
+        name: person.name,
+        username: person.username,
+        title: person.title,
+        members: collectSubtreeIds(person, id)
+      });
+      return;
+    }
+    unassigned.add(id);
+    reports.forEach((report, index) => visit(report, level + 1, getOrgNodeId(id, index)));
+  }
+
+  organization.forEach((person, index) => visit(person, 0, getOrgNodeId(null, index)));
+  return { subtrees, unassigned };
+}
@@ -1,5 +1,6 @@
 import { createInterface } from 'readline';
 import fs from 'fs';
+import { isDryRun } from './dry-run.js';
 
 /**
  * Prompt user for input
@@ -31,6 +32,10 @@ export async function checkAndPromptOverwrite(filePath, fileType) {
     return true; // File doesn't exist, proceed
   }
 
+  if (isDryRun()) {
+    return true; // Nothing is written; the planned overwrite is printed instead
+  }
+
   // Get file modification time
   const stats = fs.statSync(filePath);
   const lastModified = stats.mtime.toLocaleString();
@@ -52,8 +57,8 @@ export async function checkAndPromptOverwrite(filePath, fileType) {
 export async function checkAndPromptMultipleOverwrite(files) {
   const existingFiles = files.filter(file => fs.existsSync(file.path));
   
-  if (existingFiles.length === 0) {
-    return true; // No existing files, proceed
+  if (existingFiles.length === 0 || isDryRun()) {
+    return true; // No existing files (or a dry run), proceed
   }
 
   console.log(`\n⚠️  The following reports already exist:`);
@@ -1,6 +1,7 @@
 import path from 'node:path';
-import { existsSync, readdirSync, writeFileSync } from 'node:fs';
-import { ensureDir, readJSON, writeJSON, writeCSV } from '../common/fs.js';
+import { existsSync, readdirSync } from 'node:fs';
+import { ensureDir, readJSON, writeJSON, writeCSV, writeText } from '../common/fs.js';
+import { UsageEventsStore } from './usage-events-store.js';
 import { discoverLatestMonthlyActivity, discoverLatestDailyActivity, parseDate, NUMERIC_FIELDS, iso } from './util.js';
 
 const OUT_DIR = 'output/csv/cursor';
@@ -106,7 +107,7 @@ export async function aggregateWindow() {
 
   // Write output file
   const outputFile = path.join(OUT_DIR, 'cursor_window_usage.csv');
-  writeFileSync(outputFile, '\uFEFF' + lines.join('\n'), 'utf8');
+  writeText(outputFile, '\uFEFF' + lines.join('\n'));
   
   console.log(`Wrote ${byUser.size} rows -> ${outputFile} (30-day user summary)`);
 }
@@ -233,7 +234,7 @@ export async function aggregateMonthly() {
   
   // Write output file
   const outputFile = path.join(OUT_DIR, 'cursor_monthly_activity_summary.csv');
-  writeFileSync(outputFile, '\uFEFF' + lines.join('\n'), 'utf8');
+  writeText(outputFile, '\uFEFF' + lines.join('\n'));
   
   console.log(`Wrote monthly rows -> ${outputFile}`);
 }
@@ -394,44 +395,38 @@ export async function toCSVs() {
   }
 
   // Export usage events if available
-  if (existsSync('data/cursor/usage-events')) {
-    const eventFiles = readdirSync('data/cursor/usage-events')
-      .filter(f => f.startsWith('events-'));
+  const eventStore = new UsageEventsStore('data/cursor/usage-events');
+  if (eventStore.listDayFiles().length) {
     const usageEvents = [];
     const allEventColumns = new Set();
 
-    for (const fileName of eventFiles) {
-      const data = readJSON(path.join('data/cursor/usage-events', fileName));
-      const events = data.usageEvents || [];
+    eventStore.readEvents().forEach(event => {
+      // Normalize timestamp fields
+      const timestamp = event.timestamp;
+      let timestampInt;
       
-      events.forEach(event => {
-        // Normalize timestamp fields
-        const timestamp = event.timestamp;
-        let timestampInt;
-        
-        if (typeof timestamp === 'string' && /^\d+$/.test(timestamp)) {
-          timestampInt = Number(timestamp);
-        } else if (typeof timestamp === 'number') {
-          timestampInt = timestamp;
-        }
+      if (typeof timestamp === 'string' && /^\d+$/.test(timestamp)) {
+        timestampInt = Number(timestamp);
+      } else if (typeof timestamp === 'number') {
+        timestampInt = timestamp;
+      }
 
-        if (timestampInt) {
-          // Convert to milliseconds if needed
-          if (timestampInt < 1e12) {
-            timestampInt *= 1000;
-          }
-          
-          event.timestamp_ms = timestampInt;
-          event.timestamp_iso = new Date(timestampInt).toISOString();
-          event.date = new Date(timestampInt).toISOString().slice(0, 10);
-          event.timestamp = event.timestamp_iso; // Use ISO format as primary timestamp
+      if (timestampInt) {
+        // Convert to milliseconds if needed
+        if (timestampInt < 1e12) {
+          timestampInt *= 1000;
         }
+        
+        event.timestamp_ms = timestampInt;
+        event.timestamp_iso = new Date(timestampInt).toISOString();
+        event.date = new Date(timestampInt).toISOString().slice(0, 10);
+        event.timestamp = event.timestamp_iso; // Use ISO format as primary timestamp
+      }
 
-        // Track all column names
-        Object.keys(event).forEach(key => allEventColumns.add(key));
-        usageEvents.push(event);
-      });
-    }
+      // Track all column names
+      Object.keys(event).forEach(key => allEventColumns.add(key));
+      usageEvents.push(event);
+    });
 
     if (usageEvents.length) {
       // Preferred column order for usage events
@@ -1,8 +1,9 @@
 import path from 'node:path';
-import { createWriteStream } from 'node:fs';
+import { createWriteStream, existsSync } from 'node:fs';
 import { pipeline } from 'node:stream/promises';
-import { ensureDir, writeJSON } from '../common/fs.js';
+import { ensureDir, readJSON, writeJSON, removePath } from '../common/fs.js';
 import { CursorClient, loadKey } from './client.js';
+import { isDryRun, logDryRun } from '../common/dry-run.js';
 
 /**
  * Cursor AI Code Tracking API Client
@@ -99,7 +100,7 @@ export async function getAiCommitMetrics({
   const res = await client.get(`/analytics/ai-code/commits${queryString}`);
   if (!res.ok) {
     console.error(`HTTP ${res.status} response:`, JSON.stringify(res.json, null, 2));
-    const errorMsg = res.json?.message || res.json?.error || 'Unknown error';
+    const errorMsg = res.json?.message || res.json?.error || res.error;
     if (res.status === 401 || res.status === 403) {
       throw new Error(`AI Code Tracking API access denied (${res.status}): ${errorMsg}. Note: This API is only available for enterprise teams.`);
     }
@@ -166,6 +167,10 @@ export async function downloadAiCommitMetricsCsv({
   // Create HTTP request manually to handle streaming
   const https = await import('https');
   const url = new URL(`${baseUrl}/analytics/ai-code/commits.csv${queryString}`);
+  if (isDryRun()) {
+    logDryRun(`GET ${url} (streamed to ${filepath})`);
+    return filepath;
+  }
   const auth = Buffer.from(`${key}:`).toString('base64');
   
   const options = {
@@ -259,7 +264,7 @@ export async function getAiCodeChangeMetrics({
   const res = await client.get(`/analytics/ai-code/changes${queryString}`);
   if (!res.ok) {
     console.error(`HTTP ${res.status} response:`, JSON.stringify(res.json, null, 2));
-    const errorMsg = res.json?.message || res.json?.error || 'Unknown error';
+    const errorMsg = res.json?.message || res.json?.error || res.error;
     if (res.status === 401 || res.status === 403) {
       throw new Error(`AI Code Tracking API access denied (${res.status}): ${errorMsg}. Note: This API is only available for enterprise teams.`);
     }
@@ -326,6 +331,10 @@ export async function downloadAiCodeChangeMetricsCsv({
   // Create HTTP request manually to handle streaming
   const https = await import('https');
   const url = new URL(`${baseUrl}/analytics/ai-code/changes.csv${queryString}`);
+  if (isDryRun()) {
+    logDryRun(`GET ${url} (streamed to ${filepath})`);
+    return filepath;
+  }
   const auth = Buffer.from(`${key}:`).toString('base64');
   
   const options = {
@@ -379,13 +388,229 @@ export async function downloadAiCodeChangeMetricsCsv({
   });
 }
 
+/**
+ * Resolve "now" and relative dates like "7d" to ISO timestamps
+ * A resumed run keeps the window of the run it continues.
+ * @param {string} value - Date option
+ * @param {number} now - Reference time in epoch milliseconds
+ * @returns {string|undefined} ISO timestamp, or the value unchanged
+ */
+function resolveDate(value, now) {
+  if (!value) return value;
+  if (value === 'now') return new Date(now).toISOString();
+  const relative = String(value).match(/^(\d+)d$/);
+  if (relative) return new Date(now - Number(relative[1]) * 86400000).toISOString();
+  return value;
+}
+
+/**
+ * Fetch every page of an AI Code Tracking JSON endpoint
+ * 
+ * Page 1 gives `totalCount`; the remaining pages are fetched with up to
+ * `concurrency` requests in flight. Each page is saved under `pages/` as it
+ * arrives and recorded in `progress.json`, so an interrupted run with the same
+ * options resumes with the pages still missing. Once all pages are in, the
+ * items are deduplicated by `idField` into one consolidated file.
+ * 
+ * @private
+ */
+async function fetchAllPages({
+  kind,
+  endpoint,
+  idField,
+  label,
+  startDate,
+  endDate,
+  user,
+  pageSize = 1000,
+  concurrency = Number(process.env.CURSOR_AI_CODE_CONCURRENCY) || 3,
+  resume = true,
+  baseUrl = 'https://api.cursor.com'
+}) {
+  const key = loadKey();
+  if (!key) throw new Error('Missing CURSOR_API_KEY');
+  const limit = typeof concurrency === 'string' ? parseInt(concurrency, 10) : concurrency;
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`Invalid concurrency: ${concurrency}`);
+  }
+
+  const client = new CursorClient(baseUrl, key);
+  const dir = `data/cursor/ai-code-tracking/${kind}`;
+  const pagesDir = path.join(dir, 'pages');
+  const progressPath = path.join(dir, 'progress.json');
+  const request = { startDate, endDate, user, pageSize: typeof pageSize === 'string' ? parseInt(pageSize, 10) : pageSize };
+
+  // Resume only a run started with the same options
+  let progress = resume && existsSync(progressPath) ? readJSON(progressPath) : null;
+  if (progress && JSON.stringify(progress.request) !== JSON.stringify(request)) {
+    console.log(`Ignoring unfinished ${label} run with different options (${progressPath})`);
+    progress = null;
+  }
+  if (progress) {
+    console.log(`Resuming ${label} run started ${progress.startedAt}: ${progress.pagesDone.length} of ${progress.totalPages} pages already fetched`);
+  } else {
+    const now = Date.now();
+    removePath(pagesDir);
+    progress = {
+      request,
+      query: { ...request, startDate: resolveDate(startDate, now), endDate: resolveDate(endDate || 'now', now) },
+      startedAt: new Date(now).toISOString(),
+      totalCount: null,
+      totalPages: null,
+      pagesDone: []
+    };
+  }
+  ensureDir(pagesDir);
+
+  const fetchPage = async (page) => {
+    const { params } = parseQueryParams({ ...progress.query, page });
+    const res = await client.get(`${endpoint}${buildQueryString(params)}`, { itemsKey: 'items' });
+    if (!res.ok) {
+      const errorMsg = res.json?.message || res.json?.error || res.error;
+      if (res.status === 401 || res.status === 403) {
+        throw new Error(`AI Code Tracking API access denied (${res.status}): ${errorMsg}. Note: This API is only available for enterprise teams.`);
+      }
+      throw new Error(`${label} page ${page} failed ${res.status}: ${errorMsg}`);
+    }
+    writeJSON(path.join(pagesDir, `page-${page}.json`), res.json);
+    if (!progress.pagesDone.includes(page)) progress.pagesDone.push(page);
+    writeJSON(progressPath, progress);
+    return res.json;
+  };
+
+  console.log(`Fetching all ${label}...`);
+  console.log(`Date range: ${progress.query.startDate || 'beginning'} to ${progress.query.endDate}`);
+  if (user) console.log(`Filtering by user: ${user}`);
+
+  if (progress.totalPages === null) {
+    const first = await fetchPage(1);
+    progress.totalCount = first.totalCount || 0;
+    progress.totalPages = Math.max(1, Math.ceil(progress.totalCount / request.pageSize));
+    writeJSON(progressPath, progress);
+    console.log(`Total ${label}: ${progress.totalCount} in ${progress.totalPages} page(s) of ${request.pageSize}`);
+    if (isDryRun()) {
+      logDryRun(`  then pages 2 to totalCount / ${request.pageSize}, ${limit} at a time`);
+    }
+  }
+
+  // Worker pool over the pages still missing
+  const queue = [];
+  for (let page = 1; page <= progress.totalPages; page++) {
+    if (!progress.pagesDone.includes(page)) queue.push(page);
+  }
+  let failure = null;
+  const worker = async () => {
+    while (queue.length && !failure) {
+      const page = queue.shift();
+      try {
+        const data = await fetchPage(page);
+        console.log(`Page ${page}/${progress.totalPages}: ${(data.items || []).length} items`);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, queue.length) }, worker));
+  if (failure) {
+    console.error(`Stopped after ${progress.pagesDone.length} of ${progress.totalPages} pages; run again to resume`);
+    throw failure;
+  }
+
+  const day = value => (value ? String(value).split('T')[0] : 'beginning');
+  const filepath = path.join(dir, `${kind}-all_${day(progress.query.startDate)}_to_${day(progress.query.endDate)}.json`);
+  if (isDryRun()) {
+    logDryRun(`Would consolidate the pages into ${filepath}, deduplicated by ${idField}`);
+    return { filepath, totalCount: null, pages: null, items: 0, duplicates: 0, dryRun: true };
+  }
+
+  // Consolidate, keeping the last copy of any item seen on more than one page
+  const items = new Map();
+  let fetched = 0;
+  for (const page of [...progress.pagesDone].sort((a, b) => a - b)) {
+    for (const item of readJSON(path.join(pagesDir, `page-${page}.json`)).items || []) {
+      fetched++;
+      items.set(item[idField] ?? `${page}:${fetched}`, item);
+    }
+  }
+
+  writeJSON(filepath, {
+    meta: {
+      fetched_at: new Date().toISOString(),
+      started_at: progress.startedAt,
+      startDate: progress.query.startDate || null,
+      endDate: progress.query.endDate,
+      user: user || null,
+      totalCount: progress.totalCount,
+      pages: progress.totalPages,
+      fetched,
+      duplicates: fetched - items.size
+    },
+    items: [...items.values()]
+  });
+  removePath(pagesDir);
+  removePath(progressPath);
+
+  console.log(`\nFetch complete:`);
+  console.log(`- ${label}: ${items.size} unique of ${fetched} fetched (${progress.totalCount} reported)`);
+  console.log(`- Pages: ${progress.totalPages}`);
+  console.log(`- Consolidated file: ${filepath}`);
+
+  return { filepath, totalCount: progress.totalCount, pages: progress.totalPages, items: items.size, duplicates: fetched - items.size };
+}
+
+/**
+ * Get all AI Commit Metrics (JSON, every page)
+ * 
+ * Fetches every page up to `totalCount` and writes one consolidated file,
+ * deduplicated by commit hash. An interrupted run resumes on the next call.
+ * 
+ * @param {Object} options - Query options
+ * @param {string} [options.startDate] - Start date (ISO, "now", or relative like "7d")
+ * @param {string} [options.endDate] - End date (ISO, "now", or relative like "0d")
+ * @param {number} [options.pageSize=1000] - Results per page (max 1000)
+ * @param {string} [options.user] - Filter by user (email, encoded ID, or numeric ID)
+ * @param {number} [options.concurrency=3] - Pages fetched in parallel (env: CURSOR_AI_CODE_CONCURRENCY)
+ * @param {boolean} [options.resume=true] - Resume an interrupted run with the same options
+ * @param {string} [options.baseUrl='https://api.cursor.com'] - API base URL
+ * @returns {Promise<Object>} Consolidated file path and counts
+ */
+export async function fetchAllAiCommitMetrics(options = {}) {
+  return fetchAllPages({
+    ...options,
+    kind: 'commits',
+    endpoint: '/analytics/ai-code/commits',
+    idField: 'commitHash',
+    label: 'AI commit metrics'
+  });
+}
+
+/**
+ * Get all AI Code Change Metrics (JSON, every page)
+ * 
+ * Fetches every page up to `totalCount` and writes one consolidated file,
+ * deduplicated by change id. An interrupted run resumes on the next call.
+ * 
+ * @param {Object} options - Query options, as for `fetchAllAiCommitMetrics`
+ * @returns {Promise<Object>} Consolidated file path and counts
+ */
+export async function fetchAllAiCodeChangeMetrics(options = {}) {
+  return fetchAllPages({
+    ...options,
+    kind: 'changes',
+    endpoint: '/analytics/ai-code/changes',
+    idField: 'changeId',
+    label: 'AI code change metrics'
+  });
+}
+
 /**
  * Fetch all AI Code Tracking data
  * 
- * Convenience function to fetch both commit and change metrics in JSON format.
+ * Convenience function to fetch every page of both commit and change metrics
+ * in JSON format, each into one consolidated file.
  * For large datasets, consider using the CSV streaming endpoints instead.
  * 
- * @param {Object} options - Query options
+ * @param {Object} options - Query options, as for `fetchAllAiCommitMetrics`
  * @param {boolean} [options.continueOnError=false] - Continue if one endpoint fails
  * @returns {Promise<Object>} Combined results
  */
@@ -397,8 +622,8 @@ export async function fetchAllAiCodeMetrics({ continueOnError = false, ...option
   };
 
   const steps = [
-    ['commits', () => getAiCommitMetrics(options)],
-    ['changes', () => getAiCodeChangeMetrics(options)]
+    ['commits', () => fetchAllAiCommitMetrics(options)],
+    ['changes', () => fetchAllAiCodeChangeMetrics(options)]
   ];
 
   for (const [label, fn] of steps) {
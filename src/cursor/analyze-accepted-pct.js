@@ -1,24 +1,19 @@
 import fs from 'node:fs';
 import path from 'node:path';
-import { ensureDir } from '../common/fs.js';
+import { ensureDir, writeText } from '../common/fs.js';
+import { parseCSV } from '../common/csv.js';
 
 // Input CSV path (latest Cursor analytics export). Adjust if needed.
 const DEFAULT_CSV = 'data/cursor/cursor_analytics_13227481_2025-08-21T11_52_04.769Z.csv';
 
-function parseCSVLine(line){
-  // naive split; safe for this dataset (no quoted commas present in fields we use)
-  return line.split(',');
-}
-
 function loadCSV(file){
   const text = fs.readFileSync(file, 'utf8');
-  const lines = text.trim().split(/\r?\n/);
-  const header = parseCSVLine(lines.shift());
-  return { header, lines };
+  const [header = [], ...records] = parseCSV(text);
+  return { header: header.map(h=>h.trim()), records };
 }
 
 function computeAcceptedPctByUser(csvPath){
-  const { header, lines } = loadCSV(csvPath);
+  const { header, records } = loadCSV(csvPath);
   const EMAIL = header.indexOf('Email');
   const SUG_ADD = header.indexOf('Chat Suggested Lines Added');
   const SUG_DEL = header.indexOf('Chat Suggested Lines Deleted');
@@ -28,9 +23,7 @@ function computeAcceptedPctByUser(csvPath){
     throw new Error('Expected Cursor analytics columns not found');
   }
   const by = new Map();
-  for(const line of lines){
-    if(!line) continue;
-    const cols = parseCSVLine(line);
+  for(const cols of records){
     const email = cols[EMAIL];
     if(!email) continue;
     const sug = (+cols[SUG_ADD]||0) + (+cols[SUG_DEL]||0);
@@ -74,7 +67,7 @@ async function main(){
   ensureDir('output');
   const md = toMarkdown(rows, path.basename(csvPath));
   const outPath = '10-data-analysis.md';
-  fs.writeFileSync(outPath, md, 'utf8');
+  writeText(outPath, md);
   console.log('Wrote', outPath, 'with', rows.length, 'rows');
 }
 
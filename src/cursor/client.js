@@ -1,11 +1,34 @@
 import https from 'node:https';
+import { JsonArrayStreamParser } from './json-stream.js';
+import { isDryRun, logDryRun } from '../common/dry-run.js';
+
+/**
+ * Read a numeric environment variable, falling back when unset or invalid
+ * @private
+ */
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) && value >= 0
+    ? value
+    : fallback;
+}
 
 /**
  * HTTP Client for Cursor Admin API
  * Handles authentication and HTTP requests to the Cursor API endpoints
  */
 export class CursorClient {
-  constructor(baseUrl, key) {
+  /**
+   * @param {string} baseUrl - Cursor API base URL
+   * @param {string} key - Cursor Admin API key
+   * @param {object} options - Client options
+   * @param {number} options.timeoutMs - Longest time one request may take, response body included (default: `CURSOR_TIMEOUT_MS`, or 30000)
+   * @param {number} options.maxRetries - Retries for 429, 5xx and connection errors (default: `CURSOR_MAX_RETRIES`, or 3)
+   * @param {number} options.retryDelayMs - Base backoff delay (default: `CURSOR_RETRY_DELAY_MS`, or 1000)
+   * @param {number} options.maxRetryWaitMs - Longest `Retry-After` to wait out (default: 5 minutes)
+   * @param {boolean} options.verbose - Log every request
+   */
+  constructor(baseUrl, key, options = {}) {
     // Validate baseUrl
     if (typeof baseUrl !== 'string' || baseUrl.trim() === '') {
       throw new Error('CursorClient: baseUrl must be a non-empty string');
@@ -22,82 +45,242 @@ export class CursorClient {
     }
     this.baseUrl = baseUrl.replace(/\/$/, '');
     this.key = key;
+    this.timeoutMs = options.timeoutMs ?? envNumber('CURSOR_TIMEOUT_MS', 30000);
+    this.maxRetries = options.maxRetries ?? envNumber('CURSOR_MAX_RETRIES', 3);
+    this.retryDelayMs = options.retryDelayMs ?? envNumber('CURSOR_RETRY_DELAY_MS', 1000);
+    this.maxRetryWaitMs = options.maxRetryWaitMs ?? 5 * 60 * 1000;
+    this.verbose = options.verbose ?? process.env.VERBOSE === 'true';
   }
 
   /**
    * Make an HTTP request to the Cursor API
+   * Retries 429 and 5xx responses, timeouts and connection errors with
+   * jittered exponential backoff, waiting for `Retry-After` when the API
+   * sends it. Always resolves; failed responses carry a descriptive `error`.
+   * In dry-run mode the request is only printed and answered with an empty body.
    * @param {string} method - HTTP method (GET, POST, etc.)
    * @param {string} path - API endpoint path
    * @param {object} body - Request body for POST requests
-   * @returns {Promise<{ok: boolean, status: number, json: object}>}
+   * @param {object} options - Request options
+   * @param {string} options.itemsKey - Top-level array to parse incrementally (e.g. `usageEvents`)
+   * @param {Function} options.onItem - Called with each element of `itemsKey` as it is parsed
+   * @returns {Promise<{ok: boolean, status: number, json: object, headers: object, error?: string}>}
    */
-  async request(method, path, body) {
+  async request(method, path, body, options = {}) {
+    if (isDryRun()) {
+      logDryRun(`${method} ${this.baseUrl}${path}${body ? ` ${JSON.stringify(body)}` : ''}`);
+      return { ok: true, status: 200, json: {}, headers: {}, dryRun: true };
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const response = await this.send(method, path, body, options);
+      this.logResponse(method, path, response, attempt);
+
+      if (response.ok || attempt >= this.maxRetries || !this.isRetryable(response)) {
+        return response;
+      }
+
+      const retryAfter = this.getRetryAfter(response);
+      if (retryAfter !== null && retryAfter > this.maxRetryWaitMs) {
+        console.warn(`[cursor-api] ${method} ${path} asked to retry in ${Math.ceil(retryAfter / 1000)}s, longer than the ${Math.ceil(this.maxRetryWaitMs / 1000)}s limit`);
+        return response;
+      }
+
+      const delayMs = retryAfter ?? this.getBackoffDelay(attempt);
+      console.warn(`[cursor-api] Attempt ${attempt + 1} of ${method} ${path} failed (${response.error}), retrying in ${delayMs}ms`);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+
+  /**
+   * Send a single request
+   * @private
+   */
+  send(method, path, body, { itemsKey, onItem } = {}) {
     const url = this.baseUrl + path;
     const auth = Buffer.from(`${this.key}:`).toString('base64');
     const payload = body ? JSON.stringify(body) : undefined;
-    
+
     const headers = {
       'Authorization': `Basic ${auth}`,
       'Content-Type': 'application/json'
     };
 
     return new Promise((resolve) => {
+      // Deadline for the whole request; a socket timeout only fires when the connection goes idle
+      const deadline = setTimeout(() => {
+        finish(this.connectionError(method, path, new Error(`request timed out after ${this.timeoutMs}ms`)));
+        req.destroy();
+      }, this.timeoutMs);
+      const finish = (response) => {
+        clearTimeout(deadline);
+        resolve(response);
+      };
+
       const req = https.request(url, { method, headers }, (res) => {
+        const ok = res.statusCode >= 200 && res.statusCode < 300;
+        // Only successful bodies are worth streaming; error bodies are small
+        const parser = ok && itemsKey ? new JsonArrayStreamParser(itemsKey, { onItem }) : null;
         let data = '';
-        
+        let parseError = null;
+
+        res.setEncoding('utf8');
         res.on('data', (chunk) => {
-          data += chunk;
+          if (!parser) {
+            data += chunk;
+            return;
+          }
+          if (parseError) return;
+          try {
+            parser.write(chunk);
+          } catch (error) {
+            parseError = error;
+          }
         });
-        
+
         res.on('end', () => {
           let json = {};
           try {
-            json = JSON.parse(data || '{}');
+            json = parser ? parser.end() : JSON.parse(data || '{}');
           } catch (error) {
-            // Ignore JSON parse errors, return empty object
+            // Error pages are often plain text or HTML; they are described below instead
+            if (ok) parseError = parseError || error;
           }
-          
-          resolve({
-            ok: res.statusCode >= 200 && res.statusCode < 300,
+
+          const response = {
+            ok: ok && !parseError,
             status: res.statusCode,
-            json
-          });
+            json: parseError ? {} : json,
+            headers: res.headers
+          };
+          if (parseError) {
+            response.error = `${method} ${path} returned invalid JSON (status ${res.statusCode}): ${parseError.message}`;
+          } else if (!ok) {
+            response.error = this.describeError(method, path, res.statusCode, json, data);
+          }
+          finish(response);
         });
-      });
 
-      req.on('error', () => {
-        resolve({
-          ok: false,
-          status: 0,
-          json: {}
+        res.on('error', (error) => {
+          finish(this.connectionError(method, path, error));
         });
       });
 
+      req.on('error', (error) => {
+        finish(this.connectionError(method, path, error));
+      });
+
       if (payload) {
         req.write(payload);
       }
-      
+
       req.end();
     });
   }
 
+  /**
+   * Response for a request that never got a complete answer
+   * @private
+   */
+  connectionError(method, path, error) {
+    const reason = error.code && !error.message.includes(error.code)
+      ? `${error.code} ${error.message}`
+      : error.message;
+    return {
+      ok: false,
+      status: 0,
+      json: {},
+      headers: {},
+      error: `${method} ${path} failed: ${reason || 'no response from Cursor API'}`
+    };
+  }
+
+  /**
+   * Build an error message from a non-2xx response
+   * @private
+   */
+  describeError(method, path, status, json, bodyText) {
+    const detail = json?.message || json?.error?.message || json?.error
+      || (typeof bodyText === 'string' ? bodyText.trim().slice(0, 200) : '');
+    let hint = '';
+    switch (status) {
+      case 401:
+        hint = ' – check CURSOR_API_KEY';
+        break;
+      case 403:
+        hint = ' – the API key lacks access to this endpoint';
+        break;
+      case 429:
+        hint = ' – rate limited';
+        break;
+    }
+    const suffix = detail && typeof detail === 'string' ? `: ${detail}` : '';
+    return `${method} ${path} failed with status ${status}${hint}${suffix}`;
+  }
+
+  /**
+   * Whether a failed response is worth retrying
+   * @private
+   */
+  isRetryable(response) {
+    return response.status === 0 || response.status === 429 || response.status >= 500;
+  }
+
+  /**
+   * Milliseconds to wait from a `Retry-After` header (seconds or HTTP date), or null
+   * @private
+   */
+  getRetryAfter(response) {
+    const header = response.headers['retry-after'];
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Exponential backoff with jitter for transient failures
+   * @private
+   */
+  getBackoffDelay(attempt) {
+    const base = this.retryDelayMs * 2 ** attempt;
+    return Math.round(base + Math.random() * base);
+  }
+
+  /**
+   * Log each response in verbose mode
+   * @private
+   */
+  logResponse(method, path, response, attempt) {
+    if (!this.verbose) return;
+    const retry = attempt > 0 ? ` (retry ${attempt})` : '';
+    console.log(`[cursor-api] ${method} ${path} -> ${response.status || response.error}${retry}`);
+  }
+
   /**
    * Make a POST request
    * @param {string} path - API endpoint path
    * @param {object} body - Request body
-   * @returns {Promise<{ok: boolean, status: number, json: object}>}
+   * @param {object} options - Request options, see `request`
+   * @returns {Promise<{ok: boolean, status: number, json: object, headers: object, error?: string}>}
    */
-  post(path, body) {
-    return this.request('POST', path, body);
+  post(path, body, options) {
+    return this.request('POST', path, body, options);
   }
 
   /**
    * Make a GET request
    * @param {string} path - API endpoint path
-   * @returns {Promise<{ok: boolean, status: number, json: object}>}
+   * @param {object} options - Request options, see `request`
+   * @returns {Promise<{ok: boolean, status: number, json: object, headers: object, error?: string}>}
    */
-  get(path) {
-    return this.request('GET', path);
+  get(path, options) {
+    return this.request('GET', path, undefined, options);
   }
 }
 
@@ -2,6 +2,10 @@ import path from 'node:path';
 import { ensureDir, writeJSON } from '../common/fs.js';
 import { CursorClient, loadKey } from './client.js';
 import { chunkRange, iso } from './util.js';
+import { UsageEventsStore } from './usage-events-store.js';
+import { logDryRun } from '../common/dry-run.js';
+
+const USAGE_EVENTS_DIR = 'data/cursor/usage-events';
 
 function createCursorClient(baseUrl = 'https://api.cursor.com') {
   const key = loadKey();
@@ -16,7 +20,7 @@ export async function fetchDailyActivity({ date, baseUrl } = {}) {
   const end = start;
   const body = { startDate: start.getTime(), endDate: end.getTime() };
   const res = await client.post('/teams/daily-usage-data', body);
-  if (!res.ok) throw new Error(`daily activity failed ${res.status}`);
+  if (!res.ok) throw new Error(`daily activity failed ${res.status}: ${res.error}`);
   const year = start.getFullYear();
   const month = String(start.getMonth() + 1).padStart(2, '0');
   const day = String(start.getDate()).padStart(2, '0');
@@ -41,7 +45,7 @@ export async function fetchMonthlyActivity({ start, end, baseUrl, windowDays = 3
   for (const [s, e] of chunks) {
     const body = { startDate: s.getTime(), endDate: e.getTime() };
     const res = await client.post('/teams/daily-usage-data', body);
-    if (!res.ok) throw new Error(`monthly activity failed ${res.status}`);
+    if (!res.ok) throw new Error(`monthly activity failed ${res.status}: ${res.error}`);
     const file = path.join(outDir, `monthly_activity_${iso(s)}_${iso(e)}.json`);
     writeJSON(file, res.json);
     written.push(file);
@@ -56,7 +60,7 @@ export async function fetchMonthlyActivity({ start, end, baseUrl, windowDays = 3
 export async function fetchMembers({ baseUrl } = {}) {
   const client = createCursorClient(baseUrl);
   const res = await client.get('/teams/members');
-  if (!res.ok) throw new Error(`members failed ${res.status}`);
+  if (!res.ok) throw new Error(`members failed ${res.status}: ${res.error}`);
   writeJSON('data/cursor/team-members.json', res.json);
   console.log('Saved members');
 }
@@ -68,6 +72,7 @@ export async function fetchSpend({ baseUrl, maxPages = 20, pageSize = 100 } = {}
   for (let page = 1; page <= maxPages; page++) {
     const res = await client.post('/teams/spend', { page, pageSize });
     if (!res.ok) break;
+    if (res.dryRun) logDryRun(`  then page ${page + 1} onwards until a page has fewer than ${pageSize} members, at most ${maxPages} pages`);
     writeJSON(path.join(dir, `page-${page}.json`), res.json);
     console.log('Spend page', page);
     if (!res.json.teamMemberSpend || res.json.teamMemberSpend.length < pageSize) break;
@@ -81,7 +86,7 @@ export async function fetchWeeklyActivity({ baseUrl } = {}) {
   const startDate = new Date(endDate.getTime() - 6 * 86400000);
   const body = { startDate: startDate.getTime(), endDate: endDate.getTime() };
   const res = await client.post('/teams/daily-usage-data', body);
-  if (!res.ok) throw new Error(`weekly activity failed ${res.status}`);
+  if (!res.ok) throw new Error(`weekly activity failed ${res.status}: ${res.error}`);
   const dir = 'data/cursor';
   ensureDir(dir);
   const filename = `weekly-report_${iso(startDate)}_${iso(endDate)}.json`;
@@ -91,6 +96,16 @@ export async function fetchWeeklyActivity({ baseUrl } = {}) {
   return res.json;
 }
 
+function usageEventsBody({ startDate, endDate, email, userId, model, page, pageSize }) {
+  const body = { page, pageSize: typeof pageSize === 'string' ? parseInt(pageSize, 10) : pageSize };
+  if (startDate) body.startDate = new Date(startDate).getTime();
+  if (endDate) body.endDate = new Date(endDate).getTime();
+  if (email) body.email = email;
+  if (userId) body.userId = typeof userId === 'string' ? parseInt(userId, 10) : userId;
+  if (model) body.model = model;
+  return body;
+}
+
 export async function fetchUsageEvents({
   baseUrl,
   startDate,
@@ -99,27 +114,18 @@ export async function fetchUsageEvents({
   userId,
   model,
   page = 1,
-  pageSize = 100,
-  maxPages = 10
+  pageSize = 100
 } = {}) {
   const client = createCursorClient(baseUrl);
-  const dir = 'data/cursor/usage-events';
-  ensureDir(dir);
-  const body = { page, pageSize };
-  if (startDate) body.startDate = new Date(startDate).getTime();
-  if (endDate) body.endDate = new Date(endDate).getTime();
-  if (email) body.email = email;
-  if (userId) body.userId = typeof userId === 'string' ? parseInt(userId, 10) : userId;
-  if (model) body.model = model;
-  const res = await client.post('/teams/filtered-usage-events', body);
+  const store = new UsageEventsStore(USAGE_EVENTS_DIR);
+  const body = usageEventsBody({ startDate, endDate, email, userId, model, page, pageSize });
+  const res = await client.post('/teams/filtered-usage-events', body, { itemsKey: 'usageEvents' });
   if (!res.ok) {
-    throw new Error(`Usage events failed ${res.status}: ${res.json?.message || 'Unknown error'}`);
+    throw new Error(`Usage events failed ${res.status}: ${res.error}`);
   }
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const filename = `usage-events_${timestamp}_page-${page}.json`;
-  const filepath = path.join(dir, filename);
-  writeJSON(filepath, res.json);
-  console.log(`Saved usage events: ${filename}`);
+  const { added, duplicates } = store.add(res.json.usageEvents || []);
+  store.flush();
+  console.log(`Usage events page ${page}: ${added} new, ${duplicates} already stored`);
   return res.json;
 }
 
@@ -131,31 +137,27 @@ export async function fetchAllUsageEvents({
   userId,
   model,
   pageSize = 100,
-  maxPages = 50
+  maxPages = Infinity
 } = {}) {
   const client = createCursorClient(baseUrl);
-  const dir = 'data/cursor/usage-events';
-  ensureDir(dir);
+  const store = new UsageEventsStore(USAGE_EVENTS_DIR);
   let allEvents = [];
   let totalCount = 0;
   let currentPage = 1;
+  let added = 0;
   console.log('Fetching usage events...');
   if (startDate || endDate) console.log(`Date range: ${startDate || 'beginning'} to ${endDate || 'now'}`);
   if (email) console.log(`Filtering by email: ${email}`);
   if (userId) console.log(`Filtering by userId: ${userId}`);
   if (model) console.log(`Filtering by model: ${model}`);
   while (currentPage <= maxPages) {
-    const body = { page: currentPage, pageSize: typeof pageSize === 'string' ? parseInt(pageSize, 10) : pageSize };
-    if (startDate) body.startDate = new Date(startDate).getTime();
-    if (endDate) body.endDate = new Date(endDate).getTime();
-    if (email) body.email = email;
-    if (userId) body.userId = typeof userId === 'string' ? parseInt(userId, 10) : userId;
-    if (model) body.model = model;
-    const res = await client.post('/teams/filtered-usage-events', body);
+    const body = usageEventsBody({ startDate, endDate, email, userId, model, page: currentPage, pageSize });
+    const res = await client.post('/teams/filtered-usage-events', body, { itemsKey: 'usageEvents' });
     if (!res.ok) {
-      console.error(`Failed to fetch page ${currentPage}: ${res.status}`);
+      console.error(`Failed to fetch page ${currentPage}: ${res.error}`);
       break;
     }
+    if (res.dryRun) logDryRun(`  then page ${currentPage + 1} onwards while pagination.hasNextPage is true`);
     const data = res.json;
     totalCount = data.totalUsageEventsCount || 0;
     const events = data.usageEvents || [];
@@ -164,9 +166,8 @@ export async function fetchAllUsageEvents({
       break;
     }
     allEvents.push(...events);
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `usage-events_${timestamp}_page-${currentPage}.json`;
-    writeJSON(path.join(dir, filename), data);
+    added += store.add(events).added;
+    store.flush();
     console.log(`Page ${currentPage}: ${events.length} events`);
     const pagination = data.pagination;
     if (!pagination || !pagination.hasNextPage || currentPage >= pagination.numPages) {
@@ -175,22 +176,97 @@ export async function fetchAllUsageEvents({
     }
     currentPage++;
   }
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const consolidatedFile = path.join(dir, `all-usage-events_${timestamp}.json`);
-  const consolidatedData = {
+  console.log(`\nFetch complete:`);
+  console.log(`- Total events fetched: ${allEvents.length}`);
+  console.log(`- Total events available: ${totalCount}`);
+  console.log(`- New events stored: ${added}`);
+  console.log(`- Pages fetched: ${currentPage}`);
+  return {
     totalEvents: allEvents.length,
     totalCount,
     fetchedPages: currentPage,
     filters: { startDate, endDate, email, userId, model },
     events: allEvents
   };
-  writeJSON(consolidatedFile, consolidatedData);
-  console.log(`\nFetch complete:`);
-  console.log(`- Total events fetched: ${allEvents.length}`);
-  console.log(`- Total events available: ${totalCount}`);
-  console.log(`- Pages fetched: ${currentPage}`);
-  console.log(`- Consolidated file: ${consolidatedFile}`);
-  return consolidatedData;
+}
+
+/**
+ * Incrementally sync usage events into the day-partitioned store
+ * Starts from the checkpoint's last event timestamp, less `overlapMinutes`
+ * to pick up events the API reports late; duplicates are dropped. The first
+ * sync starts `initialDays` back unless `since` is given. The checkpoint only
+ * moves once every page has been stored, so a failed run is simply resumed.
+ */
+export async function syncUsageEvents({
+  baseUrl,
+  since,
+  pageSize = 100,
+  initialDays = 30,
+  overlapMinutes = 60
+} = {}) {
+  const client = createCursorClient(baseUrl);
+  const store = new UsageEventsStore(USAGE_EVENTS_DIR);
+
+  const legacy = store.compactLegacyFiles();
+  if (legacy.files) {
+    console.log(`Compacted ${legacy.files} legacy usage event page file(s) into the store (${legacy.added} events)`);
+  }
+
+  const state = store.readState();
+  const end = Date.now();
+  let start;
+  if (since) {
+    start = new Date(since).getTime();
+  } else if (state?.lastEventTimestamp) {
+    start = state.lastEventTimestamp - overlapMinutes * 60 * 1000;
+  } else {
+    start = end - initialDays * 86400000;
+  }
+  if (Number.isNaN(start)) throw new Error(`Invalid since date: ${since}`);
+
+  console.log(`Syncing usage events from ${new Date(start).toISOString()}${state ? '' : ' (first sync)'}...`);
+
+  const totals = { fetched: 0, added: 0, duplicates: 0, skipped: 0, pages: 0 };
+  // Identical events are numbered across the whole fetch, not per page
+  const occurrences = new Map();
+  let latest = state?.lastEventTimestamp || null;
+  for (let page = 1; ; page++) {
+    const body = usageEventsBody({ startDate: start, endDate: end, page, pageSize });
+    const res = await client.post('/teams/filtered-usage-events', body, { itemsKey: 'usageEvents' });
+    if (!res.ok) {
+      // Keep what was stored; the checkpoint stays put so the next run covers the gap
+      throw new Error(`Usage events sync failed on page ${page}: ${res.error}`);
+    }
+    if (res.dryRun) logDryRun(`  then page ${page + 1} onwards while pagination.hasNextPage is true`);
+    const events = res.json.usageEvents || [];
+    const result = store.add(events, occurrences);
+    store.flush();
+    totals.pages = page;
+    totals.fetched += events.length;
+    totals.added += result.added;
+    totals.duplicates += result.duplicates;
+    totals.skipped += result.skipped;
+    if (result.latestTimestamp !== null && (latest === null || result.latestTimestamp > latest)) {
+      latest = result.latestTimestamp;
+    }
+    console.log(`Page ${page}${res.json.pagination?.numPages ? `/${res.json.pagination.numPages}` : ''}: ${events.length} events, ${result.added} new`);
+
+    const pagination = res.json.pagination;
+    if (events.length === 0 || !pagination?.hasNextPage || page >= pagination.numPages) break;
+  }
+
+  const newState = {
+    lastEventTimestamp: latest,
+    lastEventAt: latest ? new Date(latest).toISOString() : null,
+    lastSyncAt: new Date(end).toISOString(),
+    lastRun: { since: new Date(start).toISOString(), ...totals }
+  };
+  store.writeState(newState);
+
+  console.log(`Usage events sync complete: ${totals.fetched} fetched, ${totals.added} new, ${totals.duplicates} duplicates across ${totals.pages} page(s)`);
+  if (totals.skipped) console.warn(`Skipped ${totals.skipped} event(s) without a timestamp`);
+  console.log(`High-water mark: ${newState.lastEventAt || 'none'}`);
+  return { ...totals, state: newState };
 }
 
 export async function fetchAll({ continueOnError = false } = {}) {
@@ -200,7 +276,7 @@ export async function fetchAll({ continueOnError = false } = {}) {
     ['weekly', fetchWeeklyActivity],
     ['daily', fetchDailyActivity],
     ['spend', fetchSpend],
-    ['usage-events', fetchAllUsageEvents]
+    ['usage-events', syncUsageEvents]
   ];
   for (const [label, fn] of steps) {
     try {
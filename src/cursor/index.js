@@ -1,5 +1,6 @@
 export * from './client.js'; // CursorClient, loadKey
 export * from './util.js';   // iso, chunkRange, discoverLatestDaily, parseDate, NUMERIC_FIELDS
-export * from './fetch.js';  // fetchMembers, fetchMonthlyActivity, fetchWeeklyActivity, fetchDailyActivity, fetchSpend, fetchUsageEvents, fetchAllUsageEvents, fetchAll
+export * from './fetch.js';  // fetchMembers, fetchMonthlyActivity, fetchWeeklyActivity, fetchDailyActivity, fetchSpend, fetchUsageEvents, fetchAllUsageEvents, syncUsageEvents, fetchAll
+export * from './usage-events-store.js'; // UsageEventsStore, getEventTimestamp, getEventKey
 export * from './aggregate.js'; // aggregateWindow, aggregateMonthly, toCSVs
 export * from './ai-code-tracking.js'; // AI Code Tracking API functions
@@ -0,0 +1,132 @@
+/**
+ * Incremental JSON parser for Cursor API responses
+ * Feeds the response body chunk by chunk and parses the elements of one
+ * top-level array (e.g. `usageEvents`) as soon as each element is complete,
+ * so large responses are never held as a single string. Everything outside
+ * that array is small and parsed once at the end.
+ */
+export class JsonArrayStreamParser {
+  /**
+   * @param {string} itemsKey - Top-level key of the array to parse incrementally
+   * @param {object} options - Parser options
+   * @param {Function} options.onItem - Called with each parsed array element
+   */
+  constructor(itemsKey, { onItem } = {}) {
+    this.itemsKey = itemsKey;
+    this.onItem = onItem;
+    this.items = [];
+    this.head = '';        // Document text outside the items array
+    this.element = '';     // Text of the array element being read
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.key = '';         // Last key read at the top level
+    this.keyBuffer = '';
+    this.readingKey = false;
+    this.afterColon = false;
+    this.inItems = false;
+  }
+
+  /**
+   * Feed the next chunk of the body
+   * @param {string} chunk - Decoded text chunk
+   */
+  write(chunk) {
+    let start = 0;
+
+    for (let i = 0; i < chunk.length; i++) {
+      const ch = chunk[i];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (ch === '\\') {
+          this.escaped = true;
+        } else if (ch === '"') {
+          this.inString = false;
+          if (this.readingKey) {
+            this.readingKey = false;
+            this.key = this.keyBuffer;
+          }
+        } else if (this.readingKey) {
+          this.keyBuffer += ch;
+        }
+        continue;
+      }
+
+      if (ch === '"') {
+        this.inString = true;
+        if (this.depth === 1 && !this.inItems && !this.afterColon) {
+          this.readingKey = true;
+          this.keyBuffer = '';
+        }
+        continue;
+      }
+
+      if (this.inItems && this.depth === 2 && (ch === ',' || ch === ']')) {
+        // End of an element at the array's own level
+        this.element += chunk.slice(start, i);
+        start = i + 1;
+        this.flushElement();
+        if (ch === ']') {
+          this.inItems = false;
+          this.depth--;
+          this.head += ']';
+        }
+        continue;
+      }
+
+      if (ch === '{' || ch === '[') {
+        if (ch === '[' && this.depth === 1 && this.afterColon && this.key === this.itemsKey) {
+          this.head += chunk.slice(start, i + 1);
+          start = i + 1;
+          this.inItems = true;
+        }
+        this.depth++;
+      } else if (ch === '}' || ch === ']') {
+        this.depth--;
+      } else if (this.depth === 1 && ch === ':') {
+        this.afterColon = true;
+      } else if (this.depth === 1 && ch === ',') {
+        this.afterColon = false;
+      }
+    }
+
+    if (this.inItems) {
+      this.element += chunk.slice(start);
+    } else {
+      this.head += chunk.slice(start);
+    }
+  }
+
+  /**
+   * Parse and emit a completed array element
+   * @private
+   */
+  flushElement() {
+    const text = this.element.trim();
+    this.element = '';
+    if (!text) return;
+
+    const item = JSON.parse(text);
+    this.items.push(item);
+    if (this.onItem) this.onItem(item);
+  }
+
+  /**
+   * Finish parsing once the body has ended
+   * @returns {*} - The parsed document, with the items array filled in
+   * @throws {SyntaxError} - If the body is not valid JSON
+   */
+  end() {
+    if (this.inItems || this.inString || this.depth !== 0) {
+      throw new SyntaxError('Unexpected end of JSON input');
+    }
+
+    const json = JSON.parse(this.head || '{}');
+    if (json && typeof json === 'object' && Array.isArray(json[this.itemsKey])) {
+      json[this.itemsKey] = this.items;
+    }
+    return json;
+  }
+}
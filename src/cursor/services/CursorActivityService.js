@@ -1,7 +1,7 @@
-import { writeFileSync, existsSync, readdirSync } from 'node:fs';
+import { existsSync, readdirSync } from 'node:fs';
 import path from 'node:path';
 import { CursorBaseService } from './CursorBaseService.js';
-import { ensureDir, readJSON, writeJSON } from '../../common/fs.js';
+import { ensureDir, readJSON, writeJSON, writeText } from '../../common/fs.js';
 
 /**
  * Service for managing Cursor activity data
@@ -192,7 +192,7 @@ export class CursorActivityService extends CursorBaseService {
       data: data.data || data
     };
     
-    writeFileSync(filePath, JSON.stringify(outputData, null, 2), 'utf8');
+    writeText(filePath, JSON.stringify(outputData, null, 2));
     console.log(`✓ Saved daily activity data: ${filePath}`);
     
     return filePath;
@@ -224,7 +224,7 @@ export class CursorActivityService extends CursorBaseService {
       data: data.data || data
     };
     
-    writeFileSync(filePath, JSON.stringify(outputData, null, 2), 'utf8');
+    writeText(filePath, JSON.stringify(outputData, null, 2));
     console.log(`✓ Saved monthly activity data: ${filePath}`);
     
     return filePath;
@@ -255,7 +255,7 @@ export class CursorActivityService extends CursorBaseService {
       data: data.data || data
     };
     
-    writeFileSync(filePath, JSON.stringify(outputData, null, 2), 'utf8');
+    writeText(filePath, JSON.stringify(outputData, null, 2));
     console.log(`✓ Saved weekly activity data: ${filePath}`);
     
     return filePath;
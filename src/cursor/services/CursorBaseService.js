@@ -33,10 +33,10 @@ export class CursorBaseService {
       dataDir: options.dataDir || 'data/cursor',
       outputDir: options.outputDir || 'output/csv/cursor',
       
-      // Request options
+      // Request options (unset retries and timeout fall back to the client's env defaults)
       delayMs: options.delayMs || 0,
-      maxRetries: options.maxRetries || 3,
-      timeout: options.timeout || 30000,
+      maxRetries: options.maxRetries,
+      timeout: options.timeout,
       
       // Override any additional options
       ...options
@@ -54,7 +54,10 @@ export class CursorBaseService {
       throw new Error('Missing CURSOR_API_KEY environment variable');
     }
 
-    return new CursorClient(this.config.baseUrl, this.config.apiKey);
+    return new CursorClient(this.config.baseUrl, this.config.apiKey, {
+      timeoutMs: this.config.timeout,
+      maxRetries: this.config.maxRetries
+    });
   }
 
   /**
@@ -77,39 +80,23 @@ export class CursorBaseService {
   }
 
   /**
-   * Make a safe API request with error handling and retries
+   * Make an API request and fail with a descriptive error
+   * Transient failures (429, 5xx, timeouts, connection errors) are already
+   * retried by the client with backoff, so a failed response here is final.
    * @param {Function} requestFn - Function that makes the API request
-   * @param {Object} options - Request options
    * @returns {Promise<Object>} - API response
+   * @throws {Error} - With the client's error message and `status`
    */
-  async safeRequest(requestFn, options = {}) {
-    const { maxRetries = this.config.maxRetries, delayMs = this.config.delayMs } = options;
-    
-    let lastError;
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        const result = await requestFn();
-        
-        if (result.ok) {
-          return result;
-        } else {
-          throw new Error(`API request failed with status ${result.status}`);
-        }
-        
-      } catch (error) {
-        lastError = error;
-        
-        if (attempt < maxRetries) {
-          console.warn(`[cursor-api] Attempt ${attempt} failed, retrying in ${delayMs}ms: ${error.message}`);
-          if (delayMs > 0) {
-            await this.sleep(delayMs);
-          }
-        }
-      }
+  async safeRequest(requestFn) {
+    const result = await requestFn();
+
+    if (!result.ok) {
+      const error = new Error(result.error || `API request failed with status ${result.status}`);
+      error.status = result.status;
+      throw error;
     }
 
-    throw new Error(`API request failed after ${maxRetries} attempts: ${lastError.message}`);
+    return result;
   }
 
   /**
@@ -1,8 +1,9 @@
-import { writeFileSync, existsSync, readdirSync } from 'node:fs';
+import { existsSync, readdirSync } from 'node:fs';
 import path from 'node:path';
 import { CursorBaseService } from './CursorBaseService.js';
-import { ensureDir, readJSON, writeJSON, writeCSV } from '../../common/fs.js';
+import { ensureDir, readJSON, writeJSON, writeCSV, writeText } from '../../common/fs.js';
 import { parseDate, NUMERIC_FIELDS, iso } from '../util.js';
+import { UsageEventsStore } from '../usage-events-store.js';
 
 /**
  * Service for generating Cursor reports and data aggregations
@@ -257,42 +258,28 @@ export class CursorReportingService extends CursorBaseService {
   }
 
   /**
-   * Generate usage events CSV from all event pages
+   * Generate usage events CSV from the usage event store
    * @returns {Promise<string|null>} - CSV file path or null if no data
    */
   async generateUsageEventsCSV() {
-    const eventsDir = path.join(this.config.dataDir, CursorBaseService.DIRECTORIES.USAGE_EVENTS);
+    const store = new UsageEventsStore(path.join(this.config.dataDir, CursorBaseService.DIRECTORIES.USAGE_EVENTS));
     
-    if (!existsSync(eventsDir)) {
+    if (!store.listDayFiles().length) {
       console.log('⚠️  No usage events data found, skipping CSV generation');
       return null;
     }
 
-    const eventFiles = readdirSync(eventsDir)
-      .filter(f => f.startsWith('events-') && f.endsWith('.json'))
-      .sort();
-    
-    if (!eventFiles.length) {
-      console.log('⚠️  No usage event files found, skipping CSV generation');
-      return null;
-    }
-
     const allEvents = [];
     const allEventColumns = new Set();
     
-    for (const fileName of eventFiles) {
-      const data = readJSON(path.join(eventsDir, fileName));
-      const events = data.usageEvents || [];
+    store.readEvents().forEach(event => {
+      // Normalize timestamp fields
+      this.normalizeEventTimestamps(event);
       
-      events.forEach(event => {
-        // Normalize timestamp fields
-        this.normalizeEventTimestamps(event);
-        
-        // Track all column names for header generation
-        Object.keys(event).forEach(key => allEventColumns.add(key));
-        allEvents.push(event);
-      });
-    }
+      // Track all column names for header generation
+      Object.keys(event).forEach(key => allEventColumns.add(key));
+      allEvents.push(event);
+    });
 
     if (!allEvents.length) {
       console.log('⚠️  No usage event records found, skipping CSV generation');
@@ -437,7 +424,7 @@ export class CursorReportingService extends CursorBaseService {
       lines.push(csvRow);
     }
     
-    writeFileSync(csvPath, '\uFEFF' + lines.join('\n'), 'utf8');
+    writeText(csvPath, '\uFEFF' + lines.join('\n'));
     
     console.log(`✅ Generated window summary: ${csvPath} (${byUser.size} users)`);
     return csvPath;
@@ -527,7 +514,7 @@ export class CursorReportingService extends CursorBaseService {
       lines.push(csvRow);
     }
     
-    writeFileSync(csvPath, '\uFEFF' + lines.join('\n'), 'utf8');
+    writeText(csvPath, '\uFEFF' + lines.join('\n'));
     
     console.log(`✅ Generated monthly summary: ${csvPath} (${monthlyRecords.size} records)`);
     return csvPath;
@@ -1,7 +1,9 @@
-import { writeFileSync, existsSync } from 'node:fs';
+import { existsSync } from 'node:fs';
 import path from 'node:path';
 import { CursorBaseService } from './CursorBaseService.js';
-import { ensureDir, readJSON } from '../../common/fs.js';
+import { ensureDir, readJSON, writeText } from '../../common/fs.js';
+import { UsageEventsStore } from '../usage-events-store.js';
+import { logDryRun } from '../../common/dry-run.js';
 
 /**
  * Service for managing Cursor team and user data
@@ -71,6 +73,9 @@ export class CursorTeamService extends CursorBaseService {
         );
 
         const spendData = response.json;
+        if (response.dryRun) {
+          logDryRun(`  then page ${page + 1} onwards until a page has fewer than ${pageSize} members, at most ${maxPages} pages`);
+        }
         
         // Save page data
         const filePath = await this.saveSpendPage(spendData, page);
@@ -122,7 +127,9 @@ export class CursorTeamService extends CursorBaseService {
     console.log('Fetching usage events...');
     
     try {
-      const eventFiles = [];
+      const store = new UsageEventsStore(path.join(this.config.dataDir, CursorBaseService.DIRECTORIES.USAGE_EVENTS));
+      const eventFiles = new Set();
+      let pageCount = 0;
       let currentPage = page;
       let hasMore = true;
       
@@ -142,14 +149,18 @@ export class CursorTeamService extends CursorBaseService {
         console.log(`Fetching usage events page ${currentPage}...`);
         
         const response = await this.safeRequest(
-          () => this.client.get(`/api/usage/events?${queryParams}`)
+          () => this.client.get(`/api/usage/events?${queryParams}`, { itemsKey: 'usageEvents' })
         );
 
         const eventsData = response.json;
+        if (response.dryRun) {
+          logDryRun(`  then page ${currentPage + 1} onwards until a page has fewer than ${pageSize} events, at most ${maxPages} pages`);
+        }
         
-        // Save page data
-        const filePath = await this.saveUsageEventsPage(eventsData, currentPage, options);
-        eventFiles.push(filePath);
+        // Merge the page into the event store
+        const filePaths = await this.saveUsageEventsPage(store, eventsData, currentPage);
+        filePaths.forEach(filePath => eventFiles.add(filePath));
+        pageCount++;
         
         // Check if there are more pages
         hasMore = eventsData.usageEvents && 
@@ -162,11 +173,11 @@ export class CursorTeamService extends CursorBaseService {
         }
       }
       
-      console.log(`✓ Successfully fetched usage events: ${eventFiles.length} page(s)`);
+      console.log(`✓ Successfully fetched usage events: ${pageCount} page(s)`);
       
       return {
-        filePaths: eventFiles,
-        pageCount: eventFiles.length
+        filePaths: [...eventFiles],
+        pageCount
       };
       
     } catch (error) {
@@ -194,7 +205,7 @@ export class CursorTeamService extends CursorBaseService {
       ...data
     };
     
-    writeFileSync(filePath, JSON.stringify(outputData, null, 2), 'utf8');
+    writeText(filePath, JSON.stringify(outputData, null, 2));
     console.log(`✓ Saved team members data: ${filePath}`);
     
     return filePath;
@@ -220,43 +231,22 @@ export class CursorTeamService extends CursorBaseService {
       ...data
     };
     
-    writeFileSync(filePath, JSON.stringify(outputData, null, 2), 'utf8');
+    writeText(filePath, JSON.stringify(outputData, null, 2));
     console.log(`✓ Saved spend page ${page}: ${filePath}`);
     
     return filePath;
   }
 
   /**
-   * Save usage events page data to file
+   * Merge a usage events page into the day-partitioned event store
    * @private
    */
-  async saveUsageEventsPage(data, page, options = {}) {
-    const outputDir = path.join(this.config.dataDir, CursorBaseService.DIRECTORIES.USAGE_EVENTS);
-    ensureDir(outputDir);
+  async saveUsageEventsPage(store, data, page) {
+    const { added, duplicates } = store.add(data.usageEvents || []);
+    const filePaths = store.flush();
+    console.log(`✓ Stored usage events page ${page}: ${added} new, ${duplicates} already stored`);
     
-    const fileName = `events-${page}.json`;
-    const filePath = path.join(outputDir, fileName);
-    
-    const outputData = {
-      meta: {
-        fetched_at: new Date().toISOString(),
-        page: page,
-        type: 'usage_events',
-        filters: {
-          startDate: options.startDate,
-          endDate: options.endDate,
-          email: options.email,
-          userId: options.userId,
-          model: options.model
-        }
-      },
-      ...data
-    };
-    
-    writeFileSync(filePath, JSON.stringify(outputData, null, 2), 'utf8');
-    console.log(`✓ Saved usage events page ${page}: ${filePath}`);
-    
-    return filePath;
+    return filePaths;
   }
 
   /**
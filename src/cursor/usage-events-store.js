@@ -0,0 +1,260 @@
+import { existsSync, readFileSync, readdirSync } from 'node:fs';
+import path from 'node:path';
+import { ensureDir, readJSON, writeJSON, removePath, writeText } from '../common/fs.js';
+
+const DAY_FILE = /^events_(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const LEGACY_FILE = /^(events-\d+|usage-events_.*_page-\d+|all-usage-events_.*)\.json$/;
+
+/**
+ * Event time in epoch milliseconds, or null when missing
+ * Cursor sends `timestamp` as a string of milliseconds; seconds and ISO
+ * strings are accepted as well.
+ * @param {Object} event - Usage event
+ * @returns {number|null}
+ */
+export function getEventTimestamp(event) {
+  const value = event?.timestamp;
+  let ms = null;
+  if (typeof value === 'number') {
+    ms = value;
+  } else if (typeof value === 'string' && /^\d+$/.test(value)) {
+    ms = Number(value);
+  } else if (typeof value === 'string') {
+    const parsed = Date.parse(value);
+    ms = Number.isNaN(parsed) ? null : parsed;
+  }
+  if (ms !== null && ms < 1e12) ms *= 1000;
+  return ms;
+}
+
+/**
+ * Identity of a usage event, used to drop duplicates
+ * The API has no event id, so an event is identified by when, who, which
+ * model and what it cost. Two real requests by the same user in the same
+ * millisecond with the same model, kind, max mode, cost and tokens only
+ * differ by their position, so the second one gets occurrence 1, the third
+ * occurrence 2, and so on.
+ * @param {Object} event - Usage event
+ * @param {number} occurrence - How many identical events came before it (default: 0)
+ * @returns {string}
+ */
+export function getEventKey(event, occurrence = 0) {
+  if (event.id) return String(event.id);
+  const key = [
+    getEventTimestamp(event),
+    event.userEmail || event.userId || '',
+    event.model || '',
+    event.kind || '',
+    event.maxMode ? 1 : 0,
+    event.requestsCosts ?? '',
+    JSON.stringify(event.tokenUsage || null)
+  ].join('|');
+  return occurrence > 0 ? `${key}#${occurrence}` : key;
+}
+
+/**
+ * Key events in order, numbering the occurrences of identical events
+ * @param {Array} events - Usage events
+ * @param {Map} occurrences - Counts per key so far; share one across the pages of a sync
+ * @returns {Array<[string, Object]>} - Key and event pairs
+ * @private
+ */
+function keyEvents(events, occurrences = new Map()) {
+  return events.map(event => {
+    const base = getEventKey(event);
+    const occurrence = occurrences.get(base) || 0;
+    occurrences.set(base, occurrence + 1);
+    return [getEventKey(event, occurrence), event];
+  });
+}
+
+/**
+ * Compacted on-disk store of Cursor usage events
+ *
+ * Events are kept in one JSONL file per day (UTC),
+ * `<dir>/YYYY/MM/events_YYYY-MM-DD.jsonl`, sorted by time and without
+ * duplicates. `sync-state.json` in the same directory holds the high-water
+ * mark of the incremental sync.
+ */
+export class UsageEventsStore {
+  constructor(dir = 'data/cursor/usage-events') {
+    this.dir = dir;
+    this.statePath = path.join(dir, 'sync-state.json');
+    this.days = new Map();   // Loaded days: date -> Map(key -> event)
+    this.dirty = new Set();  // Days with unsaved events
+  }
+
+  /**
+   * Read the sync checkpoint
+   * @returns {Object|null} - `{ lastEventTimestamp, lastEventAt, lastSyncAt, lastRun }` or null before the first sync
+   */
+  readState() {
+    if (!existsSync(this.statePath)) return null;
+    try {
+      return readJSON(this.statePath);
+    } catch (error) {
+      console.warn(`⚠️  Ignoring unreadable usage events checkpoint ${this.statePath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Write the sync checkpoint
+   * @param {Object} state - Checkpoint to store
+   */
+  writeState(state) {
+    writeJSON(this.statePath, state);
+  }
+
+  /**
+   * Add events, dropping ones already stored
+   * Changes stay in memory until `flush()`. Identical events are told apart
+   * by their occurrence in the fetch (see `getEventKey`), so pass the same
+   * `occurrences` map for every page of one fetch; an event fetched again
+   * then gets the same key as its stored copy.
+   * @param {Array} events - Usage events from the API
+   * @param {Map} occurrences - Occurrence counts shared across the pages of one fetch
+   * @returns {{ added: number, duplicates: number, skipped: number, latestTimestamp: number|null }}
+   */
+  add(events, occurrences = new Map()) {
+    const result = { added: 0, duplicates: 0, skipped: 0, latestTimestamp: null };
+    const timed = events.filter(event => getEventTimestamp(event) !== null);
+    result.skipped = events.length - timed.length;
+
+    for (const [key, event] of keyEvents(timed, occurrences)) {
+      const ms = getEventTimestamp(event);
+      const day = new Date(ms).toISOString().slice(0, 10);
+      const stored = this.loadDay(day);
+      if (stored.has(key)) {
+        result.duplicates++;
+      } else {
+        stored.set(key, event);
+        this.dirty.add(day);
+        result.added++;
+      }
+      if (result.latestTimestamp === null || ms > result.latestTimestamp) {
+        result.latestTimestamp = ms;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Write every changed day file
+   * @returns {string[]} - Paths written
+   */
+  flush() {
+    const written = [];
+    for (const day of [...this.dirty].sort()) {
+      const events = [...this.days.get(day).values()]
+        .sort((a, b) => getEventTimestamp(a) - getEventTimestamp(b));
+      const filePath = this.dayPath(day);
+      ensureDir(path.dirname(filePath));
+      writeText(filePath, events.map(e => JSON.stringify(e)).join('\n') + '\n');
+      written.push(filePath);
+    }
+    this.dirty.clear();
+    return written;
+  }
+
+  /**
+   * Read stored events, oldest first
+   * @param {Object} options - Range options
+   * @param {string} options.since - First day to include (YYYY-MM-DD)
+   * @param {string} options.until - Last day to include (YYYY-MM-DD)
+   * @returns {Array} - Usage events
+   */
+  readEvents({ since, until } = {}) {
+    const events = [];
+    for (const { day, filePath } of this.listDayFiles()) {
+      if ((since && day < since) || (until && day > until)) continue;
+      events.push(...this.readDayFile(filePath));
+    }
+    return events;
+  }
+
+  /**
+   * List the day files in the store, oldest first
+   * @returns {Array<{day: string, filePath: string}>}
+   */
+  listDayFiles() {
+    if (!existsSync(this.dir)) return [];
+
+    const files = [];
+    for (const year of readdirSync(this.dir).filter(f => /^\d{4}$/.test(f))) {
+      for (const month of readdirSync(path.join(this.dir, year)).filter(f => /^\d{2}$/.test(f))) {
+        const monthDir = path.join(this.dir, year, month);
+        for (const name of readdirSync(monthDir)) {
+          const match = name.match(DAY_FILE);
+          if (match) files.push({ day: match[1], filePath: path.join(monthDir, name) });
+        }
+      }
+    }
+    return files.sort((a, b) => a.day.localeCompare(b.day));
+  }
+
+  /**
+   * Fold page files written by earlier versions into the store and delete them
+   * Unreadable files are skipped with a warning and left in place.
+   * @returns {{ files: number, added: number, unreadable: number }}
+   */
+  compactLegacyFiles() {
+    if (!existsSync(this.dir)) return { files: 0, added: 0, unreadable: 0 };
+
+    const compacted = [];
+    let added = 0;
+    let unreadable = 0;
+    for (const name of readdirSync(this.dir).filter(f => LEGACY_FILE.test(f))) {
+      let data;
+      try {
+        data = readJSON(path.join(this.dir, name));
+      } catch (error) {
+        console.warn(`⚠️  Skipping unreadable legacy usage events file ${name}: ${error.message}`);
+        unreadable++;
+        continue;
+      }
+      added += this.add(data.usageEvents || data.events || []).added;
+      compacted.push(name);
+    }
+    // Only delete once every event is safely written to the day files
+    this.flush();
+    for (const name of compacted) {
+      removePath(path.join(this.dir, name));
+    }
+    return { files: compacted.length, added, unreadable };
+  }
+
+  /**
+   * Path of the file holding one day of events
+   * @private
+   */
+  dayPath(day) {
+    const [year, month] = day.split('-');
+    return path.join(this.dir, year, month, `events_${day}.jsonl`);
+  }
+
+  /**
+   * Load a day into memory, keyed by event identity
+   * @private
+   */
+  loadDay(day) {
+    if (!this.days.has(day)) {
+      const filePath = this.dayPath(day);
+      const events = existsSync(filePath) ? this.readDayFile(filePath) : [];
+      this.days.set(day, new Map(keyEvents(events)));
+    }
+    return this.days.get(day);
+  }
+
+  /**
+   * Parse one JSONL day file
+   * @private
+   */
+  readDayFile(filePath) {
+    return readFileSync(filePath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+}
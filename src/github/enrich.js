@@ -1,11 +1,13 @@
 #!/usr/bin/env node
 
-import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { existsSync, readFileSync } from 'node:fs';
 import https from 'node:https';
 import path from 'node:path';
 import { parseArgs } from 'node:util';
 import { createGitHubClient } from './utils/github-client.js';
-import { ensureDir, cleanForCSV, addBOM, sleep } from './utils/common.js';
+import { ensureDir, addBOM, sleep } from './utils/common.js';
+import { parseCSVRecords, formatCSVRow } from '../common/csv.js';
+import { writeText } from '../common/fs.js';
 
 /**
  * Service for enriching CSV data with GitHub user information
@@ -21,43 +23,8 @@ class GitHubEnrichmentService {
    * @private
    */
   parseCSV(text) {
-	const lines = text.split(/\r?\n/).filter(l => l.length);
-	if (!lines.length) return { header: [], rows: [] };
-    
-	const parseLine = line => {
-      const out = []; 
-      let cur = ''; 
-      let inQ = false; 
-      for (let i = 0; i < line.length; i++) { 
-        const c = line[i]; 
-        if (inQ) { 
-          if (c === '"' && line[i+1] === '"') { 
-            cur += '"'; i++; 
-          } else if (c === '"') { 
-            inQ = false; 
-          } else cur += c; 
-        } else { 
-          if (c === '"') { 
-            inQ = true; 
-          } else if (c === ',') { 
-            out.push(cur); cur = ''; 
-          } else cur += c; 
-        } 
-      } 
-      out.push(cur); 
-      return out; 
-    };
-    
-    const header = parseLine(lines[0]).map(s => s.trim());
-    const rows = lines.slice(1).map(ln => { 
-      const cols = parseLine(ln); 
-      const obj = {}; 
-      header.forEach((h, i) => obj[h] = (cols[i] ?? '').trim()); 
-      return obj; 
-    });
-    
-	return { header, rows };
-}
+    return parseCSVRecords(text);
+  }
 
   /**
    * Load name cache from file
@@ -83,7 +50,7 @@ class GitHubEnrichmentService {
   saveNameCache(cachePath) {
     try {
       const cacheObject = Object.fromEntries(this.nameCache);
-      writeFileSync(cachePath, JSON.stringify(cacheObject, null, 2));
+      writeText(cachePath, JSON.stringify(cacheObject, null, 2));
     } catch (error) {
       console.warn('Failed to save name cache:', error.message);
     }
@@ -201,7 +168,7 @@ class GitHubEnrichmentService {
     
     // Generate GitHub URLs file
     const urlFile = path.join(outDir, 'github-urls.txt');
-    writeFileSync(urlFile, users.map(u => `https://github.com/${u}`).join('\n') + '\n', 'utf8');
+    writeText(urlFile, users.map(u => `https://github.com/${u}`).join('\n') + '\n');
 	console.log(`Wrote ${users.length} URLs -> ${urlFile}`);
     
     // Enrich user data
@@ -236,7 +203,7 @@ class GitHubEnrichmentService {
       'Last Authenticated At', 'Last Activity At', 'Last Surface Used', 
       'Name Status', 'Cached'
     ];
-    const lines = [outHeader.join(',')];
+    const lines = [formatCSVRow(outHeader)];
     
     for (const row of rows) {
       const login = row.Login || '';
@@ -252,13 +219,13 @@ class GitHubEnrichmentService {
         row['Last Surface Used'] || '',
         meta.status || '',
         meta.cached || ''
-      ].map(v => cleanForCSV(v));
+      ].map(v => (v || '').toString().trim());
       
-      lines.push(csvRow.join(','));
+      lines.push(formatCSVRow(csvRow));
     }
     
     const outCSV = path.join(outDir, 'copilot-users.csv');
-    writeFileSync(outCSV, addBOM(lines.join('\n')), 'utf8');
+    writeText(outCSV, addBOM(lines.join('\n')));
 	console.log(`Wrote enriched CSV -> ${outCSV}`);
     
     return {
@@ -1,8 +1,9 @@
 #!/usr/bin/env node
 
 import { Command } from 'commander';
-import { fetchOrgMetrics } from './metrics.js';
-import { fetchSeats } from './seats.js';
+import { fetchOrgMetrics, fetchEnterpriseMetrics } from './metrics.js';
+import { fetchSeats, fetchEnterpriseSeats } from './seats.js';
+import { parseListOption } from '../common/org.js';
 import { buildLoginEmailMap } from './login-email-map.js';
 import { buildUserLookup } from './user-lookup.js';
 import { diagnoseSeats } from './diagnose.js';
@@ -17,6 +18,7 @@ program
   .option('--org <org>', 'Organization name', process.env.GH_ORG)
   .option('--since <date>', 'Start date')
   .option('--until <date>', 'End date')
+  .option('--no-cache', 'Bypass the on-disk API cache')
   .action(async options => {
     await fetchOrgMetrics(options);
   });
@@ -26,10 +28,34 @@ program
   .description('Fetch GitHub Copilot seat assignments')
   .option('--org <org>', 'Organization name', process.env.GH_ORG)
   .option('--enrich-names', 'Enrich seat assignees with names')
+  .option('--no-cache', 'Bypass the on-disk API cache')
   .action(async options => {
     await fetchSeats(options);
   });
 
+program
+  .command('enterprise-metrics')
+  .description('Fetch Copilot metrics for an enterprise, or combined across orgs')
+  .option('--enterprise <slug>', 'Enterprise slug', process.env.GH_ENTERPRISE)
+  .option('--orgs <list>', 'Comma-separated orgs to combine', parseListOption, parseListOption(process.env.GH_ORGS))
+  .option('--since <date>', 'Start date')
+  .option('--until <date>', 'End date')
+  .option('--no-cache', 'Bypass the on-disk API cache')
+  .action(async options => {
+    await fetchEnterpriseMetrics(options);
+  });
+
+program
+  .command('enterprise-seats')
+  .description('Fetch Copilot seats for an enterprise, or across orgs, merging users with several seats')
+  .option('--enterprise <slug>', 'Enterprise slug', process.env.GH_ENTERPRISE)
+  .option('--orgs <list>', 'Comma-separated orgs to combine', parseListOption, parseListOption(process.env.GH_ORGS))
+  .option('--enrich-names', 'Enrich seat assignees with names')
+  .option('--no-cache', 'Bypass the on-disk API cache')
+  .action(async options => {
+    await fetchEnterpriseSeats(options);
+  });
+
 program
   .command('login-email-map')
   .description('Build login -> email mapping CSV scaffold')
@@ -43,6 +69,7 @@ program
   .description('Build user lookup CSV with display names')
   .option('--org <org>', 'Organization name', process.env.GH_ORG)
   .option('--force-refresh', 'Refresh names from API')
+  .option('--no-cache', 'Bypass the on-disk API cache')
   .action(async options => {
     await buildUserLookup(options);
   });
@@ -68,7 +95,9 @@ program.parse(process.argv);
 
 export {
   fetchOrgMetrics,
+  fetchEnterpriseMetrics,
   fetchSeats,
+  fetchEnterpriseSeats,
   buildLoginEmailMap,
   buildUserLookup,
   diagnoseSeats,
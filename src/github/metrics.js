@@ -3,6 +3,7 @@
 import 'dotenv/config';
 import { parseArgs } from 'node:util';
 import { GitHubMetricsService } from './services/GitHubMetricsService.js';
+import { parseListOption } from '../common/org.js';
 
 /**
  * Fetch GitHub Copilot metrics for an organization.
@@ -14,11 +15,32 @@ export async function fetchOrgMetrics(options = {}) {
   return await service.fetchOrgMetrics(options);
 }
 
+/**
+ * Fetch GitHub Copilot metrics for each team in an organization.
+ * Docs: https://docs.github.com/en/enterprise-cloud@latest/rest/copilot/copilot-metrics?apiVersion=2022-11-28#get-copilot-metrics-for-a-team
+ * Listing teams also needs read:org.
+ */
+export async function fetchTeamMetrics(options = {}) {
+  const service = new GitHubMetricsService(options);
+  return await service.fetchTeamMetrics(options);
+}
+
+/**
+ * Fetch GitHub Copilot metrics for an enterprise, or combined across several orgs.
+ * Docs: https://docs.github.com/en/enterprise-cloud@latest/rest/copilot/copilot-metrics?apiVersion=2022-11-28#get-copilot-metrics-for-an-enterprise
+ */
+export async function fetchEnterpriseMetrics(options = {}) {
+  const service = new GitHubMetricsService(options);
+  return await service.fetchEnterpriseMetrics(options);
+}
+
 // CLI execution
 if (import.meta.url.endsWith(process.argv[1]) || process.argv[1].endsWith('metrics.js')) {
   const { values: args, positionals } = parseArgs({
     options: {
       org: { type: 'string', short: 'o' },
+      enterprise: { type: 'string', short: 'e' },
+      orgs: { type: 'string' },
       since: { type: 'string', short: 's' },
       until: { type: 'string', short: 'u' },
       'per-page': { type: 'string', default: '100' },
@@ -26,6 +48,9 @@ if (import.meta.url.endsWith(process.argv[1]) || process.argv[1].endsWith('metri
       'single-page': { type: 'boolean', default: false },
       page: { type: 'string', default: '1' },
       'data-dir': { type: 'string' },
+      teams: { type: 'boolean', default: false },
+      team: { type: 'string' },
+      'no-cache': { type: 'boolean', default: false },
       help: { type: 'boolean', short: 'h' }
     },
     allowPositionals: true
@@ -35,10 +60,13 @@ if (import.meta.url.endsWith(process.argv[1]) || process.argv[1].endsWith('metri
     console.log(`
 Usage: node metrics.js [options]
 
-Fetch GitHub Copilot metrics for an organization.
+Fetch GitHub Copilot metrics for an organization, for each of its teams,
+for an enterprise, or combined across several organizations.
 
 Options:
   -o, --org <org>          Organization name (or set GH_ORG env var)
+  -e, --enterprise <slug>  Enterprise slug (or set GH_ENTERPRISE env var)
+      --orgs <list>        Comma-separated orgs to combine (or set GH_ORGS env var)
   -s, --since <date>       Start date (YYYY-MM-DD or ISO format)
   -u, --until <date>       End date (YYYY-MM-DD or ISO format)
       --per-page <n>       Items per page (default: 100)
@@ -46,10 +74,15 @@ Options:
       --single-page        Fetch only first page
       --page <n>           Start from specific page (default: 1)
       --data-dir <path>    Data directory (default: data/github)
+      --teams              Fetch metrics per team instead of for the whole org
+      --team <slugs>       Comma-separated team slugs (implies --teams; default: all org teams)
+      --no-cache           Bypass the on-disk API cache (data/cache/github)
   -h, --help               Show this help
 
 Environment Variables:
   GH_ORG                   Default organization name
+  GH_ENTERPRISE            Default enterprise slug
+  GH_ORGS                  Default comma-separated org list
   GH_TOKEN                 GitHub token (required)
   GH_API_BASE             GitHub API base URL
 
@@ -57,6 +90,10 @@ Examples:
   node metrics.js --org mycompany
   node metrics.js --org mycompany --since 2024-01-01 --until 2024-01-31
   node metrics.js --org mycompany --per-page 50 --delay 100
+  node metrics.js --org mycompany --teams
+  node metrics.js --org mycompany --team platform,mobile --since 2024-01-01
+  node metrics.js --enterprise mycompany-ent
+  node metrics.js --enterprise mycompany-ent --orgs mycompany,mycompany-labs
 `);
     process.exit(0);
   }
@@ -65,6 +102,8 @@ Examples:
     // Build options, filtering out undefined values so environment variables can be used as defaults
     const options = {};
     if (args.org !== undefined) options.org = args.org;
+    if (args.enterprise !== undefined) options.enterprise = args.enterprise;
+    if (args.orgs !== undefined) options.orgs = parseListOption(args.orgs);
     if (args.since !== undefined) options.since = args.since;
     if (args.until !== undefined) options.until = args.until;
     if (args['per-page'] !== undefined) options.perPage = parseInt(args['per-page']) || 100;
@@ -72,12 +111,38 @@ Examples:
     if (args['single-page'] !== undefined) options.singlePage = args['single-page'];
     if (args.page !== undefined) options.page = parseInt(args.page) || 1;
     if (args['data-dir'] !== undefined) options.dataDir = args['data-dir'];
-    
-    const result = await fetchOrgMetrics(options);
-    
-    console.log(`\n✅ Completed successfully!`);
-    console.log(`📄 File: ${result.jsonPath}`);
-    console.log(`📊 Records: ${result.count}`);
+    if (args['no-cache']) options.cache = false;
+
+    if (args.teams || args.team !== undefined) {
+      if (args.team !== undefined) {
+        options.teams = parseListOption(args.team);
+      }
+      const result = await fetchTeamMetrics(options);
+
+      console.log(`\n✅ Completed successfully!`);
+      for (const team of result.teams) {
+        console.log(`📄 ${team.team}: ${team.jsonPath} (${team.count} records)`);
+      }
+      if (result.skipped.length > 0) {
+        console.log(`⚠️  Skipped teams: ${result.skipped.map(s => s.team).join(', ')}`);
+      }
+    } else if (options.enterprise || options.orgs?.length ||
+      (!options.org && !process.env.GH_ORG && (process.env.GH_ENTERPRISE || process.env.GH_ORGS))) {
+      const result = await fetchEnterpriseMetrics(options);
+
+      console.log(`\n✅ Completed successfully!`);
+      for (const org of result.orgs) {
+        console.log(`🏢 ${org.org}: ${org.jsonPath} (${org.count} records)`);
+      }
+      console.log(`📄 Combined: ${result.jsonPath}`);
+      console.log(`📊 Records: ${result.count}`);
+    } else {
+      const result = await fetchOrgMetrics(options);
+
+      console.log(`\n✅ Completed successfully!`);
+      console.log(`📄 File: ${result.jsonPath}`);
+      console.log(`📊 Records: ${result.count}`);
+    }
     
   } catch (error) {
     console.error(`❌ Error: ${error.message}`);
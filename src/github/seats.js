@@ -3,6 +3,7 @@
 import 'dotenv/config';
 import { parseArgs } from 'node:util';
 import { GitHubSeatsService } from './services/GitHubSeatsService.js';
+import { parseListOption } from '../common/org.js';
 
 /**
  * Fetch all GitHub Copilot seat assignments for an organization.
@@ -14,11 +15,24 @@ export async function fetchSeats(options = {}) {
   return await service.fetchSeats(options);
 }
 
+/**
+ * Fetch Copilot seat assignments for an enterprise, or across several orgs,
+ * with users holding seats in more than one org merged.
+ * Docs: https://docs.github.com/en/enterprise-cloud@latest/rest/copilot/copilot-user-management?apiVersion=2022-11-28#list-all-copilot-seat-assignments-for-an-enterprise
+ * Required token scopes: manage_billing:copilot or read:enterprise for the enterprise endpoint
+ */
+export async function fetchEnterpriseSeats(options = {}) {
+  const service = new GitHubSeatsService(options);
+  return await service.fetchEnterpriseSeats(options);
+}
+
 // CLI execution
 if (import.meta.url.endsWith(process.argv[1]) || process.argv[1].endsWith('seats.js')) {
   const { values: args } = parseArgs({
     options: {
       org: { type: 'string', short: 'o' },
+      enterprise: { type: 'string', short: 'e' },
+      orgs: { type: 'string' },
       'per-page': { type: 'string', default: '100' },
       delay: { type: 'string', default: '0' },
       'enrich-names': { type: 'boolean', default: true },
@@ -26,6 +40,7 @@ if (import.meta.url.endsWith(process.argv[1]) || process.argv[1].endsWith('seats
       'name-delay': { type: 'string', default: '40' },
       'data-dir': { type: 'string' },
       'output-dir': { type: 'string' },
+      'no-cache': { type: 'boolean', default: false },
       help: { type: 'boolean', short: 'h' }
     },
     allowPositionals: false
@@ -35,10 +50,13 @@ if (import.meta.url.endsWith(process.argv[1]) || process.argv[1].endsWith('seats
     console.log(`
 Usage: node seats.js [options]
 
-Fetch GitHub Copilot seat assignments for an organization.
+Fetch GitHub Copilot seat assignments for an organization, an enterprise,
+or several organizations combined.
 
 Options:
   -o, --org <org>           Organization name (or set GH_ORG env var)
+  -e, --enterprise <slug>   Enterprise slug (or set GH_ENTERPRISE env var)
+      --orgs <list>         Comma-separated orgs to combine (or set GH_ORGS env var)
       --per-page <n>        Items per page (default: 100)
       --delay <ms>          Delay between requests in ms (default: 0)
       --enrich-names        Fetch user display names (default: true)
@@ -46,10 +64,13 @@ Options:
       --name-delay <ms>     Delay between name lookups (default: 40)
       --data-dir <path>     Data directory (default: data/github)
       --output-dir <path>   CSV output directory (default: output/csv/github)
+      --no-cache            Bypass the on-disk API cache (data/cache/github)
   -h, --help                Show this help
 
 Environment Variables:
   GH_ORG                    Default organization name
+  GH_ENTERPRISE             Default enterprise slug
+  GH_ORGS                   Default comma-separated org list
   GH_TOKEN                  GitHub token (required)
   GH_API_BASE              GitHub API base URL
 
@@ -57,6 +78,8 @@ Examples:
   node seats.js --org mycompany
   node seats.js --org mycompany --no-enrich-names
   node seats.js --org mycompany --per-page 50 --delay 100
+  node seats.js --enterprise mycompany-ent
+  node seats.js --enterprise mycompany-ent --orgs mycompany,mycompany-labs
 `);
     process.exit(0);
   }
@@ -65,6 +88,8 @@ Examples:
     // Build options, filtering out undefined values so environment variables can be used as defaults
     const options = {};
     if (args.org !== undefined) options.org = args.org;
+    if (args.enterprise !== undefined) options.enterprise = args.enterprise;
+    if (args.orgs !== undefined) options.orgs = parseListOption(args.orgs);
     if (args['per-page'] !== undefined) options.perPage = parseInt(args['per-page']) || 100;
     if (args.delay !== undefined) options.delayMs = parseInt(args.delay) || 0;
     if (args['enrich-names'] !== undefined) options.enrichNames = args['enrich-names'];
@@ -72,13 +97,30 @@ Examples:
     if (args['name-delay'] !== undefined) options.nameDelayMs = parseInt(args['name-delay']) || 40;
     if (args['data-dir'] !== undefined) options.dataDir = args['data-dir'];
     if (args['output-dir'] !== undefined) options.outputDir = args['output-dir'];
+    if (args['no-cache']) options.cache = false;
     
-    const result = await fetchSeats(options);
-    
-    console.log(`\n✅ Completed successfully!`);
-    console.log(`📄 JSON: ${result.jsonPath}`);
-    console.log(`📊 CSV: ${result.csvPath}`);
-    console.log(`👥 Seats: ${result.count}`);
+    // Enterprise mode when asked for explicitly, or when only enterprise settings exist
+    const enterpriseMode = options.enterprise || options.orgs?.length ||
+      (!options.org && !process.env.GH_ORG && (process.env.GH_ENTERPRISE || process.env.GH_ORGS));
+
+    if (enterpriseMode) {
+      const result = await fetchEnterpriseSeats(options);
+
+      console.log(`\n✅ Completed successfully!`);
+      console.log(`📄 JSON: ${result.jsonPath}`);
+      console.log(`📊 CSV: ${result.csvPath}`);
+      for (const [org, count] of Object.entries(result.meta.seats_by_org)) {
+        console.log(`🏢 ${org}: ${count} seats`);
+      }
+      console.log(`👥 Unique users: ${result.count} (${result.meta.duplicate_seats} duplicate seats)`);
+    } else {
+      const result = await fetchSeats(options);
+
+      console.log(`\n✅ Completed successfully!`);
+      console.log(`📄 JSON: ${result.jsonPath}`);
+      console.log(`📊 CSV: ${result.csvPath}`);
+      console.log(`👥 Seats: ${result.count}`);
+    }
     
   } catch (error) {
     console.error(`❌ Error: ${error.message}`);
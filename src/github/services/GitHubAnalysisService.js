@@ -1,7 +1,10 @@
-import { readFileSync, existsSync, readdirSync, writeFileSync } from 'node:fs';
+import { readFileSync, existsSync, readdirSync } from 'node:fs';
 import path from 'node:path';
 import { GitHubSeatsService } from './GitHubSeatsService.js';
 import { parseConfig, ensureDir } from '../utils/common.js';
+import { parseCSV } from '../../common/csv.js';
+import { writeText } from '../../common/fs.js';
+import { renderReportTemplate } from '../../reporting/report-templates.js';
 
 /**
  * Service for analyzing GitHub Copilot data and generating insights
@@ -27,14 +30,10 @@ export class GitHubAnalysisService {
 
     try {
       const content = readFileSync(lookupPath, 'utf8');
-      const lines = content.split('\n').filter(line => line.trim());
+      const [, ...records] = parseCSV(content);
       
-      // Skip header row
-      for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-        
-        const columns = line.split(',');
+      // Header row skipped above
+      for (const columns of records) {
         if (columns.length >= 3) {
           const fullName = columns[0].trim();
           const githubLogin = columns[2].trim();
@@ -218,6 +217,58 @@ export class GitHubAnalysisService {
     return metricsFiles[0].path;
   }
 
+  /**
+   * Get the most recent saved metrics file for each team of an organization
+   * Team files are written by `GitHubMetricsService.fetchTeamMetrics`.
+   * @param {string} org - Organization name
+   * @returns {Object} - Map of team slug to file path
+   */
+  getLatestTeamMetricsFiles(org) {
+    const dataDir = this.config.dataDir || 'data/github';
+    const teamsDir = path.join(dataDir, 'metrics', 'teams');
+    const latest = {};
+
+    if (!existsSync(teamsDir)) {
+      return latest;
+    }
+
+    const prefix = `copilot-team-metrics_${org}_`;
+    const candidates = [];
+
+    function walkDirectory(dir) {
+      let entries = [];
+      try {
+        entries = readdirSync(dir, { withFileTypes: true });
+      } catch {
+        return;
+      }
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walkDirectory(fullPath);
+        } else if (entry.isFile() && entry.name.startsWith(prefix) && entry.name.endsWith('.json')) {
+          const match = entry.name.slice(prefix.length).match(/^(.+)_([^_]+)_to_([^_]+)\.json$/);
+          if (match) {
+            candidates.push({ path: fullPath, slug: match[1], endDate: match[3] });
+          }
+        }
+      }
+    }
+
+    walkDirectory(teamsDir);
+
+    // Keep the file with the latest end date per team
+    for (const candidate of candidates) {
+      const current = latest[candidate.slug];
+      if (!current || candidate.endDate.localeCompare(current.endDate) > 0) {
+        latest[candidate.slug] = candidate;
+      }
+    }
+
+    return Object.fromEntries(Object.entries(latest).map(([slug, file]) => [slug, file.path]));
+  }
+
   /**
    * Load metrics data from file
    * @param {string} filePath - Path to the JSON file
@@ -255,14 +306,25 @@ export class GitHubAnalysisService {
         totalAcceptances: 0,
         acceptanceRate: 0,
         lineAcceptanceRate: 0,
+        averageActiveUsers: 0,
+        averageEngagedUsers: 0,
+        peakEngagedUsers: 0,
         periodStart: null,
         periodEnd: null,
         daysCovered: 0
       };
     }
 
+    let activeUserDays = 0;
+    let engagedUserDays = 0;
+    let peakEngagedUsers = 0;
+
     // Aggregate across all days and editors
     for (const dayData of metricsData.data) {
+      activeUserDays += dayData.total_active_users || 0;
+      engagedUserDays += dayData.total_engaged_users || 0;
+      peakEngagedUsers = Math.max(peakEngagedUsers, dayData.total_engaged_users || 0);
+
       if (dayData.copilot_ide_code_completions?.editors) {
         for (const editor of dayData.copilot_ide_code_completions.editors) {
           if (editor.models) {
@@ -282,6 +344,7 @@ export class GitHubAnalysisService {
     }
 
     // Calculate rates
+    const days = metricsData.data.length;
     const acceptanceRate = totalSuggestions > 0 ? (totalAcceptances / totalSuggestions) * 100 : 0;
     const lineAcceptanceRate = totalLinesSuggested > 0 ? (totalLinesAccepted / totalLinesSuggested) * 100 : 0;
 
@@ -292,12 +355,86 @@ export class GitHubAnalysisService {
       totalAcceptances,
       acceptanceRate: Math.round(acceptanceRate * 100) / 100, // Round to 2 decimal places
       lineAcceptanceRate: Math.round(lineAcceptanceRate * 100) / 100,
+      averageActiveUsers: days > 0 ? Math.round((activeUserDays / days) * 10) / 10 : 0,
+      averageEngagedUsers: days > 0 ? Math.round((engagedUserDays / days) * 10) / 10 : 0,
+      peakEngagedUsers,
       periodStart: metricsData.meta?.since || null,
       periodEnd: metricsData.meta?.until || null,
-      daysCovered: metricsData.data.length
+      daysCovered: days
     };
   }
 
+  /**
+   * Flatten one day of metrics into rows that keep the editor, model, language
+   * and repository breakdown, including the chat and pull request sections
+   * @param {Object} dayData - One entry of the metrics `data` array
+   * @returns {Array<Object>} - Rows tagged with `section`
+   */
+  extractMetricsBreakdown(dayData) {
+    const date = (dayData.date || '').split('T')[0];
+    const rows = [];
+    const base = { date, editor: null, model: null, language: null, repository: null };
+
+    for (const editor of dayData.copilot_ide_code_completions?.editors || []) {
+      for (const model of editor.models || []) {
+        for (const language of model.languages || []) {
+          rows.push({
+            ...base,
+            section: 'ide-code-completions',
+            editor: editor.name,
+            model: model.name,
+            language: language.name,
+            engagedUsers: language.total_engaged_users || 0,
+            suggestions: language.total_code_suggestions || 0,
+            acceptances: language.total_code_acceptances || 0,
+            linesSuggested: language.total_code_lines_suggested || 0,
+            linesAccepted: language.total_code_lines_accepted || 0
+          });
+        }
+      }
+    }
+
+    for (const editor of dayData.copilot_ide_chat?.editors || []) {
+      for (const model of editor.models || []) {
+        rows.push({
+          ...base,
+          section: 'ide-chat',
+          editor: editor.name,
+          model: model.name,
+          engagedUsers: model.total_engaged_users || 0,
+          chats: model.total_chats || 0,
+          chatInsertions: model.total_chat_insertion_events || 0,
+          chatCopies: model.total_chat_copy_events || 0
+        });
+      }
+    }
+
+    for (const model of dayData.copilot_dotcom_chat?.models || []) {
+      rows.push({
+        ...base,
+        section: 'dotcom-chat',
+        model: model.name,
+        engagedUsers: model.total_engaged_users || 0,
+        chats: model.total_chats || 0
+      });
+    }
+
+    for (const repository of dayData.copilot_dotcom_pull_requests?.repositories || []) {
+      for (const model of repository.models || []) {
+        rows.push({
+          ...base,
+          section: 'dotcom-pull-requests',
+          repository: repository.name,
+          model: model.name,
+          engagedUsers: model.total_engaged_users || 0,
+          prSummaries: model.total_pr_summaries_created || 0
+        });
+      }
+    }
+
+    return rows;
+  }
+
   /**
    * Load seat assignments data from file
    * @param {string} filePath - Path to the JSON file
@@ -378,7 +515,10 @@ export class GitHubAnalysisService {
         name,
         lastActivity: lastActivity || null,
         daysSinceActivity: null,
-        lastActivityEditor: seat.last_activity_editor || 'Unknown'
+        lastActivityEditor: seat.last_activity_editor || 'Unknown',
+        assignedAt: seat.created_at || null,
+        pendingCancellationDate: seat.pending_cancellation_date || null,
+        team: seat.assigning_team?.name || null
       };
 
       if (!lastActivity) {
@@ -584,10 +724,28 @@ export class GitHubAnalysisService {
         console.warn(`⚠️  Failed to load metrics data: ${error.message}`);
       }
 
-      // Fetch team-specific metrics
+      // Team-specific metrics: saved team files first, then the API for the rest
       if (analysis.teamAnalysis && Object.keys(analysis.teamAnalysis).length > 0) {
-        console.log(`📊 Fetching team-specific metrics...`);
+        const savedTeamFiles = this.getLatestTeamMetricsFiles(org);
+        const missingTeams = [];
         for (const teamSlug of Object.keys(analysis.teamAnalysis)) {
+          if (!savedTeamFiles[teamSlug]) {
+            missingTeams.push(teamSlug);
+            continue;
+          }
+          try {
+            teamMetrics[teamSlug] = this.calculateAcceptanceMetrics(this.loadMetricsData(savedTeamFiles[teamSlug]));
+            console.log(`📊 ✓ Team metrics loaded for: ${teamSlug} (${path.basename(savedTeamFiles[teamSlug])})`);
+          } catch (error) {
+            console.warn(`📊 ⚠️  Failed to load saved metrics for team ${teamSlug}: ${error.message}`);
+            missingTeams.push(teamSlug);
+          }
+        }
+
+        if (missingTeams.length > 0) {
+          console.log(`📊 Fetching team-specific metrics...`);
+        }
+        for (const teamSlug of missingTeams) {
           try {
             const teamRawMetrics = await this.seatsService.client.fetchTeamMetrics(org, teamSlug);
             if (teamRawMetrics && teamRawMetrics.length > 0) {
@@ -691,6 +849,7 @@ export class GitHubAnalysisService {
         if (teamMetrics && teamMetrics[teamSlug]) {
           const tm = teamMetrics[teamSlug];
           lines.push(`    Suggestions: ${tm.totalSuggestions.toLocaleString()}, Acceptance Rate: ${tm.acceptanceRate}%`);
+          lines.push(`    Engaged: ${tm.averageEngagedUsers} avg/day, ${tm.peakEngagedUsers} peak (${team.totalSeats} seats)`);
         }
       }
     }
@@ -699,13 +858,14 @@ export class GitHubAnalysisService {
   }
 
   /**
-   * Generate and save a structured markdown report
+   * Generate and save a structured markdown report from the `github-metrics` template
    * @param {Object} analysisResult - Result from analyzeActiveUsersInPastWeek
    * @param {Object} options - Report options
-   * @returns {string} - Path to saved report file
+   * @param {string} options.templatesDir - Report templates directory (default: `REPORT_TEMPLATES_DIR`)
+   * @returns {Promise<string>} - Path to saved report file
    */
-  generateMarkdownReport(analysisResult, options = {}) {
-    const { activeUsers, inactiveUsers, totalSeats, analysisConfig, metadata, metrics, teamAnalysis, teamMetrics } = analysisResult;
+  async generateMarkdownReport(analysisResult, options = {}) {
+    const { metadata } = analysisResult;
     const { outputDir = 'output/analysis' } = options;
     
     // Ensure output directory exists
@@ -717,132 +877,13 @@ export class GitHubAnalysisService {
     const filePath = path.join(outputDir, fileName);
     
     // Generate report content
-    const lines = [];
-    lines.push(`# GitHub Copilot`);
-    lines.push(`${activeUsers.count} / ${totalSeats}`);
-    lines.push('');
-    
-    // Add metrics if available
-    if (metrics) {
-      lines.push(`Total Suggestions: ${metrics.totalSuggestions.toLocaleString()}`);
-      lines.push(`Total Acceptances: ${metrics.totalAcceptances.toLocaleString()}`);
-      lines.push(`Acceptance Rate: ${metrics.acceptanceRate}%`);
-      lines.push('');
-    }
-    
-    // List inactive users
-    if (inactiveUsers.count > 0) {
-      lines.push(`List of inactive users: ${inactiveUsers.users.map(user => user.name).join(', ')}`);
-    } else {
-      lines.push('List of inactive users: None');
-    }
-    lines.push('');
-    
-    // Add metadata section
-    lines.push('---');
-    lines.push('');
-    lines.push('## Report Details');
-    lines.push(`- **Analysis Date**: ${analysisConfig.analyzedAt.split('T')[0]}`);
-    lines.push(`- **Analysis Period**: Past ${analysisConfig.daysLookback} days`);
-    const markdownDataSourceDisplay = metadata.filePath ? path.basename(metadata.filePath) : metadata.dataSource;
-    lines.push(`- **Data Source**: ${markdownDataSourceDisplay}`);
-    lines.push(`- **Organization**: ${metadata.org}`);
-    if (metadata.fetchedAt) {
-      lines.push(`- **Data Fetched**: ${metadata.fetchedAt.split('T')[0]}`);
-    }
-    lines.push('');
-    
-    // Add breakdown section
-    lines.push('## Breakdown');
-    lines.push(`- **Active Users**: ${activeUsers.count} (${activeUsers.percentage}%)`);
-    lines.push(`- **Inactive Users**: ${inactiveUsers.count} (${inactiveUsers.percentage}%)`);
-    
-    // Add metrics breakdown if available
-    if (metrics) {
-      lines.push('');
-      lines.push('## Copilot Metrics');
-      lines.push(`- **Total Suggestions**: ${metrics.totalSuggestions.toLocaleString()}`);
-      lines.push(`- **Total Acceptances**: ${metrics.totalAcceptances.toLocaleString()}`);
-      lines.push(`- **Suggestion Acceptance Rate**: ${metrics.acceptanceRate}%`);
-      lines.push(`- **Total Lines Suggested**: ${metrics.totalLinesSuggested.toLocaleString()}`);
-      lines.push(`- **Total Lines Accepted**: ${metrics.totalLinesAccepted.toLocaleString()}`);
-      lines.push(`- **Line Acceptance Rate**: ${metrics.lineAcceptanceRate}%`);
-      lines.push(`- **Metrics Period**: ${metrics.periodStart?.split('T')[0]} to ${metrics.periodEnd?.split('T')[0]} (${metrics.daysCovered} days)`);
-    }
-    
-    lines.push('');
-    
-    // Add inactive users detail if any
-    if (inactiveUsers.count > 0) {
-      lines.push('## Inactive Users Detail');
-      lines.push('');
-      
-      for (const user of inactiveUsers.users) {
-        const activityInfo = user.daysSinceActivity !== null 
-          ? `Last active: ${user.daysSinceActivity} days ago`
-          : 'No activity recorded';
-        lines.push(`- **${user.name}** (@${user.login}) - ${activityInfo}`);
-      }
-      lines.push('');
-    }
-
-    // Add team breakdown if available
-    if (teamAnalysis && Object.keys(teamAnalysis).length > 0) {
-      lines.push('## Team Breakdown');
-      lines.push('');
-      
-      for (const [teamSlug, team] of Object.entries(teamAnalysis)) {
-        lines.push(`### ${team.name}`);
-        if (team.description) {
-          lines.push(`*${team.description}*`);
-          lines.push('');
-        }
-        
-        lines.push(`- **Total Seats**: ${team.totalSeats}`);
-        lines.push(`- **Active Users**: ${team.activeUsers.count} (${team.activeUsers.percentage}%)`);
-        lines.push(`- **Inactive Users**: ${team.inactiveUsers.count} (${team.inactiveUsers.percentage}%)`);
-        
-        // Add team metrics if available
-        if (teamMetrics && teamMetrics[teamSlug]) {
-          const tm = teamMetrics[teamSlug];
-          lines.push('');
-          lines.push('**Team Metrics:**');
-          lines.push(`- Total Suggestions: ${tm.totalSuggestions.toLocaleString()}`);
-          lines.push(`- Total Acceptances: ${tm.totalAcceptances.toLocaleString()}`);
-          lines.push(`- Acceptance Rate: ${tm.acceptanceRate}%`);
-          lines.push(`- Total Lines Suggested: ${tm.totalLinesSuggested.toLocaleString()}`);
-          lines.push(`- Total Lines Accepted: ${tm.totalLinesAccepted.toLocaleString()}`);
-          lines.push(`- Line Acceptance Rate: ${tm.lineAcceptanceRate}%`);
-        }
-        
-        // Add team member details for smaller teams
-        if (team.activeUsers.count <= 10 && team.activeUsers.count > 0) {
-          lines.push('');
-          lines.push('**Active Members:**');
-          for (const user of team.activeUsers.users) {
-            const daysSince = user.daysSinceActivity === 0 ? 'today' : `${user.daysSinceActivity} days ago`;
-            lines.push(`- ${user.name} (@${user.login}) - Last active: ${daysSince}`);
-          }
-        }
-        
-        if (team.inactiveUsers.count <= 5 && team.inactiveUsers.count > 0) {
-          lines.push('');
-          lines.push('**Inactive Members:**');
-          for (const user of team.inactiveUsers.users) {
-            const activityInfo = user.daysSinceActivity !== null 
-              ? `Last active: ${user.daysSinceActivity} days ago`
-              : 'No activity recorded';
-            lines.push(`- ${user.name} (@${user.login}) - ${activityInfo}`);
-          }
-        }
-        
-        lines.push('');
-      }
-    }
+    const reportContent = await renderReportTemplate('github-metrics', {
+      ...analysisResult,
+      dataSource: metadata.filePath ? path.basename(metadata.filePath) : metadata.dataSource
+    }, { templatesDir: options.templatesDir || this.config.templatesDir });
     
     // Write the report
-    const reportContent = lines.join('\n');
-    writeFileSync(filePath, reportContent, 'utf8');
+    writeText(filePath, reportContent);
     
     console.log(`✅ Markdown report saved: ${filePath}`);
     return filePath;
@@ -861,7 +902,7 @@ export class GitHubAnalysisService {
     console.log(consoleReport);
     
     // Generate markdown report
-    const reportPath = this.generateMarkdownReport(analysis, options);
+    const reportPath = await this.generateMarkdownReport(analysis, options);
     
     return {
       ...analysis,
@@ -6,11 +6,23 @@ export class GitHubBaseService {
     this.config = { ...parseConfig(), ...options };
     this.client = createGitHubClient({
       token: this.config.token,
-      apiBase: this.config.apiBase
+      apiBase: this.config.apiBase,
+      cache: this.config.cache
     });
   }
 
   validateConfig(required = ['org', 'token']) {
     validateConfig(this.config, required);
   }
+
+  /**
+   * Validate configuration for enterprise-wide fetches:
+   * a token plus an enterprise slug or a list of orgs
+   */
+  validateEnterpriseConfig() {
+    validateConfig(this.config, ['token']);
+    if (!this.config.enterprise && !this.config.orgs?.length) {
+      throw new Error('Missing required configuration: enterprise or orgs');
+    }
+  }
 }
@@ -7,9 +7,11 @@ import { parseConfig } from '../utils/common.js';
 export class GitHubDiagnosticService {
   constructor(options = {}) {
     this.config = { ...parseConfig(), ...options };
+    // Diagnostics always check live access, never cached responses
     this.client = createGitHubClient({ 
       token: this.config.token, 
-      apiBase: this.config.apiBase 
+      apiBase: this.config.apiBase,
+      cache: false
     });
   }
 
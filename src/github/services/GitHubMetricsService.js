@@ -1,7 +1,7 @@
-import { writeFileSync } from 'node:fs';
 import path from 'node:path';
 import { GitHubBaseService } from './GitHubBaseService.js';
 import { normalizeDate, createDateDirStructure } from '../utils/common.js';
+import { writeText } from '../../common/fs.js';
 
 /**
  * Service for fetching and managing GitHub Copilot metrics
@@ -58,42 +58,148 @@ export class GitHubMetricsService extends GitHubBaseService {
   }
 
   /**
-   * Save metrics to file system
-   * @private
+   * Fetch Copilot metrics for each team in the organization
+   * Teams come from `options.teams` (slugs) or are enumerated from the org.
+   * Teams without metrics (fewer than 5 licensed members, or no access) are
+   * skipped and reported back rather than failing the run.
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Object>} - Saved files per team and the skipped teams
    */
-  async saveMetrics(metrics, metadata) {
-    const fetchedAt = new Date().toISOString();
-    const outputDir = createDateDirStructure(path.join(metadata.dataDir || 'data/github', 'metrics'));
-    
-    // Generate filename following pattern: copilot-metrics_{org_name}_YYYY-MM-DD_to_YYYY-MM-DD
-    let startDate, endDate;
-    
-    if (metadata.since || metadata.until) {
-      // Use specified date range, extract YYYY-MM-DD part
-      startDate = metadata.since ? metadata.since.split('T')[0] : 'unspecified';
-      endDate = metadata.until ? metadata.until.split('T')[0] : 'unspecified';
+  async fetchTeamMetrics(options = {}) {
+    this.validateConfig();
+
+    const fetchConfig = { ...this.config, ...options };
+    const { org, since, until, perPage = 100, delayMs = 0, teams } = fetchConfig;
+
+    const params = {};
+    if (since) params.since = normalizeDate(since);
+    if (until) params.until = normalizeDate(until);
+    const requestOptions = { perPage, delayMs };
+
+    let teamList;
+    if (teams && teams.length) {
+      teamList = teams.map(slug => ({ slug, name: slug }));
     } else {
-      // No date range specified - use actual data range if available
-      if (metrics.length > 0) {
-        const dates = metrics.map(m => m.date).filter(Boolean).sort();
-        if (dates.length > 0) {
-          startDate = dates[0];
-          endDate = dates[dates.length - 1];
-        } else {
-          startDate = endDate = 'unknown';
+      console.log(`Fetching teams for organization: ${org}`);
+      const orgTeams = await this.client.fetchOrgTeams(org, { perPage, delayMs });
+      teamList = orgTeams.map(team => ({ slug: team.slug, name: team.name }));
+      console.log(`✓ Found ${teamList.length} teams`);
+    }
+
+    const saved = [];
+    const skipped = [];
+    for (const team of teamList) {
+      console.log(`Fetching Copilot metrics for team: ${team.slug}`);
+      try {
+        const metrics = await this.client.fetchTeamMetrics(org, team.slug, params, requestOptions);
+        if (!metrics || metrics.length === 0) {
+          console.log(`⚠️  No metrics available for team: ${team.slug} (may need ≥5 active users)`);
+          skipped.push({ team: team.slug, reason: metrics ? 'no data' : 'not available' });
+          continue;
+        }
+
+        const result = await this.saveTeamMetrics(metrics, {
+          org,
+          team,
+          since: params.since,
+          until: params.until,
+          dataDir: fetchConfig.dataDir
+        });
+        saved.push({ team: team.slug, ...result });
+      } catch (error) {
+        console.error(`❌ Failed to fetch metrics for team ${team.slug}:`, error.message);
+        throw error;
+      }
+    }
+
+    console.log(`✓ Saved metrics for ${saved.length} of ${teamList.length} teams`);
+    return { teams: saved, skipped };
+  }
+
+  /**
+   * Fetch Copilot metrics for an enterprise, or across a list of orgs
+   * With `orgs` each org is fetched and saved on its own, then the days are
+   * merged into one combined `copilot-enterprise-metrics_` file named after the
+   * enterprise. Without `orgs` the enterprise metrics endpoint is used.
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Object>} - Combined result plus per-org results
+   */
+  async fetchEnterpriseMetrics(options = {}) {
+    this.validateEnterpriseConfig();
+
+    const fetchConfig = { ...this.config, ...options };
+    const { enterprise, orgs, since, until, perPage = 100, delayMs = 0 } = fetchConfig;
+    const label = enterprise || 'combined';
+
+    const params = {};
+    if (since) params.since = normalizeDate(since);
+    if (until) params.until = normalizeDate(until);
+    const requestOptions = { perPage, delayMs };
+
+    try {
+      const perOrg = [];
+      let metrics;
+
+      if (orgs?.length) {
+        for (const org of orgs) {
+          console.log(`Fetching Copilot metrics for organization: ${org}`);
+          const orgMetrics = await this.client.fetchOrgMetrics(org, params, requestOptions);
+          const result = await this.saveOrgMetrics(orgMetrics, {
+            org,
+            enterprise: enterprise || null,
+            since: params.since,
+            until: params.until,
+            dataDir: fetchConfig.dataDir
+          });
+          perOrg.push({ org, ...result });
         }
+        metrics = this.mergeOrgMetrics(perOrg.map(result => result.items));
       } else {
-        startDate = endDate = 'unknown';
+        console.log(`Fetching Copilot metrics for enterprise: ${enterprise}`);
+        metrics = await this.client.fetchEnterpriseMetrics(enterprise, params, requestOptions);
       }
+
+      const result = await this.saveMetrics(metrics, {
+        org: label,
+        scope: 'enterprise',
+        enterprise: enterprise || null,
+        orgs: orgs?.length ? orgs : null,
+        since: params.since,
+        until: params.until,
+        dataDir: fetchConfig.dataDir
+      });
+
+      console.log(`✓ Successfully fetched ${metrics.length} combined metric records`);
+      return { ...result, orgs: perOrg };
+
+    } catch (error) {
+      console.error('❌ Failed to fetch enterprise metrics:', error.message);
+      throw error;
     }
+  }
+
+  /**
+   * Save metrics to file system
+   * @private
+   */
+  async saveMetrics(metrics, metadata) {
+    const fetchedAt = new Date().toISOString();
+    // Combined enterprise metrics go under metrics/enterprise with their own prefix,
+    // so they never share a day with the per-org files written for the same dates
+    const enterprise = metadata.scope === 'enterprise';
+    const outputDir = createDateDirStructure(path.join(metadata.dataDir || 'data/github', 'metrics', ...(enterprise ? ['enterprise'] : [])));
     
-    const fileName = `copilot-metrics_${metadata.org}_${startDate}_to_${endDate}.json`;
+    // Generate filename following pattern: copilot-metrics_{org_name}_YYYY-MM-DD_to_YYYY-MM-DD
+    // (copilot-enterprise-metrics_{enterprise}_... for combined metrics)
+    const { startDate, endDate } = this.getFileDateRange(metrics, metadata);
+    const fileName = `${enterprise ? 'copilot-enterprise-metrics' : 'copilot-metrics'}_${metadata.org}_${startDate}_to_${endDate}.json`;
     const filePath = path.join(outputDir, fileName);
     
     // Prepare output structure
     const output = {
       meta: {
         org: metadata.org,
+        ...(metadata.scope && { scope: metadata.scope, enterprise: metadata.enterprise, orgs: metadata.orgs }),
         fetched_at: fetchedAt,
         count_days: metrics.length,
         since: metadata.since,
@@ -102,7 +208,7 @@ export class GitHubMetricsService extends GitHubBaseService {
       data: metrics
     };
 
-    writeFileSync(filePath, JSON.stringify(output, null, 2), 'utf8');
+    writeText(filePath, JSON.stringify(output, null, 2));
     console.log(`✓ Saved to: ${filePath}`);
     
     return { 
@@ -112,6 +218,144 @@ export class GitHubMetricsService extends GitHubBaseService {
     };
   }
 
+  /**
+   * Save one team's metrics under data/github/metrics/teams
+   * The `copilot-team-metrics_` prefix keeps team files out of org-level readers.
+   * @private
+   */
+  async saveTeamMetrics(metrics, metadata) {
+    const fetchedAt = new Date().toISOString();
+    const outputDir = createDateDirStructure(path.join(metadata.dataDir || 'data/github', 'metrics', 'teams'));
+
+    // Pattern: copilot-team-metrics_{org_name}_{team_slug}_YYYY-MM-DD_to_YYYY-MM-DD
+    const { startDate, endDate } = this.getFileDateRange(metrics, metadata);
+    const fileName = `copilot-team-metrics_${metadata.org}_${metadata.team.slug}_${startDate}_to_${endDate}.json`;
+    const filePath = path.join(outputDir, fileName);
+
+    const output = {
+      meta: {
+        org: metadata.org,
+        team: metadata.team,
+        fetched_at: fetchedAt,
+        count_days: metrics.length,
+        since: metadata.since,
+        until: metadata.until
+      },
+      data: metrics
+    };
+
+    writeText(filePath, JSON.stringify(output, null, 2));
+    console.log(`✓ Saved to: ${filePath}`);
+
+    return {
+      jsonPath: filePath,
+      count: metrics.length,
+      items: metrics
+    };
+  }
+
+  /**
+   * Save one org's metrics from an enterprise fetch under data/github/metrics/orgs
+   * The `copilot-org-metrics_` prefix keeps these out of the combined readers,
+   * which would otherwise pick one org per day instead of the merged totals.
+   * @private
+   */
+  async saveOrgMetrics(metrics, metadata) {
+    const fetchedAt = new Date().toISOString();
+    const outputDir = createDateDirStructure(path.join(metadata.dataDir || 'data/github', 'metrics', 'orgs'));
+
+    // Pattern: copilot-org-metrics_{org_name}_YYYY-MM-DD_to_YYYY-MM-DD
+    const { startDate, endDate } = this.getFileDateRange(metrics, metadata);
+    const fileName = `copilot-org-metrics_${metadata.org}_${startDate}_to_${endDate}.json`;
+    const filePath = path.join(outputDir, fileName);
+
+    const output = {
+      meta: {
+        org: metadata.org,
+        enterprise: metadata.enterprise,
+        fetched_at: fetchedAt,
+        count_days: metrics.length,
+        since: metadata.since,
+        until: metadata.until
+      },
+      data: metrics
+    };
+
+    writeText(filePath, JSON.stringify(output, null, 2));
+    console.log(`✓ Saved to: ${filePath}`);
+
+    return {
+      jsonPath: filePath,
+      count: metrics.length,
+      items: metrics
+    };
+  }
+
+  /**
+   * Combine daily metrics from several orgs into one series
+   * Counts are summed and named breakdowns (editors, models, languages,
+   * repositories) are merged by name. User counts are summed too, so users
+   * active in more than one org are counted once per org.
+   * @param {Array<Array>} metricsLists - Daily metrics per org
+   * @returns {Array} - Combined daily metrics sorted by date
+   */
+  mergeOrgMetrics(metricsLists) {
+    const mergeInto = (target, source) => {
+      for (const [key, value] of Object.entries(source)) {
+        if (typeof value === 'number') {
+          target[key] = (target[key] || 0) + value;
+        } else if (Array.isArray(value)) {
+          target[key] = target[key] || [];
+          for (const item of value) {
+            const match = item && item.name !== undefined && target[key].find(t => t.name === item.name);
+            if (match) {
+              mergeInto(match, item);
+            } else {
+              target[key].push(structuredClone(item));
+            }
+          }
+        } else if (value && typeof value === 'object') {
+          target[key] = mergeInto(target[key] || {}, value);
+        } else if (target[key] === undefined) {
+          target[key] = value;
+        }
+      }
+      return target;
+    };
+
+    const byDate = new Map();
+    for (const metrics of metricsLists) {
+      for (const day of metrics) {
+        const existing = byDate.get(day.date);
+        byDate.set(day.date, existing ? mergeInto(existing, day) : structuredClone(day));
+      }
+    }
+
+    return [...byDate.values()].sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+  }
+
+  /**
+   * Date range used in metrics filenames: the requested range when given,
+   * otherwise the range of dates in the data
+   * @private
+   */
+  getFileDateRange(metrics, metadata) {
+    if (metadata.since || metadata.until) {
+      // Use specified date range, extract YYYY-MM-DD part
+      return {
+        startDate: metadata.since ? metadata.since.split('T')[0] : 'unspecified',
+        endDate: metadata.until ? metadata.until.split('T')[0] : 'unspecified'
+      };
+    }
+
+    // No date range specified - use actual data range if available
+    const dates = metrics.map(m => m.date).filter(Boolean).sort();
+    if (dates.length === 0) {
+      return { startDate: 'unknown', endDate: 'unknown' };
+    }
+    return { startDate: dates[0], endDate: dates[dates.length - 1] };
+  }
+
   /**
    * Get metrics summary statistics
    * @param {Array} metrics - Metrics data
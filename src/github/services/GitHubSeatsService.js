@@ -1,13 +1,14 @@
-import { writeFileSync, readFileSync, existsSync } from 'node:fs';
+import { readFileSync, existsSync } from 'node:fs';
 import path from 'node:path';
 import { GitHubBaseService } from './GitHubBaseService.js';
 import {
   ensureDir,
   createDateDirStructure,
-  cleanForCSV,
   addBOM,
   sleep
 } from '../utils/common.js';
+import { formatCSVRow } from '../../common/csv.js';
+import { writeText } from '../../common/fs.js';
 
 /**
  * Service for fetching and managing GitHub Copilot seat assignments
@@ -45,7 +46,7 @@ export class GitHubSeatsService extends GitHubBaseService {
     const cachePath = this.config.nameCachePath || 'data/github-name-cache.json';
     try {
       const cacheObject = Object.fromEntries(this.nameCache);
-      writeFileSync(cachePath, JSON.stringify(cacheObject, null, 2), 'utf8');
+      writeText(cachePath, JSON.stringify(cacheObject, null, 2));
     } catch (error) {
       console.warn('[warn] Failed to save name cache:', error.message);
     }
@@ -89,6 +90,132 @@ export class GitHubSeatsService extends GitHubBaseService {
     }
   }
 
+  /**
+   * Fetch Copilot seats for an enterprise, or across a list of orgs
+   * With `orgs` each org is fetched separately; otherwise the enterprise seats
+   * endpoint is used. Users holding seats in several orgs are merged into one
+   * seat that lists every assignment under `organizations`, and the result is
+   * saved as one combined `copilot-enterprise-seats_` snapshot named after the enterprise.
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Object>} - Result with merged seats and file paths
+   */
+  async fetchEnterpriseSeats(options = {}) {
+    this.validateEnterpriseConfig();
+
+    const fetchConfig = { ...this.config, ...options };
+    const { enterprise, orgs, perPage = 100, delayMs = 0, enrichNames = true } = fetchConfig;
+    const label = enterprise || 'combined';
+    const requestOptions = { perPage, delayMs };
+
+    try {
+      const assignedSeats = [];
+      let apiMeta = {};
+      let pages = 0;
+
+      if (orgs?.length) {
+        for (const org of orgs) {
+          console.log(`Fetching Copilot seats for organization: ${org}`);
+          const result = await this.client.fetchOrgSeats(org, requestOptions);
+          assignedSeats.push(...result.seats.map(seat => ({ ...seat, organization: seat.organization || { login: org } })));
+          pages += result.pages;
+        }
+      } else {
+        console.log(`Fetching Copilot seats for enterprise: ${enterprise}`);
+        const result = await this.client.fetchEnterpriseSeats(enterprise, requestOptions);
+        assignedSeats.push(...result.seats);
+        apiMeta = result.meta;
+        pages = result.pages;
+      }
+
+      const seats = this.mergeSeatsAcrossOrgs(assignedSeats);
+
+      if (enrichNames) {
+        await this.enrichSeatsWithNames(seats, fetchConfig);
+        this.saveNameCache();
+      }
+
+      const seatsByOrg = {};
+      for (const seat of assignedSeats) {
+        const org = seat.organization?.login || '(enterprise)';
+        seatsByOrg[org] = (seatsByOrg[org] || 0) + 1;
+      }
+
+      const meta = {
+        ...apiMeta,
+        scope: 'enterprise',
+        enterprise: enterprise || null,
+        orgs: Object.keys(seatsByOrg).sort(),
+        seats_by_org: seatsByOrg,
+        assigned_seats: assignedSeats.length,
+        unique_users: seats.length,
+        duplicate_seats: assignedSeats.length - seats.length
+      };
+
+      const jsonPath = await this.saveSeatsJSON(seats, meta, pages, { ...fetchConfig, org: label });
+      const csvPath = await this.saveSeatsCSV(seats, { ...fetchConfig, csvFileName: `copilot-enterprise-seat-assignments_${label}.csv` });
+
+      console.log(`✓ Successfully fetched ${assignedSeats.length} seat assignments for ${seats.length} unique users`);
+      if (meta.duplicate_seats > 0) {
+        console.log(`⚠️  ${meta.duplicate_seats} seat(s) belong to users with seats in more than one org`);
+      }
+
+      return { jsonPath, csvPath, count: seats.length, seats, meta };
+
+    } catch (error) {
+      console.error('❌ Failed to fetch enterprise seats:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge seats of users who hold seats in more than one org
+   * The merged seat keeps the most recent activity, the earliest assignment
+   * and is only pending cancellation when every assignment is.
+   * @private
+   */
+  mergeSeatsAcrossOrgs(seats) {
+    const byLogin = new Map();
+    const activityTime = value => (value ? new Date(value).getTime() || 0 : 0);
+
+    for (const seat of seats) {
+      const login = seat.assignee?.login;
+      if (!login) continue;
+
+      const assignment = {
+        organization: seat.organization?.login || null,
+        created_at: seat.created_at || null,
+        last_activity_at: seat.last_activity_at || null,
+        last_activity_editor: seat.last_activity_editor || null,
+        pending_cancellation_date: seat.pending_cancellation_date || null,
+        assigning_team: seat.assigning_team || null
+      };
+
+      const key = login.toLowerCase();
+      const merged = byLogin.get(key);
+      if (!merged) {
+        byLogin.set(key, { ...seat, assignee: { ...seat.assignee }, organizations: [assignment] });
+        continue;
+      }
+
+      merged.organizations.push(assignment);
+      if (activityTime(seat.last_activity_at) > activityTime(merged.last_activity_at)) {
+        merged.last_activity_at = seat.last_activity_at;
+        merged.last_activity_editor = seat.last_activity_editor;
+        merged.organization = seat.organization;
+      }
+      if (seat.created_at && (!merged.created_at || seat.created_at < merged.created_at)) {
+        merged.created_at = seat.created_at;
+      }
+      if (!merged.assigning_team && seat.assigning_team) {
+        merged.assigning_team = seat.assigning_team;
+      }
+      const pendingDates = merged.organizations.map(a => a.pending_cancellation_date);
+      merged.pending_cancellation_date = pendingDates.every(Boolean) ? pendingDates.sort().pop() : null;
+    }
+
+    return [...byLogin.values()];
+  }
+
   /**
    * Enrich seats with user names from GitHub API
    * @private
@@ -101,7 +228,9 @@ export class GitHubSeatsService extends GitHubBaseService {
     for (const seat of seats) {
       const login = seat.assignee?.login;
       if (!login) continue;
-      if (!this.nameCache.has(login) || !this.nameCache.get(login).hasOwnProperty('name')) {
+      const cached = this.nameCache.get(login);
+      // Lookups that failed (rate limits, server errors) are retried on the next run
+      if (!cached || !cached.hasOwnProperty('name') || cached.status === 'error' || /^http_/.test(cached.status || '')) {
         missingLogins.push(login);
       }
     }
@@ -151,10 +280,14 @@ export class GitHubSeatsService extends GitHubBaseService {
    */
   async saveSeatsJSON(seats, meta, pages, config) {
     const fetchedAt = new Date().toISOString();
-    const dataOutputDir = createDateDirStructure(config.dataDir || 'data/github');
+    // Combined enterprise snapshots go under enterprise/ with their own prefix,
+    // so they never share a date with the per-org snapshots
+    const enterprise = meta.scope === 'enterprise';
+    const dataOutputDir = createDateDirStructure(path.join(config.dataDir || 'data/github', ...(enterprise ? ['enterprise'] : [])));
     // Generate filename following pattern: copilot-seats_{org_name}_YYYY-MM-DD_to_YYYY-MM-DD
+    // (copilot-enterprise-seats_{enterprise}_... for combined snapshots)
     const today = new Date(fetchedAt).toISOString().split('T')[0];
-    const fileName = `copilot-seats_${config.org}_${today}_to_${today}.json`;
+    const fileName = `${enterprise ? 'copilot-enterprise-seats' : 'copilot-seats'}_${config.org}_${today}_to_${today}.json`;
     const filePath = path.join(dataOutputDir, fileName);
     
     const jsonOutput = {
@@ -168,7 +301,7 @@ export class GitHubSeatsService extends GitHubBaseService {
       seats
     };
     
-    writeFileSync(filePath, JSON.stringify(jsonOutput, null, 2), 'utf8');
+    writeText(filePath, JSON.stringify(jsonOutput, null, 2));
     console.log(`✓ Saved JSON data: ${filePath}`);
     
     return filePath;
@@ -182,8 +315,11 @@ export class GitHubSeatsService extends GitHubBaseService {
     const outputDir = config.outputDir || 'output/csv/github';
     ensureDir(outputDir);
     
+    // Seats merged across orgs also list the orgs they are assigned in
+    const withOrgs = seats.some(seat => seat.organizations);
     const csvHeader = ['Login', 'Name', 'LastActivityAt', 'LastActivityEditor'];
-    const lines = [csvHeader.join(',')];
+    if (withOrgs) csvHeader.push('Organizations');
+    const lines = [formatCSVRow(csvHeader)];
     
     for (const seat of seats) {
       const assignee = seat.assignee || {};
@@ -194,17 +330,20 @@ export class GitHubSeatsService extends GitHubBaseService {
       let lastActivity = this.normalizeActivityDate(seat.last_activity_at);
       
       const row = [
-        cleanForCSV(login),
-        cleanForCSV(name),
-        cleanForCSV(lastActivity),
-        cleanForCSV(seat.last_activity_editor || '')
+        login,
+        name,
+        lastActivity,
+        seat.last_activity_editor || ''
       ];
+      if (withOrgs) {
+        row.push((seat.organizations || []).map(a => a.organization).filter(Boolean).join('; '));
+      }
       
-      lines.push(row.join(','));
+      lines.push(formatCSVRow(row.map(v => (v || '').toString().trim())));
     }
     
-    const csvPath = path.join(outputDir, 'copilot-seat-assignments.csv');
-    writeFileSync(csvPath, addBOM(lines.join('\n')), 'utf8');
+    const csvPath = path.join(outputDir, config.csvFileName || 'copilot-seat-assignments.csv');
+    writeText(csvPath, addBOM(lines.join('\n')));
     console.log(`✓ Saved CSV summary: ${csvPath}`);
     
     return csvPath;
@@ -1,4 +1,4 @@
-import { existsSync, readFileSync, writeFileSync, readdirSync } from 'node:fs';
+import { existsSync, readFileSync, readdirSync } from 'node:fs';
 import path from 'node:path';
 import { createGitHubClient } from '../utils/github-client.js';
 import { 
@@ -8,6 +8,8 @@ import {
   addBOM,
   sleep 
 } from '../utils/common.js';
+import { parseCSV, formatCSVRow } from '../../common/csv.js';
+import { writeText } from '../../common/fs.js';
 
 /**
  * Service for managing GitHub user data and mappings
@@ -17,7 +19,8 @@ export class GitHubUserService {
     this.config = { ...parseConfig(), ...options };
     this.client = createGitHubClient({ 
       token: this.config.token, 
-      apiBase: this.config.apiBase 
+      apiBase: this.config.apiBase,
+      cache: this.config.cache 
     });
     this.nameCache = new Map();
     this.loadNameCache();
@@ -56,7 +59,7 @@ export class GitHubUserService {
     const cachePath = this.config.cachePath || 'data/github-name-cache.json';
     try {
       const cacheObject = Object.fromEntries(this.nameCache);
-      writeFileSync(cachePath, JSON.stringify(cacheObject, null, 2), 'utf8');
+      writeText(cachePath, JSON.stringify(cacheObject, null, 2));
     } catch (error) {
       console.warn('[warn] Failed to save name cache:', error.message);
     }
@@ -312,17 +315,15 @@ export class GitHubUserService {
    */
   async loadExistingUserLookup(filePath, targetMap) {
     try {
-      const content = readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
-      const lines = content.split(/\r?\n/).filter(line => line.trim().length);
+      const [headerRow, ...records] = parseCSV(readFileSync(filePath, 'utf8'));
       
-      if (lines.length === 0) return;
+      if (!headerRow) return;
       
-      const header = lines[0].split(',').map(s => s.trim());
+      const header = headerRow.map(s => s.trim());
       const loginIdx = header.findIndex(h => /^login$/i.test(h));
       const nameIdx = header.findIndex(h => /^name$/i.test(h));
       
-      for (let i = 1; i < lines.length; i++) {
-        const parts = lines[i].split(',');
+      for (const parts of records) {
         const login = (parts[loginIdx] || '').trim();
         if (!login) continue;
         
@@ -340,19 +341,16 @@ export class GitHubUserService {
    */
   async saveUserLookupCSV(dataMap, filePath) {
     const header = ['Login', 'Name'];
-    const lines = [header.join(',')];
+    const lines = [formatCSVRow(header)];
     
     const sortedEntries = Array.from(dataMap.entries())
       .sort((a, b) => a[0].localeCompare(b[0], 'en'));
     
     for (const [login, name] of sortedEntries) {
-      lines.push([
-        (login || '').replace(/,/g, ' '),
-        (name || '').replace(/,/g, ' ')
-      ].join(','));
+      lines.push(formatCSVRow([login || '', name || '']));
     }
     
-    writeFileSync(filePath, addBOM(lines.join('\n')), 'utf8');
+    writeText(filePath, addBOM(lines.join('\n')));
   }
 
   /**
@@ -364,16 +362,14 @@ export class GitHubUserService {
     
     if (existsSync(outFile)) {
       try {
-        const content = readFileSync(outFile, 'utf8').replace(/^\uFEFF/, '');
-        const lines = content.split(/\r?\n/).filter(line => line.trim());
+        const [headerRow, ...records] = parseCSV(readFileSync(outFile, 'utf8'));
         
-        if (lines.length > 0) {
-          const header = lines[0].split(',');
+        if (headerRow) {
+          const header = headerRow.map(h => h.trim());
           const loginIdx = header.indexOf('Login');
           const emailIdx = header.indexOf('Email');
           
-          for (let i = 1; i < lines.length; i++) {
-            const parts = lines[i].split(',');
+          for (const parts of records) {
             const login = parts[loginIdx];
             const email = emailIdx >= 0 ? parts[emailIdx] : '';
             if (login) {
@@ -417,18 +413,14 @@ export class GitHubUserService {
     ensureDir(path.dirname(outFile));
     
     const header = ['Login', 'Email'];
-    const csvLines = [header.join(',')];
+    const csvLines = [formatCSVRow(header)];
     
     for (const row of rows) {
-      const csvRow = [
-        (row.login || '').replace(/,/g, ' '),
-        (row.email || '').replace(/,/g, ' ')
-      ];
-      csvLines.push(csvRow.join(','));
+      csvLines.push(formatCSVRow([row.login || '', row.email || '']));
     }
     
     const csvContent = addBOM(csvLines.join('\n'));
-    writeFileSync(outFile, csvContent, 'utf8');
+    writeText(outFile, csvContent);
     console.log(`✓ Saved to: ${outFile}`);
   }
 
@@ -24,6 +24,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
       'cache-path': { type: 'string' },
       'delay': { type: 'string', default: '50' },
       'force-refresh': { type: 'boolean', default: false },
+      'no-cache': { type: 'boolean', default: false },
       help: { type: 'boolean', short: 'h' }
     }
   });
@@ -42,6 +43,7 @@ Options:
       --cache-path <path>  Name cache file path (default: data/github-name-cache.json)
       --delay <ms>         Delay between API calls (default: 50)
       --force-refresh      Force refresh all cached names
+      --no-cache           Bypass the on-disk API cache (data/cache/github)
   -h, --help               Show this help
 
 Environment Variables:
@@ -63,7 +65,8 @@ Examples:
       outDir: args['out-dir'],
       cachePath: args['cache-path'],
       delayMs: parseInt(args.delay) || 50,
-      forceRefresh: args['force-refresh']
+      forceRefresh: args['force-refresh'],
+      cache: !args['no-cache']
     });
     
     console.log(`\n✅ Completed successfully!`);
@@ -1,4 +1,7 @@
 import { existsSync, mkdirSync } from 'node:fs';
+import path from 'node:path';
+import { isDryRun } from '../../common/dry-run.js';
+import { parseListOption } from '../../common/org.js';
 
 /**
  * Sleep for specified milliseconds
@@ -9,10 +12,11 @@ export const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
 
 /**
  * Ensure directory exists, creating it recursively if needed
+ * Nothing is created in dry-run mode.
  * @param {string} dirPath - Directory path to ensure
  */
 export const ensureDir = dirPath => {
-  if (!existsSync(dirPath)) {
+  if (!isDryRun() && !existsSync(dirPath)) {
     mkdirSync(dirPath, { recursive: true });
   }
 };
@@ -57,14 +61,32 @@ export const createDateDirStructure = (baseDir, date = new Date()) => {
 };
 
 /**
- * Clean string for CSV output (remove commas, trim whitespace)
- * @param {string} value - Value to clean
- * @returns {string} - Cleaned value
+ * Copilot data scopes: `org` seat and metrics files cover one org, `enterprise`
+ * files the combined output of an enterprise fetch
  */
-export const cleanForCSV = (value) => {
-  return (value || '').toString().replace(/,/g, ' ').trim();
+export const COPILOT_SCOPES = ['org', 'enterprise'];
+
+/**
+ * Check a Copilot scope option
+ * @param {string} scope - org or enterprise (default: org)
+ * @returns {string} - The scope
+ * @throws {Error} - If the scope is unknown
+ */
+export const parseCopilotScope = (scope = 'org') => {
+  if (!COPILOT_SCOPES.includes(scope)) {
+    throw new Error(`Unknown Copilot scope: ${scope} (expected org or enterprise)`);
+  }
+  return scope;
 };
 
+/**
+ * Scope of a Copilot seat or metrics file, from its name
+ * Combined files are saved as `copilot-enterprise-*`; everything else is org data.
+ * @param {string} file - Seat or metrics file path
+ * @returns {string} - org or enterprise
+ */
+export const getCopilotFileScope = (file) => (path.basename(file).startsWith('copilot-enterprise-') ? 'enterprise' : 'org');
+
 /**
  * Add UTF-8 BOM for Excel compatibility
  * @param {string} content - CSV content
@@ -79,6 +101,8 @@ export const addBOM = (content) => '\uFEFF' + content;
 export const parseConfig = () => {
   return {
     org: process.env.GH_ORG,
+    enterprise: process.env.GH_ENTERPRISE,
+    orgs: parseListOption(process.env.GH_ORGS),
     token: process.env.GH_TOKEN || process.env.GITHUB_TOKEN,
     apiBase: process.env.GH_API_BASE || 'https://api.github.com',
     dataDir: process.env.DATA_DIR || 'data/github',
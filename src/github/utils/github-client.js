@@ -1,23 +1,45 @@
 import https from 'node:https';
+import { sleep } from './common.js';
+import { HttpCache } from './http-cache.js';
+import { isDryRun, logDryRun } from '../../common/dry-run.js';
 
 /**
  * GitHub API client with unified error handling and rate limiting
  */
 export class GitHubClient {
-  constructor(token, apiBase = 'https://api.github.com') {
+  constructor(token, apiBase = 'https://api.github.com', options = {}) {
     this.token = token;
     this.apiBase = apiBase.replace(/\/$/, '');
     this.userAgent = 'ai-metrics-report-node';
     this.apiVersion = '2022-11-28';
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryDelayMs = options.retryDelayMs ?? 1000;
+    this.maxRateLimitWaitMs = options.maxRateLimitWaitMs ?? 60 * 60 * 1000;
+    this.verbose = options.verbose ?? false;
+    this.cache = options.cache || null;
+    this.offline = false;
+    this.rateLimit = null;
   }
 
   /**
    * Make HTTP request to GitHub API
+   * Waits for the rate limit to reset when it is exhausted (including
+   * secondary rate limits), and retries 5xx responses and connection errors
+   * with jittered exponential backoff. With a cache, requests are made
+   * conditional and a 304 is answered from the cached body; when the API
+   * cannot be reached, cached responses are served instead. Always resolves;
+   * check `ok`, and `fromCache` for responses read from the cache. In dry-run
+   * mode the request is only printed and answered with an empty body.
    * @param {string} url - Full URL to request
    * @param {object} options - Request options
    * @returns {Promise<object>} - Response object
    */
   async request(url, options = {}) {
+    if (isDryRun()) {
+      logDryRun(`GET ${url}`);
+      return { ok: true, status: 200, json: {}, headers: {}, bodyText: '', dryRun: true };
+    }
+
     const headers = {
       'User-Agent': this.userAgent,
       'Accept': 'application/vnd.github+json',
@@ -29,6 +51,96 @@ export class GitHubClient {
       headers['Authorization'] = `Bearer ${this.token}`;
     }
 
+    const cached = this.cache ? this.cache.get(url) : null;
+    if (cached && this.offline) {
+      return this.cachedResponse(cached);
+    }
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    const response = await this.requestWithRetries(url, headers);
+
+    if (cached && response.status === 304) {
+      return this.cachedResponse(cached, response.headers);
+    }
+    if (cached && response.status === 0) {
+      // Keep going from cache for the rest of the run instead of retrying every URL
+      this.offline = true;
+      console.warn(`[github-api] GitHub API unreachable (${response.error}); serving cached responses for the rest of this run`);
+      return this.cachedResponse(cached);
+    }
+    if (response.ok && this.cache) {
+      this.cache.set(url, response);
+    }
+    return response;
+  }
+
+  /**
+   * Send a request, waiting out rate limits and retrying transient failures
+   * @private
+   */
+  async requestWithRetries(url, headers) {
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForRateLimitReset();
+
+      const response = await this.send(url, headers);
+      this.updateRateLimit(response.headers);
+      this.logResponse(url, response, attempt);
+
+      if (attempt >= this.maxRetries) {
+        return response;
+      }
+
+      const rateLimitWait = this.getRateLimitWait(response, attempt);
+      if (rateLimitWait !== null) {
+        if (rateLimitWait > this.maxRateLimitWaitMs) {
+          console.warn(`[github-api] Rate limited; reset is ${Math.ceil(rateLimitWait / 1000)}s away, longer than the ${Math.ceil(this.maxRateLimitWaitMs / 1000)}s limit`);
+          return response;
+        }
+        console.warn(`[github-api] Rate limited (status ${response.status}), waiting ${Math.ceil(rateLimitWait / 1000)}s before retrying`);
+        await sleep(rateLimitWait);
+        continue;
+      }
+
+      if (response.status === 0 || response.status >= 500) {
+        const delayMs = this.getBackoffDelay(attempt);
+        const reason = response.status === 0 ? `connection error: ${response.error}` : `status ${response.status}`;
+        console.warn(`[github-api] Attempt ${attempt + 1} failed (${reason}), retrying in ${delayMs}ms`);
+        await sleep(delayMs);
+        continue;
+      }
+
+      return response;
+    }
+  }
+
+  /**
+   * Build a response from a cache entry, with any fresh headers from a 304
+   * @private
+   */
+  cachedResponse(entry, freshHeaders = {}) {
+    let json = {};
+    try {
+      json = JSON.parse(entry.bodyText || '{}');
+    } catch {
+      // Ignore parse errors
+    }
+
+    return {
+      ok: true,
+      status: entry.status,
+      json,
+      headers: { ...entry.headers, ...freshHeaders },
+      bodyText: entry.bodyText,
+      fromCache: true
+    };
+  }
+
+  /**
+   * Send a single GET request
+   * @private
+   */
+  send(url, headers) {
     return new Promise((resolve) => {
       https.get(url, { headers }, (res) => {
         let body = '';
@@ -53,18 +165,103 @@ export class GitHubClient {
             bodyText: body
           });
         });
-      }).on('error', () => {
+      }).on('error', (error) => {
         resolve({
           ok: false,
           status: 0,
           json: {},
           headers: {},
-          bodyText: ''
+          bodyText: '',
+          error: error.message
         });
       });
     });
   }
 
+  /**
+   * Remember the rate limit state from response headers
+   * @private
+   */
+  updateRateLimit(headers) {
+    if (headers['x-ratelimit-remaining'] === undefined) return;
+    this.rateLimit = {
+      limit: Number(headers['x-ratelimit-limit']),
+      remaining: Number(headers['x-ratelimit-remaining']),
+      used: Number(headers['x-ratelimit-used']),
+      resource: headers['x-ratelimit-resource'] || 'core',
+      resetAt: Number(headers['x-ratelimit-reset']) * 1000
+    };
+  }
+
+  /**
+   * Current rate limit state from the last response, or null before any request
+   * @returns {object|null} - `{ limit, remaining, used, resource, resetAt }`
+   */
+  getRateLimitState() {
+    return this.rateLimit;
+  }
+
+  /**
+   * Pause before a request when the last response used up the rate limit
+   * @private
+   */
+  async waitForRateLimitReset() {
+    if (!this.rateLimit || this.rateLimit.remaining > 0) return;
+    const waitMs = this.rateLimit.resetAt - Date.now() + 1000;
+    if (waitMs <= 0 || waitMs > this.maxRateLimitWaitMs) return;
+    console.warn(`[github-api] Rate limit exhausted (${this.rateLimit.resource}), pausing ${Math.ceil(waitMs / 1000)}s until reset`);
+    await sleep(waitMs);
+    this.rateLimit = null;
+  }
+
+  /**
+   * How long to wait before retrying a rate-limited response, or null if the
+   * response is not rate limited. Honors `retry-after`, then the primary
+   * limit reset; secondary limits without either wait at least a minute.
+   * @private
+   */
+  getRateLimitWait(response, attempt) {
+    if (response.status !== 403 && response.status !== 429) return null;
+
+    const retryAfter = Number(response.headers['retry-after']);
+    if (retryAfter > 0) {
+      return retryAfter * 1000;
+    }
+
+    if (response.headers['x-ratelimit-remaining'] === '0' && response.headers['x-ratelimit-reset']) {
+      return Math.max(0, Number(response.headers['x-ratelimit-reset']) * 1000 - Date.now()) + 1000;
+    }
+
+    if (response.status === 429 || /secondary rate limit/i.test(response.bodyText || '')) {
+      return 60 * 1000 * 2 ** attempt;
+    }
+
+    return null;
+  }
+
+  /**
+   * Exponential backoff with jitter for transient failures
+   * @private
+   */
+  getBackoffDelay(attempt) {
+    const base = this.retryDelayMs * 2 ** attempt;
+    return Math.round(base + Math.random() * base);
+  }
+
+  /**
+   * Log each response with the rate limit state in verbose mode
+   * @private
+   */
+  logResponse(url, response, attempt) {
+    if (!this.verbose) return;
+    const endpoint = url.startsWith(this.apiBase) ? url.slice(this.apiBase.length) : url;
+    const retry = attempt > 0 ? ` (retry ${attempt})` : '';
+    const limit = this.rateLimit && response.headers['x-ratelimit-remaining'] !== undefined
+      ? `, rate limit ${this.rateLimit.remaining}/${this.rateLimit.limit} ${this.rateLimit.resource}, resets ${new Date(this.rateLimit.resetAt).toISOString()}`
+      : '';
+    console.log(`[github-api] GET ${endpoint} -> ${response.status || response.error}${retry}${limit}`);
+  }
+
   /**
    * Handle paginated requests
    * @param {string} baseUrl - Base URL for the API endpoint
@@ -86,6 +283,9 @@ export class GitHubClient {
 
       const url = `${baseUrl}?${queryParams.toString()}`;
       const response = await this.request(url);
+      if (response.dryRun && !singlePage) {
+        logDryRun(`  then page ${currentPage + 1} onwards while the Link header has rel="next"`);
+      }
 
       if (!response.ok) {
         throw this.createAPIError(response);
@@ -169,6 +369,18 @@ export class GitHubClient {
     }
   }
 
+  /**
+   * Fetch all teams visible in an organization
+   * @param {string} org - Organization name
+   * @param {object} options - Request options
+   * @returns {Promise<Array>} - Teams with slug, name and description
+   */
+  async fetchOrgTeams(org, options = {}) {
+    const url = `${this.apiBase}/orgs/${encodeURIComponent(org)}/teams`;
+    const result = await this.fetchAllPages(url, {}, options);
+    return result.items;
+  }
+
   /**
    * Fetch organization Copilot seats
    * @param {string} org - Organization name
@@ -177,6 +389,38 @@ export class GitHubClient {
    */
   async fetchOrgSeats(org, options = {}) {
     const url = `${this.apiBase}/orgs/${encodeURIComponent(org)}/copilot/billing/seats`;
+    return this.fetchSeatsAt(url, options);
+  }
+
+  /**
+   * Fetch enterprise Copilot seats
+   * Each seat carries the `organization` it was assigned through.
+   * @param {string} enterprise - Enterprise slug
+   * @param {object} options - Request options
+   * @returns {Promise<object>} - Seats data with metadata
+   */
+  async fetchEnterpriseSeats(enterprise, options = {}) {
+    const url = `${this.apiBase}/enterprises/${encodeURIComponent(enterprise)}/copilot/billing/seats`;
+    return this.fetchSeatsAt(url, options);
+  }
+
+  /**
+   * Fetch enterprise Copilot metrics
+   * @param {string} enterprise - Enterprise slug
+   * @param {object} params - Query parameters
+   * @returns {Promise<Array>} - Metrics data
+   */
+  async fetchEnterpriseMetrics(enterprise, params = {}, options = {}) {
+    const url = `${this.apiBase}/enterprises/${encodeURIComponent(enterprise)}/copilot/metrics`;
+    const result = await this.fetchAllPages(url, params, options);
+    return result.items;
+  }
+
+  /**
+   * Fetch all seats from a seats endpoint along with its seat totals
+   * @private
+   */
+  async fetchSeatsAt(url, options = {}) {
     let firstResponse = null;
     const { items: seats, pages } = await this.fetchAllPages(url, {}, {
       ...options,
@@ -223,11 +467,19 @@ export class GitHubClient {
     }
     
     switch (response.status) {
+      case 0:
+        message = `Connection failed – ${response.error || 'no response from GitHub API'}`;
+        break;
       case 401:
         message = 'Unauthorized – invalid or missing token';
         break;
       case 403:
-        message = 'Forbidden – missing required scopes or policy disabled';
+        message = response.headers?.['x-ratelimit-remaining'] === '0' || /rate limit/i.test(specificError)
+          ? `Rate limited – ${specificError || 'API rate limit exceeded'}`
+          : 'Forbidden – missing required scopes or policy disabled';
+        break;
+      case 429:
+        message = `Rate limited – ${specificError || 'too many requests'}`;
         break;
       case 404:
         message = 'Not found – org not found or token lacks access';
@@ -270,6 +522,24 @@ export class GitHubClient {
 export const createGitHubClient = (options = {}) => {
   const token = options.token || process.env.GH_TOKEN || process.env.GITHUB_TOKEN;
   const apiBase = options.apiBase || process.env.GH_API_BASE || 'https://api.github.com';
-  
-  return new GitHubClient(token, apiBase);
+  const maxRateLimitWait = envNumber('GH_MAX_RATE_LIMIT_WAIT');
+
+  const useCache = options.cache !== false && process.env.GH_NO_CACHE !== 'true';
+
+  return new GitHubClient(token, apiBase, {
+    cache: useCache ? new HttpCache(options.cacheDir || process.env.GH_HTTP_CACHE_DIR || 'data/cache/github') : null,
+    maxRetries: options.maxRetries ?? envNumber('GH_MAX_RETRIES'),
+    maxRateLimitWaitMs: options.maxRateLimitWaitMs ?? (maxRateLimitWait !== undefined ? maxRateLimitWait * 1000 : undefined),
+    verbose: options.verbose ?? process.env.VERBOSE === 'true'
+  });
 };
+
+/**
+ * Read a non-negative number from the environment
+ * @param {string} name - Environment variable name
+ * @returns {number|undefined} - Parsed value, or undefined when unset or invalid
+ */
+function envNumber(name) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) && value >= 0 ? value : undefined;
+}
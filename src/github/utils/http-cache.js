@@ -0,0 +1,80 @@
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+import { ensureDir } from './common.js';
+
+/**
+ * Headers kept with a cached response. `link` is needed to keep paginating
+ * from cache; the validators are sent back on the next request.
+ */
+const CACHED_HEADERS = ['link', 'content-type', 'etag', 'last-modified'];
+
+/**
+ * On-disk HTTP cache for conditional GitHub API requests
+ * One JSON file per URL, named by the URL's SHA-256 hash. Only responses
+ * with an `ETag` or `Last-Modified` validator are stored.
+ */
+export class HttpCache {
+  constructor(dir = 'data/cache/github') {
+    this.dir = dir;
+  }
+
+  /**
+   * Path of the cache file for a URL
+   * @private
+   */
+  pathFor(url) {
+    const hash = createHash('sha256').update(url).digest('hex');
+    return path.join(this.dir, hash.slice(0, 2), `${hash}.json`);
+  }
+
+  /**
+   * Get the cached entry for a URL
+   * @param {string} url - Request URL
+   * @returns {object|null} - `{ url, storedAt, etag, lastModified, status, headers, bodyText }` or null
+   */
+  get(url) {
+    const filePath = this.pathFor(url);
+    if (!existsSync(filePath)) return null;
+
+    try {
+      const entry = JSON.parse(readFileSync(filePath, 'utf8'));
+      return entry.url === url ? entry : null;
+    } catch {
+      // A corrupt entry is treated as a miss and overwritten on the next response
+      return null;
+    }
+  }
+
+  /**
+   * Store a successful response if it carries a validator
+   * @param {string} url - Request URL
+   * @param {object} response - Response from `GitHubClient.send`
+   */
+  set(url, response) {
+    const etag = response.headers.etag;
+    const lastModified = response.headers['last-modified'];
+    if (!etag && !lastModified) return;
+
+    const headers = {};
+    for (const name of CACHED_HEADERS) {
+      if (response.headers[name] !== undefined) headers[name] = response.headers[name];
+    }
+
+    const filePath = this.pathFor(url);
+    try {
+      ensureDir(path.dirname(filePath));
+      writeFileSync(filePath, JSON.stringify({
+        url,
+        storedAt: new Date().toISOString(),
+        etag: etag || null,
+        lastModified: lastModified || null,
+        status: response.status,
+        headers,
+        bodyText: response.bodyText
+      }), 'utf8');
+    } catch (error) {
+      console.warn(`[github-api] Failed to write HTTP cache entry: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,542 @@
+import { existsSync, readFileSync, readdirSync, statSync } from 'node:fs';
+import path from 'node:path';
+import { ensureDir, appendText, writeText } from '../common/fs.js';
+import { parseDate } from '../cursor/util.js';
+import { getCopilotFileScope } from '../github/utils/common.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Row types written to the store. Every row carries `type`, `date` (YYYY-MM-DD),
+ * `user` (GitHub login, Cursor email, or null for org-level rows) and `source`
+ * (the file it was read from). Copilot rows also carry `scope`: `org`, or
+ * `enterprise` for combined enterprise files.
+ */
+export const ROW_TYPES = {
+  COPILOT_SEAT: 'copilot-seat',         // seat held on the snapshot date
+  COPILOT_ACTIVE: 'copilot-active',     // derived from a seat's last_activity_at
+  COPILOT_ORG: 'copilot-org',           // org-level daily metrics
+  CURSOR: 'cursor'                      // per-user daily Cursor activity
+};
+
+const toDay = d => d.toISOString().split('T')[0];
+const shiftDay = (day, offset) => toDay(new Date(Date.parse(`${day}T00:00:00Z`) + offset * DAY_MS));
+
+/**
+ * Date a seat snapshot was taken: fetch time, then file name, then mtime
+ * @param {Object} data - Parsed seat file
+ * @param {string} file - Seat file path
+ * @returns {string} - YYYY-MM-DD
+ */
+export function getSeatSnapshotDate(data, file) {
+  const fetchedAt = data.meta?.fetched_at ? new Date(data.meta.fetched_at) : null;
+  if (fetchedAt && !isNaN(fetchedAt.getTime())) return toDay(fetchedAt);
+  const match = path.basename(file).match(/(\d{4}-\d{2}-\d{2})(?:_to_(\d{4}-\d{2}-\d{2}))?\.json$/);
+  if (match) return match[2] || match[1];
+  return toDay(statSync(file).mtime);
+}
+
+/**
+ * Local append-only time-series store for seat and activity history
+ *
+ * Every dated seat, metrics and Cursor activity file under the data directory is
+ * ingested once into per-user, per-day rows in a JSONL file. When a source file
+ * changes, the rows read from its previous version are removed before the new
+ * ones are appended. Rows are keyed by type, scope, org, date and user, so seats
+ * held in several orgs are all kept; when several files give the same key the
+ * most recent row wins on read, and `compact()` rewrites the file without
+ * duplicates. The weekly and cohort views read the Copilot rows of one scope
+ * (`scope` option, default `org`).
+ */
+export class HistoryStore {
+  constructor(options = {}) {
+    const dataDir = options.dataDir || 'data';
+    this.config = {
+      dataDir,
+      storeDir: options.storeDir || path.join(dataDir, 'history'),
+      scope: 'org',
+      ...options
+    };
+    this.storePath = path.join(this.config.storeDir, 'activity.jsonl');
+    this.manifestPath = path.join(this.config.storeDir, 'ingested.json');
+  }
+
+  /**
+   * Ingest every source file that is new or changed since the last run
+   * Rows from the previous version of a changed file are replaced.
+   * @returns {{ filesIngested: number, filesSkipped: number, rowsAdded: number, rowsReplaced: number }}
+   */
+  ingest() {
+    const manifest = this.loadManifest();
+    const result = { filesIngested: 0, filesSkipped: 0, rowsAdded: 0, rowsReplaced: 0 };
+    const changed = [];
+
+    for (const { file, kind } of this.findSourceFiles()) {
+      const stat = statSync(file);
+      const previous = manifest.files[file];
+      if (previous && previous.size === stat.size && previous.mtimeMs === stat.mtimeMs) {
+        result.filesSkipped++;
+        continue;
+      }
+      changed.push({ file, kind, stat });
+    }
+
+    // Drop the rows of the previous versions in one rewrite before appending
+    const stale = new Set(changed.map(({ file }) => file).filter(file => manifest.files[file]));
+    if (stale.size) result.rowsReplaced = this.removeSourceRows(stale);
+
+    for (const { file, kind, stat } of changed) {
+      let rows;
+      try {
+        rows = this.extractRows(file, kind);
+      } catch (error) {
+        console.warn(`⚠️  Skipping unreadable file ${path.basename(file)}: ${error.message}`);
+        continue;
+      }
+
+      this.appendRows(rows.map(row => ({ ...row, source: file })));
+      manifest.files[file] = { kind, size: stat.size, mtimeMs: stat.mtimeMs, rows: rows.length, ingestedAt: new Date().toISOString() };
+      result.filesIngested++;
+      result.rowsAdded += rows.length;
+    }
+
+    this.saveManifest(manifest);
+    return result;
+  }
+
+  /**
+   * Read all rows, keeping only the latest row per type/scope/org/date/user
+   * @param {Object} filter - Optional { types, startDate, endDate, scope } (dates as YYYY-MM-DD);
+   *   `scope` keeps only the Copilot rows of that scope
+   * @returns {Array<Object>}
+   */
+  readRows(filter = {}) {
+    if (!existsSync(this.storePath)) return [];
+    const { types, startDate, endDate, scope } = filter;
+    const rows = new Map();
+
+    for (const line of readFileSync(this.storePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      let row;
+      try {
+        row = JSON.parse(line);
+      } catch {
+        continue; // tolerate a torn final line from an interrupted append
+      }
+      if (types && !types.includes(row.type)) continue;
+      if (startDate && row.date < startDate) continue;
+      if (endDate && row.date > endDate) continue;
+      if (scope && row.type !== ROW_TYPES.CURSOR && row.scope !== scope) continue;
+      rows.set(`${row.type}|${row.scope ?? ''}|${row.org ?? ''}|${row.date}|${row.user ?? ''}`, row);
+    }
+
+    return [...rows.values()];
+  }
+
+  /**
+   * Rewrite the store with one row per type/scope/org/date/user, sorted by date
+   * @returns {{ before: number, after: number }}
+   */
+  compact() {
+    if (!existsSync(this.storePath)) return { before: 0, after: 0 };
+    const before = readFileSync(this.storePath, 'utf8').split('\n').filter(l => l.trim()).length;
+    const rows = this.readRows().sort((a, b) => a.date.localeCompare(b.date) || a.type.localeCompare(b.type));
+    writeText(this.storePath, rows.map(r => JSON.stringify(r)).join('\n') + (rows.length ? '\n' : ''));
+    return { before, after: rows.length };
+  }
+
+  /**
+   * Active users per week for each tool, newest week last
+   * Weeks are 7-day blocks ending on `endDate` (default today, UTC).
+   * @param {Object} options - { weeks = 26, endDate }
+   * @returns {Array<Object>}
+   */
+  activeUsersByWeek({ weeks = 26, endDate = new Date() } = {}) {
+    const end = new Date(Date.UTC(endDate.getUTCFullYear(), endDate.getUTCMonth(), endDate.getUTCDate()));
+    const start = new Date(end.getTime() - (weeks * 7 - 1) * DAY_MS);
+    const rows = this.readRows({ startDate: toDay(start), endDate: toDay(end), scope: this.config.scope });
+
+    const buckets = [];
+    for (let i = 0; i < weeks; i++) {
+      const weekStart = new Date(start.getTime() + i * 7 * DAY_MS);
+      buckets.push({
+        weekStart: toDay(weekStart),
+        weekEnd: toDay(new Date(weekStart.getTime() + 6 * DAY_MS)),
+        copilotActive: new Set(),
+        copilotSeats: new Map(),
+        copilotOrgDaily: new Map(),
+        cursorActive: new Set(),
+        cursorRequests: 0
+      });
+    }
+    const bucketFor = date => buckets[Math.floor((Date.parse(`${date}T00:00:00Z`) - start.getTime()) / (7 * DAY_MS))];
+
+    for (const row of rows) {
+      const bucket = bucketFor(row.date);
+      if (!bucket) continue;
+      switch (row.type) {
+        case ROW_TYPES.COPILOT_ACTIVE:
+          bucket.copilotActive.add(row.user);
+          break;
+        case ROW_TYPES.COPILOT_SEAT: {
+          // Seat counts come from the latest snapshot inside the week
+          const seats = bucket.copilotSeats.get(row.date) || new Set();
+          seats.add(row.user);
+          bucket.copilotSeats.set(row.date, seats);
+          break;
+        }
+        case ROW_TYPES.COPILOT_ORG:
+          // Orgs fetched separately add up per day
+          bucket.copilotOrgDaily.set(row.date, (bucket.copilotOrgDaily.get(row.date) || 0) + (row.activeUsers || 0));
+          break;
+        case ROW_TYPES.CURSOR:
+          if (row.active) bucket.cursorActive.add(row.user);
+          bucket.cursorRequests += row.requests || 0;
+          break;
+      }
+    }
+
+    return buckets.map(bucket => {
+      const seatDates = [...bucket.copilotSeats.keys()].sort();
+      const daily = [...bucket.copilotOrgDaily.values()];
+      return {
+        weekStart: bucket.weekStart,
+        weekEnd: bucket.weekEnd,
+        copilotActiveUsers: bucket.copilotActive.size,
+        copilotSeats: seatDates.length ? bucket.copilotSeats.get(seatDates.at(-1)).size : null,
+        copilotAverageDailyActive: daily.length ? parseFloat((daily.reduce((a, b) => a + b, 0) / daily.length).toFixed(1)) : null,
+        cursorActiveUsers: bucket.cursorActive.size,
+        cursorRequests: bucket.cursorRequests
+      };
+    });
+  }
+
+  /**
+   * Monthly start cohorts with weekly retention for each tool
+   * Copilot users start on their seat's created_at and Cursor users on the first
+   * day they appear in Cursor activity. Week N covers days 7(N-1) to 7N-1 after
+   * the start. A user is retained in week N when they were active on any of those
+   * days and churned when the data shows no activity that week; weeks the data
+   * cannot answer, or that have not finished yet, are left out. Cursor users first
+   * seen on the first day of Cursor data may have started earlier, so they are
+   * counted as censored instead of joining a cohort.
+   * @param {Object} options - { maxWeeks = 12, endDate }
+   * @returns {{ copilot: Object, cursor: Object }} - { cohorts, censored } per tool
+   */
+  retentionCohorts({ maxWeeks = 12, endDate = new Date() } = {}) {
+    const end = toDay(endDate);
+    const seats = new Map();
+    const cursorUsers = new Map();
+    const cursorDates = new Set();
+
+    for (const row of this.readRows({ types: [ROW_TYPES.COPILOT_SEAT, ROW_TYPES.CURSOR], scope: this.config.scope })) {
+      if (row.type === ROW_TYPES.COPILOT_SEAT) {
+        if (!seats.has(row.user)) seats.set(row.user, { latest: null, observations: [] });
+        const seat = seats.get(row.user);
+        const lastActivity = row.lastActivityAt ? new Date(row.lastActivityAt) : null;
+        seat.observations.push({
+          snapshot: row.date,
+          lastActivity: lastActivity && !isNaN(lastActivity.getTime()) ? toDay(lastActivity) : null
+        });
+        if (!seat.latest || row.date > seat.latest.date) seat.latest = row;
+      } else {
+        cursorDates.add(row.date);
+        if (!cursorUsers.has(row.user)) cursorUsers.set(row.user, { firstSeen: row.date, activeDays: new Set() });
+        const user = cursorUsers.get(row.user);
+        if (row.date < user.firstSeen) user.firstSeen = row.date;
+        if (row.active) user.activeDays.add(row.date);
+      }
+    }
+
+    // Copilot: a last activity inside the week proves activity; a snapshot taken
+    // after the week whose last activity predates it proves there was none
+    const copilotUsers = [];
+    let copilotCensored = 0;
+    for (const seat of seats.values()) {
+      const createdAt = seat.latest.createdAt ? new Date(seat.latest.createdAt) : null;
+      if (!createdAt || isNaN(createdAt.getTime())) {
+        copilotCensored++;
+        continue;
+      }
+      const start = toDay(createdAt);
+      copilotUsers.push({ start, observations: seat.observations.filter(o => o.snapshot >= start) });
+    }
+    const copilotStatus = (user, weekStart, weekEnd) => {
+      if (user.observations.some(o => o.lastActivity && o.lastActivity >= weekStart && o.lastActivity <= weekEnd)) return true;
+      if (user.observations.some(o => o.snapshot >= weekEnd && (!o.lastActivity || o.lastActivity < weekStart))) return false;
+      return null;
+    };
+
+    // Cursor: daily rows cover every member, so any data in the week answers it
+    const firstCursorDate = [...cursorDates].sort()[0] || null;
+    const cursorList = [];
+    let cursorCensored = 0;
+    for (const user of cursorUsers.values()) {
+      if (user.firstSeen === firstCursorDate) {
+        cursorCensored++;
+        continue;
+      }
+      cursorList.push({ start: user.firstSeen, activeDays: user.activeDays });
+    }
+    const cursorStatus = (user, weekStart) => {
+      let covered = false;
+      for (let offset = 0; offset < 7; offset++) {
+        const day = shiftDay(weekStart, offset);
+        if (user.activeDays.has(day)) return true;
+        if (cursorDates.has(day)) covered = true;
+      }
+      return covered ? false : null;
+    };
+
+    const buildCohorts = (users, statusFor) => {
+      const cohorts = new Map();
+      for (const user of users) {
+        const month = user.start.slice(0, 7);
+        if (!cohorts.has(month)) {
+          cohorts.set(month, {
+            cohort: month,
+            users: 0,
+            weeks: Array.from({ length: maxWeeks }, (_, i) => ({ week: i + 1, retained: 0, known: 0 }))
+          });
+        }
+        const cohort = cohorts.get(month);
+        cohort.users++;
+        for (const week of cohort.weeks) {
+          const weekStart = shiftDay(user.start, (week.week - 1) * 7);
+          const weekEnd = shiftDay(user.start, week.week * 7 - 1);
+          if (weekEnd > end) break;
+          const status = statusFor(user, weekStart, weekEnd);
+          if (status === null) continue;
+          week.known++;
+          if (status) week.retained++;
+        }
+      }
+      return [...cohorts.values()]
+        .sort((a, b) => a.cohort.localeCompare(b.cohort))
+        .map(cohort => ({
+          ...cohort,
+          weeks: cohort.weeks.map(w => ({ ...w, rate: w.known ? parseFloat(((w.retained / w.known) * 100).toFixed(1)) : null }))
+        }));
+    };
+
+    return {
+      copilot: { cohorts: buildCohorts(copilotUsers, copilotStatus), censored: copilotCensored },
+      cursor: { cohorts: buildCohorts(cursorList, cursorStatus), censored: cursorCensored, dataStart: firstCursorDate }
+    };
+  }
+
+  /**
+   * Locate every ingestible file under the data directory
+   * @private
+   */
+  findSourceFiles() {
+    const files = [];
+    const storeDir = path.resolve(this.config.storeDir);
+    const walkDir = (dir) => {
+      let entries;
+      try {
+        entries = readdirSync(dir);
+      } catch {
+        return;
+      }
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry);
+        if (path.resolve(fullPath) === storeDir) continue;
+        const stat = statSync(fullPath);
+        if (stat.isDirectory()) {
+          walkDir(fullPath);
+          continue;
+        }
+        if (!entry.endsWith('.json')) continue;
+        if (/^copilot-(seats|enterprise-seats|seat-assignments)_/.test(entry)) {
+          files.push({ file: fullPath, kind: 'copilot-seats' });
+        } else if (/^copilot-(enterprise-)?metrics_/.test(entry)) {
+          files.push({ file: fullPath, kind: 'copilot-metrics' });
+        } else if (/^(daily_activity_|monthly_activity_|weekly-report_|monthly-activity_|monthly-report_|activity_)/.test(entry)) {
+          files.push({ file: fullPath, kind: 'cursor-activity' });
+        }
+      }
+    };
+    walkDir(this.config.dataDir);
+    return files.sort((a, b) => a.file.localeCompare(b.file));
+  }
+
+  /**
+   * Turn one source file into store rows
+   * @private
+   */
+  extractRows(file, kind) {
+    const data = JSON.parse(readFileSync(file, 'utf8'));
+    switch (kind) {
+      case 'copilot-seats':
+        return this.extractSeatRows(data, file);
+      case 'copilot-metrics':
+        return this.extractCopilotMetricsRows(data, file);
+      case 'cursor-activity':
+        return this.extractCursorRows(data);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Seat snapshot rows plus one activity row per seat's last activity day
+   * @private
+   */
+  extractSeatRows(data, file) {
+    const snapshotDate = getSeatSnapshotDate(data, file);
+    const org = data.meta?.org || null;
+    const scope = getCopilotFileScope(file);
+    const rows = [];
+
+    for (const seat of data.seats || []) {
+      const login = seat.assignee?.login;
+      if (!login) continue;
+      rows.push({
+        type: ROW_TYPES.COPILOT_SEAT,
+        date: snapshotDate,
+        user: login,
+        org,
+        scope,
+        createdAt: seat.created_at || null,
+        lastActivityAt: seat.last_activity_at || null,
+        lastActivityEditor: seat.last_activity_editor || null,
+        team: seat.assigning_team?.slug || null
+      });
+      if (seat.last_activity_at) {
+        const activity = new Date(seat.last_activity_at);
+        if (!isNaN(activity.getTime())) {
+          rows.push({ type: ROW_TYPES.COPILOT_ACTIVE, date: toDay(activity), user: login, org, scope });
+        }
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Org-level daily Copilot totals
+   * @private
+   */
+  extractCopilotMetricsRows(data, file) {
+    const rows = [];
+    for (const dayData of data.data || (Array.isArray(data) ? data : [])) {
+      const date = (dayData.date || '').split('T')[0];
+      if (!date) continue;
+
+      let suggestions = 0;
+      let linesAccepted = 0;
+      for (const editor of dayData.copilot_ide_code_completions?.editors || []) {
+        for (const model of editor.models || []) {
+          for (const language of model.languages || []) {
+            suggestions += language.total_code_suggestions || 0;
+            linesAccepted += language.total_code_lines_accepted || 0;
+          }
+        }
+      }
+      let chats = 0;
+      for (const editor of dayData.copilot_ide_chat?.editors || []) {
+        for (const model of editor.models || []) {
+          chats += model.total_chats || 0;
+        }
+      }
+
+      rows.push({
+        type: ROW_TYPES.COPILOT_ORG,
+        date,
+        user: null,
+        org: data.meta?.org || null,
+        scope: getCopilotFileScope(file),
+        activeUsers: dayData.total_active_users || 0,
+        engagedUsers: dayData.total_engaged_users || 0,
+        suggestions,
+        linesAccepted,
+        chats
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * Per-user daily Cursor rows from daily, weekly or monthly activity files
+   * @private
+   */
+  extractCursorRows(data) {
+    const rows = [];
+    for (const record of data.data || []) {
+      const date = parseDate(record.date);
+      if (!date || isNaN(date.getTime())) continue;
+      const user = (record.email || '').toLowerCase() || (record.userId != null ? String(record.userId) : '');
+      if (!user) continue;
+      rows.push({
+        type: ROW_TYPES.CURSOR,
+        date: toDay(date),
+        user,
+        active: !!record.isActive,
+        requests: (record.composerRequests || 0) + (record.chatRequests || 0) + (record.agentRequests || 0),
+        linesAdded: record.totalLinesAdded || 0,
+        acceptedLinesAdded: record.acceptedLinesAdded || 0,
+        tabsAccepted: record.totalTabsAccepted || 0,
+        usageBasedReqs: record.usageBasedReqs || 0,
+        mostUsedModel: record.mostUsedModel || null
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * Rewrite the store without the rows read from the given source files
+   * @param {Set<string>} sources - Source file paths
+   * @returns {number} - Rows removed
+   * @private
+   */
+  removeSourceRows(sources) {
+    if (!existsSync(this.storePath)) return 0;
+    const kept = [];
+    let removed = 0;
+    for (const line of readFileSync(this.storePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      let row;
+      try {
+        row = JSON.parse(line);
+      } catch {
+        continue; // drop a torn line from an interrupted append
+      }
+      if (sources.has(row.source)) removed++;
+      else kept.push(line);
+    }
+    writeText(this.storePath, kept.join('\n') + (kept.length ? '\n' : ''));
+    return removed;
+  }
+
+  /**
+   * @private
+   */
+  appendRows(rows) {
+    if (!rows.length) return;
+    ensureDir(this.config.storeDir);
+    appendText(this.storePath, rows.map(r => JSON.stringify(r)).join('\n') + '\n');
+  }
+
+  /**
+   * @private
+   */
+  loadManifest() {
+    if (!existsSync(this.manifestPath)) return { version: 1, files: {} };
+    try {
+      const manifest = JSON.parse(readFileSync(this.manifestPath, 'utf8'));
+      return { version: 1, files: {}, ...manifest };
+    } catch {
+      console.warn(`⚠️  History manifest is unreadable, re-ingesting all files: ${this.manifestPath}`);
+      return { version: 1, files: {} };
+    }
+  }
+
+  /**
+   * @private
+   */
+  saveManifest(manifest) {
+    ensureDir(this.config.storeDir);
+    writeText(this.manifestPath, JSON.stringify({ ...manifest, updatedAt: new Date().toISOString() }, null, 2));
+  }
+}
@@ -0,0 +1,351 @@
+import { existsSync, readFileSync, readdirSync, statSync } from 'node:fs';
+import path from 'node:path';
+import { normalizeText, getOrgNodeId } from '../common/org.js';
+import { areNameVariations } from '../common/name-variations.js';
+import { getSeatSnapshotDate } from '../history/HistoryStore.js';
+import { parseCSVRecords } from '../common/csv.js';
+import { getCopilotFileScope } from '../github/utils/common.js';
+
+/**
+ * Confidence scores attached to identity links, highest first
+ */
+export const CONFIDENCE = {
+  MANUAL: 1.0,          // hand-maintained lookup table or login-email map
+  EXACT_NAME: 0.9,      // normalized full names are identical
+  USERNAME: 0.8,        // GitHub login or email local part equals an org chart username
+  NAME_VARIATION: 0.7   // same last name, first name is a known variation
+};
+
+export const LINK_TYPES = {
+  GITHUB: 'github',
+  CURSOR_EMAIL: 'cursor-email',
+  CURSOR_USER: 'cursor-user'
+};
+
+/**
+ * Links GitHub logins, Cursor emails/userIds and org chart nodes into person records
+ *
+ * People start from the org chart; the user lookup table, latest Copilot seat
+ * snapshot (with enriched display names), login-email map and Cursor team members
+ * are layered on top, in that order. Every link carries the confidence and source that produced it.
+ * When two people claim the same identifier the higher-confidence link wins.
+ */
+export class IdentityResolver {
+  constructor(options = {}) {
+    const dataDir = options.dataDir || 'data';
+    this.config = {
+      dataDir,
+      nameCachePath: path.join(dataDir, 'github-name-cache.json'),
+      loginEmailMapPath: path.join(dataDir, 'github', 'login-email-map.csv'),
+      cursorMembersPath: path.join(dataDir, 'cursor', 'team-members.json'),
+      copilotScope: 'org',
+      ...options
+    };
+    this.people = [];
+    this.byName = new Map();
+    this.byUsername = new Map();
+    this.linkIndex = new Map();
+    this.lookupMatches = new Map();
+    this.seatLogins = new Map();
+    this.cursorMembers = new Map();
+  }
+
+  /**
+   * Build person records from every available source
+   * @param {Object} sources - { orgData, lookupUsers }
+   * @returns {IdentityResolver} - this, for chaining
+   */
+  resolve({ orgData = null, lookupUsers = [] } = {}) {
+    if (orgData?.organization) this.addOrgPeople(orgData.organization);
+    this.addLookupUsers(lookupUsers);
+    this.addSeatLogins();
+    this.addLoginEmailMap();
+    this.addCursorMembers();
+    return this;
+  }
+
+  /**
+   * Best link of a type for a person, optionally above a confidence threshold
+   */
+  bestLink(person, type, minConfidence = 0) {
+    return person.links
+      .filter(l => l.type === type && l.confidence >= minConfidence)
+      .sort((a, b) => b.confidence - a.confidence)[0] || null;
+  }
+
+  findByGithubLogin(login) {
+    return login ? this.linkIndex.get(`${LINK_TYPES.GITHUB}|${login.toLowerCase()}`)?.person || null : null;
+  }
+
+  findByEmail(email) {
+    return email ? this.linkIndex.get(`${LINK_TYPES.CURSOR_EMAIL}|${email.toLowerCase()}`)?.person || null : null;
+  }
+
+  /**
+   * Person matched to a user lookup table row during resolve()
+   */
+  findByLookupUser(user) {
+    return this.lookupMatches.get(user)?.person || null;
+  }
+
+  /**
+   * Org chart node a user lookup table row was matched to, if the name match
+   * is at or above the confidence threshold
+   */
+  findOrgNodeByLookupUser(user, minConfidence = 0) {
+    const match = this.lookupMatches.get(user);
+    return match?.person.orgNode && match.confidence >= minConfidence ? match.person.orgNode : null;
+  }
+
+  hasCopilotSeat(person) {
+    return person.links.some(l => l.type === LINK_TYPES.GITHUB && this.seatLogins.has(l.value));
+  }
+
+  hasCursorMembership(person) {
+    return person.links.some(l => l.type === LINK_TYPES.CURSOR_EMAIL && this.cursorMembers.has(l.value));
+  }
+
+  /**
+   * Identifiers and org chart people that could not be linked
+   * @param {number} minConfidence - Links below this score count as unmatched
+   */
+  getUnmatched(minConfidence = 0) {
+    const linked = (type, value) => {
+      const entry = this.linkIndex.get(`${type}|${value}`);
+      return entry && entry.confidence >= minConfidence;
+    };
+
+    return {
+      githubLogins: [...this.seatLogins.entries()]
+        .filter(([login]) => !linked(LINK_TYPES.GITHUB, login))
+        .map(([login, name]) => ({ login, name })),
+      cursorEmails: [...this.cursorMembers.entries()]
+        .filter(([email]) => !linked(LINK_TYPES.CURSOR_EMAIL, email))
+        .map(([email, member]) => ({ email, name: member.name })),
+      orgPeople: this.people
+        .filter(p => p.orgNode)
+        .filter(p => !this.bestLink(p, LINK_TYPES.GITHUB, minConfidence) && !this.bestLink(p, LINK_TYPES.CURSOR_EMAIL, minConfidence))
+    };
+  }
+
+  /**
+   * @private
+   */
+  addOrgPeople(organization) {
+    const visit = (node, id) => {
+      if (!node?.name) return;
+      const person = this.createPerson(node.name, {
+        id,
+        name: node.name,
+        username: node.username || null,
+        title: node.title || null,
+        directReportCount: Array.isArray(node.directReports) ? node.directReports.length : 0
+      });
+      if (node.username) this.byUsername.set(node.username.toLowerCase(), person);
+      if (Array.isArray(node.directReports)) node.directReports.forEach((report, index) => visit(report, getOrgNodeId(id, index)));
+    };
+    organization.forEach((node, index) => visit(node, getOrgNodeId(null, index)));
+  }
+
+  /**
+   * Lookup rows are manual links for their login and email; the row itself is
+   * tied to an org chart person by name
+   * @private
+   */
+  addLookupUsers(users) {
+    for (const user of users) {
+      if (!user?.name) continue;
+      const match = this.matchName(user.name);
+      const person = match ? match.person : this.createPerson(user.name, null);
+      const confidence = match ? match.confidence : CONFIDENCE.MANUAL;
+      const source = match ? `user-lookup (${match.method})` : 'user-lookup';
+      this.lookupMatches.set(user, { person, confidence });
+      if (user.githubLogin) this.addLink(person, LINK_TYPES.GITHUB, user.githubLogin, confidence, source);
+      if (user.email) this.addLink(person, LINK_TYPES.CURSOR_EMAIL, user.email, confidence, source);
+    }
+  }
+
+  /**
+   * A login-email pair inherits the confidence of whichever side is already linked
+   * @private
+   */
+  addLoginEmailMap() {
+    for (const { login, email } of this.readLoginEmailMap()) {
+      const viaLogin = this.linkIndex.get(`${LINK_TYPES.GITHUB}|${login.toLowerCase()}`);
+      const viaEmail = this.linkIndex.get(`${LINK_TYPES.CURSOR_EMAIL}|${email.toLowerCase()}`);
+      if (viaLogin) {
+        this.addLink(viaLogin.person, LINK_TYPES.CURSOR_EMAIL, email, viaLogin.confidence, 'login-email-map');
+      } else if (viaEmail) {
+        this.addLink(viaEmail.person, LINK_TYPES.GITHUB, login, viaEmail.confidence, 'login-email-map');
+      }
+    }
+  }
+
+  /**
+   * Seat holders are matched by GitHub display name, then by org chart username
+   * @private
+   */
+  addSeatLogins() {
+    const nameCache = this.readJSONIfExists(this.config.nameCachePath) || {};
+    for (const seat of this.readLatestSeats()) {
+      const login = seat.assignee?.login;
+      if (!login) continue;
+      const displayName = seat.assignee?.enriched_name || nameCache[login]?.name || '';
+      this.seatLogins.set(login.toLowerCase(), displayName);
+      if (this.findByGithubLogin(login)) continue;
+
+      const match = displayName ? this.matchName(displayName) : null;
+      if (match) {
+        this.addLink(match.person, LINK_TYPES.GITHUB, login, match.confidence, `github-profile-name (${match.method})`);
+        continue;
+      }
+      const byUsername = this.byUsername.get(login.toLowerCase());
+      if (byUsername) this.addLink(byUsername, LINK_TYPES.GITHUB, login, CONFIDENCE.USERNAME, 'org-username');
+    }
+  }
+
+  /**
+   * Cursor members are matched by email, then by name, then by email local part
+   * @private
+   */
+  addCursorMembers() {
+    const data = this.readJSONIfExists(this.config.cursorMembersPath);
+    const members = Array.isArray(data) ? data : (data?.teamMembers || []);
+
+    for (const member of members) {
+      const email = member.email?.toLowerCase();
+      if (!email) continue;
+      this.cursorMembers.set(email, member);
+      const userId = member.id ?? member.userId;
+
+      let entry = this.linkIndex.get(`${LINK_TYPES.CURSOR_EMAIL}|${email}`);
+      if (!entry) {
+        const match = member.name ? this.matchName(member.name) : null;
+        const byUsername = this.byUsername.get(email.split('@')[0]);
+        if (match) {
+          this.addLink(match.person, LINK_TYPES.CURSOR_EMAIL, email, match.confidence, `cursor-member-name (${match.method})`);
+        } else if (byUsername) {
+          this.addLink(byUsername, LINK_TYPES.CURSOR_EMAIL, email, CONFIDENCE.USERNAME, 'email-username');
+        }
+        entry = this.linkIndex.get(`${LINK_TYPES.CURSOR_EMAIL}|${email}`);
+      }
+      if (entry && userId != null) {
+        this.addLink(entry.person, LINK_TYPES.CURSOR_USER, String(userId), entry.confidence, 'cursor-team-members');
+      }
+    }
+  }
+
+  /**
+   * Match a display name against people already known, exact names first
+   * A name that fits more than one person is ambiguous and matches nobody, so
+   * the caller falls back to usernames instead of picking one of them.
+   * @private
+   */
+  matchName(name) {
+    const normalized = normalizeText(name).trim();
+    const exact = this.byName.get(normalized);
+    if (exact) {
+      return exact.length === 1 ? { person: exact[0], confidence: CONFIDENCE.EXACT_NAME, method: 'exact-name' } : null;
+    }
+
+    const parts = normalized.split(/\s+/);
+    if (parts.length < 2) return null;
+    const first = parts[0];
+    const last = parts[parts.length - 1];
+    const variations = [];
+    for (const [candidateName, people] of this.byName) {
+      const candidateParts = candidateName.split(/\s+/);
+      if (candidateParts.length < 2) continue;
+      if (candidateParts[candidateParts.length - 1] !== last) continue;
+      if (areNameVariations(first, candidateParts[0])) variations.push(...people);
+    }
+    return variations.length === 1
+      ? { person: variations[0], confidence: CONFIDENCE.NAME_VARIATION, method: 'name-variation' }
+      : null;
+  }
+
+  /**
+   * @private
+   */
+  createPerson(name, orgNode) {
+    const person = { id: `person-${this.people.length + 1}`, name, orgNode, links: [] };
+    this.people.push(person);
+    const normalized = normalizeText(name).trim();
+    if (!this.byName.has(normalized)) this.byName.set(normalized, []);
+    this.byName.get(normalized).push(person);
+    return person;
+  }
+
+  /**
+   * Attach an identifier to a person unless someone holds it with higher confidence
+   * @private
+   */
+  addLink(person, type, rawValue, confidence, source) {
+    const value = String(rawValue).trim().toLowerCase();
+    if (!value) return;
+    const key = `${type}|${value}`;
+    const existing = this.linkIndex.get(key);
+    if (existing) {
+      if (existing.confidence >= confidence) return;
+      existing.person.links = existing.person.links.filter(l => !(l.type === type && l.value === value));
+    }
+    person.links.push({ type, value, confidence, source });
+    this.linkIndex.set(key, { person, confidence });
+  }
+
+  /**
+   * @private
+   */
+  readLoginEmailMap() {
+    const filePath = this.config.loginEmailMapPath;
+    if (!existsSync(filePath)) return [];
+    const { header, rows } = parseCSVRecords(readFileSync(filePath, 'utf8'));
+    if (!header.includes('Login') || !header.includes('Email')) return [];
+    return rows
+      .map(row => ({ login: row.Login, email: row.Email }))
+      .filter(row => row.login && row.email);
+  }
+
+  /**
+   * Seats from the most recent Copilot seat snapshot of the `copilotScope` option
+   * @private
+   */
+  readLatestSeats() {
+    const searchDir = path.join(this.config.dataDir, 'github');
+    if (!existsSync(searchDir)) return [];
+
+    let latest = null;
+    const walkDir = (dir) => {
+      try {
+        for (const entry of readdirSync(dir)) {
+          const fullPath = path.join(dir, entry);
+          if (statSync(fullPath).isDirectory()) {
+            walkDir(fullPath);
+          } else if (/^copilot-(seats|enterprise-seats|seat-assignments)_.*\.json$/.test(entry) && getCopilotFileScope(entry) === this.config.copilotScope) {
+            const data = this.readJSONIfExists(fullPath);
+            if (!data) continue;
+            const date = getSeatSnapshotDate(data, fullPath);
+            if (!latest || date > latest.date) latest = { date, data };
+          }
+        }
+      } catch {
+        // Skip directories we can't read
+      }
+    };
+    walkDir(searchDir);
+    return latest?.data.seats || [];
+  }
+
+  /**
+   * @private
+   */
+  readJSONIfExists(filePath) {
+    if (!existsSync(filePath)) return null;
+    try {
+      return JSON.parse(readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.warn(`⚠️  Skipping unreadable file ${path.basename(filePath)}: ${error.message}`);
+      return null;
+    }
+  }
+}
@@ -1,19 +1,41 @@
-import { writeFileSync, readFileSync, existsSync, readdirSync, statSync, mkdirSync } from 'node:fs';
+import { readFileSync, existsSync, readdirSync, statSync } from 'node:fs';
 import path from 'node:path';
 import {
   normalizeText,
-  extractOrgUsers,
   countTotalRDPeople,
-  extractEngineeringTeam
+  extractEngineeringTeam,
+  extractManagerSubtrees,
+  isIndividualContributor,
+  parseListOption,
+  DEFAULT_NON_IC_TITLES
 } from '../common/org.js';
-import { checkAndPromptOverwrite } from '../common/prompt.js';
-import { areNameVariations } from '../common/name-variations.js';
+import { checkAndPromptMultipleOverwrite } from '../common/prompt.js';
+import { parseDate } from '../cursor/util.js';
+import { UsageEventsStore, getEventTimestamp } from '../cursor/usage-events-store.js';
+import { HistoryStore, getSeatSnapshotDate } from '../history/HistoryStore.js';
+import { ensureDir, writeCSV, writeJSON, writeText } from '../common/fs.js';
+import { parseCSV, parseCSVRecords } from '../common/csv.js';
+import { IdentityResolver, LINK_TYPES } from '../identity/IdentityResolver.js';
+import { GitHubAnalysisService } from '../github/services/GitHubAnalysisService.js';
+import { getCopilotFileScope, parseCopilotScope } from '../github/utils/common.js';
+import {
+  REPORT_CSV_HEADER,
+  buildReportDocument,
+  flattenReportDocument,
+  parseReportFormat,
+  stampGeneratedAt
+} from './report-export.js';
+import { buildReportCharts, renderReportHtml } from './html-report.js';
+import { renderReportTemplate } from './report-templates.js';
 function normalizeBool(v){
   if (typeof v !== 'string') return false;
   const t = v.trim().toLowerCase();
   return t === 'true' || t === '1' || t === 'yes' || t === 'y';
 }
 
+// Backfill only reads seat snapshots taken up to this many days after a date
+const BACKFILL_SNAPSHOT_MAX_DAYS_AFTER = 7;
+
 /**
  * Centralized reporting service for generating AI tooling adoption reports
  * Consolidates business logic from various report scripts
@@ -23,8 +45,23 @@ export class ReportingService {
     this.config = {
       dataDir: options.dataDir || 'data',
       outputDir: options.outputDir || 'output/reports',
+      csvDir: options.csvDir || 'output/csv/reports',
       userLookupPath: options.userLookupPath || 'data/user-lookup-table.csv',
       orgDataPath: options.orgDataPath || path.join('data', (process.env.ORG || process.env.org || process.env.GH_ORG || process.env.GITHUB_ORG || 'org'), 'direct-reports.json'),
+      departmentDepth: 1,
+      engineeringRoots: process.env.ENGINEERING_ROOTS || '',
+      templatesDir: process.env.REPORT_TEMPLATES_DIR || '',
+      copilotScope: process.env.COPILOT_SCOPE || 'org',
+      icExcludeTitles: process.env.IC_EXCLUDE_TITLES || DEFAULT_NON_IC_TITLES.join(','),
+      icExcludeManagers: normalizeBool(process.env.IC_EXCLUDE_MANAGERS),
+      identityMinConfidence: process.env.IDENTITY_MIN_CONFIDENCE || 0.7,
+      copilotSeatCost: process.env.COPILOT_SEAT_COST || 19,
+      cursorSeatCost: process.env.CURSOR_SEAT_COST || 40,
+      heavySpendThreshold: process.env.CURSOR_HEAVY_SPEND_THRESHOLD || 50,
+      heavyUsageRequests: process.env.CURSOR_HEAVY_USAGE_REQUESTS || 500,
+      cursorRequestCost: process.env.CURSOR_REQUEST_COST || 0.04,
+      spikeFactor: 3,
+      spikeMinRequests: 50,
       ...options
     };
   }
@@ -32,10 +69,12 @@ export class ReportingService {
   /**
    * Generate comprehensive active users report
    * @param {Object} options - Report options
+   * @param {string} options.format - markdown, html, json or csv (default: markdown)
    * @returns {Promise<Object>} - Report generation result
    */
   async generateActiveUsersReport(options = {}) {
     const { skipPrompt = false } = options;
+    const format = parseReportFormat(options.format);
     
     console.log('🚀 Starting active users report generation...');
     
@@ -43,8 +82,8 @@ export class ReportingService {
       // Load organizational data
       console.log('🔍 Loading organizational structure...');
       const orgData = this.loadOrganizationalData();
-      const allUsers = this.loadUserLookupData();
-      const filteredUsers = this.filterUsersToOrg(allUsers, orgData);
+      const allUsers = this.applyIdentities(this.loadUserLookupData(), orgData);
+      const filteredUsers = allUsers.filter(user => user.orgNode);
       
       console.log(`📊 Found ${filteredUsers.length} users in organizational structure`);
 
@@ -64,31 +103,19 @@ export class ReportingService {
         filteredUsers, orgData, copilotAnalysis, cursorAnalysis, engineeringAnalysis
       );
 
-      // Generate report content
-      const reportContent = this.generateActiveUsersReportMarkdown(
-        filteredUsers, stats, copilotAnalysis, cursorAnalysis, engineeringAnalysis
-      );
-
-      // Ensure output directory exists
-      if (!existsSync(this.config.outputDir)) {
-        mkdirSync(this.config.outputDir, { recursive: true });
-      }
-
-      // Save report (timestamped + canonical)
-      const iso = new Date().toISOString().replace(/[:]/g, '-');
-      const timestampedPath = path.join(this.config.outputDir, `active-users_${iso}.md`);
-      const outputPath = path.join(this.config.outputDir, 'active-users.md');
-      
-      if (!skipPrompt) {
-        const shouldProceed = await checkAndPromptOverwrite(outputPath, 'Active Users Report');
-        if (!shouldProceed) {
-          console.log('❌ Report generation cancelled by user.');
-          return { cancelled: true };
-        }
-      }
-
-      writeFileSync(timestampedPath, reportContent, 'utf8');
-      writeFileSync(outputPath, reportContent, 'utf8');
+      const saved = await this.saveReport({
+        name: 'active-users',
+        title: 'Active Users Report',
+        format,
+        skipPrompt,
+        markdown: () => this.generateActiveUsersReportMarkdown(
+          filteredUsers, stats, copilotAnalysis, cursorAnalysis, engineeringAnalysis
+        ),
+        data: () => this.buildActiveUsersData(stats, copilotAnalysis, cursorAnalysis, engineeringAnalysis),
+        history: () => this.loadWeeklyHistory()
+      });
+      if (saved.cancelled) return saved;
+      const { outputPath, timestampedPath } = saved;
       console.log(`✅ Active users report generated: ${outputPath}`);
 
       return {
@@ -107,44 +134,37 @@ export class ReportingService {
   /**
    * Generate AI tooling adoption report
    * @param {Object} options - Report options
+   * @param {string} options.format - markdown, html, json or csv (default: markdown)
    * @returns {Promise<Object>} - Report generation result
    */
   async generateAIToolingAdoptionReport(options = {}) {
     const { skipPrompt = false } = options;
+    const format = parseReportFormat(options.format);
     
     console.log('🚀 Starting AI tooling adoption report generation...');
     
     try {
       // Load data
       const orgData = this.loadOrganizationalData();
-      const allUsers = this.loadUserLookupData();
+      const allUsers = this.applyIdentities(this.loadUserLookupData(), orgData);
       
-      // Analyze tooling adoption across the organization
-      const adoptionStats = this.analyzeToolingAdoption(allUsers, orgData);
+      // Weekly activity feeds the per-department active rates
+      const copilotAnalysis = await this.analyzeCopilotActivity(allUsers);
+      const cursorAnalysis = await this.analyzeCursorActivity(allUsers);
       
-      // Generate report content
-      const reportContent = this.generateAIToolingReportMarkdown(adoptionStats, orgData);
-
-      // Ensure output directory exists
-      if (!existsSync(this.config.outputDir)) {
-        mkdirSync(this.config.outputDir, { recursive: true });
-      }
-
-      // Save report (timestamped + canonical)
-      const iso = new Date().toISOString().replace(/[:]/g, '-');
-      const timestampedPath = path.join(this.config.outputDir, `ai-tooling-adoption-report_${iso}.md`);
-      const outputPath = path.join(this.config.outputDir, 'ai-tooling-adoption-report.md');
+      // Analyze tooling adoption across the organization
+      const adoptionStats = this.analyzeToolingAdoption(allUsers, orgData, copilotAnalysis, cursorAnalysis);
       
-      if (!skipPrompt) {
-        const shouldProceed = await checkAndPromptOverwrite(outputPath, 'AI Tooling Adoption Report');
-        if (!shouldProceed) {
-          console.log('❌ Report generation cancelled by user.');
-          return { cancelled: true };
-        }
-      }
-
-      writeFileSync(timestampedPath, reportContent, 'utf8');
-      writeFileSync(outputPath, reportContent, 'utf8');
+      const saved = await this.saveReport({
+        name: 'ai-tooling-adoption-report',
+        title: 'AI Tooling Adoption Report',
+        format,
+        skipPrompt,
+        markdown: () => this.generateAIToolingReportMarkdown(adoptionStats, orgData),
+        data: () => this.buildAIToolingData(adoptionStats)
+      });
+      if (saved.cancelled) return saved;
+      const { outputPath, timestampedPath } = saved;
       console.log(`✅ AI tooling adoption report generated: ${outputPath}`);
 
       return {
@@ -163,10 +183,12 @@ export class ReportingService {
   /**
    * Generate recent activity analysis report
    * @param {Object} options - Report options
+   * @param {string} options.format - markdown, html, json or csv (default: markdown)
    * @returns {Promise<Object>} - Report generation result
    */
   async generateRecentActivityReport(options = {}) {
     const { skipPrompt = false, days = 7 } = options;
+    const format = parseReportFormat(options.format);
     
     console.log('🚀 Starting recent activity analysis...');
     
@@ -174,44 +196,543 @@ export class ReportingService {
       // Analyze recent activity patterns
       const activityAnalysis = await this.analyzeRecentActivity(days);
       
-      // Generate report content
-      const reportContent = this.generateRecentActivityReportMarkdown(activityAnalysis, days);
+      const saved = await this.saveReport({
+        name: 'recent-activity-analysis',
+        title: 'Recent Activity Analysis Report',
+        format,
+        skipPrompt,
+        markdown: () => this.generateRecentActivityReportMarkdown(activityAnalysis, days),
+        data: () => this.buildRecentActivityData(activityAnalysis),
+        csvKeys: { daily: 'date', weekly: 'start' }
+      });
+      if (saved.cancelled) return saved;
+      const { outputPath, timestampedPath } = saved;
+      console.log(`✅ Recent activity analysis report generated: ${outputPath}`);
+
+      return {
+        success: true,
+        outputPath,
+        timestampedPath,
+        analysis: activityAnalysis
+      };
+
+    } catch (error) {
+      console.error('❌ Error generating recent activity report:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate Copilot breakdown report by language, editor and model over time
+   * Also covers IDE chat, GitHub.com chat and pull request summaries.
+   * @param {Object} options - Report options
+   * @returns {Promise<Object>} - Report generation result with breakdown analysis
+   */
+  async generateCopilotBreakdownReport(options = {}) {
+    const { skipPrompt = false, days = 28 } = options;
+    const format = parseReportFormat(options.format);
+
+    console.log('🚀 Starting Copilot breakdown report generation...');
 
-      // Ensure output directory exists
-      if (!existsSync(this.config.outputDir)) {
-        mkdirSync(this.config.outputDir, { recursive: true });
+    try {
+      const analysis = this.analyzeCopilotBreakdown(days);
+      const saved = await this.saveReport({
+        name: 'copilot-breakdown',
+        title: 'Copilot Breakdown Report',
+        format,
+        skipPrompt,
+        markdown: () => this.generateCopilotBreakdownReportMarkdown(analysis),
+        data: () => this.buildCopilotBreakdownData(analysis),
+        csvKeys: { byLanguage: 'name', byEditor: 'name', byModel: 'name', ideChatByEditor: 'name', ideChatByModel: 'name', dotcomChatByModel: 'name', pullRequestsByRepository: 'name', byTeam: 'slug' }
+      });
+      if (saved.cancelled) return saved;
+      const { outputPath, timestampedPath } = saved;
+      console.log(`✅ Copilot breakdown report generated: ${outputPath}`);
+
+      const header = ['Date', 'Section', 'Editor', 'Model', 'Language', 'Repository', 'EngagedUsers', 'Suggestions', 'Acceptances', 'LinesSuggested', 'LinesAccepted', 'Chats', 'ChatInsertions', 'ChatCopies', 'PRSummaries'];
+      const rows = analysis.rows.map(r => ({
+        Date: r.date,
+        Section: r.section,
+        Editor: r.editor || '',
+        Model: r.model || '',
+        Language: r.language || '',
+        Repository: r.repository || '',
+        EngagedUsers: r.engagedUsers,
+        Suggestions: r.suggestions ?? '',
+        Acceptances: r.acceptances ?? '',
+        LinesSuggested: r.linesSuggested ?? '',
+        LinesAccepted: r.linesAccepted ?? '',
+        Chats: r.chats ?? '',
+        ChatInsertions: r.chatInsertions ?? '',
+        ChatCopies: r.chatCopies ?? '',
+        PRSummaries: r.prSummaries ?? ''
+      }));
+      const csvPath = path.join(this.config.csvDir, 'copilot-breakdown-daily.csv');
+      writeCSV(csvPath, header, rows);
+      console.log(`✅ Copilot breakdown CSV written: ${csvPath}`);
+
+      let teamCsvPath = null;
+      if (analysis.byTeam.length > 0) {
+        const teamHeader = ['Team', 'Slug', 'DaysWithData', 'Seats', 'AvgActiveUsers', 'AvgEngagedUsers', 'PeakEngagedUsers', 'EngagementPct', 'Suggestions', 'Acceptances', 'AcceptanceRate', 'LinesSuggested', 'LinesAccepted', 'LineAcceptanceRate'];
+        const teamRows = analysis.byTeam.map(t => ({
+          Team: t.name,
+          Slug: t.slug,
+          DaysWithData: t.daysWithData,
+          Seats: t.seats ?? '',
+          AvgActiveUsers: t.averageActiveUsers,
+          AvgEngagedUsers: t.averageEngagedUsers,
+          PeakEngagedUsers: t.peakEngagedUsers,
+          EngagementPct: t.engagementRate ?? '',
+          Suggestions: t.suggestions,
+          Acceptances: t.acceptances,
+          AcceptanceRate: t.acceptanceRate ?? '',
+          LinesSuggested: t.linesSuggested,
+          LinesAccepted: t.linesAccepted,
+          LineAcceptanceRate: t.lineAcceptanceRate ?? ''
+        }));
+        teamCsvPath = path.join(this.config.csvDir, 'copilot-breakdown-teams.csv');
+        writeCSV(teamCsvPath, teamHeader, teamRows);
+        console.log(`✅ Copilot team breakdown CSV written: ${teamCsvPath}`);
       }
 
-      // Save report (timestamped + canonical)
-      const iso = new Date().toISOString().replace(/[:]/g, '-');
-      const timestampedPath = path.join(this.config.outputDir, `recent-activity-analysis_${iso}.md`);
-      const outputPath = path.join(this.config.outputDir, 'recent-activity-analysis.md');
-      
-      if (!skipPrompt) {
-        const shouldProceed = await checkAndPromptOverwrite(outputPath, 'Recent Activity Analysis Report');
-        if (!shouldProceed) {
-          console.log('❌ Report generation cancelled by user.');
-          return { cancelled: true };
+      return {
+        success: true,
+        outputPath,
+        timestampedPath,
+        csvPath,
+        teamCsvPath,
+        analysis
+      };
+
+    } catch (error) {
+      console.error('❌ Error generating Copilot breakdown report:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate weekly active users history report from the local history store
+   * New data files are ingested into the store before the report is built.
+   * @param {Object} options - Report options
+   * @returns {Promise<Object>} - Report generation result
+   */
+  async generateHistoryReport(options = {}) {
+    const { skipPrompt = false, weeks = 26 } = options;
+    const format = parseReportFormat(options.format);
+
+    if (!Number.isInteger(weeks) || weeks < 1) {
+      throw new Error(`Invalid number of weeks: ${weeks}`);
+    }
+
+    console.log('🚀 Starting active users history report generation...');
+
+    try {
+      const store = new HistoryStore({ dataDir: this.config.dataDir, scope: this.getCopilotScope() });
+      const ingestResult = store.ingest();
+      console.log(`📥 History store: ${ingestResult.filesIngested} files ingested (${ingestResult.rowsAdded} rows), ${ingestResult.filesSkipped} unchanged`);
+
+      const weekly = store.activeUsersByWeek({ weeks });
+      const saved = await this.saveReport({
+        name: 'active-users-history',
+        title: 'Active Users History Report',
+        format,
+        skipPrompt,
+        markdown: () => this.generateHistoryReportMarkdown(weekly, weeks),
+        data: () => ({ weekly }),
+        csvKeys: { weekly: 'weekStart' }
+      });
+      if (saved.cancelled) return saved;
+      const { outputPath, timestampedPath } = saved;
+      console.log(`✅ Active users history report generated: ${outputPath}`);
+
+      return {
+        success: true,
+        outputPath,
+        timestampedPath,
+        weekly,
+        ingest: ingestResult
+      };
+
+    } catch (error) {
+      console.error('❌ Error generating active users history report:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate monthly cohort retention report from the local history store
+   * Users are grouped by the month their Copilot seat was created or they were
+   * first seen in Cursor activity, then followed week by week.
+   * @param {Object} options - Report options
+   * @returns {Promise<Object>} - Report generation result with cohorts
+   */
+  async generateCohortReport(options = {}) {
+    const { skipPrompt = false } = options;
+    const format = parseReportFormat(options.format);
+    const milestones = [4, 8, 12];
+
+    console.log('🚀 Starting cohort retention report generation...');
+
+    try {
+      const store = new HistoryStore({ dataDir: this.config.dataDir, scope: this.getCopilotScope() });
+      const ingestResult = store.ingest();
+      console.log(`📥 History store: ${ingestResult.filesIngested} files ingested (${ingestResult.rowsAdded} rows), ${ingestResult.filesSkipped} unchanged`);
+
+      const retention = store.retentionCohorts({ maxWeeks: Math.max(...milestones) });
+      const saved = await this.saveReport({
+        name: 'cohort-retention',
+        title: 'Cohort Retention Report',
+        format,
+        skipPrompt,
+        markdown: () => this.generateCohortReportMarkdown(retention, milestones),
+        data: () => this.buildCohortData(retention, milestones),
+        csvKeys: { copilot: 'cohort', cursor: 'cohort' }
+      });
+      if (saved.cancelled) return saved;
+      const { outputPath, timestampedPath } = saved;
+      console.log(`✅ Cohort retention report generated: ${outputPath}`);
+
+      // One row per tool, cohort and week so the curves can be charted directly
+      const rows = [];
+      for (const [tool, { cohorts }] of Object.entries(retention)) {
+        for (const cohort of cohorts) {
+          for (const week of cohort.weeks) {
+            rows.push({
+              Tool: tool,
+              Cohort: cohort.cohort,
+              Users: cohort.users,
+              Week: week.week,
+              Retained: week.retained,
+              Known: week.known,
+              RetentionPct: week.rate ?? ''
+            });
+          }
         }
       }
-
-      writeFileSync(timestampedPath, reportContent, 'utf8');
-      writeFileSync(outputPath, reportContent, 'utf8');
-      console.log(`✅ Recent activity analysis report generated: ${outputPath}`);
+      const csvPath = path.join(this.config.csvDir, 'cohort-retention-weeks.csv');
+      writeCSV(csvPath, ['Tool', 'Cohort', 'Users', 'Week', 'Retained', 'Known', 'RetentionPct'], rows);
+      console.log(`✅ Cohort retention CSV written: ${csvPath}`);
 
       return {
         success: true,
         outputPath,
         timestampedPath,
-        analysis: activityAnalysis
+        csvPath,
+        retention,
+        ingest: ingestResult
       };
 
     } catch (error) {
-      console.error('❌ Error generating recent activity report:', error.message);
+      console.error('❌ Error generating cohort retention report:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Save a report as Markdown, HTML, JSON or CSV (timestamped + canonical)
+   * CSV goes to the CSV directory, every other format to the output directory.
+   * HTML is the Markdown report with charts drawn from the JSON data.
+   * @private
+   * @param {Object} report - Report to save
+   * @param {string} report.name - Base file name
+   * @param {string} report.title - Name shown in the overwrite prompt and as the HTML title
+   * @param {string} report.format - markdown, html, json or csv
+   * @param {boolean} report.skipPrompt - Overwrite without asking
+   * @param {Function} report.markdown - Renders the Markdown report (may be async)
+   * @param {Function} report.data - Builds the data of the JSON and CSV formats
+   * @param {Object} report.csvKeys - Key field per list section of the data
+   * @param {Function} report.history - Weekly history for the adoption chart (HTML only)
+   * @returns {Promise<Object>} - `{ outputPath, timestampedPath }`, or `{ cancelled: true }`
+   */
+  async saveReport({ name, title, format, skipPrompt, markdown, data, csvKeys = {}, history = null }) {
+    const extension = { markdown: 'md', html: 'html', json: 'json', csv: 'csv' }[format];
+    const dir = format === 'csv' ? this.config.csvDir : this.config.outputDir;
+
+    // Ensure output directory exists
+    ensureDir(dir);
+
+    const generatedAt = new Date();
+    const iso = generatedAt.toISOString().replace(/[:]/g, '-');
+    const timestampedPath = path.join(dir, `${name}_${iso}.${extension}`);
+    const outputPath = path.join(dir, `${name}.${extension}`);
+    // Chart data for the dashboard, kept apart from the `--format json` export
+    const chartDataPath = format === 'markdown' ? path.join(dir, `${name}.chart.json`) : null;
+
+    if (!skipPrompt) {
+      const shouldProceed = await checkAndPromptMultipleOverwrite([
+        { path: outputPath, type: title },
+        ...(chartDataPath ? [{ path: chartDataPath, type: `${title} chart data` }] : [])
+      ]);
+      if (!shouldProceed) {
+        console.log('❌ Report generation cancelled by user.');
+        return { cancelled: true };
+      }
+    }
+
+    if (format === 'markdown' || format === 'html') {
+      const reportContent = format === 'html'
+        ? renderReportHtml({
+          title,
+          markdown: await markdown(),
+          charts: buildReportCharts(name, data(), { history: history ? history() : null })
+        })
+        : stampGeneratedAt(await markdown(), generatedAt);
+      writeText(timestampedPath, reportContent);
+      writeText(outputPath, reportContent);
+      if (chartDataPath) {
+        writeJSON(chartDataPath, buildReportDocument(name, data(), generatedAt));
+      }
+    } else {
+      const doc = buildReportDocument(name, data(), generatedAt);
+      for (const filePath of [timestampedPath, outputPath]) {
+        if (format === 'json') {
+          writeJSON(filePath, doc);
+        } else {
+          writeCSV(filePath, REPORT_CSV_HEADER, flattenReportDocument(doc, csvKeys));
+        }
+      }
+    }
+
+    return { outputPath, timestampedPath };
+  }
+
+  /**
+   * Weekly active users for the adoption-over-time chart, from the history store
+   * @private
+   */
+  loadWeeklyHistory(weeks = 12) {
+    const store = new HistoryStore({ dataDir: this.config.dataDir, scope: this.getCopilotScope() });
+    const ingestResult = store.ingest();
+    console.log(`📥 History store: ${ingestResult.filesIngested} files ingested (${ingestResult.rowsAdded} rows), ${ingestResult.filesSkipped} unchanged`);
+    return store.activeUsersByWeek({ weeks });
+  }
+
+  /**
+   * Active users report data for the JSON and CSV formats and the HTML charts
+   * Fields keep the names of `calculateComprehensiveStats`; percentages are numbers.
+   * @private
+   */
+  buildActiveUsersData(stats, copilotAnalysis, cursorAnalysis, engineeringAnalysis) {
+    const end = new Date();
+    const start = new Date(end.getTime() - 7 * 24 * 60 * 60 * 1000);
+    const percent = (part, total) => (total > 0 ? parseFloat(((part / total) * 100).toFixed(1)) : null);
+
+    return {
+      period: {
+        start: start.toISOString().split('T')[0],
+        end: end.toISOString().split('T')[0],
+        days: 7
+      },
+      stats: {
+        totalRDPeople: stats.totalRDPeople,
+        usersInLookup: stats.usersInLookup,
+        usersWithTools: stats.usersWithTools,
+        usersWithoutTools: stats.usersInLookup - stats.usersWithTools,
+        weeklyActiveInEither: stats.weeklyActiveInEither,
+        weeklyActivePercentage: percent(stats.weeklyActiveInEither, stats.totalRDPeople),
+        copilotUsers: stats.copilotUsers,
+        cursorUsers: stats.cursorUsers,
+        activeCopilotUsers: stats.activeCopilotUsers,
+        inactiveCopilotUsers: copilotAnalysis.inactiveLogins.size,
+        activeCursorUsers: stats.activeCursorUsers,
+        inactiveCursorUsers: cursorAnalysis.inactiveUsers.size,
+        engineeringTotal: stats.engineeringTotal,
+        engineeringWithTools: stats.engineeringWithTools,
+        engineeringActiveWeekly: stats.engineeringActiveWeekly,
+        engineeringActivePercentage: percent(stats.engineeringActiveWeekly, stats.engineeringTotal),
+        engineeringICsTotal: stats.engineeringICsTotal,
+        engineeringICsActiveWeekly: stats.engineeringICsActiveWeekly,
+        engineeringICsActivePercentage: percent(stats.engineeringICsActiveWeekly, stats.engineeringICsTotal)
+      },
+      engineeringScope: {
+        roots: engineeringAnalysis.roots,
+        nonIcTitles: engineeringAnalysis.icRule.nonIcTitles,
+        excludeManagers: engineeringAnalysis.icRule.excludeManagers
+      }
+    };
+  }
+
+  /**
+   * AI tooling adoption report data for the JSON and CSV formats and the HTML charts
+   * Fields keep the names of `analyzeToolingAdoption`; percentages are numbers.
+   * @private
+   */
+  buildAIToolingData(adoptionStats) {
+    const toNumber = value => (Number.isFinite(parseFloat(value)) ? parseFloat(value) : null);
+    const departments = {};
+    for (const [name, dept] of Object.entries(adoptionStats.byDepartment)) {
+      departments[name] = {
+        title: dept.title || null,
+        username: dept.username || null,
+        unassigned: !!dept.unassigned,
+        total: dept.total,
+        matched: dept.matched,
+        withTools: dept.withTools,
+        percentage: toNumber(dept.percentage),
+        weeklyActive: dept.weeklyActive,
+        weeklyActivePercentage: toNumber(dept.weeklyActivePercentage)
+      };
+    }
+
+    return {
+      stats: {
+        totalPeople: adoptionStats.totalPeople,
+        copilotAdoption: adoptionStats.copilotAdoption,
+        cursorAdoption: adoptionStats.cursorAdoption,
+        anyToolAdoption: adoptionStats.anyToolAdoption,
+        copilotPercentage: toNumber(adoptionStats.copilotPercentage),
+        cursorPercentage: toNumber(adoptionStats.cursorPercentage),
+        anyToolPercentage: toNumber(adoptionStats.anyToolPercentage),
+        departmentDepth: adoptionStats.departmentDepth
+      },
+      byDepartment: departments
+    };
+  }
+
+  /**
+   * Recent activity report data for the JSON and CSV formats and the HTML charts
+   * The analysis as computed by `analyzeRecentActivity`, with missing peak days as null.
+   * @private
+   */
+  buildRecentActivityData(analysis) {
+    const tool = summary => ({ ...summary, peakDay: summary.peakDay === 'N/A' ? null : summary.peakDay });
+    return {
+      period: analysis.period,
+      copilot: tool(analysis.copilot),
+      cursor: tool(analysis.cursor),
+      daily: analysis.daily,
+      weekly: analysis.weekly,
+      sources: analysis.sources
+    };
+  }
+
+  /**
+   * Copilot breakdown report data for the JSON and CSV formats
+   * The aggregates of `analyzeCopilotBreakdown`, without the weekly trends and daily rows.
+   * @private
+   */
+  buildCopilotBreakdownData(analysis) {
+    return {
+      period: analysis.period,
+      totals: analysis.totals,
+      byLanguage: analysis.byLanguage,
+      byEditor: analysis.byEditor,
+      byModel: analysis.byModel,
+      ideChatByEditor: analysis.ideChatByEditor,
+      ideChatByModel: analysis.ideChatByModel,
+      dotcomChatByModel: analysis.dotcomChatByModel,
+      pullRequestsByRepository: analysis.pullRequestsByRepository,
+      byTeam: analysis.byTeam
+    };
+  }
+
+  /**
+   * Cohort retention report data for the JSON and CSV formats
+   * One entry per cohort and tool, with the retention rate at each milestone week.
+   * @private
+   */
+  buildCohortData(retention, milestones) {
+    const tool = ({ cohorts }) => cohorts.map(cohort => ({
+      cohort: cohort.cohort,
+      users: cohort.users,
+      retention: Object.fromEntries(milestones.map(week => [`week${week}`, cohort.weeks[week - 1]?.rate ?? null]))
+    }));
+    return {
+      milestones,
+      copilot: tool(retention.copilot),
+      cursor: tool(retention.cursor)
+    };
+  }
+
+  /**
+   * Seat reclamation report data for the JSON and CSV formats
+   * @private
+   */
+  buildSeatReclamationData(analysis) {
+    return {
+      summary: {
+        days: analysis.days,
+        cutoffDate: analysis.cutoffDate,
+        monthlySavings: analysis.monthlySavings,
+        copilot: analysis.copilot,
+        cursor: analysis.cursor
+      },
+      candidates: analysis.candidates,
+      byGroup: Object.fromEntries(analysis.byGroup)
+    };
+  }
+
+  /**
+   * Cost and ROI report data for the JSON and CSV formats
+   * @private
+   */
+  buildCostData(analysis) {
+    return {
+      period: analysis.period,
+      pricing: analysis.pricing,
+      copilot: analysis.copilot,
+      cursor: analysis.cursor,
+      overall: analysis.overall,
+      users: analysis.users,
+      teams: analysis.teams
+    };
+  }
+
+  /**
+   * Enterprise report data for the JSON and CSV formats
+   * @private
+   */
+  buildEnterpriseData(analysis) {
+    return {
+      summary: {
+        period: analysis.period,
+        snapshotDate: analysis.snapshotDate,
+        enterprise: analysis.enterprise,
+        scope: analysis.scope,
+        seatCost: analysis.seatCost
+      },
+      orgs: analysis.orgs,
+      combined: analysis.combined,
+      sharedUsers: analysis.sharedUsers
+    };
+  }
+
+  /**
+   * Cursor usage events report data for the JSON and CSV formats
+   * The rows per day, user and model stay in `usage-events-by-day.csv`.
+   * @private
+   */
+  buildUsageEventsData(analysis) {
+    return {
+      period: analysis.period,
+      pricing: analysis.pricing,
+      totals: analysis.totals,
+      byUser: analysis.byUser,
+      byModel: analysis.byModel,
+      daily: analysis.daily,
+      weekly: analysis.weekly,
+      spikes: analysis.spikes
+    };
+  }
+
+  /**
+   * AI code report data for the JSON and CSV formats
+   * @private
+   */
+  buildAICodeData(analysis) {
+    return {
+      period: analysis.period,
+      primaryBranchOnly: analysis.primaryBranchOnly,
+      totals: analysis.totals,
+      byUser: analysis.byUser,
+      byRepo: analysis.byRepo,
+      byWeek: analysis.byWeek,
+      byTeam: analysis.byTeam,
+      changesBySource: analysis.changesBySource,
+      sources: analysis.sources
+    };
+  }
+
   /**
    * Load organizational structure data
    * @private
@@ -298,11 +819,10 @@ export class ReportingService {
     }
     
     const csvContent = readFileSync(userLookupPath, 'utf8');
-    const lines = csvContent.trim().split('\n');
+    const [, ...records] = parseCSV(csvContent);
     
     const users = [];
-    for (let i = 1; i < lines.length; i++) {
-      const values = lines[i].split(',');
+    for (const values of records) {
       const user = {
         name: (values[0] || '').trim(),
         email: (values[1] || '').trim(),
@@ -318,99 +838,525 @@ export class ReportingService {
   }
 
   /**
-   * Filter users to only include those in organizational structure
+   * Fill gaps in lookup table rows from resolved identities
+   * Missing GitHub logins and emails are taken from links at or above the
+   * configured confidence, and tool access is set when a linked identity holds
+   * a Copilot seat or Cursor membership. Values already in the table are kept.
+   * `orgNode` is the org chart person the row resolved to (null when the row is
+   * not in the org chart); reports place people in the org through it.
    * @private
    */
-  filterUsersToOrg(allUsers, orgData) {
-    const orgUserData = extractOrgUsers(orgData.organization);
-    const orgUsers = orgUserData.users;
-    
-    return allUsers.filter(user => {
-      const normalizedUserName = normalizeText(user.name);
-      return orgUsers.has(normalizedUserName) || this.matchUserByNameVariations(user, orgUsers);
+  applyIdentities(users, orgData) {
+    const minConfidence = this.getIdentityMinConfidence();
+    const resolver = new IdentityResolver({ dataDir: this.config.dataDir, copilotScope: this.getCopilotScope() }).resolve({ orgData, lookupUsers: users });
+
+    return users.map(user => {
+      const person = resolver.findByLookupUser(user);
+      if (!person) return { ...user, orgNode: null };
+      const githubLink = resolver.bestLink(person, LINK_TYPES.GITHUB, minConfidence);
+      const emailLink = resolver.bestLink(person, LINK_TYPES.CURSOR_EMAIL, minConfidence);
+      return {
+        ...user,
+        githubLogin: user.githubLogin || githubLink?.value || '',
+        email: user.email || emailLink?.value || '',
+        hasCopilot: user.hasCopilot || (!!githubLink && resolver.hasCopilotSeat(person)),
+        hasCursor: user.hasCursor || (!!emailLink && resolver.hasCursorMembership(person)),
+        orgNode: resolver.findOrgNodeByLookupUser(user, minConfidence)
+      };
     });
   }
 
   /**
-   * Match user by name variations (handles nicknames, etc.)
-   * Uses external name variations configuration for maintainability
+   * Validated identity confidence threshold from config
    * @private
    */
-  matchUserByNameVariations(user, orgUsers) {
-    const userParts = normalizeText(user.name).split(' ');
-    if (userParts.length < 2) return false;
-    
-    const userLast = userParts[userParts.length - 1];
-    const userFirst = userParts[0];
-    
-    for (const orgName of orgUsers) {
-      const orgParts = orgName.split(' ');
-      if (orgParts.length < 2) continue;
-      
-      const orgLast = orgParts[orgParts.length - 1];
-      const orgFirst = orgParts[0];
-      
-      if (userLast === orgLast) {
-        // Check for exact match or name variations using external config
-        if (userFirst === orgFirst || areNameVariations(userFirst, orgFirst)) {
-          return true;
-        }
-      }
+  getIdentityMinConfidence() {
+    const minConfidence = Number(this.config.identityMinConfidence);
+    if (isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+      throw new Error(`Invalid identity confidence threshold: ${this.config.identityMinConfidence} (expected 0-1)`);
     }
-    
-    return false;
+    return minConfidence;
   }
 
   /**
-   * Analyze GitHub Copilot activity
-   * @private
+   * Resolve identities across GitHub, Cursor and the org chart and export them
+   * @param {Object} options - { unmatched } to export only what could not be linked
+   * @returns {Promise<Object>} - Export result with people and unmatched identifiers
    */
-  async analyzeCopilotActivity(users) {
-    const seatFiles = this.findCopilotSeatFiles();
-    
-    if (!seatFiles.length) {
-      console.warn('⚠️  No Copilot seat files found');
-      return { activeLogins: new Set(), inactiveLogins: new Set(), activityMap: new Map() };
-    }
-    
-    // Use most recent seat file
-    seatFiles.sort();
-    const latestSeatFile = seatFiles[seatFiles.length - 1];
-    console.log(`📄 Using seat file: ${path.basename(latestSeatFile)}`);
-    
-    const seatData = JSON.parse(readFileSync(latestSeatFile, 'utf8'));
+  async generateIdentityReport(options = {}) {
+    const { unmatched = false } = options;
+    const minConfidence = this.getIdentityMinConfidence();
+
+    console.log('🚀 Resolving identities...');
+
     try {
-      const stat = statSync(latestSeatFile);
-      const ageDays = (Date.now() - stat.mtimeMs) / (1000 * 60 * 60 * 24);
-      if (ageDays > 7) {
-        console.warn(`⚠️  GitHub seat data is stale (${ageDays.toFixed(1)} days old): ${path.basename(latestSeatFile)}`);
+      let orgData = null;
+      try {
+        orgData = this.loadOrganizationalData();
+      } catch (error) {
+        console.warn(`⚠️  ${error.message}; resolving without the org chart`);
       }
-    } catch {}
-    const cutoffDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-    
-    const activeLogins = new Set();
-    const inactiveLogins = new Set();
-    const activityMap = new Map();
-    
-    for (const seat of seatData.seats || []) {
-      const login = seat.assignee?.login;
-      const lastActivity = seat.last_activity_at;
-      
-      let isActive = false;
-      let daysSinceActivity = null;
-      
-      if (lastActivity) {
-        const activityDate = new Date(lastActivity);
-        daysSinceActivity = Math.floor((new Date() - activityDate) / (1000 * 60 * 60 * 24));
-        isActive = activityDate >= cutoffDate;
+      let lookupUsers = [];
+      try {
+        lookupUsers = this.loadUserLookupData();
+      } catch (error) {
+        console.warn(`⚠️  ${error.message}; resolving without the user lookup table`);
       }
-      
-      activityMap.set(login, {
-        lastActivity,
-        daysSinceActivity,
-        isActive,
-        enrichedName: seat.assignee?.enriched_name || null
-      });
+
+      const resolver = new IdentityResolver({ dataDir: this.config.dataDir, copilotScope: this.getCopilotScope() }).resolve({ orgData, lookupUsers });
+      const unmatchedIdentities = resolver.getUnmatched(minConfidence);
+      const linkColumns = (link) => [link?.value || '', link ? link.confidence.toFixed(2) : '', link?.source || ''];
+
+      let outputPath;
+      if (unmatched) {
+        const rows = [
+          ...unmatchedIdentities.githubLogins.map(u => ({ Kind: 'github-login', Identifier: u.login, Name: u.name || '' })),
+          ...unmatchedIdentities.cursorEmails.map(u => ({ Kind: 'cursor-email', Identifier: u.email, Name: u.name || '' })),
+          ...unmatchedIdentities.orgPeople.map(p => ({ Kind: 'org-person', Identifier: p.orgNode.username || '', Name: p.name }))
+        ];
+        outputPath = path.join(this.config.csvDir, 'identities-unmatched.csv');
+        writeCSV(outputPath, ['Kind', 'Identifier', 'Name'], rows);
+      } else {
+        const header = ['Name', 'OrgUsername', 'Title', 'GitHubLogin', 'GitHubConfidence', 'GitHubSource', 'CursorEmail', 'CursorConfidence', 'CursorSource', 'CursorUserId'];
+        const rows = resolver.people.map(person => {
+          const [GitHubLogin, GitHubConfidence, GitHubSource] = linkColumns(resolver.bestLink(person, LINK_TYPES.GITHUB, minConfidence));
+          const [CursorEmail, CursorConfidence, CursorSource] = linkColumns(resolver.bestLink(person, LINK_TYPES.CURSOR_EMAIL, minConfidence));
+          return {
+            Name: person.name,
+            OrgUsername: person.orgNode?.username || '',
+            Title: person.orgNode?.title || '',
+            GitHubLogin, GitHubConfidence, GitHubSource,
+            CursorEmail, CursorConfidence, CursorSource,
+            CursorUserId: resolver.bestLink(person, LINK_TYPES.CURSOR_USER, minConfidence)?.value || ''
+          };
+        });
+        outputPath = path.join(this.config.csvDir, 'identities.csv');
+        writeCSV(outputPath, header, rows);
+      }
+      console.log(`✅ Identity export written: ${outputPath}`);
+
+      return {
+        success: true,
+        outputPath,
+        people: resolver.people,
+        unmatched: unmatchedIdentities
+      };
+
+    } catch (error) {
+      console.error('❌ Error resolving identities:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate seat reclamation recommendations for unused Copilot seats and Cursor members
+   * @param {Object} options - { skipPrompt, days } where days is the inactivity threshold
+   * @returns {Promise<Object>} - Report generation result with candidates and savings
+   */
+  async generateSeatReclamationReport(options = {}) {
+    const { skipPrompt = false, days = 30 } = options;
+    const format = parseReportFormat(options.format);
+
+    if (!Number.isInteger(days) || days < 1) {
+      throw new Error(`Invalid number of days: ${days}`);
+    }
+
+    console.log('🚀 Starting seat reclamation analysis...');
+
+    try {
+      const analysis = this.analyzeSeatReclamation(days);
+      const saved = await this.saveReport({
+        name: 'seat-reclamation',
+        title: 'Seat Reclamation Report',
+        format,
+        skipPrompt,
+        markdown: () => this.generateSeatReclamationReportMarkdown(analysis),
+        data: () => this.buildSeatReclamationData(analysis)
+      });
+      if (saved.cancelled) return saved;
+      const { outputPath, timestampedPath } = saved;
+      console.log(`✅ Seat reclamation report generated: ${outputPath}`);
+
+      const header = ['Tool', 'Identifier', 'Name', 'Team', 'Department', 'AssignedAt', 'LastActivity', 'DaysSinceActivity', 'Status', 'MonthlyCost', 'Action'];
+      const rows = analysis.candidates.map(c => ({
+        Tool: c.tool,
+        Identifier: c.identifier,
+        Name: c.name,
+        Team: c.team || '',
+        Department: c.department || '',
+        AssignedAt: c.assignedAt ? c.assignedAt.split('T')[0] : '',
+        LastActivity: c.lastActivity ? c.lastActivity.split('T')[0] : '',
+        DaysSinceActivity: c.daysSinceActivity ?? '',
+        Status: c.status,
+        MonthlyCost: c.monthlyCost.toFixed(2),
+        Action: c.tool === 'copilot' ? 'Remove Copilot seat' : 'Remove Cursor member'
+      }));
+      const csvPath = path.join(this.config.csvDir, 'seat-reclamation-candidates.csv');
+      writeCSV(csvPath, header, rows);
+      console.log(`✅ Seat reclamation CSV written: ${csvPath}`);
+
+      return {
+        success: true,
+        outputPath,
+        timestampedPath,
+        csvPath,
+        analysis
+      };
+
+    } catch (error) {
+      console.error('❌ Error generating seat reclamation report:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate monthly cost and ROI report for Copilot and Cursor
+   * Joins Copilot seat pricing and Cursor seat plus usage-based spend with the
+   * last 30 days of activity, per user and per org chart department.
+   * @param {Object} options - Report options
+   * @returns {Promise<Object>} - Report generation result with cost analysis
+   */
+  async generateCostReport(options = {}) {
+    const { skipPrompt = false } = options;
+    const format = parseReportFormat(options.format);
+
+    console.log('🚀 Starting cost and ROI report generation...');
+
+    try {
+      const analysis = this.analyzeCosts();
+      const saved = await this.saveReport({
+        name: 'cost-report',
+        title: 'Cost and ROI Report',
+        format,
+        skipPrompt,
+        markdown: () => this.generateCostReportMarkdown(analysis),
+        data: () => this.buildCostData(analysis),
+        csvKeys: { teams: 'department' }
+      });
+      if (saved.cancelled) return saved;
+      const { outputPath, timestampedPath } = saved;
+      console.log(`✅ Cost and ROI report generated: ${outputPath}`);
+
+      const userHeader = ['Name', 'GitHubLogin', 'CursorEmail', 'Department', 'CopilotSeatCost', 'CursorSeatCost', 'CursorUsageCost', 'TotalMonthlyCost', 'CopilotActive30d', 'CursorActive30d', 'CursorAcceptedLines30d', 'UsageBasedRequests30d', 'HeavySpender'];
+      const userRows = analysis.users.map(u => ({
+        Name: u.name,
+        GitHubLogin: u.githubLogin || '',
+        CursorEmail: u.cursorEmail || '',
+        Department: u.department || '',
+        CopilotSeatCost: u.copilotSeatCost.toFixed(2),
+        CursorSeatCost: u.cursorSeatCost.toFixed(2),
+        CursorUsageCost: u.cursorUsageCost.toFixed(2),
+        TotalMonthlyCost: u.totalCost.toFixed(2),
+        CopilotActive30d: u.copilotActive ? 'true' : 'false',
+        CursorActive30d: u.cursorActive ? 'true' : 'false',
+        CursorAcceptedLines30d: u.cursorAcceptedLines,
+        UsageBasedRequests30d: u.usageBasedReqs,
+        HeavySpender: u.heavySpender ? 'true' : 'false'
+      }));
+      const teamHeader = ['Department', 'People', 'CopilotSeats', 'CursorSeats', 'ActiveUsers30d', 'CursorUsageCost', 'TotalMonthlyCost', 'CostPerActiveUser'];
+      const teamRows = analysis.teams.map(t => ({
+        Department: t.department,
+        People: t.people,
+        CopilotSeats: t.copilotSeats,
+        CursorSeats: t.cursorSeats,
+        ActiveUsers30d: t.activeUsers,
+        CursorUsageCost: t.cursorUsageCost.toFixed(2),
+        TotalMonthlyCost: t.totalCost.toFixed(2),
+        CostPerActiveUser: t.costPerActiveUser === null ? '' : t.costPerActiveUser.toFixed(2)
+      }));
+      const userCsvPath = path.join(this.config.csvDir, 'cost-per-user.csv');
+      const teamCsvPath = path.join(this.config.csvDir, 'cost-per-team.csv');
+      writeCSV(userCsvPath, userHeader, userRows);
+      writeCSV(teamCsvPath, teamHeader, teamRows);
+      console.log(`✅ Cost CSVs written: ${userCsvPath}, ${teamCsvPath}`);
+
+      return {
+        success: true,
+        outputPath,
+        timestampedPath,
+        userCsvPath,
+        teamCsvPath,
+        analysis
+      };
+
+    } catch (error) {
+      console.error('❌ Error generating cost report:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate enterprise report with per-org and combined Copilot views
+   * Works on the latest seat snapshot; snapshots fetched in enterprise mode
+   * list every org a user holds a seat in, so users are counted once combined.
+   * @param {Object} options - Report options
+   * @returns {Promise<Object>} - Report generation result with enterprise analysis
+   */
+  async generateEnterpriseReport(options = {}) {
+    const { skipPrompt = false, days = 30 } = options;
+    const format = parseReportFormat(options.format);
+
+    if (!Number.isInteger(days) || days < 1) {
+      throw new Error(`Invalid number of days: ${days}`);
+    }
+
+    console.log('🚀 Starting enterprise report generation...');
+
+    try {
+      const analysis = this.analyzeEnterprise(days);
+      const saved = await this.saveReport({
+        name: 'enterprise-report',
+        title: 'Enterprise Report',
+        format,
+        skipPrompt,
+        markdown: () => this.generateEnterpriseReportMarkdown(analysis),
+        data: () => this.buildEnterpriseData(analysis),
+        csvKeys: { orgs: 'org', sharedUsers: 'login' }
+      });
+      if (saved.cancelled) return saved;
+      const { outputPath, timestampedPath } = saved;
+      console.log(`✅ Enterprise report generated: ${outputPath}`);
+
+      const header = ['Scope', 'Organization', 'Seats', 'Users', 'Active', 'Inactive', 'NeverUsed', 'PendingCancellation', 'SharedUsers', 'MonthlyCost', 'Suggestions', 'AcceptanceRate', 'LinesAccepted', 'LineAcceptanceRate', 'AvgEngagedUsers'];
+      const toRow = (scope, o) => ({
+        Scope: scope,
+        Organization: o.org,
+        Seats: o.seats,
+        Users: o.users,
+        Active: o.active,
+        Inactive: o.inactive,
+        NeverUsed: o.neverUsed,
+        PendingCancellation: o.pendingCancellation,
+        SharedUsers: o.sharedUsers,
+        MonthlyCost: o.monthlyCost.toFixed(2),
+        Suggestions: o.metrics?.totalSuggestions ?? '',
+        AcceptanceRate: o.metrics?.acceptanceRate ?? '',
+        LinesAccepted: o.metrics?.totalLinesAccepted ?? '',
+        LineAcceptanceRate: o.metrics?.lineAcceptanceRate ?? '',
+        AvgEngagedUsers: o.metrics?.averageEngagedUsers ?? ''
+      });
+      const rows = [...analysis.orgs.map(o => toRow('org', o)), toRow('combined', analysis.combined)];
+      const csvPath = path.join(this.config.csvDir, 'enterprise-report-orgs.csv');
+      writeCSV(csvPath, header, rows);
+      console.log(`✅ Enterprise report CSV written: ${csvPath}`);
+
+      return {
+        success: true,
+        outputPath,
+        timestampedPath,
+        csvPath,
+        analysis
+      };
+
+    } catch (error) {
+      console.error('❌ Error generating enterprise report:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate Cursor usage events report with per-user and per-model usage,
+   * token-based versus request-based mix, max mode and cost by day and week
+   * Reads the usage event store written by the usage events sync.
+   * @param {Object} options - Report options
+   * @returns {Promise<Object>} - Report generation result with usage analysis
+   */
+  async generateUsageEventsReport(options = {}) {
+    const { skipPrompt = false, days = 30 } = options;
+    const format = parseReportFormat(options.format);
+
+    if (!Number.isInteger(days) || days < 1) {
+      throw new Error(`Invalid number of days: ${days}`);
+    }
+
+    console.log('🚀 Starting Cursor usage events report generation...');
+
+    try {
+      const analysis = this.analyzeUsageEvents(days);
+      const saved = await this.saveReport({
+        name: 'usage-events-report',
+        title: 'Cursor Usage Events Report',
+        format,
+        skipPrompt,
+        markdown: () => this.generateUsageEventsReportMarkdown(analysis),
+        data: () => this.buildUsageEventsData(analysis),
+        csvKeys: { byUser: 'email', byModel: 'model', daily: 'date', weekly: 'weekStart' }
+      });
+      if (saved.cancelled) return saved;
+      const { outputPath, timestampedPath } = saved;
+      console.log(`✅ Cursor usage events report generated: ${outputPath}`);
+
+      const usageColumns = ['Requests', 'RequestUnits', 'TokenBased', 'RequestBased', 'MaxMode', 'Tokens', 'Cost', 'UsageBasedCost'];
+      const usageValues = u => ({
+        Requests: u.requests,
+        RequestUnits: u.requestUnits,
+        TokenBased: u.tokenBased,
+        RequestBased: u.requestBased,
+        MaxMode: u.maxMode,
+        Tokens: u.tokens,
+        Cost: u.cost.toFixed(2),
+        UsageBasedCost: u.usageBasedCost.toFixed(2)
+      });
+      const userHeader = ['Name', 'Email', 'Department', ...usageColumns, 'Models', 'TopModel', 'ActiveDays'];
+      const userRows = analysis.byUser.map(u => ({
+        Name: u.name || '',
+        Email: u.email,
+        Department: u.department || '',
+        ...usageValues(u),
+        Models: u.models,
+        TopModel: u.topModel || '',
+        ActiveDays: u.activeDays
+      }));
+      const modelHeader = ['Model', 'Users', ...usageColumns];
+      const modelRows = analysis.byModel.map(m => ({ Model: m.model, Users: m.users, ...usageValues(m) }));
+      const dailyHeader = ['Date', 'Week', 'Email', 'Model', ...usageColumns];
+      const dailyRows = analysis.rows.map(r => ({ Date: r.date, Week: r.week, Email: r.email, Model: r.model, ...usageValues(r) }));
+
+      const userCsvPath = path.join(this.config.csvDir, 'usage-events-by-user.csv');
+      const modelCsvPath = path.join(this.config.csvDir, 'usage-events-by-model.csv');
+      const dailyCsvPath = path.join(this.config.csvDir, 'usage-events-by-day.csv');
+      writeCSV(userCsvPath, userHeader, userRows);
+      writeCSV(modelCsvPath, modelHeader, modelRows);
+      writeCSV(dailyCsvPath, dailyHeader, dailyRows);
+      console.log(`✅ Usage events CSVs written: ${userCsvPath}, ${modelCsvPath}, ${dailyCsvPath}`);
+
+      return {
+        success: true,
+        outputPath,
+        timestampedPath,
+        userCsvPath,
+        modelCsvPath,
+        dailyCsvPath,
+        analysis
+      };
+
+    } catch (error) {
+      console.error('❌ Error generating Cursor usage events report:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate AI code report: share of committed lines written by AI
+   * Aggregates Cursor AI Code Tracking commit metrics per user, repository,
+   * week and org chart team, split between Tab completions and Composer.
+   * @param {Object} options - Report options
+   * @returns {Promise<Object>} - Report generation result with AI code analysis
+   */
+  async generateAICodeReport(options = {}) {
+    const { skipPrompt = false, days = 30, primaryBranchOnly = false } = options;
+    const format = parseReportFormat(options.format);
+
+    console.log('🚀 Starting AI code report generation...');
+
+    try {
+      const analysis = this.analyzeAICode(days, { primaryBranchOnly });
+      const saved = await this.saveReport({
+        name: 'ai-code-report',
+        title: 'AI Code Report',
+        format,
+        skipPrompt,
+        markdown: () => this.generateAICodeReportMarkdown(analysis),
+        data: () => this.buildAICodeData(analysis),
+        csvKeys: { byUser: 'email', byRepo: 'repo', byWeek: 'weekStart', byTeam: 'team' }
+      });
+      if (saved.cancelled) return saved;
+      const { outputPath, timestampedPath } = saved;
+      console.log(`✅ AI code report generated: ${outputPath}`);
+
+      const header = ['Scope', 'Key', 'Name', 'Department', 'Commits', 'LinesAdded', 'AILinesAdded', 'TabLinesAdded', 'ComposerLinesAdded', 'NonAILinesAdded', 'AISharePct', 'TabSharePct', 'ComposerSharePct', 'AcceptedChangeLines'];
+      const toRow = (scope, key, g) => ({
+        Scope: scope,
+        Key: key,
+        Name: g.name || '',
+        Department: g.department || '',
+        Commits: g.commits,
+        LinesAdded: g.linesAdded,
+        AILinesAdded: g.aiLinesAdded,
+        TabLinesAdded: g.tabLinesAdded,
+        ComposerLinesAdded: g.composerLinesAdded,
+        NonAILinesAdded: g.nonAiLinesAdded,
+        AISharePct: g.aiShare ?? '',
+        TabSharePct: g.tabShare ?? '',
+        ComposerSharePct: g.composerShare ?? '',
+        AcceptedChangeLines: g.acceptedChangeLines ?? ''
+      });
+      const rows = [
+        toRow('total', 'all', analysis.totals),
+        ...analysis.byWeek.map(w => toRow('week', w.weekStart, w)),
+        ...analysis.byTeam.map(t => toRow('team', t.team, t)),
+        ...analysis.byRepo.map(r => toRow('repo', r.repo, r)),
+        ...analysis.byUser.map(u => toRow('user', u.email, u))
+      ];
+      const csvPath = path.join(this.config.csvDir, 'ai-code-report-groups.csv');
+      writeCSV(csvPath, header, rows);
+      console.log(`✅ AI code report CSV written: ${csvPath}`);
+
+      return {
+        success: true,
+        outputPath,
+        timestampedPath,
+        csvPath,
+        analysis
+      };
+
+    } catch (error) {
+      console.error('❌ Error generating AI code report:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Analyze GitHub Copilot activity
+   * @private
+   */
+  async analyzeCopilotActivity(users) {
+    const scope = this.getCopilotScope();
+    const seatFiles = this.findCopilotSeatFiles().filter(file => getCopilotFileScope(file) === scope);
+    
+    if (!seatFiles.length) {
+      console.warn(`⚠️  No Copilot seat files found (${scope} scope)`);
+      return { activeLogins: new Set(), inactiveLogins: new Set(), activityMap: new Map() };
+    }
+    
+    // Use most recent seat file
+    seatFiles.sort();
+    const latestSeatFile = seatFiles[seatFiles.length - 1];
+    console.log(`📄 Using seat file: ${path.basename(latestSeatFile)}`);
+    
+    const seatData = JSON.parse(readFileSync(latestSeatFile, 'utf8'));
+    try {
+      const stat = statSync(latestSeatFile);
+      const ageDays = (Date.now() - stat.mtimeMs) / (1000 * 60 * 60 * 24);
+      if (ageDays > 7) {
+        console.warn(`⚠️  GitHub seat data is stale (${ageDays.toFixed(1)} days old): ${path.basename(latestSeatFile)}`);
+      }
+    } catch {}
+    const cutoffDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    
+    const activeLogins = new Set();
+    const inactiveLogins = new Set();
+    const activityMap = new Map();
+    
+    for (const seat of seatData.seats || []) {
+      const login = seat.assignee?.login;
+      const lastActivity = seat.last_activity_at;
+      
+      let isActive = false;
+      let daysSinceActivity = null;
+      
+      if (lastActivity) {
+        const activityDate = new Date(lastActivity);
+        daysSinceActivity = Math.floor((new Date() - activityDate) / (1000 * 60 * 60 * 24));
+        isActive = activityDate >= cutoffDate;
+      }
+      
+      activityMap.set(login, {
+        lastActivity,
+        daysSinceActivity,
+        isActive,
+        enrichedName: seat.assignee?.enriched_name || null
+      });
       
       if (isActive) {
         activeLogins.add(login);
@@ -486,24 +1432,29 @@ export class ReportingService {
    * @private
    */
   analyzeEngineeringTeam(users, orgData) {
-    const engineeringUsers = extractEngineeringTeam(orgData.organization);
+    const roots = parseListOption(this.config.engineeringRoots);
+    const nonIcTitles = parseListOption(this.config.icExcludeTitles);
+    const excludeManagers = this.config.icExcludeManagers === true || normalizeBool(this.config.icExcludeManagers);
+    const engineeringUsers = extractEngineeringTeam(orgData.organization, roots);
     
-    const engineeringTeamUsers = users.filter(user => {
-      const normalizedName = normalizeText(user.name);
-      return engineeringUsers.has(normalizedName) || 
-             this.matchUserByNameVariations(user, engineeringUsers);
-    });
+    // Users are placed in the org chart by the identity resolver
+    const engineeringTeamUsers = users.filter(user => user.orgNode && engineeringUsers.has(normalizeText(user.orgNode.name)));
     
-    // Filter to Individual Contributors (no managers)
+    // Filter to Individual Contributors using the configured IC rule
     const engineeringICs = engineeringTeamUsers.filter(user => {
-      const role = user.role.toLowerCase();
-      return !role.includes('manager') && !role.includes('vp') && !role.includes('director');
+      return isIndividualContributor(user.role || user.orgNode.title, {
+        nonIcTitles,
+        excludeManagers,
+        directReportCount: user.orgNode.directReportCount
+      });
     });
     
     return {
       allEngineering: engineeringTeamUsers,
       individualContributors: engineeringICs,
-      totalSize: engineeringUsers.size
+      totalSize: engineeringUsers.size,
+      roots,
+      icRule: { nonIcTitles, excludeManagers }
     };
   }
 
@@ -556,236 +1507,2525 @@ export class ReportingService {
   }
 
   /**
-   * Generate active users report markdown content
+   * Generate active users report markdown content from the `active-users` template
    * @private
    */
-  generateActiveUsersReportMarkdown(users, stats, copilotAnalysis, cursorAnalysis, engineeringAnalysis) {
+  async generateActiveUsersReportMarkdown(users, stats, copilotAnalysis, cursorAnalysis, engineeringAnalysis) {
     const reportDate = new Date().toISOString().split('T')[0];
     const cutoffDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
     
-    return `# AI Tools Active Users Report (Organizational Structure)
+    return renderReportTemplate('active-users', {
+      reportDate,
+      cutoffDate,
+      stats,
+      inactiveCopilotUsers: copilotAnalysis.inactiveLogins.size,
+      inactiveCursorUsers: cursorAnalysis.inactiveUsers.size,
+      engineering: { roots: engineeringAnalysis.roots, icRule: engineeringAnalysis.icRule },
+      users
+    }, { templatesDir: this.config.templatesDir });
+  }
 
-**Generated:** ${reportDate}  
-**Analysis Period:** Last 7 days (${cutoffDate} to ${reportDate})  
-**Scope:** Users from organizational structure
+  /**
+   * Generate AI tooling adoption report markdown from the `ai-tooling` template
+   * @private
+   */
+  async generateAIToolingReportMarkdown(adoptionStats, orgData) {
+    const reportDate = new Date().toISOString().split('T')[0];
+    
+    return renderReportTemplate('ai-tooling', {
+      reportDate,
+      stats: adoptionStats,
+      departmentTable: this.generateDepartmentTable(adoptionStats),
+      recommendations: this.generateAdoptionRecommendations(adoptionStats),
+      orgData
+    }, { templatesDir: this.config.templatesDir });
+  }
 
-## Executive Summary
+  /**
+   * Render the per-department adoption table
+   * @private
+   */
+  generateDepartmentTable(adoptionStats) {
+    const departments = Object.entries(adoptionStats.byDepartment);
+    if (departments.length === 0) {
+      return `No manager subtrees found at depth ${adoptionStats.departmentDepth} of the organizational structure.`;
+    }
 
-**Total R&D people:** ${stats.totalRDPeople}  
-**R&D people with access to agentic editors:** ${stats.usersWithTools}  
-**People active in either tool this past week:** ${stats.weeklyActiveInEither}  
+    const rows = departments.map(([dept, stats]) =>
+      `| ${dept} | ${stats.title || '–'} | ${stats.total} | ${stats.withTools} | ${stats.percentage}% | ${stats.weeklyActive} | ${stats.weeklyActivePercentage}% |`
+    );
 
-**In total ${stats.weeklyActivePercentage}% of R&D were active users this past week.**
+    return `| Department | Manager Title | People | With Tools | Adoption | Weekly Active | Weekly Active Rate |
+|------------|---------------|---:|---:|---:|---:|---:|
+${rows.join('\n')}`;
+  }
 
-## Detailed Summary
+  /**
+   * Rebuild 7-day-active metrics as of every historical date in the data directory
+   * Walks all dated Copilot seat snapshots and Cursor daily activity files, writes a
+   * trend CSV and ingests the same files into the history store.
+   * @param {Object} options - { since, until } as YYYY-MM-DD to limit the dates
+   * @returns {Promise<Object>} - Backfill result with trend rows and CSV path
+   */
+  async generateBackfill(options = {}) {
+    const { since = null, until = null } = options;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    for (const [name, value] of [['since', since], ['until', until]]) {
+      if (value && !datePattern.test(value)) {
+        throw new Error(`Invalid ${name} date: ${value} (expected YYYY-MM-DD)`);
+      }
+    }
 
-- **Total Users in Organizational Structure:** ${stats.usersInLookup}
-- **Users with Copilot Access:** ${stats.copilotUsers}
-- **Users with Cursor Access:** ${stats.cursorUsers}
-- **Users without AI Tools:** ${stats.usersInLookup - stats.usersWithTools}
+    console.log('🚀 Starting history backfill...');
 
-### GitHub Copilot Activity
-- **Active Copilot Users (Last 7 Days):** ${stats.activeCopilotUsers}
-- **Inactive Copilot Users:** ${copilotAnalysis.inactiveLogins.size}
+    try {
+      const snapshots = this.loadSeatSnapshots();
+      console.log(`📄 Found ${snapshots.size} Copilot seat snapshot dates`);
 
-### Cursor Activity  
-- **Active Cursor Users (Last 7 Days):** ${stats.activeCursorUsers}
-- **Inactive Cursor Users:** ${cursorAnalysis.inactiveUsers.size}
+      const cursorFiles = this.findCursorDailyFiles();
+      const cursorDates = cursorFiles
+        .map(f => path.basename(f).match(/(\d{4}-\d{2}-\d{2})/)?.[1])
+        .filter(Boolean);
+      console.log(`📄 Found ${cursorFiles.length} Cursor daily activity files`);
 
-## Engineering Team Activity
+      const dates = [...new Set([...snapshots.keys(), ...cursorDates])]
+        .filter(d => (!since || d >= since) && (!until || d <= until))
+        .sort();
+      if (dates.length === 0) {
+        throw new Error('No dated Copilot seat or Cursor daily activity files found to backfill');
+      }
 
-- **Total Engineering Team Members:** ${stats.engineeringTotal}
-- **Engineering Team Members with AI Tool Access:** ${stats.engineeringWithTools}
-- **Engineering Team Active (Last 7 Days):** ${stats.engineeringActiveWeekly}
+      const dayMs = 24 * 60 * 60 * 1000;
+      const shiftDay = (day, offset) => new Date(Date.parse(`${day}T00:00:00Z`) + offset * dayMs).toISOString().split('T')[0];
+      const cursorDaily = this.loadCursorDailyActivity(
+        new Date(`${shiftDay(dates[0], -6)}T00:00:00Z`),
+        new Date(`${dates[dates.length - 1]}T00:00:00Z`)
+      );
+      const snapshotDates = [...snapshots.keys()].sort();
 
-**${((stats.engineeringActiveWeekly / stats.engineeringTotal) * 100).toFixed(1)}% of engineering team were active users this past week.**
+      const rows = dates.map(date => {
+        const windowStart = shiftDay(date, -6);
 
-## Engineering Individual Contributors Activity
+        // Copilot: a seat's last_activity_at only holds its latest activity, so one
+        // snapshot is exact only for its own date. For other dates, count the union of
+        // seats whose last activity falls in the window across every snapshot taken
+        // from the window start up to a few days after the date, and flag the row as
+        // approximate. Without such a snapshot the Copilot columns stay empty.
+        const sameDay = snapshots.get(date);
+        const windowEnd = shiftDay(date, BACKFILL_SNAPSHOT_MAX_DAYS_AFTER);
+        const windowSnapshots = sameDay ? [date] : snapshotDates.filter(d => d >= windowStart && d <= windowEnd);
+        const seatDate = sameDay
+          ? date
+          : (windowSnapshots.filter(d => d <= date).pop() || windowSnapshots[0] || null);
+        const seats = seatDate ? snapshots.get(seatDate).seats : null;
+        let copilotActive = null;
+        if (seats) {
+          const active = new Set();
+          for (const snapshot of windowSnapshots) {
+            snapshots.get(snapshot).seats.forEach((seat, index) => {
+              if (!seat.last_activity_at) return;
+              const activityDay = new Date(seat.last_activity_at).toISOString().split('T')[0];
+              if (activityDay >= windowStart && activityDay <= date) {
+                active.add(seat.assignee?.login?.toLowerCase() || `${snapshot}#${index}`);
+              }
+            });
+          }
+          copilotActive = active.size;
+        }
 
-- **Total Engineering ICs:** ${stats.engineeringICsTotal}
-- **Engineering ICs Active (Last 7 Days):** ${stats.engineeringICsActiveWeekly}
+        // Cursor: distinct active users across the daily files in the window
+        const cursorActive = new Set();
+        let cursorDays = 0;
+        let cursorRequests = 0;
+        for (let offset = -6; offset <= 0; offset++) {
+          const day = cursorDaily.byDate.get(shiftDay(date, offset));
+          if (!day) continue;
+          cursorDays++;
+          cursorRequests += day.requests;
+          day.activeEmails.forEach(email => cursorActive.add(email));
+        }
 
-**${((stats.engineeringICsActiveWeekly / stats.engineeringICsTotal) * 100).toFixed(1)}% of engineering ICs were active users this past week.**
+        return {
+          Date: date,
+          CopilotSnapshotDate: seatDate || '',
+          CopilotSeats: seats ? seats.length : '',
+          CopilotActive7d: copilotActive ?? '',
+          CopilotApproximate: seats ? (sameDay ? 'false' : 'true') : '',
+          CopilotActivePct: seats && seats.length ? ((copilotActive / seats.length) * 100).toFixed(1) : '',
+          CursorDaysWithData: cursorDays,
+          CursorActive7d: cursorDays ? cursorActive.size : '',
+          CursorRequests7d: cursorDays ? cursorRequests : ''
+        };
+      });
 
-## Analysis Details
+      const header = ['Date', 'CopilotSnapshotDate', 'CopilotSeats', 'CopilotActive7d', 'CopilotApproximate', 'CopilotActivePct', 'CursorDaysWithData', 'CursorActive7d', 'CursorRequests7d'];
+      const csvPath = path.join(this.config.csvDir, `active-users-trend_${dates[0]}_to_${dates[dates.length - 1]}.csv`);
+      const latestPath = path.join(this.config.csvDir, 'active-users-trend.csv');
+      writeCSV(csvPath, header, rows);
+      writeCSV(latestPath, header, rows);
+      console.log(`✅ Trend CSV written: ${csvPath}`);
 
-- **Analysis Date:** ${reportDate}
-- **Cutoff Date:** ${cutoffDate}
-- **Days Lookback:** 7
+      const store = new HistoryStore({ dataDir: this.config.dataDir, scope: this.getCopilotScope() });
+      const ingest = store.ingest();
+      console.log(`📥 History store: ${ingest.filesIngested} files ingested (${ingest.rowsAdded} rows), ${ingest.filesSkipped} unchanged`);
 
-## Notes
+      return {
+        success: true,
+        outputPath: latestPath,
+        csvPath,
+        rows,
+        ingest
+      };
 
-- **Active Users:** Users who have used AI tools in the last 7 days
-- **Inactive Users:** Users with tool access who have used them before but not in the last 7 days  
-- GitHub Copilot activity is based on seat assignment data
-- Cursor activity is based on weekly activity reports
-- Users without GitHub login mapping cannot be matched against Copilot activity data
-`;
+    } catch (error) {
+      console.error('❌ Error running history backfill:', error.message);
+      throw error;
+    }
   }
 
   /**
-   * Generate AI tooling adoption report markdown
+   * Load every Copilot seat snapshot of one scope keyed by snapshot date
+   * `copilot-seats_`, `copilot-enterprise-seats_` and legacy
+   * `copilot-seat-assignments_` files are read and kept when their scope
+   * matches; when several files share a date the most recently fetched one wins.
+   * @param {string} scope - org or enterprise (default: configured scope)
    * @private
    */
-  generateAIToolingReportMarkdown(adoptionStats, orgData) {
-    const reportDate = new Date().toISOString().split('T')[0];
-    
-    return `# AI Tooling Adoption Report
-
-**Generated:** ${reportDate}  
-**Scope:** R&D Organization Analysis
-
-## Executive Summary
-
-Total R&D workforce analyzed: ${adoptionStats.totalPeople}
-
-### Tool Adoption
-- **GitHub Copilot:** ${adoptionStats.copilotAdoption} people (${adoptionStats.copilotPercentage}%)
-- **Cursor:** ${adoptionStats.cursorAdoption} people (${adoptionStats.cursorPercentage}%)
-- **Any AI Tool:** ${adoptionStats.anyToolAdoption} people (${adoptionStats.anyToolPercentage}%)
-
-### Adoption by Department
-${Object.entries(adoptionStats.byDepartment).map(([dept, stats]) => 
-  `- **${dept}:** ${stats.withTools}/${stats.total} (${stats.percentage}%)`
-).join('\n')}
-
-## Recommendations
+  loadSeatSnapshots(scope = this.getCopilotScope()) {
+    const snapshots = new Map();
+    const searchDir = path.join(this.config.dataDir, 'github');
+    if (!existsSync(searchDir)) return snapshots;
 
-${this.generateAdoptionRecommendations(adoptionStats)}
+    const files = [];
+    const walkDir = (dir) => {
+      try {
+        for (const entry of readdirSync(dir)) {
+          const fullPath = path.join(dir, entry);
+          if (statSync(fullPath).isDirectory()) {
+            walkDir(fullPath);
+          } else if (/^copilot-(seats|enterprise-seats|seat-assignments)_.*\.json$/.test(entry)) {
+            files.push(fullPath);
+          }
+        }
+      } catch (error) {
+        // Skip directories we can't read
+      }
+    };
+    walkDir(searchDir);
 
-## Analysis Details
+    for (const file of files.filter(f => getCopilotFileScope(f) === scope)) {
+      let data;
+      try {
+        data = JSON.parse(readFileSync(file, 'utf8'));
+      } catch (error) {
+        console.warn(`⚠️  Skipping unreadable seat file ${path.basename(file)}: ${error.message}`);
+        continue;
+      }
+      const date = getSeatSnapshotDate(data, file);
+      const fetchedAt = data.meta?.fetched_at || '';
+      const existing = snapshots.get(date);
+      if (!existing || fetchedAt > existing.fetchedAt) {
+        snapshots.set(date, { file, fetchedAt, seats: data.seats || [], meta: data.meta || {} });
+      }
+    }
 
-- **Analysis Date:** ${reportDate}
-- **Data Sources:** User lookup table, organizational structure
-- **Methodology:** Cross-reference user assignments with tool access rights
-`;
+    return snapshots;
   }
 
   /**
-   * Generate recent activity report markdown
+   * Find Copilot seats and Cursor members inactive for N days or never active
+   * Copilot seats come from the latest seat snapshot. Seats already pending
+   * cancellation are left out, and unused seats assigned within the threshold
+   * are given a grace period. Cursor activity comes from the daily activity
+   * files: members are only listed when every day from the cutoff to yesterday
+   * is on disk, and members first seen after the cutoff get the same grace
+   * period as new Copilot seats.
    * @private
    */
-  generateRecentActivityReportMarkdown(activityAnalysis, days) {
-    const reportDate = new Date().toISOString().split('T')[0];
-    
-    return `# Recent Activity Analysis Report
+  analyzeSeatReclamation(days) {
+    const copilotSeatCost = this.getCostSetting('copilotSeatCost');
+    const cursorSeatCost = this.getCostSetting('cursorSeatCost');
+    const dayMs = 24 * 60 * 60 * 1000;
+    const cutoff = new Date(Date.now() - days * dayMs);
+    const cutoffKey = cutoff.toISOString().split('T')[0];
+    const { departmentOf } = this.buildIdentityIndex();
+    const candidates = [];
 
-**Generated:** ${reportDate}  
-**Analysis Period:** Last ${days} days
+    // Copilot: inactive split from the analysis service, on the newest snapshot
+    const snapshots = this.loadSeatSnapshots();
+    const snapshotDate = [...snapshots.keys()].sort().pop() || null;
+    const copilot = { snapshotDate, totalSeats: 0, pendingCancellation: 0, inGracePeriod: 0, seatCost: copilotSeatCost };
+    if (snapshotDate) {
+      const { seats } = snapshots.get(snapshotDate);
+      console.log(`📄 Using seat snapshot from ${snapshotDate} (${seats.length} seats)`);
+      const analysisService = new GitHubAnalysisService({
+        dataDir: path.join(this.config.dataDir, 'github'),
+        userLookupPath: this.config.userLookupPath
+      });
+      const { inactiveUsers } = analysisService.getActiveUsersInPastDays(seats, days);
+      copilot.totalSeats = seats.length;
 
-## Activity Summary
+      for (const user of inactiveUsers.users) {
+        if (user.pendingCancellationDate) {
+          copilot.pendingCancellation++;
+          continue;
+        }
+        if (!user.lastActivity && user.assignedAt && new Date(user.assignedAt) > cutoff) {
+          copilot.inGracePeriod++;
+          continue;
+        }
+        candidates.push({
+          tool: 'copilot',
+          identifier: user.login,
+          name: user.name,
+          team: user.team,
+          department: departmentOf(LINK_TYPES.GITHUB, user.login),
+          assignedAt: user.assignedAt,
+          lastActivity: user.lastActivity,
+          daysSinceActivity: user.daysSinceActivity,
+          status: user.lastActivity ? 'inactive' : 'never-active',
+          monthlyCost: copilotSeatCost
+        });
+      }
+    } else {
+      console.warn('⚠️  No Copilot seat files found');
+    }
 
-### GitHub Copilot
-- **Total Active Users:** ${activityAnalysis.copilot.activeUsers}
-- **Average Daily Activity:** ${activityAnalysis.copilot.averageDaily}
-- **Peak Activity Day:** ${activityAnalysis.copilot.peakDay}
+    // Cursor: first and last active day per member across all daily activity files
+    const membersPath = path.join(this.config.dataDir, 'cursor', 'team-members.json');
+    const cursor = { totalMembers: 0, historyStart: null, historyDays: 0, missingDays: [], notCovered: 0, inGracePeriod: 0, seatCost: cursorSeatCost };
+    if (existsSync(membersPath)) {
+      const data = JSON.parse(readFileSync(membersPath, 'utf8'));
+      const members = Array.isArray(data) ? data : (data.teamMembers || []);
+      const { byDate, byUser } = this.loadCursorDailyActivity(new Date(0), new Date());
+      const recordedDays = [...byDate.keys()].sort();
+      cursor.historyStart = recordedDays[0] || null;
+      cursor.historyDays = recordedDays.length;
+      console.log(`📄 Using ${members.length} Cursor team members and ${recordedDays.length} days of activity`);
+
+      // Inactivity is only known when no day of the window is missing
+      const yesterday = new Date(Date.now() - dayMs);
+      for (let t = cutoff.getTime(); t <= yesterday.getTime(); t += dayMs) {
+        const day = new Date(t).toISOString().split('T')[0];
+        if (!byDate.has(day)) cursor.missingDays.push(day);
+      }
+      if (cursor.missingDays.length) {
+        console.warn(`⚠️  Cursor activity is missing for ${cursor.missingDays.length} of the last ${days} days; inactive Cursor members are not listed`);
+      }
+
+      for (const member of members) {
+        const email = member.email?.toLowerCase();
+        if (!email) continue;
+        cursor.totalMembers++;
+        const activity = byUser.get(email);
+        const lastDay = activity?.lastActiveDay || null;
+        if (lastDay && lastDay >= cutoffKey) continue;
+        if (cursor.missingDays.length) {
+          cursor.notCovered++;
+          continue;
+        }
+        // Daily rows list every member, so the first row marks when they joined
+        if (!activity || activity.firstDay > cutoffKey) {
+          cursor.inGracePeriod++;
+          continue;
+        }
+        candidates.push({
+          tool: 'cursor',
+          identifier: email,
+          name: member.name || email,
+          team: null,
+          department: departmentOf(LINK_TYPES.CURSOR_EMAIL, email),
+          assignedAt: null,
+          lastActivity: lastDay ? `${lastDay}T00:00:00.000Z` : null,
+          daysSinceActivity: lastDay ? Math.floor((Date.now() - Date.parse(`${lastDay}T00:00:00Z`)) / dayMs) : null,
+          status: lastDay ? 'inactive' : 'never-active',
+          monthlyCost: cursorSeatCost
+        });
+      }
+    } else {
+      console.warn(`⚠️  Cursor team members not found at ${membersPath}`);
+    }
+
+    const sumCost = list => list.reduce((sum, c) => sum + c.monthlyCost, 0);
+    const copilotCandidates = candidates.filter(c => c.tool === 'copilot');
+    const cursorCandidates = candidates.filter(c => c.tool === 'cursor');
+
+    const byGroup = new Map();
+    for (const candidate of candidates) {
+      const group = candidate.team || candidate.department || 'Unassigned';
+      if (!byGroup.has(group)) byGroup.set(group, { copilot: 0, cursor: 0, monthlySavings: 0 });
+      const entry = byGroup.get(group);
+      entry[candidate.tool]++;
+      entry.monthlySavings += candidate.monthlyCost;
+    }
+
+    return {
+      days,
+      cutoffDate: cutoffKey,
+      copilot: { ...copilot, candidates: copilotCandidates.length, monthlySavings: sumCost(copilotCandidates) },
+      cursor: { ...cursor, candidates: cursorCandidates.length, monthlySavings: sumCost(cursorCandidates) },
+      candidates,
+      byGroup: [...byGroup.entries()].sort((a, b) => b[1].monthlySavings - a[1].monthlySavings),
+      monthlySavings: sumCost(candidates)
+    };
+  }
+
+  /**
+   * Monthly price or cost threshold from config, validated as a non-negative number
+   * @private
+   */
+  getCostSetting(key) {
+    const cost = Number(this.config[key]);
+    if (isNaN(cost) || cost < 0) {
+      throw new Error(`Invalid cost setting ${key}: ${this.config[key]}`);
+    }
+    return cost;
+  }
+
+  /**
+   * Index GitHub logins and Cursor emails by resolved person and org chart department
+   * Identities are resolved the same way as the identity report; links below the
+   * configured confidence are ignored. Without an org chart every lookup is null.
+   * @private
+   */
+  buildIdentityIndex() {
+    let orgData;
+    try {
+      orgData = this.loadOrganizationalData();
+    } catch (error) {
+      console.warn(`⚠️  ${error.message}; people and departments will not be resolved`);
+      return { personOf: () => null, departmentOf: () => null };
+    }
+    let lookupUsers = [];
+    try {
+      lookupUsers = this.loadUserLookupData();
+    } catch (error) {
+      console.warn(`⚠️  ${error.message}; resolving identities without the user lookup table`);
+    }
+
+    const minConfidence = this.getIdentityMinConfidence();
+    const resolver = new IdentityResolver({ dataDir: this.config.dataDir, copilotScope: this.getCopilotScope() }).resolve({ orgData, lookupUsers });
+    const departmentByNode = new Map();
+    for (const subtree of extractManagerSubtrees(orgData.organization, this.getDepartmentDepth()).subtrees) {
+      subtree.members.forEach(id => departmentByNode.set(id, subtree.name));
+    }
+
+    const personOf = (type, value) => {
+      if (!value) return null;
+      const person = type === LINK_TYPES.GITHUB ? resolver.findByGithubLogin(value) : resolver.findByEmail(value);
+      if (!person) return null;
+      const linked = person.links.some(l => l.type === type && l.value === value.toLowerCase() && l.confidence >= minConfidence);
+      return linked ? person : null;
+    };
+    const departmentOf = (type, value) => {
+      const person = personOf(type, value);
+      return person?.orgNode ? departmentByNode.get(person.orgNode.id) || null : null;
+    };
+
+    return { personOf, departmentOf };
+  }
+
+  /**
+   * Generate seat reclamation report markdown
+   * @private
+   */
+  generateSeatReclamationReportMarkdown(analysis) {
+    const reportDate = new Date().toISOString().split('T')[0];
+    const { copilot, cursor, candidates, byGroup, days } = analysis;
+    const money = value => this.formatMoney(value);
+    const day = value => (value ? value.split('T')[0] : '–');
+    const inactiveFor = c => (c.daysSinceActivity === null || c.daysSinceActivity === undefined ? 'never' : `${c.daysSinceActivity} days`);
+
+    const copilotRows = candidates.filter(c => c.tool === 'copilot').map(c =>
+      `| ${c.name} | ${c.identifier} | ${c.team || '–'} | ${c.department || '–'} | ${day(c.assignedAt)} | ${day(c.lastActivity)} | ${inactiveFor(c)} |`
+    );
+    const cursorRows = candidates.filter(c => c.tool === 'cursor').map(c =>
+      `| ${c.name} | ${c.identifier} | ${c.department || '–'} | ${day(c.lastActivity)} | ${inactiveFor(c)} |`
+    );
+    const groupRows = byGroup.map(([group, g]) => `| ${group} | ${g.copilot} | ${g.cursor} | ${money(g.monthlySavings)} |`);
+
+    const copilotTable = copilotRows.length
+      ? `| Name | Login | Team | Department | Assigned | Last Activity | Inactive For |
+|------|-------|------|------------|----------|---------------|---:|
+${copilotRows.join('\n')}`
+      : '_No Copilot seats to reclaim._';
+    const cursorTable = cursorRows.length
+      ? `| Name | Email | Department | Last Activity | Inactive For |
+|------|-------|------------|---------------|---:|
+${cursorRows.join('\n')}`
+      : '_No Cursor members to reclaim._';
+    const groupTable = groupRows.length
+      ? `| Team / Department | Copilot Seats | Cursor Members | Monthly Savings |
+|-------------------|---:|---:|---:|
+${groupRows.join('\n')}`
+      : '_Nothing to reclaim._';
+
+    const cursorHistoryNote = cursor.historyStart
+      ? `Cursor activity history starts on ${cursor.historyStart} (${cursor.historyDays} days with data); members marked "never" had no recorded activity since then`
+      : 'No Cursor daily activity files were found';
+    const cursorCoverageNote = cursor.missingDays.length
+      ? `**Cursor activity is missing for ${cursor.missingDays.length} of the last ${days} days (first missing: ${cursor.missingDays[0]}), so ${cursor.notCovered} Cursor members without recent activity are not listed.** Fetch the missing days and run the report again`
+      : `Cursor members first seen in the last ${days} days without activity are in a grace period and excluded (${cursor.inGracePeriod})`;
+
+    return `# Seat Reclamation Recommendations
+
+**Generated:** ${reportDate}
+**Inactivity Threshold:** ${days} days (no activity since ${analysis.cutoffDate})
+**Copilot Seat Snapshot:** ${copilot.snapshotDate || 'None found'}
+
+## Summary
+
+**Estimated monthly savings: ${money(analysis.monthlySavings)}** (${money(analysis.monthlySavings * 12)} per year)
+
+| Tool | Seats | To Reclaim | Cost per Seat | Monthly Savings |
+|------|---:|---:|---:|---:|
+| GitHub Copilot | ${copilot.totalSeats} | ${copilot.candidates} | ${money(copilot.seatCost)} | ${money(copilot.monthlySavings)} |
+| Cursor | ${cursor.totalMembers} | ${cursor.candidates} | ${money(cursor.seatCost)} | ${money(cursor.monthlySavings)} |
+
+## Savings by Team
+
+${groupTable}
+
+## GitHub Copilot Seats
+
+${copilotTable}
+
+## Cursor Members
+
+${cursorTable}
+
+## Notes
+
+- Seats with no activity in the last ${days} days, or never used, are listed for reclamation
+- Copilot seats already pending cancellation are excluded (${copilot.pendingCancellation})
+- Never-used Copilot seats assigned in the last ${days} days are in a grace period and excluded (${copilot.inGracePeriod})
+- ${cursorCoverageNote}
+- ${cursorHistoryNote}
+- Team is the Copilot assigning team; otherwise the org chart department of the resolved identity is used
+- Seat prices come from \`COPILOT_SEAT_COST\` and \`CURSOR_SEAT_COST\`; the actionable list is in \`${path.join(this.config.csvDir, 'seat-reclamation-candidates.csv')}\`
+`;
+  }
+
+  /**
+   * Join seat prices, Cursor spend and the last 30 days of activity per person
+   * A person holding both tools appears once when their GitHub login and Cursor
+   * email resolve to the same identity. Cursor usage-based spend is the current
+   * billing cycle from the spend pages on disk.
+   * @private
+   */
+  analyzeCosts() {
+    const copilotSeatCost = this.getCostSetting('copilotSeatCost');
+    const cursorSeatCost = this.getCostSetting('cursorSeatCost');
+    const heavySpendThreshold = this.getCostSetting('heavySpendThreshold');
+    const heavyUsageRequests = Number(this.config.heavyUsageRequests);
+    if (!Number.isInteger(heavyUsageRequests) || heavyUsageRequests < 1) {
+      throw new Error(`Invalid heavy usage request threshold: ${this.config.heavyUsageRequests}`);
+    }
+
+    const days = 30;
+    const endDate = new Date();
+    const startDate = new Date(endDate.getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+    const { personOf, departmentOf } = this.buildIdentityIndex();
+    const users = new Map();
+
+    const userFor = (person, fallbackKey, name) => {
+      const key = person ? person.id : fallbackKey;
+      if (!users.has(key)) {
+        users.set(key, {
+          name: person?.name || name,
+          githubLogin: null,
+          cursorEmail: null,
+          department: null,
+          copilotSeatCost: 0,
+          cursorSeatCost: 0,
+          cursorUsageCost: 0,
+          totalCost: 0,
+          copilotActive: false,
+          cursorActive: false,
+          cursorAcceptedLines: 0,
+          usageBasedReqs: 0,
+          heavySpender: false
+        });
+      }
+      return users.get(key);
+    };
+
+    // Copilot: every seat in the latest snapshot is billed, active or not
+    const snapshots = this.loadSeatSnapshots();
+    const snapshotDate = [...snapshots.keys()].sort().pop() || null;
+    const seats = snapshotDate ? snapshots.get(snapshotDate).seats : [];
+    if (!snapshotDate) console.warn('⚠️  No Copilot seat files found');
+    for (const seat of seats) {
+      const login = seat.assignee?.login;
+      if (!login) continue;
+      const user = userFor(personOf(LINK_TYPES.GITHUB, login), `github|${login.toLowerCase()}`, seat.assignee.enriched_name || login);
+      user.githubLogin = login;
+      user.department = user.department || departmentOf(LINK_TYPES.GITHUB, login);
+      user.copilotSeatCost = copilotSeatCost;
+      user.copilotActive = !!seat.last_activity_at && new Date(seat.last_activity_at) >= startDate;
+    }
+
+    // Cursor: members plus anyone with spend records, joined with daily activity
+    const membersPath = path.join(this.config.dataDir, 'cursor', 'team-members.json');
+    const membersData = existsSync(membersPath) ? JSON.parse(readFileSync(membersPath, 'utf8')) : null;
+    const members = Array.isArray(membersData) ? membersData : (membersData?.teamMembers || []);
+    const spend = this.loadCursorSpend();
+    const { byUser: cursorActivity } = this.loadCursorDailyActivity(startDate, endDate);
+    const cursorEmails = new Map();
+    members.forEach(m => { if (m.email) cursorEmails.set(m.email.toLowerCase(), m.name || m.email); });
+    spend.records.forEach((record, email) => { if (!cursorEmails.has(email)) cursorEmails.set(email, record.name || email); });
+    if (!cursorEmails.size) console.warn(`⚠️  No Cursor team members or spend records found under ${path.join(this.config.dataDir, 'cursor')}`);
+
+    for (const [email, name] of cursorEmails) {
+      const user = userFor(personOf(LINK_TYPES.CURSOR_EMAIL, email), `cursor|${email}`, name);
+      const activity = cursorActivity.get(email);
+      user.cursorEmail = email;
+      user.department = user.department || departmentOf(LINK_TYPES.CURSOR_EMAIL, email);
+      user.cursorSeatCost = cursorSeatCost;
+      user.cursorUsageCost = (spend.records.get(email)?.spendCents || 0) / 100;
+      user.cursorActive = (activity?.activeDays || 0) > 0;
+      user.cursorAcceptedLines = activity?.acceptedLinesAdded || 0;
+      user.usageBasedReqs = activity?.usageBasedReqs || 0;
+      user.heavySpender = user.cursorUsageCost >= heavySpendThreshold || user.usageBasedReqs >= heavyUsageRequests;
+    }
+
+    const userList = [...users.values()];
+    userList.forEach(u => { u.totalCost = u.copilotSeatCost + u.cursorSeatCost + u.cursorUsageCost; });
+    userList.sort((a, b) => b.totalCost - a.totalCost || a.name.localeCompare(b.name));
+
+    const sum = (list, fn) => list.reduce((total, item) => total + fn(item), 0);
+    const perUnit = (cost, count) => (count > 0 ? cost / count : null);
+
+    // Tool totals; Copilot accepted lines are only available org-wide from metrics
+    const copilotMetrics = this.loadCopilotDailyMetrics(startDate, endDate);
+    const copilotUsers = userList.filter(u => u.copilotSeatCost > 0);
+    const cursorUsers = userList.filter(u => u.cursorEmail);
+    const copilotCost = sum(copilotUsers, u => u.copilotSeatCost);
+    const copilotLines = sum([...copilotMetrics.byDate.values()], d => d.linesAccepted);
+    const copilotActive = copilotUsers.filter(u => u.copilotActive).length;
+    const cursorCost = sum(cursorUsers, u => u.cursorSeatCost + u.cursorUsageCost);
+    const cursorLines = sum(cursorUsers, u => u.cursorAcceptedLines);
+    const cursorActive = cursorUsers.filter(u => u.cursorActive).length;
+    const activeUsers = userList.filter(u => u.copilotActive || u.cursorActive).length;
+    const totalCost = copilotCost + cursorCost;
+
+    // Department rollup
+    const teams = new Map();
+    for (const user of userList) {
+      const department = user.department || 'Unassigned';
+      if (!teams.has(department)) {
+        teams.set(department, { department, people: 0, copilotSeats: 0, cursorSeats: 0, activeUsers: 0, cursorUsageCost: 0, totalCost: 0 });
+      }
+      const team = teams.get(department);
+      team.people++;
+      if (user.copilotSeatCost > 0) team.copilotSeats++;
+      if (user.cursorEmail) team.cursorSeats++;
+      if (user.copilotActive || user.cursorActive) team.activeUsers++;
+      team.cursorUsageCost += user.cursorUsageCost;
+      team.totalCost += user.totalCost;
+    }
+    const teamList = [...teams.values()]
+      .map(t => ({ ...t, costPerActiveUser: perUnit(t.totalCost, t.activeUsers) }))
+      .sort((a, b) => b.totalCost - a.totalCost);
+
+    return {
+      period: { days, start: startDate.toISOString().split('T')[0], end: endDate.toISOString().split('T')[0] },
+      pricing: { copilotSeatCost, cursorSeatCost, heavySpendThreshold, heavyUsageRequests },
+      copilot: {
+        snapshotDate,
+        seats: copilotUsers.length,
+        activeUsers: copilotActive,
+        totalCost: copilotCost,
+        costPerActiveUser: perUnit(copilotCost, copilotActive),
+        acceptedLines: copilotMetrics.files.length ? copilotLines : null,
+        costPerAcceptedLine: copilotMetrics.files.length ? perUnit(copilotCost, copilotLines) : null
+      },
+      cursor: {
+        members: cursorUsers.length,
+        activeUsers: cursorActive,
+        seatCost: sum(cursorUsers, u => u.cursorSeatCost),
+        usageCost: sum(cursorUsers, u => u.cursorUsageCost),
+        totalCost: cursorCost,
+        costPerActiveUser: perUnit(cursorCost, cursorActive),
+        acceptedLines: cursorLines,
+        costPerAcceptedLine: perUnit(cursorCost, cursorLines),
+        billingCycleStart: spend.billingCycleStart
+      },
+      overall: {
+        people: userList.length,
+        activeUsers,
+        totalCost,
+        costPerActiveUser: perUnit(totalCost, activeUsers)
+      },
+      users: userList,
+      teams: teamList,
+      heavySpenders: userList.filter(u => u.heavySpender).sort((a, b) => b.cursorUsageCost - a.cursorUsageCost)
+    };
+  }
+
+  /**
+   * Load Cursor team spend records from the spend pages, keyed by email
+   * @private
+   */
+  loadCursorSpend() {
+    const spendDir = path.join(this.config.dataDir, 'cursor', 'spend');
+    const records = new Map();
+    let billingCycleStart = null;
+    if (!existsSync(spendDir)) return { records, billingCycleStart };
+
+    const pages = readdirSync(spendDir).filter(f => /^page-\d+\.json$/.test(f)).sort();
+    for (const page of pages) {
+      let data;
+      try {
+        data = JSON.parse(readFileSync(path.join(spendDir, page), 'utf8'));
+      } catch (error) {
+        console.warn(`⚠️  Skipping unreadable spend page ${page}: ${error.message}`);
+        continue;
+      }
+      if (data.subscriptionCycleStart && !billingCycleStart) {
+        billingCycleStart = new Date(data.subscriptionCycleStart).toISOString().split('T')[0];
+      }
+      for (const record of data.teamMemberSpend || []) {
+        const email = record.email?.toLowerCase();
+        if (email) records.set(email, record);
+      }
+    }
+    return { records, billingCycleStart };
+  }
+
+  /**
+   * Generate cost and ROI report markdown
+   * @private
+   */
+  generateCostReportMarkdown(analysis) {
+    const reportDate = new Date().toISOString().split('T')[0];
+    const { period, pricing, copilot, cursor, overall, teams, users, heavySpenders } = analysis;
+    const money = value => this.formatMoney(value);
+    const lines = value => (value === null ? '–' : value.toLocaleString());
+    const perLine = value => (value === null ? '–' : `$${value.toFixed(4)}`);
+
+    const teamRows = teams.map(t =>
+      `| ${t.department} | ${t.people} | ${t.copilotSeats} | ${t.cursorSeats} | ${t.activeUsers} | ${money(t.cursorUsageCost)} | ${money(t.totalCost)} | ${money(t.costPerActiveUser)} |`
+    ).join('\n');
+    const topRows = users.slice(0, 10).map(u =>
+      `| ${u.name} | ${u.department || '–'} | ${money(u.copilotSeatCost)} | ${money(u.cursorSeatCost)} | ${money(u.cursorUsageCost)} | ${money(u.totalCost)} | ${u.copilotActive || u.cursorActive ? 'Yes' : 'No'} |`
+    ).join('\n');
+    const heavyRows = heavySpenders.map(u =>
+      `| ${u.name} | ${u.cursorEmail} | ${u.department || '–'} | ${money(u.cursorUsageCost)} | ${u.usageBasedReqs.toLocaleString()} |`
+    ).join('\n');
+
+    return `# AI Tooling Cost and ROI Report
+
+**Generated:** ${reportDate}
+**Activity Period:** Last ${period.days} days (${period.start} to ${period.end})
+**Copilot Seat Snapshot:** ${copilot.snapshotDate || 'None found'}
+**Cursor Billing Cycle Start:** ${cursor.billingCycleStart || 'Unknown'}
+
+## Summary
+
+**Estimated monthly cost: ${money(overall.totalCost)}** for ${overall.people} people, ${overall.activeUsers} of them active in the last ${period.days} days (${money(overall.costPerActiveUser)} per active user).
+
+| Tool | Seats | Active (${period.days}d) | Seat Cost | Usage Cost | Total Cost | Cost per Active User | Accepted Lines (${period.days}d) | Cost per Accepted Line |
+|------|---:|---:|---:|---:|---:|---:|---:|---:|
+| GitHub Copilot | ${copilot.seats} | ${copilot.activeUsers} | ${money(copilot.totalCost)} | – | ${money(copilot.totalCost)} | ${money(copilot.costPerActiveUser)} | ${lines(copilot.acceptedLines)} | ${perLine(copilot.costPerAcceptedLine)} |
+| Cursor | ${cursor.members} | ${cursor.activeUsers} | ${money(cursor.seatCost)} | ${money(cursor.usageCost)} | ${money(cursor.totalCost)} | ${money(cursor.costPerActiveUser)} | ${lines(cursor.acceptedLines)} | ${perLine(cursor.costPerAcceptedLine)} |
+
+## Cost by Team
+
+| Department | People | Copilot Seats | Cursor Seats | Active (${period.days}d) | Cursor Usage Cost | Total Cost | Cost per Active User |
+|------------|---:|---:|---:|---:|---:|---:|---:|
+${teamRows || '| – | 0 | 0 | 0 | 0 | – | – | – |'}
+
+## Heavy Usage-Based Spenders
+
+${heavyRows ? `| Name | Email | Department | Usage Cost | Usage-Based Requests (${period.days}d) |
+|------|-------|------------|---:|---:|
+${heavyRows}` : '_No heavy usage-based spenders found._'}
+
+## Highest Cost Users
+
+| Name | Department | Copilot | Cursor Seat | Cursor Usage | Total | Active (${period.days}d) |
+|------|------------|---:|---:|---:|---:|:---:|
+${topRows || '| – | – | – | – | – | – | – |'}
+
+## Notes
+
+- Seat prices: Copilot ${money(pricing.copilotSeatCost)} (\`COPILOT_SEAT_COST\`), Cursor ${money(pricing.cursorSeatCost)} (\`CURSOR_SEAT_COST\`) per month
+- Cursor usage cost is the usage-based spend (\`spendCents\`) for the current billing cycle from the team spend pages
+- Heavy spenders have at least ${money(pricing.heavySpendThreshold)} usage-based spend (\`CURSOR_HEAVY_SPEND_THRESHOLD\`) or ${pricing.heavyUsageRequests.toLocaleString()} usage-based requests in the period (\`CURSOR_HEAVY_USAGE_REQUESTS\`)
+- Copilot accepted lines come from org-level metrics; per-user Copilot line counts are not available
+- People holding both tools are counted once when their GitHub login and Cursor email resolve to the same identity
+- Per-user and per-team figures are in \`${path.join(this.config.csvDir, 'cost-per-user.csv')}\` and \`${path.join(this.config.csvDir, 'cost-per-team.csv')}\`
+`;
+  }
+
+  /**
+   * Generate active users history report markdown
+   * @private
+   */
+  generateHistoryReportMarkdown(weekly, weeks) {
+    const reportDate = new Date().toISOString().split('T')[0];
+    const show = v => (v === null || v === undefined ? '–' : v.toLocaleString());
+    const rows = weekly.map(w =>
+      `| ${w.weekStart} to ${w.weekEnd} | ${w.copilotActiveUsers} | ${show(w.copilotSeats)} | ${show(w.copilotAverageDailyActive)} | ${w.cursorActiveUsers} | ${w.cursorRequests.toLocaleString()} |`
+    ).join('\n');
+    const first = weekly[0];
+    const last = weekly[weekly.length - 1];
+
+    return `# AI Tools Active Users History
+
+**Generated:** ${reportDate}  
+**Analysis Period:** Last ${weeks} weeks (${first.weekStart} to ${last.weekEnd})
+
+## Weekly Active Users
+
+| Week | Copilot Active | Copilot Seats | Copilot Avg Daily Active | Cursor Active | Cursor Requests |
+|------|---:|---:|---:|---:|---:|
+${rows}
+
+## Notes
+
+- Data comes from the local history store (\`${path.join(this.config.dataDir, 'history')}\`), which is updated from every dated data file before each run
+- **Copilot Active:** Distinct seat holders whose last activity fell in the week, across all stored seat snapshots
+- **Copilot Seats:** Seats in the latest snapshot taken during the week ("–" when no snapshot was taken)
+- **Copilot Avg Daily Active:** Average of the org-level daily active users from Copilot metrics
+- **Cursor Active:** Distinct users with at least one active day in the week
+- Weeks without stored data show zero activity; fetch data regularly to keep the history complete
+`;
+  }
+
+  /**
+   * Generate cohort retention report markdown
+   * @private
+   */
+  generateCohortReportMarkdown(retention, milestones) {
+    const reportDate = new Date().toISOString().split('T')[0];
+    const cell = week => (week && week.rate !== null ? `${week.rate}% (${week.retained}/${week.known})` : '–');
+    const headers = milestones.map(m => `Week ${m}`);
+
+    const table = (cohorts) => {
+      if (!cohorts.length) return '_No cohorts found._';
+      const total = { cohort: '**All cohorts**', users: 0, weeks: milestones.map(() => ({ retained: 0, known: 0 })) };
+      const rows = cohorts.map(cohort => {
+        total.users += cohort.users;
+        const cells = milestones.map((m, i) => {
+          const week = cohort.weeks[m - 1];
+          total.weeks[i].retained += week.retained;
+          total.weeks[i].known += week.known;
+          return cell(week);
+        });
+        return `| ${cohort.cohort} | ${cohort.users} | ${cells.join(' | ')} |`;
+      });
+      const totalCells = total.weeks.map(w => cell({ ...w, rate: w.known ? parseFloat(((w.retained / w.known) * 100).toFixed(1)) : null }));
+      rows.push(`| ${total.cohort} | ${total.users} | ${totalCells.join(' | ')} |`);
+      return `| Cohort | Users | ${headers.join(' | ')} |
+|--------|---:|${milestones.map(() => '---:').join('|')}|
+${rows.join('\n')}`;
+    };
+
+    return `# AI Tools Cohort Retention Report
+
+**Generated:** ${reportDate}
+**Retention Weeks:** ${milestones.join(', ')}
+
+## GitHub Copilot
+
+Cohorts by the month the Copilot seat was created.
+
+${table(retention.copilot.cohorts)}
+
+## Cursor
+
+Cohorts by the month a member first appeared in Cursor activity.
+
+${table(retention.cursor.cohorts)}
+
+## Notes
+
+- Week N covers days 7(N-1) to 7N-1 after the start date; a user is retained when they were active on any of those days
+- Cells show the retention rate with retained / users whose status is known for that week; weeks that have not finished yet are left out
+- Copilot activity is reconstructed from \`last_activity_at\` across stored seat snapshots, so a week is only known when a snapshot shows activity in it or a later snapshot shows none since; frequent seat fetches give more complete curves
+- Cursor members first seen on the first day of Cursor data (${retention.cursor.dataStart || 'no data'}) may have started earlier and are excluded (${retention.cursor.censored}); Copilot seats without a creation date are excluded (${retention.copilot.censored})
+- The full weekly curves are in \`${path.join(this.config.csvDir, 'cohort-retention-weeks.csv')}\`
+`;
+  }
+
+  /**
+   * Generate Copilot breakdown report markdown
+   * @private
+   */
+  generateCopilotBreakdownReportMarkdown(analysis) {
+    const reportDate = new Date().toISOString().split('T')[0];
+    const { period, weeks, totals } = analysis;
+    const num = value => (value === null || value === undefined ? '–' : value.toLocaleString());
+    const pct = value => (value === null || value === undefined ? '–' : `${value}%`);
+    const weekHeaders = weeks.map(w => `${w.start.slice(5)} to ${w.end.slice(5)}`);
+
+    const completionTable = (groups, label, limit = 15) => {
+      if (!groups.length) return '_No code completion data._';
+      const rows = groups.slice(0, limit).map(g =>
+        `| ${g.name} | ${num(g.suggestions)} | ${num(g.acceptances)} | ${pct(g.acceptanceRate)} | ${num(g.linesSuggested)} | ${num(g.linesAccepted)} | ${pct(g.lineAcceptanceRate)} | ${num(g.peakEngagedUsers)} |`
+      );
+      const more = groups.length > limit ? `\n\n_${groups.length - limit} more in the CSV._` : '';
+      return `| ${label} | Suggestions | Acceptances | Acceptance Rate | Lines Suggested | Lines Accepted | Line Acceptance Rate | Peak Daily Engaged |
+|------|---:|---:|---:|---:|---:|---:|---:|
+${rows.join('\n')}${more}`;
+    };
+    const trendTable = (series, label) => {
+      if (!series.length) return '_No code completion data._';
+      const rows = series.map(s =>
+        `| ${s.name} | ${s.weeks.map(w => (w ? `${num(w.linesAccepted)} (${pct(w.acceptanceRate)})` : '–')).join(' | ')} |`
+      );
+      return `| ${label} | ${weekHeaders.join(' | ')} |
+|------|${weeks.map(() => '---:').join('|')}|
+${rows.join('\n')}`;
+    };
+    const chatTable = (groups, label, columns) => {
+      if (!groups.length) return '_No data._';
+      const rows = groups.map(g => `| ${g.name} | ${columns.map(([, field]) => num(g[field])).join(' | ')} |`);
+      return `| ${label} | ${columns.map(([title]) => title).join(' | ')} |
+|------|${columns.map(() => '---:').join('|')}|
+${rows.join('\n')}`;
+    };
+
+    const teamTable = analysis.byTeam.length
+      ? `Team-level metrics from \`copilot-team-metrics_\` files. GitHub only reports teams with at least 5 licensed members.
+
+| Team | Days | Seats | Avg Daily Engaged | Peak Daily Engaged | Engagement | Suggestions | Acceptance Rate | Lines Accepted | Line Acceptance Rate |
+|------|---:|---:|---:|---:|---:|---:|---:|---:|---:|
+${analysis.byTeam.map(t => `| ${t.name} | ${t.daysWithData} | ${num(t.seats)} | ${t.averageEngagedUsers} | ${t.peakEngagedUsers} | ${pct(t.engagementRate)} | ${num(t.suggestions)} | ${pct(t.acceptanceRate)} | ${num(t.linesAccepted)} | ${pct(t.lineAcceptanceRate)} |`).join('\n')}`
+      : '_No team metrics found. Fetch them with `node src/github/metrics.js --teams`._';
+
+    return `# GitHub Copilot Breakdown Report
+
+**Generated:** ${reportDate}
+**Analysis Period:** Last ${period.days} days (${period.start} to ${period.end}), ${period.daysWithData} days with metrics
+
+## Code Completions Summary
+
+- **Suggestions:** ${num(totals?.suggestions ?? 0)}
+- **Acceptances:** ${num(totals?.acceptances ?? 0)} (${pct(totals?.acceptanceRate)})
+- **Lines Accepted:** ${num(totals?.linesAccepted ?? 0)} of ${num(totals?.linesSuggested ?? 0)} suggested (${pct(totals?.lineAcceptanceRate)})
+
+## By Language
+
+${completionTable(analysis.byLanguage, 'Language')}
+
+## By Editor
+
+${completionTable(analysis.byEditor, 'Editor')}
+
+## By Model
+
+${completionTable(analysis.byModel, 'Model')}
+
+## Weekly Trends
+
+Lines accepted per week, with the suggestion acceptance rate in parentheses.
+
+### Top Languages
+
+${trendTable(analysis.languageTrend, 'Language')}
+
+### Editors
+
+${trendTable(analysis.editorTrend, 'Editor')}
+
+### Models
+
+${trendTable(analysis.modelTrend, 'Model')}
+
+## Chat and Pull Requests
+
+### IDE Chat by Editor
+
+${chatTable(analysis.ideChatByEditor, 'Editor', [['Chats', 'chats'], ['Insertions', 'chatInsertions'], ['Copies', 'chatCopies'], ['Peak Daily Engaged', 'peakEngagedUsers']])}
+
+### IDE Chat by Model
+
+${chatTable(analysis.ideChatByModel, 'Model', [['Chats', 'chats'], ['Insertions', 'chatInsertions'], ['Copies', 'chatCopies'], ['Peak Daily Engaged', 'peakEngagedUsers']])}
+
+### GitHub.com Chat by Model
+
+${chatTable(analysis.dotcomChatByModel, 'Model', [['Chats', 'chats'], ['Peak Daily Engaged', 'peakEngagedUsers']])}
+
+### Pull Request Summaries by Repository
+
+${chatTable(analysis.pullRequestsByRepository, 'Repository', [['PR Summaries', 'prSummaries'], ['Peak Daily Engaged', 'peakEngagedUsers']])}
+
+### Weekly Chat Activity
+
+| Surface | ${weekHeaders.join(' | ')} |
+|------|${weeks.map(() => '---:').join('|')}|
+${analysis.chatTrend.map(s => `| ${s.name} | ${s.weeks.map(num).join(' | ')} |`).join('\n')}
+
+## By Team
+
+${teamTable}
+
+## Notes
+
+- **Acceptance Rate:** Acceptances divided by suggestions; **Line Acceptance Rate:** lines accepted divided by lines suggested
+- **Peak Daily Engaged:** Highest daily engaged user count; users active in several editors, models or languages on the same day are counted in each
+- The first week may be shorter than 7 days when the period is not a multiple of 7
+- **Engagement:** Average daily engaged users in a team divided by the team's seats in the latest seat snapshot
+- Daily rows for every section are in \`${path.join(this.config.csvDir, 'copilot-breakdown-daily.csv')}\`${analysis.byTeam.length ? `; team totals are in \`${path.join(this.config.csvDir, 'copilot-breakdown-teams.csv')}\`` : ''}
+- **Data Sources:** ${analysis.files.map(f => path.basename(f)).join(', ')}
+`;
+  }
+
+  /**
+   * Generate enterprise report markdown
+   * @private
+   */
+  generateEnterpriseReportMarkdown(analysis) {
+    const reportDate = new Date().toISOString().split('T')[0];
+    const { period, combined } = analysis;
+    const money = value => this.formatMoney(value);
+    const num = value => (value === null || value === undefined ? '–' : value.toLocaleString());
+    const pct = value => (value === null || value === undefined ? '–' : `${value}%`);
+
+    const seatRow = o =>
+      `| ${o.org} | ${o.seats} | ${o.active} | ${o.inactive} | ${o.neverUsed} | ${o.pendingCancellation} | ${o.sharedUsers} | ${money(o.monthlyCost)} |`;
+    const metricsRow = o => (o.metrics
+      ? `| ${o.org} | ${o.metrics.daysCovered} | ${num(o.metrics.totalSuggestions)} | ${pct(o.metrics.acceptanceRate)} | ${num(o.metrics.totalLinesAccepted)} | ${pct(o.metrics.lineAcceptanceRate)} | ${o.metrics.averageEngagedUsers} |`
+      : `| ${o.org} | 0 | – | – | – | – | – |`);
+    const sharedRows = analysis.sharedUsers.map(u =>
+      `| ${u.name} | ${u.login} | ${u.orgs.join(', ')} | ${u.lastActivity ? u.lastActivity.split('T')[0] : 'Never'} |`
+    ).join('\n');
+
+    return `# GitHub Copilot Enterprise Report
+
+**Generated:** ${reportDate}
+**Enterprise:** ${analysis.enterprise || '–'}
+**Seat Snapshot:** ${analysis.snapshotDate}${analysis.scope === 'enterprise' ? '' : ' (single-org snapshot)'}
+**Activity Period:** Last ${period.days} days (${period.start} to ${period.end})
+
+## Combined
+
+- **Unique Users:** ${combined.users} holding ${combined.seats} seats across ${analysis.orgs.length} org${analysis.orgs.length === 1 ? '' : 's'}
+- **Users in More Than One Org:** ${combined.sharedUsers} (${combined.seats - combined.users} duplicate seats)
+- **Active (${period.days}d):** ${combined.active} (${combined.users ? Math.round((combined.active / combined.users) * 100) : 0}%), **Inactive:** ${combined.inactive}, **Never Used:** ${combined.neverUsed}
+- **Estimated Monthly Cost:** ${money(combined.monthlyCost)} (${combined.users} unique users × ${money(analysis.seatCost)})
+
+## Seats by Organization
+
+| Organization | Seats | Active (${period.days}d) | Inactive | Never Used | Pending Cancellation | Shared Users | Cost if Billed per Org |
+|--------------|---:|---:|---:|---:|---:|---:|---:|
+${analysis.orgs.map(seatRow).join('\n')}
+| **Combined (unique users)** | **${combined.users}** | **${combined.active}** | **${combined.inactive}** | **${combined.neverUsed}** | **${combined.pendingCancellation}** | **${combined.sharedUsers}** | **${money(combined.monthlyCost)}** |
+
+## Code Completions by Organization
+
+| Organization | Days | Suggestions | Acceptance Rate | Lines Accepted | Line Acceptance Rate | Avg Daily Engaged |
+|--------------|---:|---:|---:|---:|---:|---:|
+${analysis.orgs.map(metricsRow).join('\n')}
+${metricsRow({ ...combined, org: '**Combined**' })}
+
+## Users in More Than One Org
+
+${sharedRows ? `| Name | Login | Organizations | Last Activity |
+|------|-------|---------------|---------------|
+${sharedRows}` : '_No users hold seats in more than one org._'}
+
+## Notes
+
+- Enterprise billing charges each user once, however many orgs they hold a seat in; the per-org cost column shows what separate org billing would charge
+- Per-org activity uses the last activity GitHub reports for each seat; combined activity uses the most recent across a user's seats
+- Per-org metrics come from \`copilot-org-metrics_\` files written when fetching metrics with \`--orgs\`; combined metrics come from the \`copilot-enterprise-metrics_\` files (or the org metrics files when there are none)
+- Combined engaged users are summed across orgs when metrics were merged from several orgs, so users active in more than one org count once per org
+- Figures per org and combined are in \`${path.join(this.config.csvDir, 'enterprise-report-orgs.csv')}\`
+`;
+  }
+
+  /**
+   * Generate Cursor usage events report markdown
+   * @private
+   */
+  generateUsageEventsReportMarkdown(analysis) {
+    const reportDate = new Date().toISOString().split('T')[0];
+    const { period, totals, pricing, syncState } = analysis;
+    const money = value => this.formatMoney(value);
+    const num = value => value.toLocaleString();
+    const share = (part, whole) => (whole ? `${Math.round((part / whole) * 100)}%` : '–');
+    const who = u => (u.name ? `${u.name} (${u.email})` : u.email);
+
+    const topRows = analysis.byUser.slice(0, 10).map((u, i) =>
+      `| ${i + 1} | ${who(u)} | ${u.department || '–'} | ${num(u.requests)} | ${share(u.tokenBased, u.requests)} | ${share(u.maxMode, u.requests)} | ${num(u.tokens)} | ${money(u.cost)} | ${u.topModel || '–'} |`
+    ).join('\n');
+    const modelRows = analysis.byModel.map(m =>
+      `| ${m.model} | ${m.users} | ${num(m.requests)} | ${num(m.requestUnits)} | ${share(m.tokenBased, m.requests)} | ${share(m.maxMode, m.requests)} | ${num(m.tokens)} | ${money(m.cost)} |`
+    ).join('\n');
+    const usageRow = (label, u) =>
+      `| ${label} | ${u.users} | ${num(u.requests)} | ${num(u.tokenBased)} | ${num(u.requestBased)} | ${num(u.maxMode)} | ${num(u.tokens)} | ${money(u.cost)} | ${money(u.usageBasedCost)} |`;
+    const weeklyRows = analysis.weekly.map(w => usageRow(`${w.weekStart}${w.days < 7 ? ` (${w.days}d)` : ''}`, w)).join('\n');
+    const dailyRows = analysis.daily.map(d => usageRow(d.date, d)).join('\n');
+    const spikeRows = analysis.spikes.map(s =>
+      `| ${s.date} | ${s.scope === 'team' ? 'Whole team' : who(s)} | ${s.metric === 'cost' ? 'Cost' : 'Requests'} | ${s.metric === 'cost' ? money(s.value) : num(s.value)} | ${s.metric === 'cost' ? money(s.baseline) : s.baseline} | ${s.factor}× |`
+    ).join('\n');
+
+    return `# Cursor Usage Events Report
+
+**Generated:** ${reportDate}
+**Analysis Period:** Last ${period.days} days (${period.start} to ${period.end})
+**Events Synced Through:** ${syncState?.lastEventAt || 'Unknown'}
+
+## Summary
+
+- **Requests:** ${num(totals.requests)} from ${totals.users} users across ${totals.models} models (${num(totals.requestUnits)} request units)
+- **Token-Based vs Request-Based:** ${num(totals.tokenBased)} (${share(totals.tokenBased, totals.requests)}) vs ${num(totals.requestBased)} (${share(totals.requestBased, totals.requests)})
+- **Max Mode:** ${num(totals.maxMode)} requests (${share(totals.maxMode, totals.requests)})
+- **Tokens:** ${num(totals.tokens)}
+- **Estimated Cost:** ${money(totals.cost)}, of which ${money(totals.usageBasedCost)} usage-based
+- **Spikes:** ${analysis.spikes.length}
+
+## Top Consumers
+
+| # | User | Department | Requests | Token-Based | Max Mode | Tokens | Cost | Top Model |
+|---:|------|------------|---:|---:|---:|---:|---:|-----------|
+${topRows}
+
+## By Model
+
+| Model | Users | Requests | Request Units | Token-Based | Max Mode | Tokens | Cost |
+|-------|---:|---:|---:|---:|---:|---:|---:|
+${modelRows}
+
+## Spikes
+
+${spikeRows ? `| Date | Who | Metric | Value | 7-Day Average Before | Factor |
+|------|-----|--------|---:|---:|---:|
+${spikeRows}` : `_No day reached ${pricing.spikeFactor}× the average of the seven days before it._`}
+
+## By Week
+
+| Week Starting | Users | Requests | Token-Based | Request-Based | Max Mode | Tokens | Cost | Usage-Based Cost |
+|---------------|---:|---:|---:|---:|---:|---:|---:|---:|
+${weeklyRows}
+
+## By Day
+
+| Date | Users | Requests | Token-Based | Request-Based | Max Mode | Tokens | Cost | Usage-Based Cost |
+|------|---:|---:|---:|---:|---:|---:|---:|---:|
+${dailyRows}
+
+## Notes
+
+- Cost is the event's charged amount when the API reports it, then the token cost of token-based calls, then request units at ${money(pricing.requestCost)} each (\`CURSOR_REQUEST_COST\`)
+- Usage-based cost only counts events whose kind is usage-based; the rest is covered by the plan
+- A spike is a day with at least ${pricing.spikeFactor}× the average of the seven days before it; per-user spikes also need ${pricing.spikeMinRequests} requests that day
+- Weeks start on Monday (UTC); partial weeks at the edges of the period show their number of days
+- Events come from the usage events store in \`${path.join(this.config.dataDir, 'cursor', 'usage-events')}\`; run the usage events sync to bring it up to date
+- Per-user, per-model and per-day figures are in \`${path.join(this.config.csvDir, 'usage-events-by-user.csv')}\`, \`${path.join(this.config.csvDir, 'usage-events-by-model.csv')}\` and \`${path.join(this.config.csvDir, 'usage-events-by-day.csv')}\`
+`;
+  }
+
+  /**
+   * Generate AI code report markdown
+   * @private
+   */
+  generateAICodeReportMarkdown(analysis) {
+    const reportDate = new Date().toISOString().split('T')[0];
+    const { period, totals } = analysis;
+    const num = value => value.toLocaleString();
+    const pct = value => (value === null || value === undefined ? '–' : `${value}%`);
+    const shareCells = g => `${num(g.linesAdded)} | ${pct(g.aiShare)} | ${pct(g.tabShare)} | ${pct(g.composerShare)}`;
+
+    const teamRows = analysis.byTeam.map(t => `| ${t.team} | ${t.users} | ${num(t.commits)} | ${shareCells(t)} | ${num(t.acceptedChangeLines)} |`).join('\n');
+    const weekRows = analysis.byWeek.map(w => `| ${w.weekStart} | ${w.users} | ${num(w.commits)} | ${shareCells(w)} |`).join('\n');
+    const repoRows = analysis.byRepo.slice(0, 20).map(r => `| ${r.repo} | ${r.users} | ${num(r.commits)} | ${shareCells(r)} |`).join('\n');
+    const userRows = analysis.byUser.map(u => `| ${u.name || u.email} | ${u.department || '–'} | ${num(u.commits)} | ${shareCells(u)} | ${num(u.acceptedChangeLines)} |`).join('\n');
+    const sourceRows = analysis.changesBySource.map(s => `| ${s.source === 'TAB' ? 'Tab' : s.source === 'COMPOSER' ? 'Composer' : s.source} | ${s.model} | ${s.users} | ${num(s.changes)} | ${num(s.linesAdded)} | ${num(s.linesDeleted)} |`).join('\n');
+
+    return `# AI Code Report
+
+**Generated:** ${reportDate}
+**Analysis Period:** Last ${period.days} days (${period.start} to ${period.end})
+**Branches:** ${analysis.primaryBranchOnly ? 'Primary branch only' : 'All branches'}
+
+## Summary
+
+- **Committed Lines from AI:** ${pct(totals.aiShare)} (${num(totals.aiLinesAdded)} of ${num(totals.linesAdded)} lines added)
+- **Tab:** ${pct(totals.tabShare)} (${num(totals.tabLinesAdded)} lines), **Composer:** ${pct(totals.composerShare)} (${num(totals.composerLinesAdded)} lines)
+- **Commits:** ${num(totals.commits)} by ${totals.users} users in ${totals.repos} repositories
+- **Accepted AI Change Lines:** ${num(totals.acceptedChangeLines)} (committed or not)
+
+## By Team
+
+| Team | Users | Commits | Lines Added | AI Share | Tab | Composer | Accepted AI Lines |
+|------|---:|---:|---:|---:|---:|---:|---:|
+${teamRows}
+
+## By Week
+
+| Week Starting | Users | Commits | Lines Added | AI Share | Tab | Composer |
+|---------------|---:|---:|---:|---:|---:|---:|
+${weekRows}
+
+## By Repository${analysis.byRepo.length > 20 ? ' (Top 20 by Lines Added)' : ''}
+
+| Repository | Users | Commits | Lines Added | AI Share | Tab | Composer |
+|------------|---:|---:|---:|---:|---:|---:|
+${repoRows}
+
+## By User
+
+| User | Department | Commits | Lines Added | AI Share | Tab | Composer | Accepted AI Lines |
+|------|------------|---:|---:|---:|---:|---:|---:|
+${userRows}
+
+## Accepted AI Changes by Source and Model
+
+${sourceRows ? `| Source | Model | Users | Changes | Lines Added | Lines Deleted |
+|--------|-------|---:|---:|---:|---:|
+${sourceRows}` : '_No AI Code Tracking change data found for this period._'}
+
+## Notes
+
+- AI share is Tab plus Composer lines over all lines added in commits; deleted lines are not counted
+- Commit metrics come from ${num(analysis.sources.commits)} commits and change metrics from ${num(analysis.sources.changes)} accepted changes in \`${path.join(this.config.dataDir, 'cursor', 'ai-code-tracking')}\`, deduplicated by commit hash and change id
+- Teams come from the org chart through Cursor email identity links; users without a confident link are grouped as Unassigned
+- Weeks start on Monday (UTC)
+- Every scope (total, week, team, repository, user) is in \`${path.join(this.config.csvDir, 'ai-code-report-groups.csv')}\`
+`;
+  }
+
+  /**
+   * Generate recent activity report markdown
+   * @private
+   */
+  generateRecentActivityReportMarkdown(activityAnalysis, days) {
+    const reportDate = new Date().toISOString().split('T')[0];
+    const { period, copilot, cursor, daily, weekly, sources } = activityAnalysis;
+    const show = value => (value === null || value === undefined ? '–' : value.toLocaleString());
+    
+    const dailyRows = daily.map(d =>
+      `| ${d.date} | ${show(d.copilotActiveUsers)} | ${show(d.copilotSuggestions)} | ${show(d.copilotLinesAccepted)} | ${show(d.cursorActiveUsers)} | ${show(d.cursorRequests)} | ${show(d.cursorLinesAdded)} |`
+    ).join('\n');
+    
+    const weeklyRows = weekly.map(w =>
+      `| ${w.start} to ${w.end} | ${w.copilotAverageDaily} (${this.formatDelta(w.deltas.copilotAverageDaily)}) | ${w.copilotLinesAccepted.toLocaleString()} (${this.formatDelta(w.deltas.copilotLinesAccepted)}) | ${w.cursorActiveUsers} (${this.formatDelta(w.deltas.cursorActiveUsers)}) | ${w.cursorRequests.toLocaleString()} (${this.formatDelta(w.deltas.cursorRequests)}) | ${w.cursorLinesAdded.toLocaleString()} (${this.formatDelta(w.deltas.cursorLinesAdded)}) |`
+    ).join('\n');
+    
+    const sourceNames = [...sources.copilotFiles, ...sources.cursorFiles].map(f => path.basename(f));
+    
+    return `# Recent Activity Analysis Report
+
+**Generated:** ${reportDate}  
+**Analysis Period:** Last ${days} days (${period.start} to ${period.end})
+
+## Activity Summary
+
+### GitHub Copilot
+- **Peak Daily Active Users:** ${copilot.activeUsers}
+- **Average Daily Activity:** ${copilot.averageDaily}
+- **Peak Activity Day:** ${copilot.peakDay}
+- **Code Suggestions:** ${copilot.totalSuggestions.toLocaleString()}
+- **Lines Accepted:** ${copilot.totalLinesAccepted.toLocaleString()}
+- **IDE Chats:** ${copilot.totalChats.toLocaleString()}
 
 ### Cursor
-- **Total Active Users:** ${activityAnalysis.cursor.activeUsers}
-- **Total Requests:** ${activityAnalysis.cursor.totalRequests}
-- **Lines of Code Added:** ${activityAnalysis.cursor.totalLinesAdded}
+- **Total Active Users:** ${cursor.activeUsers}
+- **Average Daily Activity:** ${cursor.averageDaily}
+- **Peak Activity Day:** ${cursor.peakDay}
+- **Total Requests:** ${cursor.totalRequests.toLocaleString()}
+- **Lines of Code Added:** ${cursor.totalLinesAdded.toLocaleString()}
+- **Accepted Lines Added:** ${cursor.acceptedLinesAdded.toLocaleString()}
+
+## Daily Activity
+
+| Date | Copilot Active | Copilot Suggestions | Copilot Lines Accepted | Cursor Active | Cursor Requests | Cursor Lines Added |
+|------|---:|---:|---:|---:|---:|---:|
+${dailyRows}
+
+## Week over Week
+
+| Week | Copilot Avg Daily Active | Copilot Lines Accepted | Cursor Active Users | Cursor Requests | Cursor Lines Added |
+|------|---:|---:|---:|---:|---:|
+${weeklyRows}
+
+## Trends
+
+${this.generateActivityTrends(activityAnalysis)}
+
+## Analysis Details
+
+- **Analysis Date:** ${reportDate}
+- **Period:** ${days} days
+- **Weeks:** Rolling 7-day blocks ending ${period.end}, each compared with the previous 7 days
+- **Data Sources:** ${sourceNames.length ? sourceNames.join(', ') : 'None found'}
+
+## Notes
+
+- Copilot metrics report daily active users only, so Copilot activity is shown as daily averages and peaks
+- Cursor active users are unique emails with at least one active day in the period
+- Cursor requests are composer, chat and agent requests combined
+- Days without data are shown as "–"
+`;
+  }
+
+  // Helper methods for finding data files
+
+  findCopilotSeatFiles() {
+    const files = [];
+    const searchDir = path.join(this.config.dataDir, 'github');
+    
+    if (!existsSync(searchDir)) return files;
+    
+    const walkDir = (dir) => {
+      try {
+        const entries = readdirSync(dir);
+        for (const entry of entries) {
+          const fullPath = path.join(dir, entry);
+          const stat = statSync(fullPath);
+          
+          if (stat.isDirectory()) {
+            walkDir(fullPath);
+          } else if (/^copilot-(enterprise-)?seats_.*\.json$/.test(entry)) {
+            files.push(fullPath);
+          }
+        }
+      } catch (error) {
+        // Skip directories we can't read
+      }
+    };
+    
+    walkDir(searchDir);
+    return files;
+  }
+
+  findCursorWeeklyFiles() {
+    const files = [];
+    const searchDir = this.config.dataDir;
+    
+    if (!existsSync(searchDir)) return files;
+    
+    const walkDir = (dir) => {
+      try {
+        const entries = readdirSync(dir);
+        for (const entry of entries) {
+          const fullPath = path.join(dir, entry);
+          const stat = statSync(fullPath);
+          
+          if (stat.isDirectory()) {
+            walkDir(fullPath);
+          } else if (entry.includes('weekly-report_') && entry.endsWith('.json')) {
+            files.push(fullPath);
+          }
+        }
+      } catch (error) {
+        // Skip directories we can't read
+      }
+    };
+    
+    walkDir(searchDir);
+    return files;
+  }
+
+  findCursorDailyFiles() {
+    const files = [];
+    const searchDir = path.join(this.config.dataDir, 'cursor');
+    
+    if (!existsSync(searchDir)) return files;
+    
+    const walkDir = (dir) => {
+      try {
+        const entries = readdirSync(dir);
+        for (const entry of entries) {
+          const fullPath = path.join(dir, entry);
+          const stat = statSync(fullPath);
+          
+          if (stat.isDirectory()) {
+            walkDir(fullPath);
+          } else if (/^daily_activity_\d{4}-\d{2}-\d{2}\.json$/.test(entry)) {
+            files.push(fullPath);
+          }
+        }
+      } catch (error) {
+        // Skip directories we can't read
+      }
+    };
+    
+    walkDir(searchDir);
+    return files;
+  }
+
+  findCopilotMetricsFiles() {
+    const files = [];
+    const searchDir = path.join(this.config.dataDir, 'github', 'metrics');
+    
+    if (!existsSync(searchDir)) return files;
+    
+    const walkDir = (dir) => {
+      try {
+        const entries = readdirSync(dir);
+        for (const entry of entries) {
+          const fullPath = path.join(dir, entry);
+          const stat = statSync(fullPath);
+          
+          if (stat.isDirectory()) {
+            walkDir(fullPath);
+          } else if (/^copilot-(enterprise-)?metrics_.*\.json$/.test(entry)) {
+            files.push(fullPath);
+          }
+        }
+      } catch (error) {
+        // Skip directories we can't read
+      }
+    };
+    
+    walkDir(searchDir);
+    return files;
+  }
+
+  findCopilotTeamMetricsFiles() {
+    const files = [];
+    const searchDir = path.join(this.config.dataDir, 'github', 'metrics', 'teams');
+
+    if (!existsSync(searchDir)) return files;
+
+    const walkDir = (dir) => {
+      try {
+        for (const entry of readdirSync(dir)) {
+          const fullPath = path.join(dir, entry);
+          if (statSync(fullPath).isDirectory()) {
+            walkDir(fullPath);
+          } else if (entry.startsWith('copilot-team-metrics_') && entry.endsWith('.json')) {
+            files.push(fullPath);
+          }
+        }
+      } catch (error) {
+        // Skip directories we can't read
+      }
+    };
+
+    walkDir(searchDir);
+    return files;
+  }
+
+  findCopilotOrgMetricsFiles() {
+    const files = [];
+    const searchDir = path.join(this.config.dataDir, 'github', 'metrics', 'orgs');
+
+    if (!existsSync(searchDir)) return files;
+
+    const walkDir = (dir) => {
+      try {
+        for (const entry of readdirSync(dir)) {
+          const fullPath = path.join(dir, entry);
+          if (statSync(fullPath).isDirectory()) {
+            walkDir(fullPath);
+          } else if (entry.startsWith('copilot-org-metrics_') && entry.endsWith('.json')) {
+            files.push(fullPath);
+          }
+        }
+      } catch (error) {
+        // Skip directories we can't read
+      }
+    };
+
+    walkDir(searchDir);
+    return files;
+  }
+
+  /**
+   * Analyze tool adoption across the organization and per manager subtree
+   * @param {Array} users - Users from the lookup table
+   * @param {Object} orgData - Organizational structure
+   * @param {Object} copilotAnalysis - Result of analyzeCopilotActivity
+   * @param {Object} cursorAnalysis - Result of analyzeCursorActivity
+   * @returns {Object} - Overall and per-department adoption stats
+   */
+  analyzeToolingAdoption(users, orgData, copilotAnalysis = null, cursorAnalysis = null) {
+    return {
+      totalPeople: users.length,
+      copilotAdoption: users.filter(u => u.hasCopilot).length,
+      cursorAdoption: users.filter(u => u.hasCursor).length,
+      anyToolAdoption: users.filter(u => u.hasCopilot || u.hasCursor).length,
+      copilotPercentage: ((users.filter(u => u.hasCopilot).length / users.length) * 100).toFixed(1),
+      cursorPercentage: ((users.filter(u => u.hasCursor).length / users.length) * 100).toFixed(1),
+      anyToolPercentage: ((users.filter(u => u.hasCopilot || u.hasCursor).length / users.length) * 100).toFixed(1),
+      departmentDepth: this.getDepartmentDepth(),
+      byDepartment: this.analyzeDepartments(users, orgData, copilotAnalysis, cursorAnalysis)
+    };
+  }
+
+  /**
+   * Validated department rollup depth from config
+   * @private
+   */
+  getDepartmentDepth() {
+    const depth = Number(this.config.departmentDepth);
+    if (!Number.isInteger(depth) || depth < 0) {
+      throw new Error(`Invalid department depth: ${this.config.departmentDepth}`);
+    }
+    return depth;
+  }
+
+  /**
+   * Validated Copilot scope from config: which seat and metrics files the
+   * reports read (`org` files or combined `enterprise` files)
+   * @private
+   */
+  getCopilotScope() {
+    return parseCopilotScope(this.config.copilotScope);
+  }
+
+  /**
+   * Roll up adoption and weekly activity per manager subtree.
+   * Percentages use everyone in the subtree as the base, so people missing
+   * from the lookup table count as not having tools. People outside every
+   * subtree (above the rollup depth, or in branches that end before it) are
+   * rolled up last as `Unassigned`.
+   * @private
+   */
+  analyzeDepartments(users, orgData, copilotAnalysis, cursorAnalysis) {
+    if (!orgData?.organization) return {};
+
+    const { subtrees, unassigned } = extractManagerSubtrees(orgData.organization, this.getDepartmentDepth());
+    const percent = (part, total) => (total > 0 ? ((part / total) * 100).toFixed(1) : '0.0');
+    const rollUp = (memberIds) => {
+      const members = users.filter(user => user.orgNode && memberIds.has(user.orgNode.id));
+
+      const withTools = members.filter(u => u.hasCopilot || u.hasCursor).length;
+      const weeklyActive = members.filter(u => {
+        const copilotActive = u.hasCopilot && !!copilotAnalysis?.activeLogins.has(u.githubLogin);
+        const cursorActive = u.hasCursor && !!cursorAnalysis?.activeUsers.has(u.email?.toLowerCase());
+        return copilotActive || cursorActive;
+      }).length;
+      const total = memberIds.size;
+
+      return {
+        total,
+        matched: members.length,
+        withTools,
+        percentage: percent(withTools, total),
+        weeklyActive,
+        weeklyActivePercentage: percent(weeklyActive, total)
+      };
+    };
+
+    const departments = subtrees.map(subtree => [subtree.name, {
+      title: subtree.title,
+      username: subtree.username,
+      ...rollUp(subtree.members)
+    }]);
+
+    departments.sort((a, b) =>
+      (parseFloat(a[1].weeklyActivePercentage) - parseFloat(b[1].weeklyActivePercentage)) || (b[1].total - a[1].total)
+    );
+    if (unassigned.size > 0) {
+      departments.push(['Unassigned', { title: null, username: null, unassigned: true, ...rollUp(unassigned) }]);
+    }
+    return Object.fromEntries(departments);
+  }
+
+  /**
+   * Analyze daily activity for both tools over the last N days
+   * Cursor data comes from the dated daily activity files, Copilot data from the
+   * org metrics JSON. Week-over-week deltas compare consecutive 7-day blocks
+   * counted back from today, so one extra block before the window is loaded.
+   * @param {number} days - Number of days to analyze
+   * @returns {Promise<Object>} - Daily series, weekly comparison and tool summaries
+   */
+  async analyzeRecentActivity(days = 7) {
+    if (!Number.isInteger(days) || days < 1) {
+      throw new Error(`Invalid number of days: ${days}`);
+    }
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    const today = new Date();
+    const periodEnd = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+    const periodStart = new Date(periodEnd.getTime() - (days - 1) * dayMs);
+    const weekCount = Math.ceil(days / 7);
+    const loadStart = new Date(periodEnd.getTime() - ((weekCount + 1) * 7 - 1) * dayMs);
+
+    const cursorDaily = this.loadCursorDailyActivity(loadStart, periodEnd);
+    const copilotDaily = this.loadCopilotDailyMetrics(loadStart, periodEnd);
+
+    // Build one row per calendar day across the loaded range
+    const allDays = [];
+    for (let t = loadStart.getTime(); t <= periodEnd.getTime(); t += dayMs) {
+      const date = new Date(t).toISOString().split('T')[0];
+      const cursorDay = cursorDaily.byDate.get(date);
+      const copilotDay = copilotDaily.byDate.get(date);
+      allDays.push({
+        date,
+        copilotActiveUsers: copilotDay ? copilotDay.activeUsers : null,
+        copilotEngagedUsers: copilotDay ? copilotDay.engagedUsers : null,
+        copilotSuggestions: copilotDay ? copilotDay.suggestions : 0,
+        copilotLinesAccepted: copilotDay ? copilotDay.linesAccepted : 0,
+        copilotChats: copilotDay ? copilotDay.chats : 0,
+        cursorActiveUsers: cursorDay ? cursorDay.activeEmails.size : null,
+        cursorActiveEmails: cursorDay ? cursorDay.activeEmails : new Set(),
+        cursorRequests: cursorDay ? cursorDay.requests : 0,
+        cursorLinesAdded: cursorDay ? cursorDay.linesAdded : 0,
+        cursorAcceptedLinesAdded: cursorDay ? cursorDay.acceptedLinesAdded : 0
+      });
+    }
+
+    const startKey = periodStart.toISOString().split('T')[0];
+    const daily = allDays.filter(d => d.date >= startKey);
+
+    // Rolling 7-day blocks, newest last; the first block is only used for comparison
+    const blocks = [];
+    for (let i = weekCount; i >= 0; i--) {
+      const endIndex = allDays.length - 1 - i * 7;
+      const blockDays = allDays.slice(Math.max(0, endIndex - 6), endIndex + 1);
+      blocks.push(this.summarizeActivityBlock(blockDays));
+    }
+    const weekly = [];
+    for (let i = 1; i < blocks.length; i++) {
+      const current = blocks[i];
+      const previous = blocks[i - 1];
+      weekly.push({
+        ...current,
+        deltas: {
+          copilotAverageDaily: this.percentChange(current.copilotAverageDaily, previous.copilotAverageDaily),
+          copilotLinesAccepted: this.percentChange(current.copilotLinesAccepted, previous.copilotLinesAccepted),
+          cursorActiveUsers: this.percentChange(current.cursorActiveUsers, previous.cursorActiveUsers),
+          cursorRequests: this.percentChange(current.cursorRequests, previous.cursorRequests),
+          cursorLinesAdded: this.percentChange(current.cursorLinesAdded, previous.cursorLinesAdded)
+        }
+      });
+    }
+
+    const windowSummary = this.summarizeActivityBlock(daily);
+
+    return {
+      period: {
+        start: startKey,
+        end: periodEnd.toISOString().split('T')[0],
+        days
+      },
+      copilot: {
+        activeUsers: windowSummary.copilotPeakActive,
+        averageDaily: windowSummary.copilotAverageDaily,
+        peakDay: windowSummary.copilotPeakDay || 'N/A',
+        peakDayUsers: windowSummary.copilotPeakActive,
+        totalSuggestions: windowSummary.copilotSuggestions,
+        totalLinesAccepted: windowSummary.copilotLinesAccepted,
+        totalChats: windowSummary.copilotChats,
+        daysWithData: windowSummary.copilotDaysWithData
+      },
+      cursor: {
+        activeUsers: windowSummary.cursorActiveUsers,
+        averageDaily: windowSummary.cursorAverageDaily,
+        peakDay: windowSummary.cursorPeakDay || 'N/A',
+        peakDayUsers: windowSummary.cursorPeakActive,
+        totalRequests: windowSummary.cursorRequests,
+        totalLinesAdded: windowSummary.cursorLinesAdded,
+        acceptedLinesAdded: windowSummary.cursorAcceptedLinesAdded,
+        daysWithData: windowSummary.cursorDaysWithData
+      },
+      daily: daily.map(({ cursorActiveEmails, ...day }) => day),
+      weekly,
+      sources: {
+        cursorFiles: cursorDaily.files,
+        copilotFiles: copilotDaily.files
+      }
+    };
+  }
+
+  /**
+   * Summarize a run of daily activity rows
+   * Cursor active users are unique emails; Copilot metrics only report daily
+   * counts, so its users are expressed as average and peak daily actives.
+   * @private
+   */
+  summarizeActivityBlock(days) {
+    const cursorEmails = new Set();
+    const summary = {
+      start: days.length ? days[0].date : null,
+      end: days.length ? days[days.length - 1].date : null,
+      copilotDaysWithData: 0,
+      copilotAverageDaily: 0,
+      copilotPeakDay: null,
+      copilotPeakActive: 0,
+      copilotSuggestions: 0,
+      copilotLinesAccepted: 0,
+      copilotChats: 0,
+      cursorDaysWithData: 0,
+      cursorActiveUsers: 0,
+      cursorAverageDaily: 0,
+      cursorPeakDay: null,
+      cursorPeakActive: 0,
+      cursorRequests: 0,
+      cursorLinesAdded: 0,
+      cursorAcceptedLinesAdded: 0
+    };
+    let copilotActiveSum = 0;
+    let cursorActiveSum = 0;
+
+    for (const day of days) {
+      if (day.copilotActiveUsers !== null) {
+        summary.copilotDaysWithData++;
+        copilotActiveSum += day.copilotActiveUsers;
+        if (day.copilotActiveUsers > summary.copilotPeakActive) {
+          summary.copilotPeakActive = day.copilotActiveUsers;
+          summary.copilotPeakDay = day.date;
+        }
+      }
+      summary.copilotSuggestions += day.copilotSuggestions;
+      summary.copilotLinesAccepted += day.copilotLinesAccepted;
+      summary.copilotChats += day.copilotChats;
+
+      if (day.cursorActiveUsers !== null) {
+        summary.cursorDaysWithData++;
+        cursorActiveSum += day.cursorActiveUsers;
+        if (day.cursorActiveUsers > summary.cursorPeakActive) {
+          summary.cursorPeakActive = day.cursorActiveUsers;
+          summary.cursorPeakDay = day.date;
+        }
+      }
+      day.cursorActiveEmails.forEach(email => cursorEmails.add(email));
+      summary.cursorRequests += day.cursorRequests;
+      summary.cursorLinesAdded += day.cursorLinesAdded;
+      summary.cursorAcceptedLinesAdded += day.cursorAcceptedLinesAdded;
+    }
+
+    summary.cursorActiveUsers = cursorEmails.size;
+    summary.copilotAverageDaily = summary.copilotDaysWithData
+      ? parseFloat((copilotActiveSum / summary.copilotDaysWithData).toFixed(1))
+      : 0;
+    summary.cursorAverageDaily = summary.cursorDaysWithData
+      ? parseFloat((cursorActiveSum / summary.cursorDaysWithData).toFixed(1))
+      : 0;
+
+    return summary;
+  }
+
+  /**
+   * Load Cursor daily activity records between two dates (inclusive), keyed by day
+   * and by user. Records are de-duplicated per user and day; later files win.
+   * @private
+   */
+  loadCursorDailyActivity(startDate, endDate) {
+    const startKey = startDate.toISOString().split('T')[0];
+    const endKey = endDate.toISOString().split('T')[0];
+    const files = this.findCursorDailyFiles().sort();
+    const records = new Map();
+    const usedFiles = [];
+
+    for (const file of files) {
+      let data;
+      try {
+        data = JSON.parse(readFileSync(file, 'utf8'));
+      } catch (error) {
+        console.warn(`⚠️  Skipping unreadable Cursor file ${path.basename(file)}: ${error.message}`);
+        continue;
+      }
+
+      let used = false;
+      for (const record of data.data || []) {
+        const date = parseDate(record.date);
+        if (!date || isNaN(date.getTime())) continue;
+        const day = date.toISOString().split('T')[0];
+        if (day < startKey || day > endKey) continue;
+        const user = (record.email || record.userId || '').toString().toLowerCase();
+        if (!user) continue;
+        records.set(`${user}|${day}`, { ...record, _day: day, _user: user });
+        used = true;
+      }
+      if (used) usedFiles.push(file);
+    }
 
-## Trends
+    const byDate = new Map();
+    const byUser = new Map();
+    for (const record of records.values()) {
+      if (!byDate.has(record._day)) {
+        byDate.set(record._day, { activeEmails: new Set(), requests: 0, linesAdded: 0, acceptedLinesAdded: 0 });
+      }
+      if (!byUser.has(record._user)) {
+        byUser.set(record._user, { firstDay: record._day, activeDays: 0, lastActiveDay: null, requests: 0, acceptedLinesAdded: 0, usageBasedReqs: 0 });
+      }
+      const requests = (record.composerRequests || 0) + (record.chatRequests || 0) + (record.agentRequests || 0);
+      const day = byDate.get(record._day);
+      if (record.isActive) day.activeEmails.add(record._user);
+      day.requests += requests;
+      day.linesAdded += record.totalLinesAdded || 0;
+      day.acceptedLinesAdded += record.acceptedLinesAdded || 0;
 
-${this.generateActivityTrends(activityAnalysis)}
+      const user = byUser.get(record._user);
+      if (record._day < user.firstDay) user.firstDay = record._day;
+      if (record.isActive) {
+        user.activeDays++;
+        if (!user.lastActiveDay || record._day > user.lastActiveDay) user.lastActiveDay = record._day;
+      }
+      user.requests += requests;
+      user.acceptedLinesAdded += record.acceptedLinesAdded || 0;
+      user.usageBasedReqs += record.usageBasedReqs || 0;
+    }
 
-## Analysis Details
+    if (!usedFiles.length) {
+      console.warn(`⚠️  No Cursor daily activity found between ${startKey} and ${endKey}`);
+    }
 
-- **Analysis Date:** ${reportDate}
-- **Period:** ${days} days
-- **Data Sources:** Recent activity logs, seat assignment data
-`;
+    return { byDate, byUser, files: usedFiles };
   }
 
-  // Helper methods for finding data files
+  /**
+   * Load Copilot metrics of the configured scope between two dates (inclusive), keyed by day
+   * Days present in several metrics files are taken from the most recent file.
+   * @private
+   */
+  loadCopilotDailyMetrics(startDate, endDate) {
+    const scope = this.getCopilotScope();
+    const startKey = startDate.toISOString().split('T')[0];
+    const endKey = endDate.toISOString().split('T')[0];
+    const files = this.findCopilotMetricsFiles().filter(file => getCopilotFileScope(file) === scope).sort();
+    const byDate = new Map();
+    const usedFiles = [];
 
-  findCopilotSeatFiles() {
-    const files = [];
-    const searchDir = path.join(this.config.dataDir, 'github');
-    
-    if (!existsSync(searchDir)) return files;
-    
-    const walkDir = (dir) => {
+    for (const file of files) {
+      let metricsData;
       try {
-        const entries = readdirSync(dir);
-        for (const entry of entries) {
-          const fullPath = path.join(dir, entry);
-          const stat = statSync(fullPath);
-          
-          if (stat.isDirectory()) {
-            walkDir(fullPath);
-          } else if (entry.includes('copilot-seats_') && entry.endsWith('.json')) {
-            files.push(fullPath);
+        metricsData = JSON.parse(readFileSync(file, 'utf8'));
+      } catch (error) {
+        console.warn(`⚠️  Skipping unreadable Copilot metrics file ${path.basename(file)}: ${error.message}`);
+        continue;
+      }
+
+      let used = false;
+      for (const dayData of metricsData.data || []) {
+        const day = (dayData.date || '').split('T')[0];
+        if (!day || day < startKey || day > endKey) continue;
+
+        let suggestions = 0;
+        let linesAccepted = 0;
+        for (const editor of dayData.copilot_ide_code_completions?.editors || []) {
+          for (const model of editor.models || []) {
+            for (const language of model.languages || []) {
+              suggestions += language.total_code_suggestions || 0;
+              linesAccepted += language.total_code_lines_accepted || 0;
+            }
+          }
+        }
+        let chats = 0;
+        for (const editor of dayData.copilot_ide_chat?.editors || []) {
+          for (const model of editor.models || []) {
+            chats += model.total_chats || 0;
           }
         }
+
+        byDate.set(day, {
+          activeUsers: dayData.total_active_users || 0,
+          engagedUsers: dayData.total_engaged_users || 0,
+          suggestions,
+          linesAccepted,
+          chats
+        });
+        used = true;
+      }
+      if (used) usedFiles.push(file);
+    }
+
+    if (!usedFiles.length) {
+      console.warn(`⚠️  No Copilot metrics found between ${startKey} and ${endKey} (${scope} scope)`);
+    }
+
+    return { byDate, files: usedFiles };
+  }
+
+  /**
+   * Break Copilot metrics down by language, editor, model and chat surface
+   * Days present in several metrics files are taken from the most recent file.
+   * Weeks are 7-day blocks counted back from today, newest last.
+   * @private
+   */
+  analyzeCopilotBreakdown(days = 28) {
+    if (!Number.isInteger(days) || days < 1) {
+      throw new Error(`Invalid number of days: ${days}`);
+    }
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    const today = new Date();
+    const periodEnd = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+    const periodStart = new Date(periodEnd.getTime() - (days - 1) * dayMs);
+    const startKey = periodStart.toISOString().split('T')[0];
+    const endKey = periodEnd.toISOString().split('T')[0];
+
+    const scope = this.getCopilotScope();
+    const dayData = new Map();
+    const usedFiles = new Set();
+    for (const file of this.findCopilotMetricsFiles().filter(f => getCopilotFileScope(f) === scope).sort()) {
+      let metricsData;
+      try {
+        metricsData = JSON.parse(readFileSync(file, 'utf8'));
       } catch (error) {
-        // Skip directories we can't read
+        console.warn(`⚠️  Skipping unreadable Copilot metrics file ${path.basename(file)}: ${error.message}`);
+        continue;
+      }
+      for (const entry of metricsData.data || []) {
+        const day = (entry.date || '').split('T')[0];
+        if (!day || day < startKey || day > endKey) continue;
+        dayData.set(day, { entry, file });
+      }
+    }
+    if (!dayData.size) {
+      throw new Error(`No Copilot metrics found between ${startKey} and ${endKey} (${scope} scope)`);
+    }
+
+    const analysisService = new GitHubAnalysisService({
+      dataDir: path.join(this.config.dataDir, 'github'),
+      userLookupPath: this.config.userLookupPath
+    });
+    const rows = [];
+    for (const day of [...dayData.keys()].sort()) {
+      const { entry, file } = dayData.get(day);
+      usedFiles.add(file);
+      rows.push(...analysisService.extractMetricsBreakdown(entry));
+    }
+
+    const weekCount = Math.ceil(days / 7);
+    const weeks = [];
+    for (let i = weekCount - 1; i >= 0; i--) {
+      const end = new Date(periodEnd.getTime() - i * 7 * dayMs);
+      const start = new Date(Math.max(periodStart.getTime(), end.getTime() - 6 * dayMs));
+      weeks.push({ start: start.toISOString().split('T')[0], end: end.toISOString().split('T')[0] });
+    }
+    const weekIndex = date => weeks.findIndex(w => date >= w.start && date <= w.end);
+
+    // Totals per key; engaged users are summed per day and reported as the daily peak
+    const aggregate = (sectionRows, keyFn) => {
+      const groups = new Map();
+      for (const row of sectionRows) {
+        const key = keyFn(row) || 'Unknown';
+        if (!groups.has(key)) {
+          groups.set(key, {
+            name: key, suggestions: 0, acceptances: 0, linesSuggested: 0, linesAccepted: 0,
+            chats: 0, chatInsertions: 0, chatCopies: 0, prSummaries: 0, engagedByDay: new Map()
+          });
+        }
+        const group = groups.get(key);
+        for (const field of ['suggestions', 'acceptances', 'linesSuggested', 'linesAccepted', 'chats', 'chatInsertions', 'chatCopies', 'prSummaries']) {
+          group[field] += row[field] || 0;
+        }
+        group.engagedByDay.set(row.date, (group.engagedByDay.get(row.date) || 0) + row.engagedUsers);
       }
+      return [...groups.values()].map(({ engagedByDay, ...group }) => ({
+        ...group,
+        peakEngagedUsers: Math.max(0, ...engagedByDay.values()),
+        acceptanceRate: group.suggestions ? parseFloat(((group.acceptances / group.suggestions) * 100).toFixed(1)) : null,
+        lineAcceptanceRate: group.linesSuggested ? parseFloat(((group.linesAccepted / group.linesSuggested) * 100).toFixed(1)) : null
+      }));
+    };
+    const bySize = field => (a, b) => b[field] - a[field] || a.name.localeCompare(b.name);
+
+    // Weekly series for the top entries of a dimension
+    const trend = (sectionRows, keyFn, field, top = 5) => {
+      const leaders = aggregate(sectionRows, keyFn).sort(bySize(field)).slice(0, top);
+      return leaders.map(leader => ({
+        name: leader.name,
+        weeks: weeks.map((_, i) => aggregate(
+          sectionRows.filter(r => (keyFn(r) || 'Unknown') === leader.name && weekIndex(r.date) === i),
+          () => leader.name
+        )[0] || null)
+      }));
+    };
+
+    const completions = rows.filter(r => r.section === 'ide-code-completions');
+    const byTeam = this.analyzeCopilotTeamMetrics(startKey, endKey, analysisService, aggregate);
+    const ideChat = rows.filter(r => r.section === 'ide-chat');
+    const dotcomChat = rows.filter(r => r.section === 'dotcom-chat');
+    const pullRequests = rows.filter(r => r.section === 'dotcom-pull-requests');
+
+    return {
+      period: { start: startKey, end: endKey, days, daysWithData: dayData.size },
+      weeks,
+      totals: aggregate(completions, () => 'All')[0] || null,
+      byLanguage: aggregate(completions, r => r.language).sort(bySize('linesAccepted')),
+      byEditor: aggregate(completions, r => r.editor).sort(bySize('linesAccepted')),
+      byModel: aggregate(completions, r => r.model).sort(bySize('linesAccepted')),
+      languageTrend: trend(completions, r => r.language, 'linesAccepted'),
+      editorTrend: trend(completions, r => r.editor, 'linesAccepted'),
+      modelTrend: trend(completions, r => r.model, 'linesAccepted'),
+      ideChatByEditor: aggregate(ideChat, r => r.editor).sort(bySize('chats')),
+      ideChatByModel: aggregate(ideChat, r => r.model).sort(bySize('chats')),
+      dotcomChatByModel: aggregate(dotcomChat, r => r.model).sort(bySize('chats')),
+      pullRequestsByRepository: aggregate(pullRequests, r => r.repository).sort(bySize('prSummaries')),
+      byTeam,
+      chatTrend: [
+        ['IDE chat', ideChat, 'chats'],
+        ['GitHub.com chat', dotcomChat, 'chats'],
+        ['PR summaries', pullRequests, 'prSummaries']
+      ].map(([name, sectionRows, field]) => ({
+        name,
+        field,
+        weeks: weeks.map((_, i) => sectionRows.filter(r => weekIndex(r.date) === i).reduce((sum, r) => sum + (r[field] || 0), 0))
+      })),
+      rows,
+      files: [...usedFiles]
     };
-    
-    walkDir(searchDir);
-    return files;
   }
 
-  findCursorWeeklyFiles() {
-    const files = [];
-    const searchDir = this.config.dataDir;
-    
-    if (!existsSync(searchDir)) return files;
-    
-    const walkDir = (dir) => {
+  /**
+   * Per-team acceptance and engagement from the saved team metrics files
+   * Days present in several files for the same team are taken from the most
+   * recently fetched one. Engagement compares the average daily engaged users
+   * with the team's seats in the latest seat snapshot.
+   * @private
+   */
+  analyzeCopilotTeamMetrics(startKey, endKey, analysisService, aggregate) {
+    const teams = new Map();
+    for (const file of this.findCopilotTeamMetricsFiles()) {
+      let metricsData;
       try {
-        const entries = readdirSync(dir);
-        for (const entry of entries) {
-          const fullPath = path.join(dir, entry);
-          const stat = statSync(fullPath);
-          
-          if (stat.isDirectory()) {
-            walkDir(fullPath);
-          } else if (entry.includes('weekly-report_') && entry.endsWith('.json')) {
-            files.push(fullPath);
-          }
-        }
+        metricsData = JSON.parse(readFileSync(file, 'utf8'));
       } catch (error) {
-        // Skip directories we can't read
+        console.warn(`⚠️  Skipping unreadable Copilot team metrics file ${path.basename(file)}: ${error.message}`);
+        continue;
       }
-    };
-    
-    walkDir(searchDir);
-    return files;
+      const slug = metricsData.meta?.team?.slug;
+      if (!slug) continue;
+      const fetchedAt = metricsData.meta?.fetched_at || '';
+      if (!teams.has(slug)) {
+        teams.set(slug, { slug, name: metricsData.meta.team.name || slug, days: new Map(), files: new Set() });
+      }
+      const team = teams.get(slug);
+      for (const entry of metricsData.data || []) {
+        const day = (entry.date || '').split('T')[0];
+        if (!day || day < startKey || day > endKey) continue;
+        const existing = team.days.get(day);
+        if (!existing || fetchedAt >= existing.fetchedAt) {
+          team.days.set(day, { entry, fetchedAt, file });
+        }
+      }
+    }
+    if (!teams.size) return [];
+
+    const snapshots = this.loadSeatSnapshots();
+    const latestSnapshot = [...snapshots.keys()].sort().pop();
+    const seatTeams = latestSnapshot ? analysisService.getTeamBreakdown(snapshots.get(latestSnapshot).seats) : {};
+
+    const results = [];
+    for (const team of teams.values()) {
+      const entries = [...team.days.values()].map(d => d.entry);
+      if (!entries.length) continue;
+      const totals = aggregate(
+        entries.flatMap(entry => analysisService.extractMetricsBreakdown(entry)).filter(r => r.section === 'ide-code-completions'),
+        () => team.slug
+      )[0];
+      const averageOf = field => parseFloat((entries.reduce((sum, e) => sum + (e[field] || 0), 0) / entries.length).toFixed(1));
+      const averageEngagedUsers = averageOf('total_engaged_users');
+      const seats = seatTeams[team.slug]?.totalSeats ?? null;
+
+      results.push({
+        slug: team.slug,
+        name: seatTeams[team.slug]?.name || team.name,
+        daysWithData: entries.length,
+        seats,
+        averageActiveUsers: averageOf('total_active_users'),
+        averageEngagedUsers,
+        peakEngagedUsers: Math.max(0, ...entries.map(e => e.total_engaged_users || 0)),
+        engagementRate: seats ? parseFloat(((averageEngagedUsers / seats) * 100).toFixed(1)) : null,
+        suggestions: totals?.suggestions || 0,
+        acceptances: totals?.acceptances || 0,
+        acceptanceRate: totals?.acceptanceRate ?? null,
+        linesSuggested: totals?.linesSuggested || 0,
+        linesAccepted: totals?.linesAccepted || 0,
+        lineAcceptanceRate: totals?.lineAcceptanceRate ?? null,
+        files: [...new Set([...team.days.values()].map(d => d.file))]
+      });
+    }
+
+    return results.sort((a, b) => b.linesAccepted - a.linesAccepted || a.name.localeCompare(b.name));
   }
 
-  // Placeholder methods for additional analysis
-  analyzeToolingAdoption(users, orgData) {
-    // Implementation would analyze tool adoption patterns
+  /**
+   * Per-org and combined seat usage and metrics for an enterprise
+   * Per-org seats come from the `organizations` list of each seat in the
+   * latest combined snapshot (falling back to the snapshot's org), per-org
+   * metrics from `copilot-org-metrics_` files and combined metrics from the
+   * enterprise metrics files. Without any enterprise snapshot or metrics the
+   * org files are used instead. A user with seats in several orgs counts once combined.
+   * @private
+   */
+  analyzeEnterprise(days) {
+    let snapshots = this.loadSeatSnapshots('enterprise');
+    if (!snapshots.size) snapshots = this.loadSeatSnapshots('org');
+    const snapshotDate = [...snapshots.keys()].sort().pop();
+    if (!snapshotDate) {
+      throw new Error('No Copilot seat snapshots found');
+    }
+    const { seats, meta } = snapshots.get(snapshotDate);
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    const now = new Date();
+    const cutoff = now.getTime() - days * dayMs;
+    const endKey = now.toISOString().split('T')[0];
+    const startKey = new Date(now.getTime() - (days - 1) * dayMs).toISOString().split('T')[0];
+    const seatCost = this.getCostSetting('copilotSeatCost');
+    const status = assignment => {
+      if (!assignment.last_activity_at) return 'neverUsed';
+      return new Date(assignment.last_activity_at).getTime() >= cutoff ? 'active' : 'inactive';
+    };
+    const emptyStats = org => ({
+      org, seats: 0, users: 0, active: 0, inactive: 0, neverUsed: 0, pendingCancellation: 0, sharedUsers: 0, monthlyCost: 0, metrics: null
+    });
+
+    const orgs = new Map();
+    const combined = emptyStats('Combined');
+    const sharedUsers = [];
+    for (const seat of seats) {
+      const assignments = seat.organizations || [{
+        organization: seat.organization?.login || meta.org || null,
+        last_activity_at: seat.last_activity_at,
+        pending_cancellation_date: seat.pending_cancellation_date
+      }];
+      const orgNames = [...new Set(assignments.map(a => a.organization || '(enterprise)'))];
+      const shared = orgNames.length > 1;
+      if (shared) {
+        sharedUsers.push({
+          login: seat.assignee?.login || '',
+          name: seat.assignee?.enriched_name || seat.assignee?.login || '',
+          orgs: orgNames,
+          lastActivity: seat.last_activity_at || null
+        });
+      }
+
+      for (const assignment of assignments) {
+        const org = assignment.organization || '(enterprise)';
+        if (!orgs.has(org)) orgs.set(org, emptyStats(org));
+        const stats = orgs.get(org);
+        stats.seats++;
+        stats.users++;
+        stats[status(assignment)]++;
+        if (assignment.pending_cancellation_date) stats.pendingCancellation++;
+        if (shared) stats.sharedUsers++;
+        stats.monthlyCost += seatCost;
+      }
+
+      combined.seats += assignments.length;
+      combined.users++;
+      combined[status(seat)]++;
+      if (seat.pending_cancellation_date) combined.pendingCancellation++;
+      if (shared) combined.sharedUsers++;
+    }
+    combined.monthlyCost = combined.users * seatCost;
+
+    const analysisService = new GitHubAnalysisService({
+      dataDir: path.join(this.config.dataDir, 'github'),
+      userLookupPath: this.config.userLookupPath
+    });
+    const orgMetrics = this.loadMetricsDaysByKey(this.findCopilotOrgMetricsFiles(), data => data.meta?.org, startKey, endKey);
+    for (const [org, entries] of orgMetrics) {
+      if (!orgs.has(org)) orgs.set(org, emptyStats(org));
+      orgs.get(org).metrics = analysisService.calculateAcceptanceMetrics({ data: entries });
+    }
+    const metricsByScope = this.loadMetricsDaysByKey(this.findCopilotMetricsFiles(), (data, file) => getCopilotFileScope(file), startKey, endKey);
+    const combinedMetrics = metricsByScope.get('enterprise') || metricsByScope.get('org');
+    if (combinedMetrics) {
+      combined.metrics = analysisService.calculateAcceptanceMetrics({ data: combinedMetrics });
+    }
+
     return {
-      totalPeople: users.length,
-      copilotAdoption: users.filter(u => u.hasCopilot).length,
-      cursorAdoption: users.filter(u => u.hasCursor).length,
-      anyToolAdoption: users.filter(u => u.hasCopilot || u.hasCursor).length,
-      copilotPercentage: ((users.filter(u => u.hasCopilot).length / users.length) * 100).toFixed(1),
-      cursorPercentage: ((users.filter(u => u.hasCursor).length / users.length) * 100).toFixed(1),
-      anyToolPercentage: ((users.filter(u => u.hasCopilot || u.hasCursor).length / users.length) * 100).toFixed(1),
-      byDepartment: {}
+      period: { days, start: startKey, end: endKey },
+      snapshotDate,
+      enterprise: meta.enterprise || null,
+      scope: meta.scope || 'org',
+      seatCost,
+      orgs: [...orgs.values()].sort((a, b) => b.seats - a.seats || a.org.localeCompare(b.org)),
+      combined,
+      sharedUsers: sharedUsers.sort((a, b) => a.name.localeCompare(b.name))
     };
   }
 
-  async analyzeRecentActivity(days) {
-    // Implementation would analyze recent activity patterns
+  /**
+   * Load daily metrics entries grouped by a key taken from each file
+   * Days present in several files for the same key are taken from the most
+   * recently fetched one.
+   * @private
+   */
+  loadMetricsDaysByKey(files, keyFn, startKey, endKey) {
+    const groups = new Map();
+    for (const file of files) {
+      let metricsData;
+      try {
+        metricsData = JSON.parse(readFileSync(file, 'utf8'));
+      } catch (error) {
+        console.warn(`⚠️  Skipping unreadable Copilot metrics file ${path.basename(file)}: ${error.message}`);
+        continue;
+      }
+      const key = keyFn(metricsData, file);
+      if (!key) continue;
+      const fetchedAt = metricsData.meta?.fetched_at || '';
+      if (!groups.has(key)) groups.set(key, new Map());
+      const days = groups.get(key);
+      for (const entry of metricsData.data || []) {
+        const day = (entry.date || '').split('T')[0];
+        if (!day || day < startKey || day > endKey) continue;
+        const existing = days.get(day);
+        if (!existing || fetchedAt >= existing.fetchedAt) {
+          days.set(day, { entry, fetchedAt });
+        }
+      }
+    }
+
+    const result = new Map();
+    for (const [key, days] of groups) {
+      if (days.size) {
+        result.set(key, [...days.keys()].sort().map(day => days.get(day).entry));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Aggregate Cursor usage events by user, model, day and week, and find spikes
+   * Cost is the event's charged cents when present, then the token cost for
+   * token-based calls, then request units at `cursorRequestCost`. A spike is a
+   * day at `spikeFactor` times the average of the seven days before it.
+   * @private
+   */
+  analyzeUsageEvents(days = 30) {
+    if (!Number.isInteger(days) || days < 1) {
+      throw new Error(`Invalid number of days: ${days}`);
+    }
+    const requestCost = this.getCostSetting('cursorRequestCost');
+    const spikeFactor = Number(this.config.spikeFactor);
+    if (isNaN(spikeFactor) || spikeFactor <= 1) {
+      throw new Error(`Invalid spike factor: ${this.config.spikeFactor}`);
+    }
+    const spikeMinRequests = Number(this.config.spikeMinRequests);
+    if (!Number.isInteger(spikeMinRequests) || spikeMinRequests < 1) {
+      throw new Error(`Invalid spike minimum requests: ${this.config.spikeMinRequests}`);
+    }
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    const today = new Date();
+    const periodEnd = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+    const periodStart = new Date(periodEnd.getTime() - (days - 1) * dayMs);
+    const startKey = periodStart.toISOString().split('T')[0];
+    const endKey = periodEnd.toISOString().split('T')[0];
+    const dayKeys = Array.from({ length: days }, (_, i) => new Date(periodStart.getTime() + i * dayMs).toISOString().split('T')[0]);
+
+    const store = new UsageEventsStore(path.join(this.config.dataDir, 'cursor', 'usage-events'));
+    const events = store.readEvents({ since: startKey, until: endKey });
+    if (!events.length) {
+      throw new Error(`No Cursor usage events found between ${startKey} and ${endKey}; sync usage events first`);
+    }
+
+    // Monday of the (UTC) week a day falls in
+    const weekOf = day => {
+      const date = new Date(`${day}T00:00:00Z`);
+      return new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * dayMs).toISOString().split('T')[0];
+    };
+    const emptyUsage = () => ({ requests: 0, requestUnits: 0, tokenBased: 0, requestBased: 0, maxMode: 0, tokens: 0, cost: 0, usageBasedCost: 0 });
+    const addUsage = (target, usage) => {
+      for (const key of Object.keys(usage)) target[key] += usage[key];
+    };
+    const getOrCreate = (map, key, create) => {
+      if (!map.has(key)) map.set(key, create());
+      return map.get(key);
+    };
+
+    const { personOf, departmentOf } = this.buildIdentityIndex();
+    const users = new Map();
+    const models = new Map();
+    const byDay = new Map(dayKeys.map(day => [day, { ...emptyUsage(), users: new Set() }]));
+    const rows = new Map();
+    const userDays = new Map();
+
+    for (const event of events) {
+      const ms = getEventTimestamp(event);
+      const day = new Date(ms).toISOString().split('T')[0];
+      if (!byDay.has(day)) continue;
+
+      const email = (event.userEmail || '').toLowerCase() || 'unknown';
+      const model = event.model || 'unknown';
+      const tokenUsage = event.tokenUsage || {};
+      const tokens = ['inputTokens', 'outputTokens', 'cacheWriteTokens', 'cacheReadTokens']
+        .reduce((sum, key) => sum + (Number(tokenUsage[key]) || 0), 0);
+      let cost;
+      if (event.chargedCents !== undefined && event.chargedCents !== null) {
+        cost = (Number(event.chargedCents) || 0) / 100;
+      } else if (event.isTokenBasedCall && tokenUsage.totalCents !== undefined) {
+        cost = (Number(tokenUsage.totalCents) || 0) / 100;
+      } else {
+        cost = (Number(event.requestsCosts) || 0) * requestCost;
+      }
+      const usage = {
+        requests: 1,
+        requestUnits: Number(event.requestsCosts) || 0,
+        tokenBased: event.isTokenBasedCall ? 1 : 0,
+        requestBased: event.isTokenBasedCall ? 0 : 1,
+        maxMode: event.maxMode ? 1 : 0,
+        tokens,
+        cost,
+        usageBasedCost: /usage.based/i.test(event.kind || '') ? cost : 0
+      };
+
+      const user = getOrCreate(users, email, () => ({ email, ...emptyUsage(), models: new Map(), days: new Set() }));
+      addUsage(user, usage);
+      user.models.set(model, (user.models.get(model) || 0) + 1);
+      user.days.add(day);
+
+      const modelEntry = getOrCreate(models, model, () => ({ model, ...emptyUsage(), users: new Set() }));
+      addUsage(modelEntry, usage);
+      modelEntry.users.add(email);
+
+      const dayEntry = byDay.get(day);
+      addUsage(dayEntry, usage);
+      dayEntry.users.add(email);
+
+      addUsage(getOrCreate(rows, `${day}|${email}|${model}`, () => ({ date: day, week: weekOf(day), email, model, ...emptyUsage() })), usage);
+      addUsage(getOrCreate(userDays, `${email}|${day}`, emptyUsage), usage);
+    }
+
+    const round = value => parseFloat(value.toFixed(2));
+    const byUser = [...users.values()].map(({ models: userModels, days: activeDays, ...u }) => {
+      const person = personOf(LINK_TYPES.CURSOR_EMAIL, u.email);
+      const topModel = [...userModels.entries()].sort((a, b) => b[1] - a[1])[0];
+      return {
+        ...u,
+        name: person?.name || null,
+        department: departmentOf(LINK_TYPES.CURSOR_EMAIL, u.email),
+        cost: round(u.cost),
+        usageBasedCost: round(u.usageBasedCost),
+        models: userModels.size,
+        topModel: topModel ? topModel[0] : null,
+        activeDays: activeDays.size
+      };
+    }).sort((a, b) => b.cost - a.cost || b.requests - a.requests);
+    const byModel = [...models.values()]
+      .map(m => ({ ...m, users: m.users.size, cost: round(m.cost), usageBasedCost: round(m.usageBasedCost) }))
+      .sort((a, b) => b.requests - a.requests);
+    const daily = dayKeys.map(day => {
+      const d = byDay.get(day);
+      return { date: day, ...d, users: d.users.size, cost: round(d.cost), usageBasedCost: round(d.usageBasedCost) };
+    });
+
+    const usageOf = entry => Object.fromEntries(Object.keys(emptyUsage()).map(key => [key, entry[key]]));
+    const weeks = new Map();
+    for (const [day, d] of byDay) {
+      const week = getOrCreate(weeks, weekOf(day), () => ({ weekStart: weekOf(day), days: 0, ...emptyUsage(), users: new Set() }));
+      week.days++;
+      addUsage(week, usageOf(d));
+      d.users.forEach(email => week.users.add(email));
+    }
+    const weekly = [...weeks.values()].map(w => ({ ...w, users: w.users.size, cost: round(w.cost), usageBasedCost: round(w.usageBasedCost) }));
+
+    // Spikes: compare each day with the average of the seven days before it
+    const findSpikes = (series, minValue) => {
+      const spikes = [];
+      series.forEach((value, i) => {
+        if (i < 3) return;
+        const previous = series.slice(Math.max(0, i - 7), i);
+        const baseline = previous.reduce((sum, v) => sum + v, 0) / previous.length;
+        if (baseline > 0 && value >= minValue && value >= baseline * spikeFactor) {
+          spikes.push({ index: i, value, baseline: round(baseline), factor: round(value / baseline) });
+        }
+      });
+      return spikes;
+    };
+    const spikes = [];
+    for (const metric of ['requests', 'cost']) {
+      const minValue = metric === 'requests' ? spikeMinRequests : 0.01;
+      for (const s of findSpikes(daily.map(d => d[metric]), minValue)) {
+        spikes.push({ scope: 'team', email: null, name: null, date: dayKeys[s.index], metric, value: s.value, baseline: s.baseline, factor: s.factor });
+      }
+    }
+    for (const u of byUser) {
+      const series = dayKeys.map(day => userDays.get(`${u.email}|${day}`)?.requests || 0);
+      for (const s of findSpikes(series, spikeMinRequests)) {
+        spikes.push({ scope: 'user', email: u.email, name: u.name, date: dayKeys[s.index], metric: 'requests', value: s.value, baseline: s.baseline, factor: s.factor });
+      }
+    }
+    spikes.sort((a, b) => b.date.localeCompare(a.date) || b.factor - a.factor);
+
+    const totals = emptyUsage();
+    byDay.forEach(d => addUsage(totals, usageOf(d)));
+    totals.cost = round(totals.cost);
+    totals.usageBasedCost = round(totals.usageBasedCost);
+
     return {
-      copilot: {
-        activeUsers: 0,
-        averageDaily: 0,
-        peakDay: 'N/A'
-      },
-      cursor: {
-        activeUsers: 0,
-        totalRequests: 0,
-        totalLinesAdded: 0
+      period: { days, start: startKey, end: endKey },
+      syncState: store.readState(),
+      pricing: { requestCost, spikeFactor, spikeMinRequests },
+      totals: { ...totals, users: byUser.length, models: byModel.length, daysWithEvents: daily.filter(d => d.requests > 0).length },
+      byUser,
+      byModel,
+      daily,
+      weekly,
+      spikes,
+      rows: [...rows.values()]
+        .map(r => ({ ...r, cost: round(r.cost), usageBasedCost: round(r.usageBasedCost) }))
+        .sort((a, b) => a.date.localeCompare(b.date) || a.email.localeCompare(b.email) || a.model.localeCompare(b.model))
+    };
+  }
+
+  /**
+   * Aggregate AI Code Tracking commits by user, repository, week and team
+   * The AI share is Tab plus Composer lines over all lines added; lines
+   * deleted are left out. Accepted change lines come from the change metrics
+   * and include AI edits that were never committed.
+   * @private
+   */
+  analyzeAICode(days = 30, { primaryBranchOnly = false } = {}) {
+    if (!Number.isInteger(days) || days < 1) {
+      throw new Error(`Invalid number of days: ${days}`);
+    }
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    const today = new Date();
+    const periodEnd = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+    const periodStart = new Date(periodEnd.getTime() - (days - 1) * dayMs);
+    const startKey = periodStart.toISOString().split('T')[0];
+    const endKey = periodEnd.toISOString().split('T')[0];
+    const dayOf = item => {
+      const value = item.commitTs || item.createdAt;
+      if (!value) return null;
+      const date = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(value);
+      return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+    };
+    const inPeriod = day => day && day >= startKey && day <= endKey;
+
+    const allCommits = this.loadAICodeTrackingItems('commits', 'commitHash');
+    if (!allCommits.length) {
+      throw new Error('No AI Code Tracking commit data found; fetch commit metrics first');
+    }
+    const commits = allCommits.filter(c => inPeriod(dayOf(c)) && (!primaryBranchOnly || c.isPrimaryBranch));
+    if (!commits.length) {
+      throw new Error(`No AI Code Tracking commits found between ${startKey} and ${endKey}`);
+    }
+    const changes = this.loadAICodeTrackingItems('changes', 'changeId').filter(c => inPeriod(dayOf(c)));
+
+    // Monday of the (UTC) week a day falls in
+    const weekOf = day => {
+      const date = new Date(`${day}T00:00:00Z`);
+      return new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * dayMs).toISOString().split('T')[0];
+    };
+    const emptyGroup = () => ({ commits: 0, linesAdded: 0, aiLinesAdded: 0, tabLinesAdded: 0, composerLinesAdded: 0, nonAiLinesAdded: 0, acceptedChangeLines: 0 });
+    const getOrCreate = (map, key, create) => {
+      if (!map.has(key)) map.set(key, create());
+      return map.get(key);
+    };
+
+    const { personOf, departmentOf } = this.buildIdentityIndex();
+    const unassigned = 'Unassigned';
+    const people = new Map();
+    const personFor = email => getOrCreate(people, email, () => ({
+      name: personOf(LINK_TYPES.CURSOR_EMAIL, email)?.name || null,
+      department: departmentOf(LINK_TYPES.CURSOR_EMAIL, email)
+    }));
+
+    const totals = emptyGroup();
+    const users = new Map();
+    const repos = new Map();
+    const weeks = new Map();
+    const teams = new Map();
+    for (const commit of commits) {
+      const email = (commit.userEmail || '').toLowerCase() || 'unknown';
+      const tab = Number(commit.tabLinesAdded) || 0;
+      const composer = Number(commit.composerLinesAdded) || 0;
+      const nonAi = Number(commit.nonAiLinesAdded) || 0;
+      const added = Number(commit.totalLinesAdded) || tab + composer + nonAi;
+      const person = personFor(email);
+      const targets = [
+        totals,
+        getOrCreate(users, email, () => ({ email, ...person, ...emptyGroup() })),
+        getOrCreate(repos, commit.repoName || 'unknown', () => ({ repo: commit.repoName || 'unknown', users: new Set(), ...emptyGroup() })),
+        getOrCreate(weeks, weekOf(dayOf(commit)), () => ({ weekStart: weekOf(dayOf(commit)), users: new Set(), ...emptyGroup() })),
+        getOrCreate(teams, person.department || unassigned, () => ({ team: person.department || unassigned, users: new Set(), ...emptyGroup() }))
+      ];
+      for (const target of targets) {
+        target.commits++;
+        target.linesAdded += added;
+        target.aiLinesAdded += tab + composer;
+        target.tabLinesAdded += tab;
+        target.composerLinesAdded += composer;
+        target.nonAiLinesAdded += nonAi;
+        target.users?.add(email);
       }
+    }
+
+    // Accepted AI changes, by user and team, and by source and model overall
+    const bySource = new Map();
+    for (const change of changes) {
+      const email = (change.userEmail || '').toLowerCase() || 'unknown';
+      const lines = Number(change.totalLinesAdded) || 0;
+      totals.acceptedChangeLines += lines;
+      const user = users.get(email);
+      if (user) user.acceptedChangeLines += lines;
+      const team = teams.get(personFor(email).department || unassigned);
+      if (team) team.acceptedChangeLines += lines;
+      const source = String(change.source || 'unknown').toUpperCase();
+      const entry = getOrCreate(bySource, `${source}|${change.model || 'unknown'}`, () => ({ source, model: change.model || 'unknown', changes: 0, linesAdded: 0, linesDeleted: 0, users: new Set() }));
+      entry.changes++;
+      entry.linesAdded += lines;
+      entry.linesDeleted += Number(change.totalLinesDeleted) || 0;
+      entry.users.add(email);
+    }
+
+    const share = (part, whole) => (whole ? parseFloat(((part / whole) * 100).toFixed(1)) : null);
+    const finish = g => ({
+      ...g,
+      ...(g.users && { users: g.users.size }),
+      aiShare: share(g.aiLinesAdded, g.linesAdded),
+      tabShare: share(g.tabLinesAdded, g.linesAdded),
+      composerShare: share(g.composerLinesAdded, g.linesAdded)
+    });
+    const byShare = (a, b) => (b.aiShare ?? -1) - (a.aiShare ?? -1) || b.linesAdded - a.linesAdded;
+
+    return {
+      period: { days, start: startKey, end: endKey },
+      primaryBranchOnly,
+      totals: { ...finish(totals), users: users.size, repos: repos.size },
+      byUser: [...users.values()].map(finish).sort(byShare),
+      byRepo: [...repos.values()].map(finish).sort((a, b) => b.linesAdded - a.linesAdded),
+      byWeek: [...weeks.values()].map(finish).sort((a, b) => a.weekStart.localeCompare(b.weekStart)),
+      byTeam: [...teams.values()].map(finish).sort((a, b) => (a.team === unassigned) - (b.team === unassigned) || byShare(a, b)),
+      changesBySource: [...bySource.values()].map(s => ({ ...s, users: s.users.size })).sort((a, b) => b.linesAdded - a.linesAdded),
+      sources: { commits: commits.length, changes: changes.length }
     };
   }
 
+  /**
+   * Load AI Code Tracking items saved as JSON pages or CSV exports, without duplicates
+   * CSV columns are snake_case; they are mapped to the JSON field names.
+   * @private
+   */
+  loadAICodeTrackingItems(kind, idField) {
+    const dir = path.join(this.config.dataDir, 'cursor', 'ai-code-tracking', kind);
+    const items = new Map();
+    if (!existsSync(dir)) return [];
+
+    const camel = key => key.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+    for (const file of readdirSync(dir).filter(f => f.endsWith('.json') || f.endsWith('.csv')).sort()) {
+      let records;
+      try {
+        const content = readFileSync(path.join(dir, file), 'utf8');
+        if (file.endsWith('.json')) {
+          records = JSON.parse(content).items || [];
+        } else {
+          records = parseCSVRecords(content).rows.map(row => {
+            const record = Object.fromEntries(Object.entries(row).map(([key, value]) => [camel(key), value]));
+            record.isPrimaryBranch = record.isPrimaryBranch === 'true';
+            return record;
+          });
+        }
+      } catch (error) {
+        console.warn(`⚠️  Skipping unreadable AI Code Tracking file ${file}: ${error.message}`);
+        continue;
+      }
+      for (const record of records) {
+        const id = record[idField];
+        if (id) items.set(id, record);
+      }
+    }
+    return [...items.values()];
+  }
+
+  /**
+   * Percentage change between two values, or null when there is no baseline
+   * @private
+   */
+  percentChange(current, previous) {
+    if (!previous) return null;
+    return parseFloat((((current - previous) / previous) * 100).toFixed(1));
+  }
+
   generateAdoptionRecommendations(stats) {
     const recommendations = [];
     
@@ -796,11 +4036,67 @@ ${this.generateActivityTrends(activityAnalysis)}
     if (parseFloat(stats.copilotPercentage) > parseFloat(stats.cursorPercentage) * 2) {
       recommendations.push('- Cursor adoption is lagging behind Copilot - consider training or evangelism');
     }
+
+    const laggingDepartments = Object.entries(stats.byDepartment || {})
+      .filter(([, dept]) => !dept.unassigned && parseFloat(dept.weeklyActivePercentage) < 25)
+      .map(([name, dept]) => `${name} (${dept.weeklyActivePercentage}%)`);
+    if (laggingDepartments.length > 0) {
+      recommendations.push(`- Weekly activity is below 25% in: ${laggingDepartments.join(', ')} - follow up with these managers`);
+    }
     
     return recommendations.length > 0 ? recommendations.join('\n') : '- Current adoption levels are strong across the organization';
   }
 
   generateActivityTrends(analysis) {
-    return '- Activity patterns show consistent usage across both platforms\n- Recommend continued monitoring of adoption trends';
+    const trends = [];
+    const latestWeek = analysis.weekly[analysis.weekly.length - 1];
+
+    if (!analysis.copilot.daysWithData && !analysis.cursor.daysWithData) {
+      return '- No daily activity data available for this period - fetch Cursor daily activity and Copilot metrics first';
+    }
+
+    const describe = (label, delta) => {
+      if (delta === null || delta === undefined) return null;
+      if (Math.abs(delta) < 5) return `- ${label} is flat week over week (${this.formatDelta(delta)})`;
+      return `- ${label} is ${delta > 0 ? 'up' : 'down'} ${this.formatDelta(delta)} week over week`;
+    };
+
+    if (latestWeek) {
+      [
+        describe('Copilot average daily active users', latestWeek.deltas.copilotAverageDaily),
+        describe('Copilot accepted lines', latestWeek.deltas.copilotLinesAccepted),
+        describe('Cursor weekly active users', latestWeek.deltas.cursorActiveUsers),
+        describe('Cursor requests', latestWeek.deltas.cursorRequests),
+        describe('Cursor lines added', latestWeek.deltas.cursorLinesAdded)
+      ].filter(Boolean).forEach(line => trends.push(line));
+    }
+
+    if (analysis.copilot.peakDay !== 'N/A') {
+      trends.push(`- Copilot usage peaked on ${analysis.copilot.peakDay} with ${analysis.copilot.peakDayUsers} active users`);
+    }
+    if (analysis.cursor.peakDay !== 'N/A') {
+      trends.push(`- Cursor usage peaked on ${analysis.cursor.peakDay} with ${analysis.cursor.peakDayUsers} active users`);
+    }
+
+    const expectedDays = analysis.period.days;
+    if (analysis.copilot.daysWithData < expectedDays || analysis.cursor.daysWithData < expectedDays) {
+      trends.push(`- Data gaps: Copilot metrics cover ${analysis.copilot.daysWithData}/${expectedDays} days, Cursor daily activity covers ${analysis.cursor.daysWithData}/${expectedDays} days`);
+    }
+
+    return trends.length > 0 ? trends.join('\n') : '- Not enough history for week-over-week comparison';
+  }
+
+  /**
+   * Format a percentage change for display
+   * @private
+   */
+  formatDelta(delta) {
+    if (delta === null || delta === undefined) return 'n/a';
+    return `${delta > 0 ? '+' : ''}${delta}%`;
+  }
+
+  formatMoney(value) {
+    if (value === null || value === undefined || !isFinite(value)) return '–';
+    return `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
   }
 }
@@ -0,0 +1,493 @@
+import { marked } from 'marked';
+
+/**
+ * Self-contained HTML reports
+ *
+ * A report page is the rendered Markdown report with inline CSS and SVG
+ * charts, so the file can be opened, mailed or archived on its own. The
+ * print stylesheet drops the page chrome and keeps charts and tables whole,
+ * so "Save as PDF" from the browser gives a clean document.
+ */
+
+const COLORS = ['#3498db', '#e67e22', '#2ecc71', '#9b59b6', '#e74c3c'];
+
+const WIDTH = 720;
+
+/**
+ * Render a report page
+ * Charts are placed after the report header, before the first section.
+ * @param {Object} page - Page content
+ * @param {string} page.title - Page title
+ * @param {string} page.markdown - Markdown report
+ * @param {Array<Object>} page.charts - Charts, see `renderChart`
+ * @param {string} page.backLink - Link shown above the report (dashboard only)
+ * @param {string} page.meta - Line shown above the report (dashboard only)
+ * @returns {string} - HTML document
+ */
+export function renderReportHtml({ title, markdown, charts = [], backLink = null, meta = null }) {
+  const body = marked(markdown);
+  const figures = charts.map(renderChart).filter(Boolean).join('\n');
+  const chartsSection = figures ? `<section class="charts">\n${figures}\n</section>\n` : '';
+  const sectionStart = body.indexOf('<h2');
+  const content = sectionStart === -1
+    ? body + chartsSection
+    : body.slice(0, sectionStart) + chartsSection + body.slice(sectionStart);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <title>${escapeHtml(title)}</title>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <style>${STYLES}</style>
+</head>
+<body>
+  <div class="container">
+    <div class="toolbar">
+      ${backLink ? `<a href="${escapeHtml(backLink)}" class="back-link">← Back to Dashboard</a>` : ''}
+      <button type="button" class="print-button" onclick="window.print()">Print / Save as PDF</button>
+    </div>
+    ${meta ? `<div class="report-meta">${escapeHtml(meta)}</div>` : ''}
+    ${content}
+  </div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Charts for a report, from the data of its JSON format
+ * @param {string} report - Report name (e.g. `active-users`)
+ * @param {Object|null} data - `data` of the report's JSON document, if available
+ * @param {Object} options - Extra chart sources
+ * @param {Array<Object>} options.history - Weekly rows from `HistoryStore.activeUsersByWeek`
+ * @returns {Array<Object>} - Charts for `renderReportHtml`
+ */
+export function buildReportCharts(report, data, { history = null } = {}) {
+  const charts = [];
+
+  if (history) charts.push(...adoptionCharts(history));
+
+  if (!data) return charts;
+
+  switch (report) {
+    case 'active-users-history': {
+      charts.push(...adoptionCharts(data.weekly));
+      break;
+    }
+    case 'active-users': {
+      const { stats } = data;
+      charts.push({
+        type: 'bar',
+        title: 'Active users in the last 7 days',
+        labels: ['Copilot', 'Cursor', 'Either tool', 'Engineering', 'Engineering ICs'],
+        series: [
+          { name: 'With access', values: [stats.copilotUsers, stats.cursorUsers, stats.usersWithTools, stats.engineeringWithTools, null] },
+          { name: 'Active', values: [stats.activeCopilotUsers, stats.activeCursorUsers, stats.weeklyActiveInEither, stats.engineeringActiveWeekly, stats.engineeringICsActiveWeekly] }
+        ]
+      });
+      break;
+    }
+    case 'ai-tooling-adoption-report': {
+      const { stats, byDepartment } = data;
+      charts.push({
+        type: 'bar',
+        title: 'Tool access (% of people)',
+        unit: '%',
+        labels: ['Copilot', 'Cursor', 'Any tool'],
+        series: [
+          { name: 'With access', values: [stats.copilotPercentage, stats.cursorPercentage, stats.anyToolPercentage] }
+        ]
+      });
+      const departments = Object.entries(byDepartment || {});
+      if (departments.length > 0) {
+        charts.push({
+          type: 'hbar',
+          title: 'Adoption by team (% of team)',
+          unit: '%',
+          labels: departments.map(([name]) => name),
+          series: [
+            { name: 'With tools', values: departments.map(([, d]) => d.percentage) },
+            { name: 'Weekly active', values: departments.map(([, d]) => d.weeklyActivePercentage) }
+          ]
+        });
+      }
+      break;
+    }
+    case 'recent-activity-analysis': {
+      const { daily, weekly } = data;
+      charts.push({
+        type: 'line',
+        title: 'Daily active users',
+        labels: daily.map(d => d.date),
+        series: [
+          { name: 'Copilot', values: daily.map(d => d.copilotActiveUsers) },
+          { name: 'Cursor', values: daily.map(d => d.cursorActiveUsers) }
+        ]
+      });
+      if (weekly.length > 0) {
+        charts.push({
+          type: 'bar',
+          title: 'Weekly active users',
+          labels: weekly.map(w => w.start),
+          series: [
+            { name: 'Copilot (average daily)', values: weekly.map(w => w.copilotAverageDaily) },
+            { name: 'Cursor (unique)', values: weekly.map(w => w.cursorActiveUsers) }
+          ]
+        });
+      }
+      break;
+    }
+  }
+
+  return charts;
+}
+
+/**
+ * Adoption-over-time chart from weekly history rows, if there is anything to draw
+ * @private
+ */
+function adoptionCharts(history) {
+  if (!history.some(w => w.copilotActiveUsers || w.cursorActiveUsers || w.copilotSeats)) return [];
+  return [{
+    type: 'line',
+    title: 'Adoption over time (weekly active users)',
+    labels: history.map(w => w.weekStart),
+    series: [
+      { name: 'Copilot active', values: history.map(w => w.copilotActiveUsers) },
+      { name: 'Copilot seats', values: history.map(w => w.copilotSeats) },
+      { name: 'Cursor active', values: history.map(w => w.cursorActiveUsers) }
+    ]
+  }];
+}
+
+/**
+ * Render a chart as an HTML figure with an inline SVG
+ * @param {Object} chart - Chart definition
+ * @param {string} chart.type - `line`, `bar` (grouped columns) or `hbar` (grouped rows)
+ * @param {string} chart.title - Caption
+ * @param {Array<string>} chart.labels - Category or x-axis labels
+ * @param {Array<{name: string, values: Array<number|null>}>} chart.series - Values per label; null is a gap
+ * @param {string} chart.unit - Suffix of axis values (e.g. `%`)
+ * @returns {string} - HTML, empty when there is nothing to draw
+ */
+export function renderChart(chart) {
+  const values = chart.series.flatMap(s => s.values).filter(v => typeof v === 'number' && Number.isFinite(v));
+  if (chart.labels.length === 0 || values.length === 0) return '';
+
+  const scale = chart.unit === '%' ? { max: 100, step: 20 } : niceScale(Math.max(...values));
+  const svg = chart.type === 'hbar'
+    ? renderHorizontalBars(chart, scale)
+    : renderColumns(chart, scale);
+  const legend = chart.series.length > 1
+    ? `<div class="legend">${chart.series.map((s, i) =>
+      `<span><i style="background:${COLORS[i % COLORS.length]}"></i>${escapeHtml(s.name)}</span>`).join('')}</div>`
+    : '';
+
+  return `<figure class="chart">
+  <figcaption>${escapeHtml(chart.title)}</figcaption>
+  ${legend}
+  ${svg}
+</figure>`;
+}
+
+/**
+ * Line and grouped column charts share the vertical value axis
+ * @private
+ */
+function renderColumns(chart, scale) {
+  const height = 260;
+  const pad = { top: 16, right: 16, bottom: 44, left: 52 };
+  const plotWidth = WIDTH - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+  const y = v => pad.top + plotHeight - (v / scale.max) * plotHeight;
+  const count = chart.labels.length;
+  const slot = plotWidth / count;
+  const center = i => pad.left + slot * (i + 0.5);
+  const parts = [...valueAxis(scale, y, pad.left, WIDTH - pad.right, chart.unit)];
+
+  // Thin out x labels so they never overlap
+  const every = Math.ceil(count / Math.floor(plotWidth / 80));
+  chart.labels.forEach((label, i) => {
+    if (i % every !== 0) return;
+    parts.push(`<text class="axis" x="${round(center(i))}" y="${height - pad.bottom + 18}" text-anchor="middle">${escapeHtml(shorten(label, 12))}</text>`);
+  });
+
+  if (chart.type === 'line') {
+    chart.series.forEach((series, s) => {
+      const color = COLORS[s % COLORS.length];
+      let d = '';
+      let drawing = false;
+      series.values.forEach((v, i) => {
+        if (!isValue(v)) {
+          drawing = false;
+          return;
+        }
+        d += `${drawing ? 'L' : 'M'}${round(center(i))},${round(y(v))}`;
+        drawing = true;
+        parts.push(`<circle cx="${round(center(i))}" cy="${round(y(v))}" r="2.5" fill="${color}"><title>${escapeHtml(`${series.name}, ${chart.labels[i]}: ${formatValue(v, chart.unit)}`)}</title></circle>`);
+      });
+      if (d) parts.push(`<path d="${d}" fill="none" stroke="${color}" stroke-width="2" />`);
+    });
+  } else {
+    const groupWidth = slot * 0.8;
+    const barWidth = groupWidth / chart.series.length;
+    const showValues = count * chart.series.length <= 24;
+    chart.series.forEach((series, s) => {
+      const color = COLORS[s % COLORS.length];
+      series.values.forEach((v, i) => {
+        if (!isValue(v)) return;
+        const x = center(i) - groupWidth / 2 + s * barWidth;
+        parts.push(`<rect x="${round(x)}" y="${round(y(v))}" width="${round(barWidth - 2)}" height="${round(y(0) - y(v))}" fill="${color}"><title>${escapeHtml(`${series.name}, ${chart.labels[i]}: ${formatValue(v, chart.unit)}`)}</title></rect>`);
+        if (showValues) {
+          parts.push(`<text class="value" x="${round(x + (barWidth - 2) / 2)}" y="${round(y(v) - 4)}" text-anchor="middle">${escapeHtml(formatValue(v, chart.unit))}</text>`);
+        }
+      });
+    });
+  }
+
+  return svgElement(chart.title, height, parts);
+}
+
+/**
+ * Grouped horizontal bars, one row per label (e.g. per team)
+ * @private
+ */
+function renderHorizontalBars(chart, scale) {
+  const barHeight = 10;
+  const rowHeight = chart.series.length * barHeight + 12;
+  const pad = { top: 8, right: 56, bottom: 28, left: 200 };
+  const height = pad.top + chart.labels.length * rowHeight + pad.bottom;
+  const plotWidth = WIDTH - pad.left - pad.right;
+  const x = v => pad.left + (v / scale.max) * plotWidth;
+  const parts = [];
+
+  for (let tick = 0; tick <= scale.max; tick += scale.step) {
+    parts.push(`<line class="grid" x1="${round(x(tick))}" x2="${round(x(tick))}" y1="${pad.top}" y2="${height - pad.bottom}" />`);
+    parts.push(`<text class="axis" x="${round(x(tick))}" y="${height - pad.bottom + 16}" text-anchor="middle">${escapeHtml(formatValue(tick, chart.unit))}</text>`);
+  }
+
+  chart.labels.forEach((label, i) => {
+    const rowTop = pad.top + i * rowHeight + 6;
+    parts.push(`<text class="label" x="${pad.left - 8}" y="${rowTop + (rowHeight - 12) / 2 + 4}" text-anchor="end"><title>${escapeHtml(label)}</title>${escapeHtml(shorten(label, 30))}</text>`);
+    chart.series.forEach((series, s) => {
+      const v = series.values[i];
+      if (!isValue(v)) return;
+      const top = rowTop + s * barHeight;
+      parts.push(`<rect x="${pad.left}" y="${top}" width="${round(x(v) - pad.left)}" height="${barHeight - 1}" fill="${COLORS[s % COLORS.length]}"><title>${escapeHtml(`${series.name}, ${label}: ${formatValue(v, chart.unit)}`)}</title></rect>`);
+      parts.push(`<text class="value" x="${round(x(v) + 4)}" y="${top + barHeight - 1}">${escapeHtml(formatValue(v, chart.unit))}</text>`);
+    });
+  });
+
+  return svgElement(chart.title, height, parts);
+}
+
+/**
+ * Gridlines and labels of a vertical value axis
+ * @private
+ */
+function valueAxis(scale, y, left, right, unit) {
+  const parts = [];
+  for (let tick = 0; tick <= scale.max; tick += scale.step) {
+    parts.push(`<line class="grid" x1="${left}" x2="${right}" y1="${round(y(tick))}" y2="${round(y(tick))}" />`);
+    parts.push(`<text class="axis" x="${left - 6}" y="${round(y(tick) + 4)}" text-anchor="end">${escapeHtml(formatValue(tick, unit))}</text>`);
+  }
+  return parts;
+}
+
+/**
+ * @private
+ */
+function svgElement(title, height, parts) {
+  return `<svg viewBox="0 0 ${WIDTH} ${height}" width="100%" role="img" aria-label="${escapeHtml(title)}" xmlns="http://www.w3.org/2000/svg">
+    ${parts.join('\n    ')}
+  </svg>`;
+}
+
+/**
+ * Axis maximum and tick step: 1, 2 or 5 times a power of ten, about five ticks
+ * @private
+ */
+function niceScale(max) {
+  if (max <= 0) return { max: 1, step: 1 };
+  const rough = max / 5;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+  return { max: Math.ceil(max / step) * step, step };
+}
+
+/**
+ * @private
+ */
+function formatValue(value, unit = '') {
+  return `${Number(value).toLocaleString('en-US', { maximumFractionDigits: 1 })}${unit || ''}`;
+}
+
+/**
+ * @private
+ */
+function isValue(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * @private
+ */
+function shorten(text, length) {
+  const s = String(text);
+  return s.length > length ? `${s.slice(0, length - 1)}…` : s;
+}
+
+/**
+ * @private
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * @private
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const STYLES = `
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 20px;
+      line-height: 1.6;
+      color: #333;
+      background: #f9f9f9;
+    }
+    .container {
+      background: white;
+      padding: 40px;
+      border-radius: 8px;
+      box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+    }
+    h1, h2, h3, h4, h5, h6 {
+      color: #2c3e50;
+      margin-top: 30px;
+      margin-bottom: 15px;
+    }
+    h1 { border-bottom: 3px solid #3498db; padding-bottom: 10px; }
+    h2 { border-bottom: 2px solid #ecf0f1; padding-bottom: 8px; }
+    code {
+      background: #f8f9fa;
+      padding: 2px 6px;
+      border-radius: 3px;
+      font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+    }
+    pre {
+      background: #f8f9fa;
+      padding: 15px;
+      border-radius: 5px;
+      overflow-x: auto;
+      border-left: 4px solid #3498db;
+    }
+    table {
+      border-collapse: collapse;
+      width: 100%;
+      margin: 20px 0;
+    }
+    th, td {
+      border: 1px solid #ddd;
+      padding: 12px;
+      text-align: left;
+    }
+    th {
+      background-color: #f2f2f2;
+      font-weight: bold;
+    }
+    tr:nth-child(even) {
+      background-color: #f9f9f9;
+    }
+    ul, ol {
+      margin: 15px 0;
+      padding-left: 30px;
+    }
+    li {
+      margin: 5px 0;
+    }
+    .toolbar {
+      display: flex;
+      justify-content: space-between;
+      margin-bottom: 20px;
+    }
+    .back-link, .print-button {
+      display: inline-block;
+      padding: 10px 20px;
+      background: #3498db;
+      color: white;
+      text-decoration: none;
+      border: none;
+      border-radius: 5px;
+      font-size: 14px;
+      cursor: pointer;
+    }
+    .print-button { margin-left: auto; }
+    .back-link:hover, .print-button:hover {
+      background: #2980b9;
+    }
+    .report-meta {
+      background: #ecf0f1;
+      padding: 15px;
+      border-radius: 5px;
+      margin-bottom: 30px;
+      font-size: 14px;
+      color: #7f8c8d;
+    }
+    .charts {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(480px, 1fr));
+      gap: 20px;
+      margin: 30px 0;
+    }
+    .chart {
+      margin: 0;
+      padding: 15px;
+      border: 1px solid #ecf0f1;
+      border-radius: 5px;
+    }
+    .chart figcaption {
+      font-weight: bold;
+      color: #2c3e50;
+      margin-bottom: 8px;
+    }
+    .legend {
+      font-size: 13px;
+      margin-bottom: 8px;
+    }
+    .legend span { margin-right: 16px; white-space: nowrap; }
+    .legend i {
+      display: inline-block;
+      width: 10px;
+      height: 10px;
+      margin-right: 6px;
+      border-radius: 2px;
+    }
+    .chart svg { display: block; }
+    .chart .grid { stroke: #ecf0f1; }
+    .chart .axis, .chart .value, .chart .label { font-size: 11px; fill: #7f8c8d; }
+    .chart .label { fill: #333; }
+
+    @page { size: A4; margin: 15mm; }
+    @media print {
+      body { background: white; max-width: none; padding: 0; font-size: 11pt; }
+      .container { box-shadow: none; padding: 0; border-radius: 0; }
+      .toolbar { display: none; }
+      .charts { display: block; }
+      .chart, table, pre { break-inside: avoid; page-break-inside: avoid; }
+      .chart { margin-bottom: 12pt; }
+      h1, h2, h3 { break-after: avoid; page-break-after: avoid; }
+      th, td { padding: 6px; }
+      * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    }
+  `;
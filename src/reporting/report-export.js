@@ -0,0 +1,142 @@
+/**
+ * Machine-readable report output
+ *
+ * Reports rendered as JSON are wrapped in a versioned envelope:
+ *
+ *   { schema: 'ai-metrics-report/<report>', schemaVersion, report, generatedAt, data }
+ *
+ * The CSV form is the same document flattened into one row per value
+ * (`SchemaVersion,Section,Key,Metric,Value`), so both formats always carry
+ * the same numbers. Bump `REPORT_SCHEMA_VERSION` whenever a field is renamed,
+ * removed or changes meaning; adding fields keeps the version.
+ */
+
+export const REPORT_SCHEMA_VERSION = 1;
+
+export const REPORT_FORMATS = ['markdown', 'html', 'json', 'csv'];
+
+export const REPORT_CSV_HEADER = ['SchemaVersion', 'Section', 'Key', 'Metric', 'Value'];
+
+/**
+ * Check a report format option
+ * @param {string} format - markdown, html, json or csv (default: markdown)
+ * @returns {string} - The format
+ * @throws {Error} - If the format is unknown
+ */
+export function parseReportFormat(format = 'markdown') {
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (expected markdown, html, json or csv)`);
+  }
+  return format;
+}
+
+/**
+ * Wrap report data in the versioned envelope
+ * @param {string} report - Report name (e.g. `active-users`)
+ * @param {Object} data - Report data; one property per section
+ * @param {Date} generatedAt - Generation time (default: now)
+ * @returns {Object}
+ */
+export function buildReportDocument(report, data, generatedAt = new Date()) {
+  return {
+    schema: `ai-metrics-report/${report}`,
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    report,
+    generatedAt: generatedAt.toISOString(),
+    data
+  };
+}
+
+/**
+ * Stamp a Markdown report with its generation time
+ * The stamp is an HTML comment at the end, so it does not show when rendered.
+ * The dashboard compares it with `generatedAt` of the JSON document to tell
+ * whether both come from the same run.
+ * @param {string} markdown - Markdown report
+ * @param {Date} generatedAt - Generation time
+ * @returns {string}
+ */
+export function stampGeneratedAt(markdown, generatedAt) {
+  return `${markdown.replace(/\n*$/, '\n')}\n<!-- generatedAt: ${generatedAt.toISOString()} -->\n`;
+}
+
+/**
+ * Generation time stamped on a Markdown report by `stampGeneratedAt`
+ * @param {string} markdown - Markdown report
+ * @returns {string|null} - ISO timestamp, or null when the report has no stamp
+ */
+export function readGeneratedAt(markdown) {
+  return markdown.match(/<!-- generatedAt: (\S+) -->\s*$/)?.[1] || null;
+}
+
+/**
+ * Flatten a report document into CSV rows
+ * Each property of `data` is a section. A section that is a list gets one
+ * key per element, taken from the field named in `keys` (or its position);
+ * a section of named objects (e.g. departments) is keyed by name; any other
+ * object has an empty key. Nested objects become dotted metric names and
+ * lists of values are joined with `;`.
+ * @param {Object} doc - Document from `buildReportDocument`
+ * @param {Object} keys - Key field per list section, e.g. `{ daily: 'date' }`
+ * @returns {Array<Object>} - Rows keyed by `REPORT_CSV_HEADER`
+ */
+export function flattenReportDocument(doc, keys = {}) {
+  const rows = [];
+  const push = (section, key, values) => {
+    for (const [metric, value] of values) {
+      rows.push({ SchemaVersion: doc.schemaVersion, Section: section, Key: key, Metric: metric, Value: value });
+    }
+  };
+
+  for (const [section, value] of Object.entries(doc.data)) {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => {
+        const keyField = keys[section];
+        const { [keyField]: key, ...rest } = item;
+        push(section, keyField && key !== undefined ? key : index + 1, flattenValues(rest));
+      });
+    } else if (isPlainObject(value) && Object.keys(value).length > 0 && Object.values(value).every(isPlainObject)) {
+      for (const [key, item] of Object.entries(value)) {
+        push(section, key, flattenValues(item));
+      }
+    } else if (isPlainObject(value)) {
+      push(section, '', flattenValues(value));
+    } else {
+      push(section, '', [['value', formatValue(value)]]);
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Metric name and value pairs of an object, nested objects as dotted names
+ * @private
+ */
+function flattenValues(obj, prefix = '') {
+  const values = [];
+  for (const [name, value] of Object.entries(obj)) {
+    if (isPlainObject(value)) {
+      values.push(...flattenValues(value, `${prefix}${name}.`));
+    } else {
+      values.push([`${prefix}${name}`, formatValue(value)]);
+    }
+  }
+  return values;
+}
+
+/**
+ * CSV cell for a value: lists joined with `;`, null and undefined empty
+ * @private
+ */
+function formatValue(value) {
+  if (Array.isArray(value)) return value.join(';');
+  return value ?? '';
+}
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
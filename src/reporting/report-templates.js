@@ -0,0 +1,80 @@
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+/**
+ * Markdown report templates
+ *
+ * A template is a JS module whose default export takes the report context
+ * (the computed stats) and returns the Markdown report. The built-in
+ * templates live in `./templates`. A file with the same name in the report
+ * templates directory (`templatesDir` option or `REPORT_TEMPLATES_DIR`)
+ * replaces the built-in one, so the layout can change without touching the
+ * services.
+ */
+
+const BUILT_IN_DIR = new URL('./templates/', import.meta.url);
+
+/**
+ * Load a report template, preferring the templates directory over the built-in one
+ * `<name>.mjs` is tried before `<name>.js`, so templates directories outside
+ * an ESM package work as well.
+ * @param {string} name - Template name (e.g. `active-users`)
+ * @param {Object} options - Template options
+ * @param {string} options.templatesDir - Templates directory (default: `REPORT_TEMPLATES_DIR`)
+ * @returns {Promise<{render: Function, source: string}>} - Template function and where it came from
+ * @throws {Error} - If a custom template does not export a function
+ */
+export async function loadReportTemplate(name, { templatesDir } = {}) {
+  const dir = templatesDir || process.env.REPORT_TEMPLATES_DIR;
+  const custom = dir
+    ? [`${name}.mjs`, `${name}.js`].map(file => path.resolve(dir, file)).find(file => existsSync(file))
+    : null;
+  if (!custom) return loadBuiltInTemplate(name);
+  return { render: await importTemplate(pathToFileURL(custom), custom), source: custom };
+}
+
+/**
+ * Load the built-in template of a report
+ * @private
+ */
+async function loadBuiltInTemplate(name) {
+  return { render: await importTemplate(new URL(`${name}.js`, BUILT_IN_DIR), name), source: 'built-in' };
+}
+
+/**
+ * Import a template module and return its default export
+ * @private
+ */
+async function importTemplate(url, label) {
+  const module = await import(url.href);
+  if (typeof module.default !== 'function') {
+    throw new Error(`Report template ${label} must export a default function`);
+  }
+  return module.default;
+}
+
+/**
+ * Render a report template
+ * Templates get the context and, as second argument, `renderDefault(context)`,
+ * which renders the built-in template, so a custom template can wrap or
+ * extend the default report instead of copying it.
+ * @param {string} name - Template name
+ * @param {Object} context - Computed stats passed to the template
+ * @param {Object} options - See `loadReportTemplate`
+ * @returns {Promise<string>} - Markdown report
+ * @throws {Error} - If the template does not return a string
+ */
+export async function renderReportTemplate(name, context, options = {}) {
+  const template = await loadReportTemplate(name, options);
+  if (template.source !== 'built-in') {
+    console.log(`📝 Using report template: ${template.source}`);
+  }
+
+  const renderDefault = async ctx => (await loadBuiltInTemplate(name)).render(ctx);
+  const output = await template.render(context, { renderDefault });
+  if (typeof output !== 'string') {
+    throw new Error(`Report template ${template.source === 'built-in' ? name : template.source} must return a string`);
+  }
+  return output;
+}
@@ -0,0 +1,79 @@
+/**
+ * Default template of the active users report (`reports active-users`)
+ * Copy this file to the report templates directory to change the wording or
+ * the sections; see documentation/CONFIGURATION.md.
+ * @param {Object} context - Report context
+ * @param {string} context.reportDate - Generation date (YYYY-MM-DD)
+ * @param {string} context.cutoffDate - Start of the 7-day activity window (YYYY-MM-DD)
+ * @param {Object} context.stats - Counts from `calculateComprehensiveStats`; percentages are strings with one decimal
+ * @param {number} context.inactiveCopilotUsers - Copilot seats without activity in the window
+ * @param {number} context.inactiveCursorUsers - Cursor users without activity in the window
+ * @param {Object} context.engineering - `{ roots, icRule: { nonIcTitles, excludeManagers } }`
+ * @param {Array<Object>} context.users - Users in the organizational structure
+ * @returns {string} - Markdown report
+ */
+export default function activeUsersReport({ reportDate, cutoffDate, stats, inactiveCopilotUsers, inactiveCursorUsers, engineering }) {
+  return `# AI Tools Active Users Report (Organizational Structure)
+
+**Generated:** ${reportDate}  
+**Analysis Period:** Last 7 days (${cutoffDate} to ${reportDate})  
+**Scope:** Users from organizational structure
+
+## Executive Summary
+
+**Total R&D people:** ${stats.totalRDPeople}  
+**R&D people with access to agentic editors:** ${stats.usersWithTools}  
+**People active in either tool this past week:** ${stats.weeklyActiveInEither}  
+
+**In total ${stats.weeklyActivePercentage}% of R&D were active users this past week.**
+
+## Detailed Summary
+
+- **Total Users in Organizational Structure:** ${stats.usersInLookup}
+- **Users with Copilot Access:** ${stats.copilotUsers}
+- **Users with Cursor Access:** ${stats.cursorUsers}
+- **Users without AI Tools:** ${stats.usersInLookup - stats.usersWithTools}
+
+### GitHub Copilot Activity
+- **Active Copilot Users (Last 7 Days):** ${stats.activeCopilotUsers}
+- **Inactive Copilot Users:** ${inactiveCopilotUsers}
+
+### Cursor Activity  
+- **Active Cursor Users (Last 7 Days):** ${stats.activeCursorUsers}
+- **Inactive Cursor Users:** ${inactiveCursorUsers}
+
+## Engineering Team Activity
+
+- **Total Engineering Team Members:** ${stats.engineeringTotal}
+- **Engineering Team Members with AI Tool Access:** ${stats.engineeringWithTools}
+- **Engineering Team Active (Last 7 Days):** ${stats.engineeringActiveWeekly}
+
+**${((stats.engineeringActiveWeekly / stats.engineeringTotal) * 100).toFixed(1)}% of engineering team were active users this past week.**
+
+## Engineering Individual Contributors Activity
+
+- **Total Engineering ICs:** ${stats.engineeringICsTotal}
+- **Engineering ICs Active (Last 7 Days):** ${stats.engineeringICsActiveWeekly}
+
+**${((stats.engineeringICsActiveWeekly / stats.engineeringICsTotal) * 100).toFixed(1)}% of engineering ICs were active users this past week.**
+
+## Analysis Details
+
+- **Analysis Date:** ${reportDate}
+- **Cutoff Date:** ${cutoffDate}
+- **Days Lookback:** 7
+- **Engineering Scope:** ${engineering.roots.length > 0 ? `Subtrees of ${engineering.roots.join(', ')}` : 'Entire organizational structure (no engineering roots configured)'}
+- **Non-IC Rule:** ${[
+engineering.icRule.nonIcTitles.length > 0 ? `role or title contains ${engineering.icRule.nonIcTitles.map(t => `"${t}"`).join(', ')}` : null,
+engineering.icRule.excludeManagers ? 'has direct reports' : null
+].filter(Boolean).join(' or ') || 'none (everyone counts as an IC)'}
+
+## Notes
+
+- **Active Users:** Users who have used AI tools in the last 7 days
+- **Inactive Users:** Users with tool access who have used them before but not in the last 7 days  
+- GitHub Copilot activity is based on seat assignment data
+- Cursor activity is based on weekly activity reports
+- Users without GitHub login mapping cannot be matched against Copilot activity data
+`;
+}
@@ -0,0 +1,44 @@
+/**
+ * Default template of the AI tooling adoption report (`reports ai-tooling`)
+ * Copy this file to the report templates directory to change the wording or
+ * the sections; see documentation/CONFIGURATION.md.
+ * @param {Object} context - Report context
+ * @param {string} context.reportDate - Generation date (YYYY-MM-DD)
+ * @param {Object} context.stats - Adoption stats from `analyzeToolingAdoption`, with `byDepartment`
+ * @param {string} context.departmentTable - Markdown table of `stats.byDepartment`
+ * @param {string} context.recommendations - Markdown list of recommendations
+ * @param {Object} context.orgData - Organizational structure
+ * @returns {string} - Markdown report
+ */
+export default function aiToolingReport({ reportDate, stats, departmentTable, recommendations }) {
+  return `# AI Tooling Adoption Report
+
+**Generated:** ${reportDate}  
+**Scope:** R&D Organization Analysis
+
+## Executive Summary
+
+Total R&D workforce analyzed: ${stats.totalPeople}
+
+### Tool Adoption
+- **GitHub Copilot:** ${stats.copilotAdoption} people (${stats.copilotPercentage}%)
+- **Cursor:** ${stats.cursorAdoption} people (${stats.cursorPercentage}%)
+- **Any AI Tool:** ${stats.anyToolAdoption} people (${stats.anyToolPercentage}%)
+
+### Adoption by Department
+
+${departmentTable}
+
+## Recommendations
+
+${recommendations}
+
+## Analysis Details
+
+- **Analysis Date:** ${reportDate}
+- **Data Sources:** User lookup table, organizational structure
+- **Methodology:** Cross-reference user assignments with tool access rights
+- **Department Rollup:** Manager subtrees at depth ${stats.departmentDepth} of the organizational structure, sorted by weekly active rate (lowest first)
+- **Weekly Active:** Copilot seat activity or Cursor weekly activity in the last 7 days
+`;
+}
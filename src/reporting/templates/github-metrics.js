@@ -0,0 +1,142 @@
+/**
+ * Default template of the GitHub Copilot metrics report (`GitHubAnalysisService.generateMarkdownReport`)
+ * Copy this file to the report templates directory to change the wording or
+ * the sections; see documentation/CONFIGURATION.md.
+ * @param {Object} context - Report context: the result of `analyzeActiveUsersInPastWeek`
+ * @param {Object} context.activeUsers - `{ count, percentage, users }`
+ * @param {Object} context.inactiveUsers - `{ count, percentage, users }`
+ * @param {number} context.totalSeats - Copilot seats analyzed
+ * @param {Object} context.analysisConfig - `{ analyzedAt, daysLookback }`
+ * @param {Object} context.metadata - Seat data source, organization and fetch time
+ * @param {Object} context.metrics - Copilot usage metrics, if available
+ * @param {Object} context.teamAnalysis - Seat activity per team slug, if available
+ * @param {Object} context.teamMetrics - Copilot usage metrics per team slug, if available
+ * @param {string} context.dataSource - Seat file name or data source shown in the report
+ * @returns {string} - Markdown report
+ */
+export default function githubMetricsReport({ activeUsers, inactiveUsers, totalSeats, analysisConfig, metadata, metrics, teamAnalysis, teamMetrics, dataSource }) {
+  const lines = [];
+  lines.push(`# GitHub Copilot`);
+  lines.push(`${activeUsers.count} / ${totalSeats}`);
+  lines.push('');
+  
+  // Add metrics if available
+  if (metrics) {
+    lines.push(`Total Suggestions: ${metrics.totalSuggestions.toLocaleString()}`);
+    lines.push(`Total Acceptances: ${metrics.totalAcceptances.toLocaleString()}`);
+    lines.push(`Acceptance Rate: ${metrics.acceptanceRate}%`);
+    lines.push('');
+  }
+  
+  // List inactive users
+  if (inactiveUsers.count > 0) {
+    lines.push(`List of inactive users: ${inactiveUsers.users.map(user => user.name).join(', ')}`);
+  } else {
+    lines.push('List of inactive users: None');
+  }
+  lines.push('');
+  
+  // Add metadata section
+  lines.push('---');
+  lines.push('');
+  lines.push('## Report Details');
+  lines.push(`- **Analysis Date**: ${analysisConfig.analyzedAt.split('T')[0]}`);
+  lines.push(`- **Analysis Period**: Past ${analysisConfig.daysLookback} days`);
+  lines.push(`- **Data Source**: ${dataSource}`);
+  lines.push(`- **Organization**: ${metadata.org}`);
+  if (metadata.fetchedAt) {
+    lines.push(`- **Data Fetched**: ${metadata.fetchedAt.split('T')[0]}`);
+  }
+  lines.push('');
+  
+  // Add breakdown section
+  lines.push('## Breakdown');
+  lines.push(`- **Active Users**: ${activeUsers.count} (${activeUsers.percentage}%)`);
+  lines.push(`- **Inactive Users**: ${inactiveUsers.count} (${inactiveUsers.percentage}%)`);
+  
+  // Add metrics breakdown if available
+  if (metrics) {
+    lines.push('');
+    lines.push('## Copilot Metrics');
+    lines.push(`- **Total Suggestions**: ${metrics.totalSuggestions.toLocaleString()}`);
+    lines.push(`- **Total Acceptances**: ${metrics.totalAcceptances.toLocaleString()}`);
+    lines.push(`- **Suggestion Acceptance Rate**: ${metrics.acceptanceRate}%`);
+    lines.push(`- **Total Lines Suggested**: ${metrics.totalLinesSuggested.toLocaleString()}`);
+    lines.push(`- **Total Lines Accepted**: ${metrics.totalLinesAccepted.toLocaleString()}`);
+    lines.push(`- **Line Acceptance Rate**: ${metrics.lineAcceptanceRate}%`);
+    lines.push(`- **Metrics Period**: ${metrics.periodStart?.split('T')[0]} to ${metrics.periodEnd?.split('T')[0]} (${metrics.daysCovered} days)`);
+  }
+  
+  lines.push('');
+  
+  // Add inactive users detail if any
+  if (inactiveUsers.count > 0) {
+    lines.push('## Inactive Users Detail');
+    lines.push('');
+    
+    for (const user of inactiveUsers.users) {
+      const activityInfo = user.daysSinceActivity !== null 
+        ? `Last active: ${user.daysSinceActivity} days ago`
+        : 'No activity recorded';
+      lines.push(`- **${user.name}** (@${user.login}) - ${activityInfo}`);
+    }
+    lines.push('');
+  }
+
+  // Add team breakdown if available
+  if (teamAnalysis && Object.keys(teamAnalysis).length > 0) {
+    lines.push('## Team Breakdown');
+    lines.push('');
+    
+    for (const [teamSlug, team] of Object.entries(teamAnalysis)) {
+      lines.push(`### ${team.name}`);
+      if (team.description) {
+        lines.push(`*${team.description}*`);
+        lines.push('');
+      }
+      
+      lines.push(`- **Total Seats**: ${team.totalSeats}`);
+      lines.push(`- **Active Users**: ${team.activeUsers.count} (${team.activeUsers.percentage}%)`);
+      lines.push(`- **Inactive Users**: ${team.inactiveUsers.count} (${team.inactiveUsers.percentage}%)`);
+      
+      // Add team metrics if available
+      if (teamMetrics && teamMetrics[teamSlug]) {
+        const tm = teamMetrics[teamSlug];
+        lines.push('');
+        lines.push('**Team Metrics:**');
+        lines.push(`- Total Suggestions: ${tm.totalSuggestions.toLocaleString()}`);
+        lines.push(`- Total Acceptances: ${tm.totalAcceptances.toLocaleString()}`);
+        lines.push(`- Acceptance Rate: ${tm.acceptanceRate}%`);
+        lines.push(`- Total Lines Suggested: ${tm.totalLinesSuggested.toLocaleString()}`);
+        lines.push(`- Total Lines Accepted: ${tm.totalLinesAccepted.toLocaleString()}`);
+        lines.push(`- Line Acceptance Rate: ${tm.lineAcceptanceRate}%`);
+        lines.push(`- Engaged Users: ${tm.averageEngagedUsers} avg/day, ${tm.peakEngagedUsers} peak (${Math.round((tm.averageEngagedUsers / team.totalSeats) * 100)}% of seats)`);
+      }
+      
+      // Add team member details for smaller teams
+      if (team.activeUsers.count <= 10 && team.activeUsers.count > 0) {
+        lines.push('');
+        lines.push('**Active Members:**');
+        for (const user of team.activeUsers.users) {
+          const daysSince = user.daysSinceActivity === 0 ? 'today' : `${user.daysSinceActivity} days ago`;
+          lines.push(`- ${user.name} (@${user.login}) - Last active: ${daysSince}`);
+        }
+      }
+      
+      if (team.inactiveUsers.count <= 5 && team.inactiveUsers.count > 0) {
+        lines.push('');
+        lines.push('**Inactive Members:**');
+        for (const user of team.inactiveUsers.users) {
+          const activityInfo = user.daysSinceActivity !== null 
+            ? `Last active: ${user.daysSinceActivity} days ago`
+            : 'No activity recorded';
+          lines.push(`- ${user.name} (@${user.login}) - ${activityInfo}`);
+        }
+      }
+      
+      lines.push('');
+    }
+  }
+  
+  return lines.join('\n');
+}
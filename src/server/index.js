@@ -1,18 +1,21 @@
 import 'dotenv/config';
 import express from 'express';
 import path from 'node:path';
-import { readFileSync, readdirSync, statSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import { readFileSync, readdirSync, statSync, existsSync, mkdirSync } from 'node:fs';
 import { fileURLToPath } from 'node:url';
 import React from 'react';
 import { renderToStaticMarkup } from 'react-dom/server';
 import cron from 'node-cron';
 import winston from 'winston';
-import { marked } from 'marked';
 import { ListPage } from './ui/List.js';
 import { CsvPage } from './ui/CsvPage.js';
 import { MenuPage } from './ui/Menu.js';
 import { FetchPage } from './ui/FetchPage.js';
 import { DashboardPage } from './ui/DashboardPage.js';
+import { HistoryStore } from '../history/HistoryStore.js';
+import { writeJSON } from '../common/fs.js';
+import { buildReportCharts, renderReportHtml } from '../reporting/html-report.js';
+import { readGeneratedAt } from '../reporting/report-export.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -39,6 +42,8 @@ if (!existsSync('logs')) {
 const app = express();
 const PORT = process.env.PORT || 3000;
 app.use(express.static(path.join(__dirname,'public')));
+// Shared CSV parser, also used by the browser client
+app.get('/lib/csv.js', (req,res)=>res.sendFile(path.join(__dirname,'..','common','csv.js')));
 app.use(express.json());
 
 function collectCSVFiles(dir, baseDir, out) {
@@ -181,6 +186,11 @@ async function runScheduledDataCollection() {
     await storeMetricsSnapshot();
     
     logScheduled('Metrics snapshot stored successfully');
+    
+    // Ingest the newly fetched data files into the history store
+    await updateHistoryStore();
+    
+    logScheduled('History store updated successfully');
     logScheduled('Scheduled data collection cycle completed');
     
   } catch (error) {
@@ -204,21 +214,15 @@ async function storeMetricsSnapshot() {
     const timestamp = new Date().toISOString();
     const metricsData = await collectCurrentMetrics();
     
-    // Ensure metrics directory exists
-    const metricsDir = 'data/metrics';
-    if (!existsSync(metricsDir)) {
-      mkdirSync(metricsDir, { recursive: true });
-    }
-    
     // Store snapshot
+    const metricsDir = 'data/metrics';
     const snapshotPath = path.join(metricsDir, `snapshot_${timestamp.replace(/[:.]/g, '-')}.json`);
-    writeFileSync(snapshotPath, JSON.stringify(metricsData, null, 2));
+    writeJSON(snapshotPath, metricsData);
     
     logScheduled(`Metrics snapshot saved: ${snapshotPath}`);
     
     // Also update latest.json for easy access
-    const latestPath = path.join(metricsDir, 'latest.json');
-    writeFileSync(latestPath, JSON.stringify(metricsData, null, 2));
+    writeJSON(path.join(metricsDir, 'latest.json'), metricsData);
     
   } catch (error) {
     logScheduled(`Failed to store metrics snapshot: ${error.message}`);
@@ -226,6 +230,17 @@ async function storeMetricsSnapshot() {
   }
 }
 
+async function updateHistoryStore() {
+  try {
+    const store = new HistoryStore({ dataDir: 'data' });
+    const { filesIngested, filesSkipped, rowsAdded } = store.ingest();
+    logScheduled(`History store: ${filesIngested} files ingested (${rowsAdded} rows), ${filesSkipped} unchanged`);
+  } catch (error) {
+    logScheduled(`Failed to update history store: ${error.message}`);
+    throw error;
+  }
+}
+
 async function collectCurrentMetrics() {
   const metrics = {
     timestamp: new Date().toISOString(),
@@ -249,8 +264,7 @@ async function collectCurrentMetrics() {
   try {
     // Try to read latest GitHub seat data from multiple possible locations
     const githubDataDir = 'data/github';
-    let latestSeatFile = null;
-    let latestModTime = 0;
+    const seatFiles = [];
     
     if (existsSync(githubDataDir)) {
       // Check root directory for seat files
@@ -259,11 +273,7 @@ async function collectCurrentMetrics() {
       
       for (const file of rootFiles) {
         const fullPath = path.join(githubDataDir, file);
-        const stat = statSync(fullPath);
-        if (stat.mtimeMs > latestModTime) {
-          latestModTime = stat.mtimeMs;
-          latestSeatFile = fullPath;
-        }
+        seatFiles.push({ file: fullPath, mtimeMs: statSync(fullPath).mtimeMs });
       }
       
       // Check nested date directories for more recent files
@@ -277,10 +287,7 @@ async function collectCurrentMetrics() {
             if (stat.isDirectory()) {
               walkDir(fullPath); // Recursively check subdirectories
             } else if (entry.startsWith('copilot-seats_') && entry.endsWith('.json')) {
-              if (stat.mtimeMs > latestModTime) {
-                latestModTime = stat.mtimeMs;
-                latestSeatFile = fullPath;
-              }
+              seatFiles.push({ file: fullPath, mtimeMs: stat.mtimeMs });
             }
           }
         } catch (e) {
@@ -290,6 +297,9 @@ async function collectCurrentMetrics() {
       
       walkDir(githubDataDir);
       
+      // Newest org snapshot
+      const latestSeatFile = seatFiles.sort((a, b) => b.mtimeMs - a.mtimeMs)[0]?.file || null;
+      
       if (latestSeatFile) {
         const seatData = JSON.parse(readFileSync(latestSeatFile, 'utf8'));
         metrics.github.totalSeats = seatData.seats ? seatData.seats.length : 0;
@@ -630,6 +640,21 @@ app.get('/api/metrics/history', (req, res) => {
   }
 });
 
+app.get('/api/metrics/history/weekly', (req, res) => {
+  try {
+    const weeks = req.query.weeks ? parseInt(req.query.weeks, 10) : 26;
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > 520) {
+      return res.status(400).json({ error: 'weeks must be an integer between 1 and 520' });
+    }
+    
+    // Weekly active users per tool from the local history store
+    const store = new HistoryStore({ dataDir: 'data' });
+    res.json({ weeks, history: store.activeUsersByWeek({ weeks }) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 
 // Task runner removed
 
@@ -651,120 +676,38 @@ app.get('/view', (req,res)=>{
 });
 
 app.get('/report/:filename', (req, res) => {
-  const filename = req.params.filename;
+  const filename = path.basename(req.params.filename);
   const reportPath = path.join('output', 'reports', filename);
   
   try {
     if (!existsSync(reportPath)) {
       return res.status(404).send('Report not found');
     }
-    
-    const markdownContent = readFileSync(reportPath, 'utf8');
-    const htmlContent = marked(markdownContent);
-    
-    // Create a styled HTML page
-    const styledHtml = `
-<!DOCTYPE html>
-<html>
-<head>
-  <title>${filename.replace('.md', '').replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}</title>
-  <meta charset="utf-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <style>
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      max-width: 1200px;
-      margin: 0 auto;
-      padding: 20px;
-      line-height: 1.6;
-      color: #333;
-      background: #f9f9f9;
-    }
-    .container {
-      background: white;
-      padding: 40px;
-      border-radius: 8px;
-      box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-    }
-    h1, h2, h3, h4, h5, h6 {
-      color: #2c3e50;
-      margin-top: 30px;
-      margin-bottom: 15px;
-    }
-    h1 { border-bottom: 3px solid #3498db; padding-bottom: 10px; }
-    h2 { border-bottom: 2px solid #ecf0f1; padding-bottom: 8px; }
-    code {
-      background: #f8f9fa;
-      padding: 2px 6px;
-      border-radius: 3px;
-      font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
-    }
-    pre {
-      background: #f8f9fa;
-      padding: 15px;
-      border-radius: 5px;
-      overflow-x: auto;
-      border-left: 4px solid #3498db;
-    }
-    table {
-      border-collapse: collapse;
-      width: 100%;
-      margin: 20px 0;
-    }
-    th, td {
-      border: 1px solid #ddd;
-      padding: 12px;
-      text-align: left;
-    }
-    th {
-      background-color: #f2f2f2;
-      font-weight: bold;
-    }
-    tr:nth-child(even) {
-      background-color: #f9f9f9;
-    }
-    ul, ol {
-      margin: 15px 0;
-      padding-left: 30px;
-    }
-    li {
-      margin: 5px 0;
-    }
-    .back-link {
-      display: inline-block;
-      margin-bottom: 20px;
-      padding: 10px 20px;
-      background: #3498db;
-      color: white;
-      text-decoration: none;
-      border-radius: 5px;
-      font-size: 14px;
-    }
-    .back-link:hover {
-      background: #2980b9;
-    }
-    .report-meta {
-      background: #ecf0f1;
-      padding: 15px;
-      border-radius: 5px;
-      margin-bottom: 30px;
-      font-size: 14px;
-      color: #7f8c8d;
+
+    // HTML reports from `--format html` are already self-contained
+    if (filename.endsWith('.html')) {
+      return res.type('html').send(readFileSync(reportPath, 'utf8'));
     }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <a href="/dashboard" class="back-link">← Back to Dashboard</a>
-    <div class="report-meta">
-      Report: ${filename} | Generated: ${new Date().toLocaleString()}
-    </div>
-    ${htmlContent}
-  </div>
-</body>
-</html>`;
     
-    res.send(styledHtml);
+    // Charts come from the chart data saved with the Markdown; chart data from
+    // another run would not match the text, so the report is shown without charts
+    const name = filename.replace(/\.md$/, '');
+    const markdown = readFileSync(reportPath, 'utf8');
+    const generatedAt = readGeneratedAt(markdown);
+    const jsonPath = path.join('output', 'reports', `${name}.chart.json`);
+    const doc = generatedAt && existsSync(jsonPath) ? JSON.parse(readFileSync(jsonPath, 'utf8')) : null;
+    const data = doc?.generatedAt === generatedAt ? doc.data : null;
+    const history = data && name === 'active-users'
+      ? new HistoryStore({ dataDir: 'data' }).activeUsersByWeek({ weeks: 12 })
+      : null;
+
+    res.send(renderReportHtml({
+      title: name.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
+      markdown,
+      charts: buildReportCharts(name, data, { history }),
+      backLink: '/dashboard',
+      meta: `Report: ${filename} | Generated: ${new Date().toLocaleString()}`
+    }));
   } catch (error) {
     res.status(500).send('Error rendering report: ' + error.message);
   }
@@ -1,4 +1,6 @@
 // Client-side CSV explorer
+import { parseCSVRecords } from '/lib/csv.js';
+
 (function(){
   const statusEl = document.getElementById('status');
   const appEl = document.getElementById('app');
@@ -46,10 +48,7 @@
       const res = await fetch('/api/csv?root='+encodeURIComponent(rootVal)+'&path='+encodeURIComponent(relPath));
       if(!res.ok) throw new Error(await res.text());
       const text = await res.text();
-      const cleaned = text.split('\r').join('');
-      const lines = cleaned.trim().split('\n').filter(l=>l);
-      const header = lines.length?lines[0].split(','):[];
-      const rows = lines.slice(1).map(line=>{ const cols=line.split(','); const obj={}; header.forEach((h,i)=>obj[h]=cols[i]||''); return obj; });
+      const { header, rows } = parseCSVRecords(text);
       const ths = header.map(h=>'<th>'+h+'</th>').join('');
       const trs = rows.map(r=>'<tr>'+header.map(h=>'<td>'+(r[h]||'')+'</td>').join('')+'</tr>').join('');
       container.innerHTML='<table><thead><tr>'+ths+'</tr></thead><tbody>'+trs+'</tbody></table>';
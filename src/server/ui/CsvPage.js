@@ -1,10 +1,6 @@
 import React from 'react';
 import { Header } from './Header.js';
-
-function parseCSV(text){
-  const lines = text.trim().split(/\r?\n/);
-  return lines.map(l=>l.split(','));
-}
+import { parseCSV } from '../../common/csv.js';
 
 export function CsvPage({ title, relPath, csvText }) {
   const rows = parseCSV(csvText);
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { ReportingService } from '../src/reporting/ReportingService.js';
+
+function writeSnapshot(dataDir, date, seats) {
+  const dir = path.join(dataDir, 'github', date);
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(path.join(dir, `copilot-seats_acme_${date}.json`), JSON.stringify({
+    meta: { org: 'acme', fetched_at: `${date}T12:00:00Z` },
+    seats: seats.map(([login, lastActivity]) => ({ assignee: { login }, last_activity_at: lastActivity }))
+  }));
+}
+
+// alice is active on the 2nd and again on the 6th, bob only on the 3rd, carol only on the 5th
+function writeSnapshots(dataDir) {
+  writeSnapshot(dataDir, '2025-01-03', [
+    ['alice', '2025-01-02T10:00:00Z'],
+    ['bob', '2025-01-03T09:00:00Z'],
+    ['carol', null]
+  ]);
+  writeSnapshot(dataDir, '2025-01-06', [
+    ['alice', '2025-01-06T08:00:00Z'],
+    ['bob', '2025-01-03T09:00:00Z'],
+    ['carol', '2025-01-05T15:00:00Z']
+  ]);
+}
+
+test('backfill counts snapshot dates from their own snapshot', async () => {
+  const root = mkdtempSync(path.join(tmpdir(), 'backfill-'));
+  try {
+    const dataDir = path.join(root, 'data');
+    writeSnapshots(dataDir);
+
+    const service = new ReportingService({ dataDir, csvDir: path.join(root, 'csv') });
+    const result = await service.generateBackfill();
+    const byDate = Object.fromEntries(result.rows.map(row => [row.Date, row]));
+
+    assert.deepEqual(Object.keys(byDate), ['2025-01-03', '2025-01-06']);
+
+    // Same-day snapshots are exact
+    assert.equal(byDate['2025-01-03'].CopilotActive7d, 2);
+    assert.equal(byDate['2025-01-03'].CopilotApproximate, 'false');
+    assert.equal(byDate['2025-01-06'].CopilotActive7d, 3);
+    assert.equal(byDate['2025-01-06'].CopilotApproximate, 'false');
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('backfill counts dates between snapshots from every later snapshot in the window', async () => {
+  const root = mkdtempSync(path.join(tmpdir(), 'backfill-'));
+  try {
+    const dataDir = path.join(root, 'data');
+    writeSnapshots(dataDir);
+    const cursorDir = path.join(dataDir, 'cursor');
+    mkdirSync(cursorDir, { recursive: true });
+    writeFileSync(path.join(cursorDir, 'daily_activity_2025-01-05.json'), JSON.stringify({ data: [] }));
+
+    const service = new ReportingService({ dataDir, csvDir: path.join(root, 'csv') });
+    const result = await service.generateBackfill();
+    const row = result.rows.find(r => r.Date === '2025-01-05');
+
+    // alice (2nd, from the first snapshot), bob (3rd) and carol (5th, only in the later snapshot)
+    assert.ok(row, 'expected a row for the Cursor-only date');
+    assert.equal(row.CopilotActive7d, 3);
+    assert.equal(row.CopilotApproximate, 'true');
+    assert.equal(row.CopilotSnapshotDate, '2025-01-03');
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('backfill leaves Copilot columns empty when the nearest snapshot is too far away', async () => {
+  const root = mkdtempSync(path.join(tmpdir(), 'backfill-'));
+  try {
+    const dataDir = path.join(root, 'data');
+    writeSnapshots(dataDir);
+    const cursorDir = path.join(dataDir, 'cursor');
+    mkdirSync(cursorDir, { recursive: true });
+    writeFileSync(path.join(cursorDir, 'daily_activity_2024-11-01.json'), JSON.stringify({ data: [] }));
+
+    const service = new ReportingService({ dataDir, csvDir: path.join(root, 'csv') });
+    const result = await service.generateBackfill();
+    const row = result.rows.find(r => r.Date === '2024-11-01');
+
+    // The first snapshot is two months later
+    assert.ok(row, 'expected a row for the Cursor-only date');
+    assert.equal(row.CopilotSnapshotDate, '');
+    assert.equal(row.CopilotSeats, '');
+    assert.equal(row.CopilotActive7d, '');
+    assert.equal(row.CopilotApproximate, '');
+    assert.equal(row.CopilotActivePct, '');
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCSV, parseCSVRecords, stringifyCSV } from '../src/common/csv.js';
+
+test('keeps commas inside quoted fields', () => {
+  assert.deepEqual(parseCSV('name,title\n"Doe, Jane","VP, Engineering"\n'), [
+    ['name', 'title'],
+    ['Doe, Jane', 'VP, Engineering']
+  ]);
+});
+
+test('unescapes doubled quotes', () => {
+  assert.deepEqual(parseCSV('a,b\n"say ""hi""","""",x\n'), [
+    ['a', 'b'],
+    ['say "hi"', '"', 'x']
+  ]);
+});
+
+test('reads CRLF line endings', () => {
+  assert.deepEqual(parseCSV('a,b\r\n1,2\r\n3,"4"\r\n'), [
+    ['a', 'b'],
+    ['1', '2'],
+    ['3', '4']
+  ]);
+});
+
+test('drops a leading BOM', () => {
+  const { header, rows } = parseCSVRecords('\uFEFFemail,name\nann@example.com,Ann\n');
+  assert.deepEqual(header, ['email', 'name']);
+  assert.deepEqual(rows, [{ email: 'ann@example.com', name: 'Ann' }]);
+});
+
+test('keeps newlines inside quoted fields', () => {
+  assert.deepEqual(parseCSV('a,b\n"line 1\nline 2","x\r\ny"\nz,w'), [
+    ['a', 'b'],
+    ['line 1\nline 2', 'x\r\ny'],
+    ['z', 'w']
+  ]);
+});
+
+test('round-trips through stringifyCSV', () => {
+  const rows = [{ a: 'Doe, Jane', b: 'say "hi"' }, { a: 'two\nlines', b: '' }];
+  const text = stringifyCSV(['a', 'b'], rows, { bom: true, eol: '\r\n' });
+  assert.deepEqual(parseCSVRecords(text, { trim: false }).rows, rows);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JsonArrayStreamParser } from '../src/cursor/json-stream.js';
+
+// Feed the text in chunks of `size` characters and collect the emitted items
+function parseInChunks(text, size, itemsKey = 'usageEvents') {
+  const emitted = [];
+  const parser = new JsonArrayStreamParser(itemsKey, { onItem: item => emitted.push(item) });
+  for (let i = 0; i < text.length; i += size) {
+    parser.write(text.slice(i, i + size));
+  }
+  return { json: parser.end(), emitted };
+}
+
+test('parses the same document at every chunk boundary', () => {
+  const doc = {
+    totalUsageEventsCount: 2,
+    usageEvents: [
+      { userEmail: 'a@example.com', model: 'say "hi", [ok]', note: 'back\\slash é {brace}' },
+      { userEmail: 'b@example.com', model: 'gpt', tokens: { input: 1, output: 2 } }
+    ],
+    pagination: { hasNextPage: false }
+  };
+  const text = JSON.stringify(doc);
+
+  // Every chunk size splits some string, escape sequence and brace differently
+  for (let size = 1; size <= text.length; size++) {
+    const { json, emitted } = parseInChunks(text, size);
+    assert.deepEqual(json, doc, `chunk size ${size}`);
+    assert.deepEqual(emitted, doc.usageEvents, `chunk size ${size}`);
+  }
+});
+
+test('splits a chunk inside an escape sequence', () => {
+  const text = '{"usageEvents":[{"a":"x\\"],{y"},{"a":"\\u0041"}]}';
+  const cut = text.indexOf('\\"') + 1;
+  const parser = new JsonArrayStreamParser('usageEvents');
+  parser.write(text.slice(0, cut));
+  parser.write(text.slice(cut));
+  assert.deepEqual(parser.end().usageEvents, [{ a: 'x"],{y' }, { a: 'A' }]);
+});
+
+test('keeps nested arrays and objects inside elements whole', () => {
+  const doc = {
+    meta: { usageEvents: ['not', 'this', 'one'] },
+    usageEvents: [[1, [2, 3]], { a: [{ b: [] }, {}] }, [], {}],
+    after: [1, 2]
+  };
+  const { json, emitted } = parseInChunks(JSON.stringify(doc), 3);
+  assert.deepEqual(json, doc);
+  assert.equal(emitted.length, 4);
+});
+
+test('parses an empty array', () => {
+  const { json, emitted } = parseInChunks('{"usageEvents": [ ], "pagination": {"hasNextPage": false}}', 4);
+  assert.deepEqual(json, { usageEvents: [], pagination: { hasNextPage: false } });
+  assert.deepEqual(emitted, []);
+});
+
+test('rejects truncated input', () => {
+  const text = JSON.stringify({ usageEvents: [{ a: 'one' }, { a: 'two' }], pagination: { page: 1 } });
+  const cuts = [
+    text.indexOf('"two') + 2,       // inside a string in an element
+    text.indexOf('{"a":"two"}'),     // between elements
+    text.indexOf('"pagination') + 4, // inside a key after the array
+    text.length - 1                  // missing the closing brace
+  ];
+  for (const cut of cuts) {
+    const parser = new JsonArrayStreamParser('usageEvents');
+    parser.write(text.slice(0, cut));
+    assert.throws(() => parser.end(), SyntaxError, `cut at ${cut}`);
+  }
+});